@@ -0,0 +1,500 @@
+/**
+ * ♿ Accessibility Checker
+ * A proper page works for everyone - screen readers, keyboards and low vision included
+ *
+ * Checks run over the parsed DOM (HtmlParser). Every issue says what is wrong,
+ * where (element path, line, column) and the concrete fix.
+ */
+
+import HtmlParser from './html-parser.js';
+import ColorContrast from './color-contrast.js';
+
+const ARIA_ATTRIBUTES = {
+  // value type for each aria-* attribute (ARIA 1.2)
+  activedescendant: 'idref', atomic: 'boolean', autocomplete: ['inline', 'list', 'both', 'none'],
+  braillelabel: 'string', brailleroledescription: 'string', busy: 'boolean',
+  checked: ['true', 'false', 'mixed', 'undefined'], colcount: 'integer', colindex: 'integer',
+  colindextext: 'string', colspan: 'integer', controls: 'idrefs',
+  current: ['page', 'step', 'location', 'date', 'time', 'true', 'false'], describedby: 'idrefs',
+  description: 'string', details: 'idrefs', disabled: 'boolean', dropeffect: 'string',
+  errormessage: 'idrefs', expanded: ['true', 'false', 'undefined'], flowto: 'idrefs',
+  grabbed: ['true', 'false', 'undefined'],
+  haspopup: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'],
+  hidden: ['true', 'false', 'undefined'], invalid: ['grammar', 'false', 'spelling', 'true'],
+  keyshortcuts: 'string', label: 'string', labelledby: 'idrefs', level: 'integer',
+  live: ['assertive', 'off', 'polite'], modal: 'boolean', multiline: 'boolean',
+  multiselectable: 'boolean', orientation: ['horizontal', 'vertical', 'undefined'], owns: 'idrefs',
+  placeholder: 'string', posinset: 'integer', pressed: ['true', 'false', 'mixed', 'undefined'],
+  readonly: 'boolean', relevant: 'tokens', required: 'boolean', roledescription: 'string',
+  rowcount: 'integer', rowindex: 'integer', rowindextext: 'string', rowspan: 'integer',
+  selected: ['true', 'false', 'undefined'], setsize: 'integer',
+  sort: ['ascending', 'descending', 'none', 'other'], valuemax: 'number', valuemin: 'number',
+  valuenow: 'number', valuetext: 'string'
+};
+
+const ROLES = new Set([
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+  'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+  'definition', 'deletion', 'dialog', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic',
+  'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem',
+  'log', 'main', 'mark', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox',
+  'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph', 'presentation',
+  'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar',
+  'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript',
+  'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox', 'time',
+  'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+]);
+
+const LANDMARK_TAGS = new Set(['header', 'nav', 'main', 'aside', 'footer']);
+const LANDMARK_ROLES = new Set(['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'region', 'search', 'form']);
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'reset', 'button', 'image']);
+
+class AccessibilityChecker {
+  /**
+   * @param {Object} [options]
+   * @param {HtmlParser} [options.parser] - Shared parser (NoJunkyPages passes its own)
+   */
+  constructor(options = {}) {
+    this.parser = options.parser || new HtmlParser();
+    this.contrast = new ColorContrast();
+
+    // Text color token, the background tokens it sits on (outermost first) and the WCAG AA minimum
+    this.contrastPairs = [
+      { where: 'body text', foreground: '--text', backgrounds: ['--page-bg', '--surface'], minimum: 4.5 },
+      { where: 'muted text', foreground: '--text-muted', backgrounds: ['--page-bg', '--surface'], minimum: 4.5 },
+      { where: 'feature cards', foreground: '--text', backgrounds: ['--page-bg', '--surface', '--card-bg'], minimum: 4.5 },
+      { where: 'headings', foreground: '--heading', backgrounds: ['--page-bg', '--surface', '--card-bg'], minimum: 3 },
+      { where: 'header', foreground: '--header-text', backgrounds: ['--page-bg', '--header-bg'], minimum: 4.5 },
+      { where: 'navigation links', foreground: '--nav-link', backgrounds: ['--page-bg', '--nav-bg'], minimum: 4.5 },
+      { where: 'hero', foreground: '--hero-text', backgrounds: ['--page-bg', '--surface', '--hero-bg'], minimum: 4.5 },
+      { where: 'token widget', foreground: '--widget-text', backgrounds: ['--page-bg', '--surface', '--widget-bg'], minimum: 4.5 },
+      { where: 'buttons', foreground: '--on-primary', backgrounds: ['--page-bg', '--button-bg'], minimum: 4.5 },
+      { where: 'footer', foreground: '--footer-text', backgrounds: ['--page-bg', '--nav-bg'], minimum: 4.5 }
+    ];
+  }
+
+  /**
+   * Run every accessibility check
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [options]
+   * @param {string[]} [options.colors] - [primary, secondary, accent] from getThemeInfo()
+   * @param {string[]} [options.checks] - Run only these checks (default: all)
+   * @returns {Object} { passed, checks, issues, message }
+   */
+  check(page, options = {}) {
+    const document = typeof page === 'string' ? this.parser.parse(page) : page;
+    const ids = this.collectIds(document);
+
+    const available = {
+      language: () => this.checkLanguage(document),
+      altText: () => this.checkAltText(document),
+      formLabels: () => this.checkFormLabels(document, ids),
+      headings: () => this.checkHeadings(document),
+      landmarks: () => this.checkLandmarkRegions(document),
+      linkNames: () => this.checkLinkNames(document, ids),
+      aria: () => this.checkAria(document, ids),
+      contrast: () => this.checkContrast(document, options.colors)
+    };
+    const checks = Object.fromEntries(Object.entries(available)
+      .filter(([name]) => !options.checks || options.checks.includes(name))
+      .map(([name, run]) => [name, run()]));
+
+    const issues = Object.entries(checks)
+      .flatMap(([check, found]) => found.map(issue => ({ check, ...issue })));
+    const failed = Object.keys(checks).filter(check => checks[check].length > 0);
+
+    return {
+      passed: issues.length === 0,
+      checks: Object.fromEntries(Object.entries(checks).map(([check, found]) => [check, { passed: found.length === 0, issues: found.length }])),
+      failed,
+      issues,
+      message: failed.length > 0
+        ? `❌ Accessibility issues: ${failed.join(', ')}`
+        : '✅ Page is accessible'
+    };
+  }
+
+  checkLanguage(document) {
+    const html = this.parser.elements(document, 'html')[0];
+    const lang = (html?.attributes.lang || '').trim();
+    if (/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(lang)) {
+      return [];
+    }
+    return [this.issue(html || document,
+      lang ? `Invalid lang attribute "${lang}"` : 'Page has no lang attribute',
+      'Add lang="en" (or the page\'s language) to the <html> element')];
+  }
+
+  checkAltText(document) {
+    const issues = [];
+
+    this.parser.elements(document, ['img', 'area', 'input']).forEach(element => {
+      if (element.tagName === 'input' && (element.attributes.type || '').toLowerCase() !== 'image') {
+        return;
+      }
+      if (!('alt' in element.attributes) && !this.hasLabelAttribute(element)) {
+        const source = element.attributes.src || element.attributes.href || '';
+        issues.push(this.issue(element,
+          `<${element.tagName}${source ? ` src="${source}"` : ''}> has no alt text`,
+          'Add alt="…" describing the image, or alt="" if it is purely decorative'));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Form controls need a label and buttons need a name - placeholder text is not a label
+   */
+  checkFormLabels(document, ids) {
+    const issues = [];
+
+    this.parser.elements(document, ['input', 'select', 'textarea']).forEach(control => {
+      const type = (control.attributes.type || 'text').toLowerCase();
+      if (control.tagName === 'input' && UNLABELLED_INPUT_TYPES.has(type)) {
+        return;
+      }
+      if (!this.accessibleName(control, ids)) {
+        const id = control.attributes.id;
+        issues.push(this.issue(control,
+          `<${control.tagName}${control.tagName === 'input' ? ` type="${type}"` : ''}> has no label`,
+          id
+            ? `Add <label for="${id}">…</label> or aria-label="…"`
+            : 'Wrap it in a <label>, or add aria-label="…"'));
+      }
+    });
+
+    this.parser.findAll(document, node => node.type === 'element' && (
+      node.tagName === 'button' ||
+      (node.tagName === 'input' && ['submit', 'reset', 'button'].includes((node.attributes.type || '').toLowerCase())) ||
+      node.attributes.role === 'button'
+    )).forEach(button => {
+      const value = button.tagName === 'input' ? (button.attributes.value || '').trim() : '';
+      if (!value && !this.accessibleName(button, ids)) {
+        issues.push(this.issue(button, 'Button has no accessible name',
+          'Give the button visible text, or aria-label="…" if it only shows an icon'));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * One h1, and no skipped levels on the way down (h2 → h4)
+   */
+  checkHeadings(document) {
+    const issues = [];
+    const headings = this.parser.findAll(document, node => node.type === 'element' &&
+      (/^h[1-6]$/.test(node.tagName) || node.attributes.role === 'heading') &&
+      !this.isHidden(node));
+
+    if (!headings.some(heading => this.headingLevel(heading) === 1)) {
+      issues.push(this.issue(this.parser.elements(document, 'body')[0] || document,
+        'Page has no <h1>', 'Add one <h1> naming the page, usually in the header'));
+    }
+
+    let previous = 0;
+    headings.forEach(heading => {
+      const level = this.headingLevel(heading);
+      if (!this.parser.visibleText(heading)) {
+        issues.push(this.issue(heading, `<h${level}> is empty`, 'Give the heading text, or remove it'));
+      }
+      if (previous > 0 && level > previous + 1) {
+        issues.push(this.issue(heading, `Heading level skips from h${previous} to h${level}`,
+          `Change it to <h${previous + 1}>, or restyle it with CSS instead of picking a deeper level`));
+      }
+      previous = level;
+    });
+
+    return issues;
+  }
+
+  /**
+   * All visible content belongs to a landmark, so screen reader users can jump around
+   */
+  checkLandmarkRegions(document) {
+    const body = this.parser.elements(document, 'body')[0];
+    if (!body) {
+      return [];
+    }
+
+    const outside = new Set();
+    this.parser.visibleTextNodes(body).forEach(text => {
+      if (!this.inLandmark(text)) {
+        // Report the outermost container once, not every text node in it
+        let container = text.parent;
+        while (container !== body && container.parent !== body) {
+          container = container.parent;
+        }
+        outside.add(container);
+      }
+    });
+
+    return [...outside].map(element => this.issue(element,
+      'Content is outside of any landmark',
+      element === body
+        ? 'Wrap the text in <main>, or in <header>/<nav>/<aside>/<footer> as appropriate'
+        : `Move <${element.tagName}> into <main>, <header>, <nav>, <aside> or <footer>`));
+  }
+
+  /**
+   * Links with the same name should go to the same place ("Read more" ×3 is useless out of context)
+   */
+  checkLinkNames(document, ids) {
+    const seen = new Map();
+    const issues = [];
+
+    this.parser.elements(document, 'a')
+      .filter(link => 'href' in link.attributes && !this.isHidden(link))
+      .forEach(link => {
+        const name = this.accessibleName(link, ids).toLowerCase();
+        if (!name) return;
+        const href = link.attributes.href.trim();
+        const first = seen.get(name);
+        if (!first) {
+          seen.set(name, { href, link });
+        } else if (first.href !== href) {
+          issues.push(this.issue(link,
+            `Link text "${name}" also links to ${first.href} (line ${first.link.line})`,
+            'Make the link text say where it goes, or add aria-label="…" to tell the links apart'));
+        }
+      });
+
+    return issues;
+  }
+
+  checkAria(document, ids) {
+    const issues = [];
+
+    this.parser.findAll(document, node => node.type === 'element').forEach(element => {
+      Object.entries(element.attributes).forEach(([attribute, value]) => {
+        if (attribute === 'role') {
+          value.trim().split(/\s+/).filter(Boolean)
+            .filter(role => !ROLES.has(role))
+            .forEach(role => issues.push(this.issue(element, `Unknown role "${role}"`,
+              'Use a role from the WAI-ARIA spec, or remove the role attribute')));
+          return;
+        }
+        if (!attribute.startsWith('aria-')) {
+          return;
+        }
+
+        const type = ARIA_ATTRIBUTES[attribute.slice(5)];
+        const problem = type === undefined
+          ? `Unknown attribute ${attribute}`
+          : this.ariaValueProblem(attribute, type, value.trim(), ids);
+        if (problem) {
+          issues.push(this.issue(element, problem, type === undefined
+            ? `Remove ${attribute}, or fix its spelling`
+            : `Set ${attribute} to ${this.describeAriaType(type)}`));
+        }
+      });
+    });
+
+    return issues;
+  }
+
+  ariaValueProblem(attribute, type, value, ids) {
+    if (Array.isArray(type)) {
+      return type.includes(value.toLowerCase()) ? null : `${attribute}="${value}" is not a valid value`;
+    }
+    switch (type) {
+      case 'boolean':
+        return ['true', 'false'].includes(value.toLowerCase()) ? null : `${attribute}="${value}" is not true or false`;
+      case 'integer':
+        return /^-?\d+$/.test(value) ? null : `${attribute}="${value}" is not an integer`;
+      case 'number':
+        return value !== '' && !Number.isNaN(Number(value)) ? null : `${attribute}="${value}" is not a number`;
+      case 'idref':
+      case 'idrefs': {
+        const missing = value.split(/\s+/).filter(Boolean).filter(id => !ids.has(id));
+        if (value === '') return `${attribute} is empty`;
+        return missing.length > 0 ? `${attribute} points to missing id${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` : null;
+      }
+      case 'tokens':
+        return value.split(/\s+/).every(token => ['additions', 'removals', 'text', 'all'].includes(token))
+          ? null
+          : `${attribute}="${value}" is not a valid value`;
+      default:
+        return null;
+    }
+  }
+
+  describeAriaType(type) {
+    if (Array.isArray(type)) return `one of: ${type.join(', ')}`;
+    return {
+      boolean: '"true" or "false"',
+      integer: 'a whole number',
+      number: 'a number',
+      idref: 'the id of an element on the page',
+      idrefs: 'ids of elements on the page',
+      tokens: 'additions, removals, text or all'
+    }[type] || 'a non-empty value';
+  }
+
+  /**
+   * WCAG AA contrast of the design tokens - layout :root, theme stylesheet and theme colors
+   * @param {Object} document - Parsed page
+   * @param {string[]} [colors] - getThemeInfo().colors, overriding the page's --theme-* values
+   */
+  checkContrast(document, colors) {
+    const html = this.parser.elements(document, 'html')[0];
+    const theme = html?.attributes['data-theme'] || 'default';
+    const css = this.parser.elements(document, 'style')
+      .map(style => style.children.map(child => child.value).join(''))
+      .join('\n');
+
+    const tokens = this.contrast.readCustomProperties(css);
+    this.contrast.readDeclarations(html?.attributes.style || '', tokens);
+    (colors || []).forEach((color, index) => {
+      tokens.set(['--theme-primary', '--theme-secondary', '--theme-accent'][index], color);
+    });
+
+    const issues = [];
+    this.contrastPairs.forEach(pair => {
+      const foreground = this.contrast.resolve(tokens.get(pair.foreground), tokens);
+      let backgrounds;
+      for (const token of pair.backgrounds) {
+        const value = this.contrast.resolve(tokens.get(token), tokens);
+        backgrounds = value === null ? backgrounds : this.contrast.backgroundColors(value, backgrounds);
+        if (backgrounds === null) return; // Unsupported CSS - nothing to measure
+      }
+
+      const worst = foreground === null ? null : this.contrast.worstContrast(foreground, backgrounds);
+      if (worst && worst.ratio < pair.minimum) {
+        const suggestion = this.suggestColor(foreground, backgrounds, pair.minimum);
+        issues.push(this.issue(html || document,
+          `Low contrast in ${pair.where}: ${pair.foreground} ${worst.foreground} on ${worst.background} is ${worst.ratio}:1 (needs ${pair.minimum}:1)`,
+          suggestion
+            ? `Set ${pair.foreground}: ${suggestion} in templates/themes/${theme}.css`
+            : `Change the ${pair.backgrounds.slice(1).join('/') || pair.backgrounds[0]} background in templates/themes/${theme}.css`));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Nearest darker or lighter version of a color that meets the minimum on every background
+   */
+  suggestColor(foreground, backgrounds, minimum) {
+    const color = this.contrast.parseColor(foreground);
+    const candidates = [];
+
+    [{ r: 0, g: 0, b: 0, a: 1 }, { r: 255, g: 255, b: 255, a: 1 }].forEach(target => {
+      for (let step = 1; step <= 20; step++) {
+        const amount = step / 20;
+        const mixed = {
+          r: color.r + (target.r - color.r) * amount,
+          g: color.g + (target.g - color.g) * amount,
+          b: color.b + (target.b - color.b) * amount,
+          a: 1
+        };
+        if (backgrounds.every(background => this.contrast.ratio(mixed, background) >= minimum)) {
+          candidates.push({ amount, hex: this.contrast.toHex(mixed) });
+          break;
+        }
+      }
+    });
+
+    candidates.sort((a, b) => a.amount - b.amount);
+    return candidates[0]?.hex || null;
+  }
+
+  /**
+   * Accessible name: aria-labelledby, aria-label, <label>, content (with image alt) or title
+   */
+  accessibleName(element, ids) {
+    const labelledBy = (element.attributes['aria-labelledby'] || '').split(/\s+/)
+      .map(id => ids.get(id))
+      .filter(Boolean)
+      .map(label => this.parser.visibleText(label))
+      .join(' ')
+      .trim();
+    if (labelledBy) return labelledBy;
+
+    const ariaLabel = (element.attributes['aria-label'] || '').trim();
+    if (ariaLabel) return ariaLabel;
+
+    if (['input', 'select', 'textarea'].includes(element.tagName)) {
+      const id = element.attributes.id;
+      const label = this.parser.findAll(this.root(element), node => node.type === 'element' && node.tagName === 'label' &&
+        ((id && node.attributes.for === id) || this.contains(node, element)))[0];
+      const text = label ? this.parser.visibleText(label) : '';
+      return text || (element.attributes.title || '').trim();
+    }
+
+    const alts = this.parser.elements(element, 'img').map(img => (img.attributes.alt || '').trim());
+    return [this.parser.visibleText(element), ...alts].join(' ').trim() || (element.attributes.title || '').trim();
+  }
+
+  hasLabelAttribute(element) {
+    return Boolean((element.attributes['aria-label'] || '').trim() || element.attributes['aria-labelledby'] ||
+      ['presentation', 'none'].includes(element.attributes.role));
+  }
+
+  inLandmark(node) {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (parent.type !== 'element') continue;
+      const role = parent.attributes.role;
+      if (LANDMARK_TAGS.has(parent.tagName) || LANDMARK_ROLES.has(role)) return true;
+      if ((parent.tagName === 'section' || parent.tagName === 'form') &&
+        (parent.attributes['aria-label'] || parent.attributes['aria-labelledby'])) return true;
+      // Dialogs and live regions are reached directly, not through landmarks
+      if (['dialog', 'alertdialog', 'alert', 'status'].includes(role) || parent.tagName === 'dialog') return true;
+    }
+    return false;
+  }
+
+  isHidden(element) {
+    for (let node = element; node && node.type === 'element'; node = node.parent) {
+      if ('hidden' in node.attributes || node.attributes['aria-hidden'] === 'true') return true;
+    }
+    return false;
+  }
+
+  headingLevel(heading) {
+    return /^h[1-6]$/.test(heading.tagName)
+      ? Number(heading.tagName[1])
+      : Number(heading.attributes['aria-level']) || 2;
+  }
+
+  collectIds(document) {
+    const ids = new Map();
+    this.parser.findAll(document, node => node.type === 'element' && node.attributes.id)
+      .forEach(element => {
+        if (!ids.has(element.attributes.id)) ids.set(element.attributes.id, element);
+      });
+    return ids;
+  }
+
+  root(node) {
+    let top = node;
+    while (top.parent) top = top.parent;
+    return top;
+  }
+
+  contains(ancestor, node) {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (parent === ancestor) return true;
+    }
+    return false;
+  }
+
+  issue(node, message, fix) {
+    return {
+      message,
+      fix,
+      path: this.parser.elementPath(node) || 'document',
+      line: node.line,
+      column: node.column
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccessibilityChecker;
+}
+
+export default AccessibilityChecker;
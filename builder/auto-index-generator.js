@@ -3,22 +3,81 @@
  * Automatically constructs proper repo indexes - NO junky placeholders!
  */
 
+import TemplateEngine from './template-engine.js';
+import ContentBuilder from './content-builder.js';
+import ThemeRegistry from './theme-registry.js';
+import EarningsCalculator from './earnings-calculator.js';
+import ConnectionRegistry from '../wiring/connection-registry.js';
+import FetchLoader from '../loaders/fetch-loader.js';
+
 class AutoIndexGenerator {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {ResourceLoader} [options.loader] - Where configs and templates come from (default: fetch from site root)
+   * @param {AlcLedger} [options.ledger] - Records rewards; pages show its balance (default: none, balance 0)
+   */
+  constructor(options = {}) {
+    this.loader = options.loader || new FetchLoader();
+    this.ledger = options.ledger || null;
     this.config = null;
     this.tokenIntegration = null;
-    this.loadConfig();
+    this.templateEngine = new TemplateEngine();
+    this.themeRegistry = new ThemeRegistry({ loader: this.loader });
+    this.earnings = new EarningsCalculator();
+    this.connections = new ConnectionRegistry({ loader: this.loader });
+    this.contentBuilder = new ContentBuilder({ themeRegistry: this.themeRegistry, earnings: this.earnings, connections: this.connections });
+    this.stylesheets = new Map();
+    this.configReady = this.loadConfig();
+    // Handled here so a generator nobody awaits doesn't crash Node.js; ready() still rejects
+    this.configReady.catch(() => {});
+  }
+
+  /**
+   * Create a generator whose config is fully loaded
+   * @returns {Promise<AutoIndexGenerator>}
+   */
+  static async create(options = {}) {
+    return await new AutoIndexGenerator(options).ready();
+  }
+
+  /**
+   * Resolves once the config from the constructor has loaded; rejects when
+   * builder-config.json or andy-lian-integration.json can't be read or parsed
+   * @returns {Promise<AutoIndexGenerator>}
+   */
+  async ready() {
+    await this.configReady;
+    return this;
   }
 
+  /**
+   * Each config file is loaded on its own, so a broken one doesn't cost the
+   * other its themes, connections or earning rates - but the failure is not silent
+   */
   async loadConfig() {
-    try {
-      const configRes = await fetch('/.infinity/builder-config.json');
-      this.config = await configRes.json();
-      
-      const tokenRes = await fetch('/.infinity/andy-lian-integration.json');
-      this.tokenIntegration = await tokenRes.json();
-    } catch (err) {
-      console.error('Failed to load config:', err);
+    const failures = [];
+    const read = async (file) => {
+      try {
+        return await this.loader.readJson(file);
+      } catch (err) {
+        console.error(`Failed to load ${file}:`, err);
+        failures.push(`${file}: ${err.message}`);
+        return null;
+      }
+    };
+
+    const [config, tokenIntegration] = await Promise.all([
+      read('.infinity/builder-config.json'),
+      read('.infinity/andy-lian-integration.json')
+    ]);
+    this.config = config;
+    this.tokenIntegration = tokenIntegration;
+    this.earnings.configure(this.tokenIntegration || {});
+    await this.connections.loadFromConfig(this.tokenIntegration || {});
+    await this.themeRegistry.load(this.config?.themes || []);
+
+    if (failures.length > 0) {
+      throw new Error(`Config could not be loaded:\n  ${failures.join('\n  ')}`);
     }
   }
 
@@ -28,157 +87,237 @@ class AutoIndexGenerator {
    * @returns {string} Complete HTML for the index page
    */
   async generateIndex(repoData) {
+    return (await this.buildPage(repoData)).html;
+  }
+
+  /**
+   * Generate a page and return what it was built from, so callers that
+   * validate or index it don't detect the theme and build the content again
+   * @param {Object} repoData - Repository metadata
+   * @returns {Promise<Object>} { html, theme, themeInfo, content }
+   */
+  async buildPage(repoData) {
+    await this.ready();
+
     const theme = await this.detectTheme(repoData);
     const template = await this.loadTemplate(theme);
+    await this.loadPartials(template);
+    const themeStyles = await this.loadThemeStyles(theme);
+
+    const content = this.contentBuilder.buildContent(repoData, theme);
+    const themeInfo = this.themeRegistry.getInfo(theme);
+    const ledger = await this.readLedger();
     
     const indexData = {
       ...repoData,
       theme,
-      navigation: this.buildNavigation(),
-      content: this.buildContent(repoData),
-      tokenEconomy: this.buildTokenEconomy(),
+      themeInfo,
+      themeStyles,
+      navigation: content.navigation,
+      content,
+      tokenEconomy: this.buildTokenEconomy(ledger),
       search: this.buildSearch(),
+      palette: this.buildCommandPalette(),
+      themeSwitcher: this.buildThemeSwitcher(),
       wiring: this.getWiringStatus()
     };
     
-    return this.renderTemplate(template, indexData);
+    return { html: this.renderTemplate(template, indexData), theme, themeInfo, content };
   }
 
-  buildNavigation() {
+  /**
+   * @param {Object} [ledger] - AlcLedger.summary(); pages show it until dash-hub answers
+   */
+  buildTokenEconomy(ledger = null) {
+    const balance = ledger?.balance ?? 0;
     return {
-      themes: this.config?.themes || [],
-      repos: this.tokenIntegration?.connections || [],
-      features: [
-        { name: 'Home', icon: '🏠', url: '/' },
-        { name: 'Token Hub', icon: '🪙', url: '/dash-hub' },
-        { name: 'Art Assets', icon: '🎨', url: '/banksy' },
-        { name: 'Commerce', icon: '🛒', url: '/facet-commerce' },
-        { name: 'Pricing', icon: '💰', url: '/pricing-engine' }
-      ]
+      symbol: this.tokenIntegration?.token_symbol || 'ALC',
+      name: this.tokenIntegration?.token_name || 'Andy Lian Coin',
+      balance,
+      balanceDisplay: balance.toFixed(2),
+      recentTransactions: (ledger?.recentTransactions || []).map(entry => ({
+        amount: entry.amount,
+        reason: entry.reason,
+        repo: entry.repo || 'designer',
+        date: entry.timestamp.slice(0, 10)
+      })),
+      // [{ rule: 'build_index', label: 'Index built', amount: 10, cap }] - labels as on receipts
+      earnings: this.earnings.table(),
+      connections: this.connections.names(),
+      wiringStatus: this.connections.summaryStatus()
     };
   }
 
-  buildContent(repoData) {
-    return {
-      title: repoData.name || 'Repository',
-      description: repoData.description || 'A proper, full-featured repository index',
-      features: this.extractFeatures(repoData),
-      interactive: true,
-      quality: 'premium'
-    };
+  async readLedger() {
+    if (!this.ledger) {
+      return null;
+    }
+    try {
+      return await this.ledger.summary();
+    } catch (err) {
+      console.error('Failed to read ledger:', err);
+      return null;
+    }
   }
 
-  buildTokenEconomy() {
+  buildSearch() {
     return {
-      symbol: this.tokenIntegration?.token_symbol || 'ALC',
-      name: this.tokenIntegration?.token_name || 'Andy Lian Coin',
-      balance: 0, // Will be fetched from token hub
-      recentTransactions: [],
-      connections: this.tokenIntegration?.connections || [],
-      wiringStatus: 'active'
+      enabled: true,
+      placeholder: 'Find anything instantly...',
+      scope: 'all_repos',
+      // Written by the batch build next to the pages, see SearchIndex
+      indexUrl: '/search-index.json',
+      moduleUrl: '/ui/search-box.js'
     };
   }
 
-  buildSearch() {
+  buildCommandPalette() {
     return {
       enabled: true,
-      placeholder: 'Find anything instantly...',
-      scope: 'all_repos'
+      shortcut: this.contentBuilder.generateInteractiveElements().search.shortcut,
+      moduleUrl: '/ui/command-palette.js'
     };
   }
 
-  extractFeatures(repoData) {
-    return [
-      'Smart Navigation System',
-      'Token Economy Integration',
-      'Real-time Search',
-      'Theme Support',
-      'Repository Wiring',
-      'Interactive Elements'
-    ];
+  buildThemeSwitcher() {
+    const declared = this.contentBuilder.generateInteractiveElements().themeSwitcher;
+    return {
+      enabled: declared.options.length > 1,
+      options: declared.options,
+      action: declared.action,
+      moduleUrl: '/ui/theme-switcher.js'
+    };
   }
 
+  /**
+   * Connected repos with their last known status, for the connection list
+   */
   getWiringStatus() {
+    const repos = this.connections.wiring();
     return {
-      connected: true,
-      repos: this.tokenIntegration?.connections || [],
-      status: 'online',
+      connected: repos.some(repo => repo.status === 'online'),
+      repos,
+      status: this.connections.summaryStatus(),
       lastUpdate: new Date().toISOString()
     };
   }
 
   renderTemplate(template, data) {
-    // Simple template rendering (in production, use a proper template engine)
-    let html = template;
-    Object.keys(data).forEach(key => {
-      const placeholder = `{{${key}}}`;
-      html = html.replace(new RegExp(placeholder, 'g'), JSON.stringify(data[key]));
-    });
-    return html;
+    return this.templateEngine.render(template, data);
   }
 
+  /**
+   * Load every partial the template references from templates/partials/
+   */
+  async loadPartials(template) {
+    let pending = this.templateEngine.findPartials(template)
+      .filter(name => !(name in this.templateEngine.partials));
+
+    // Partials can include further partials, so keep going until none are missing
+    while (pending.length > 0) {
+      for (const name of pending) {
+        const source = await this.loader.readText(`templates/partials/${name}.html`);
+        if (source === null) {
+          throw new Error(`Partial "${name}" not found in templates/partials/`);
+        }
+        this.templateEngine.registerPartial(name, source);
+      }
+      pending = this.templateEngine.findPartials(template)
+        .filter(name => !(name in this.templateEngine.partials));
+    }
+  }
+
+  /**
+   * Read the template a theme names in its definition.
+   * A registered theme whose file is missing is an error, never a silent fallback.
+   */
   async loadTemplate(theme) {
-    try {
-      const res = await fetch(`/templates/${theme}-index.html`);
-      if (res.ok) {
-        return await res.text();
+    const definition = this.themeRegistry.resolve(theme);
+    const template = await this.loader.readText(`templates/${definition.template}`);
+    if (template === null) {
+      throw new Error(`Template "templates/${definition.template}" for theme "${definition.id}" not found`);
+    }
+    return template;
+  }
+
+  /**
+   * Read the theme stylesheet that sets the layout's CSS custom properties
+   */
+  async loadThemeStyles(theme) {
+    const definition = this.themeRegistry.resolve(theme);
+    if (!this.stylesheets.has(definition.id)) {
+      const css = await this.loader.readText(`templates/${definition.stylesheet}`);
+      if (css === null) {
+        throw new Error(`Stylesheet "templates/${definition.stylesheet}" for theme "${definition.id}" not found`);
       }
-    } catch (err) {
-      console.error(`Failed to load template for theme ${theme}:`, err);
+      this.stylesheets.set(definition.id, css);
     }
-    
-    // Fallback to base template
-    const res = await fetch('/templates/base-index.html');
-    return await res.text();
+    return this.stylesheets.get(definition.id);
+  }
+
+  /**
+   * Check every registered theme has its template, stylesheet and partials
+   * @returns {Object} { ok, themes, missing: [{ theme, error }] }
+   */
+  async checkTemplates() {
+    await this.ready();
+    const missing = [];
+    const themes = this.themeRegistry.ids();
+
+    for (const theme of themes) {
+      try {
+        await this.loadPartials(await this.loadTemplate(theme));
+        await this.loadThemeStyles(theme);
+      } catch (err) {
+        missing.push({ theme, error: err.message });
+      }
+    }
+
+    return { ok: missing.length === 0, themes, missing };
   }
 
   async detectTheme(repoData) {
     // Use theme detector for proper theme detection
     const ThemeDetector = (await import('./theme-detector.js')).default;
-    const detector = new ThemeDetector();
+    const detector = new ThemeDetector(this.themeRegistry);
     return detector.detect(repoData);
   }
 
   /**
-   * Validate that the generated index meets quality standards
+   * Award ALC tokens for a build - every earnings rule, priced by EarningsCalculator,
+   * recorded in the ledger when there is one
+   * @param {Object} quality - ValidationPipeline.validate() page report
+   * @param {Object} [repoData] - The repo the page was built for
+   * @param {Object} [outcome] - { themes, connections }: theme templates used (default: quality.theme)
+   *   and RepoConnector.connect() results
+   * @returns {Promise<Object>} The reward (the ledger entry, with its hash, when recorded) plus its receipt
    */
-  validateQuality(html) {
-    const rules = this.config?.quality_rules || {};
-    
-    const checks = {
-      no_placeholder: !html.includes('Lorem ipsum') && !html.includes('placeholder'),
-      has_navigation: html.includes('<nav'),
-      has_content: html.length > 1000,
-      has_token_display: html.includes('ALC') || html.includes('token'),
-      has_search: html.includes('search')
-    };
-    
-    const passed = Object.values(checks).every(v => v);
-    
-    return {
-      passed,
-      checks,
-      message: passed ? '✅ Quality approved - proper page!' : '❌ Quality check failed - needs improvement'
-    };
-  }
+  async awardTokens(quality, repoData = {}, outcome = {}) {
+    await this.ready();
+    const repo = repoData.name || quality.repo || null;
+    const history = this.ledger && repo ? await this.ledger.history({ repo }) : [];
 
-  /**
-   * Award ALC tokens for building a proper index
-   */
-  async awardTokens(quality) {
-    const earnings = this.tokenIntegration?.earnings || {};
-    let total = earnings.build_index || 10;
-    
-    if (quality.passed) {
-      total += earnings.quality_bonus || 5;
-    }
-    
-    return {
-      amount: total,
-      currency: 'ALC',
-      reason: 'Index Builder - Proper page created',
+    const receipt = this.earnings.calculate({
+      quality,
+      repo,
+      themes: outcome.themes || (quality.theme ? [quality.theme] : []),
+      connections: outcome.connections || [],
+      previousBuilds: this.earnings.countRebuilds(history)
+    });
+
+    const reward = {
+      amount: receipt.total,
+      currency: receipt.currency,
+      reason: quality.passed ? 'Index Builder - Proper page created' : 'Index Builder - Index built',
+      repo,
+      score: quality.score ?? null,
+      items: [...receipt.items, ...receipt.adjustments].map(({ rule, units, amount }) => ({ rule, units: units ?? null, amount })),
       timestamp: new Date().toISOString()
     };
+
+    // Nothing earned, nothing to record
+    const recorded = this.ledger && reward.amount > 0 ? await this.ledger.record(reward) : reward;
+    return { ...recorded, receipt };
   }
 }
 
@@ -0,0 +1,300 @@
+/**
+ * 🌗 Color Contrast
+ * WCAG contrast ratios straight from the page's CSS custom properties
+ *
+ * Understands what the layout and theme stylesheets use: hex, rgb()/rgba(),
+ * a few named colors, var() references, color-mix(in srgb, …) and layered
+ * gradient backgrounds. A gradient can put text over any of its stops, so a
+ * background resolves to every color it can show and the worst one counts.
+ */
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  gold: '#ffd700',
+  orange: '#ffa500'
+};
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, a: 0 };
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+class ColorContrast {
+  constructor() {
+    this.maxVarDepth = 10;
+    // Gradient layers multiply the possible colors - keep the worst-case search small
+    this.maxCandidates = 64;
+  }
+
+  /**
+   * Custom properties declared on :root/html, later declarations winning
+   * @param {string} css - Stylesheet text (several sheets may be concatenated)
+   * @returns {Map<string, string>} --name → raw value
+   */
+  readCustomProperties(css, tokens = new Map()) {
+    const source = String(css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+    const rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+    let rule;
+
+    while ((rule = rulePattern.exec(source)) !== null) {
+      const selectors = rule[1].split(',').map(selector => selector.trim());
+      if (selectors.some(selector => selector === ':root' || selector === 'html')) {
+        this.readDeclarations(rule[2], tokens);
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Custom properties from a declaration list, e.g. a style="" attribute
+   */
+  readDeclarations(declarations, tokens = new Map()) {
+    this.splitTopLevel(declarations, ';').forEach(declaration => {
+      const colon = declaration.indexOf(':');
+      const name = declaration.slice(0, colon).trim();
+      if (colon > 0 && name.startsWith('--')) {
+        tokens.set(name, declaration.slice(colon + 1).trim());
+      }
+    });
+    return tokens;
+  }
+
+  /**
+   * Substitute var(--x, fallback) references
+   * @returns {string|null} Resolved value, or null if a reference cannot be resolved
+   */
+  resolve(value, tokens, depth = 0) {
+    if (value === undefined || value === null || depth > this.maxVarDepth) {
+      return null;
+    }
+
+    let output = '';
+    let index = 0;
+    while (index < value.length) {
+      const start = value.indexOf('var(', index);
+      if (start === -1) {
+        output += value.slice(index);
+        break;
+      }
+      const end = this.closingParen(value, start + 3);
+      const [name, ...fallback] = this.splitTopLevel(value.slice(start + 4, end), ',');
+      const resolved = tokens.has(name.trim())
+        ? this.resolve(tokens.get(name.trim()), tokens, depth + 1)
+        : (fallback.length > 0 ? this.resolve(fallback.join(','), tokens, depth + 1) : null);
+      if (resolved === null) {
+        return null;
+      }
+      output += value.slice(index, start) + resolved;
+      index = end + 1;
+    }
+    return output.trim();
+  }
+
+  /**
+   * Parse one color expression
+   * @returns {Object|null} { r, g, b, a } with channels 0-255 and alpha 0-1
+   */
+  parseColor(text) {
+    const value = String(text || '').trim().toLowerCase();
+
+    if (value === 'transparent') {
+      return { ...TRANSPARENT };
+    }
+    if (NAMED_COLORS[value]) {
+      return this.parseColor(NAMED_COLORS[value]);
+    }
+
+    const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hex) {
+      const digits = hex[1].length <= 4 ? hex[1].replace(/./g, digit => digit + digit) : hex[1];
+      const channel = offset => parseInt(digits.slice(offset, offset + 2), 16);
+      return { r: channel(0), g: channel(2), b: channel(4), a: digits.length === 8 ? channel(6) / 255 : 1 };
+    }
+
+    const rgb = value.match(/^rgba?\((.*)\)$/);
+    if (rgb) {
+      const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+      if (parts.length < 3) return null;
+      const channel = part => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part));
+      const alpha = parts[3] === undefined ? 1 : (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]));
+      const color = { r: channel(parts[0]), g: channel(parts[1]), b: channel(parts[2]), a: alpha };
+      return Object.values(color).some(Number.isNaN) ? null : color;
+    }
+
+    if (value.startsWith('color-mix(') && value.endsWith(')')) {
+      return this.parseColorMix(value.slice(10, -1));
+    }
+
+    return null;
+  }
+
+  /**
+   * color-mix(in srgb, A p%, B q%) - premultiplied, like browsers do
+   */
+  parseColorMix(args) {
+    const [space, ...mixed] = this.splitTopLevel(args, ',');
+    if (space.trim() !== 'in srgb' || mixed.length !== 2) {
+      return null;
+    }
+
+    const parts = mixed.map(part => {
+      const match = part.trim().match(/^(.*?)(?:\s+([\d.]+)%)?$/);
+      return { color: this.parseColor(match[1]), weight: match[2] === undefined ? null : parseFloat(match[2]) / 100 };
+    });
+    if (parts.some(part => part.color === null)) {
+      return null;
+    }
+
+    const [first, second] = parts;
+    const w1 = first.weight ?? (second.weight === null ? 0.5 : 1 - second.weight);
+    const w2 = second.weight ?? 1 - w1;
+    const alpha = first.color.a * w1 + second.color.a * w2;
+    if (alpha === 0) {
+      return { ...TRANSPARENT };
+    }
+
+    const channel = key => (first.color[key] * first.color.a * w1 + second.color[key] * second.color.a * w2) / alpha;
+    return { r: channel('r'), g: channel('g'), b: channel('b'), a: Math.min(1, alpha) };
+  }
+
+  /**
+   * Every color a background value can show behind text
+   * @param {string} value - Resolved background value (color, gradient or layered list)
+   * @param {Object[]} [below] - Colors underneath (default: a white canvas)
+   * @returns {Object[]|null} Opaque candidate colors, or null if unparseable
+   */
+  backgroundColors(value, below = [WHITE]) {
+    // The first layer is painted on top, so composite from the last one up
+    const layers = this.splitTopLevel(value, ',').reverse();
+    let candidates = below;
+
+    for (const layer of layers) {
+      const colors = this.layerColors(layer.trim());
+      if (colors === null) {
+        return null;
+      }
+      const next = [];
+      colors.forEach(color => candidates.forEach(base => next.push(this.composite(color, base))));
+      candidates = this.unique(next);
+    }
+    return candidates;
+  }
+
+  layerColors(layer) {
+    const gradient = layer.match(/^(?:repeating-)?(?:linear|radial|conic)-gradient\(/);
+    if (gradient) {
+      const end = this.closingParen(layer, gradient[0].length - 1);
+      const stops = this.splitTopLevel(layer.slice(gradient[0].length, end), ',')
+        .map(stop => this.leadingColor(stop.trim()))
+        .filter(color => color !== null);
+      return stops.length > 0 ? stops : null;
+    }
+    const color = this.leadingColor(layer);
+    return color === null ? null : [color];
+  }
+
+  /**
+   * The color at the start of a gradient stop or background layer ("#fff 50%" → #fff)
+   */
+  leadingColor(text) {
+    const functionCall = text.match(/^(rgba?|color-mix)\(/i);
+    if (functionCall) {
+      return this.parseColor(text.slice(0, this.closingParen(text, functionCall[0].length - 1) + 1));
+    }
+    return this.parseColor(text.split(/\s+/)[0]);
+  }
+
+  composite(color, base) {
+    const alpha = color.a + base.a * (1 - color.a);
+    if (alpha === 0) {
+      return { ...TRANSPARENT };
+    }
+    const channel = key => (color[key] * color.a + base[key] * base.a * (1 - color.a)) / alpha;
+    return { r: channel('r'), g: channel('g'), b: channel('b'), a: alpha };
+  }
+
+  /**
+   * WCAG relative luminance
+   */
+  luminance(color) {
+    const linear = channel => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * linear(color.r) + 0.7152 * linear(color.g) + 0.0722 * linear(color.b);
+  }
+
+  ratio(foreground, background) {
+    const text = this.composite(foreground, background);
+    const [light, dark] = [this.luminance(text), this.luminance(background)].sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+  }
+
+  /**
+   * Worst-case contrast of a text color over every color a background can show
+   * @returns {Object|null} { ratio, foreground, background } (hex strings), or null if unresolvable
+   */
+  worstContrast(foreground, backgrounds) {
+    const color = this.parseColor(foreground);
+    if (color === null || !backgrounds || backgrounds.length === 0) {
+      return null;
+    }
+
+    return backgrounds
+      .map(background => ({
+        ratio: Math.round(this.ratio(color, background) * 100) / 100,
+        foreground: this.toHex(color),
+        background: this.toHex(background)
+      }))
+      .reduce((worst, entry) => (entry.ratio < worst.ratio ? entry : worst));
+  }
+
+  toHex(color) {
+    const hex = ['r', 'g', 'b'].map(key => Math.round(color[key]).toString(16).padStart(2, '0')).join('');
+    return color.a < 1 ? `#${hex}${Math.round(color.a * 255).toString(16).padStart(2, '0')}` : `#${hex}`;
+  }
+
+  unique(colors) {
+    const seen = new Map();
+    colors.forEach(color => seen.set(this.toHex(color), color));
+    return [...seen.values()].slice(0, this.maxCandidates);
+  }
+
+  closingParen(text, open) {
+    let depth = 0;
+    for (let index = open; index < text.length; index++) {
+      if (text[index] === '(') depth++;
+      if (text[index] === ')' && --depth === 0) return index;
+    }
+    return text.length;
+  }
+
+  splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let index = 0; index < text.length; index++) {
+      if (text[index] === '(') depth++;
+      else if (text[index] === ')') depth--;
+      else if (text[index] === separator && depth === 0) {
+        parts.push(text.slice(start, index));
+        start = index + 1;
+      }
+    }
+    parts.push(text.slice(start));
+    return parts.filter(part => part.trim() !== '');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColorContrast;
+}
+
+export default ColorContrast;
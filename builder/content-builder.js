@@ -3,8 +3,29 @@
  * Builds actual useful content - NO placeholder text!
  */
 
+import ReadmeExtractor from './readme-extractor.js';
+import ThemeRegistry from './theme-registry.js';
+import EarningsCalculator from './earnings-calculator.js';
+import ConnectionRegistry from '../wiring/connection-registry.js';
+
 class ContentBuilder {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {ThemeRegistry} options.themeRegistry - Loaded theme icons and the theme list - see create()
+   * @param {EarningsCalculator} [options.earnings] - Earning rates shown in the sidebar
+   * @param {ConnectionRegistry} options.connections - Loaded connected repos for the navigation and sidebar - see create()
+   */
+  constructor(options = {}) {
+    if (!options.themeRegistry) {
+      throw new Error('ContentBuilder needs a loaded ThemeRegistry - use ContentBuilder.create() to load one');
+    }
+    if (!options.connections) {
+      throw new Error('ContentBuilder needs a loaded ConnectionRegistry - use ContentBuilder.create() to load one');
+    }
+    this.themeRegistry = options.themeRegistry;
+    this.earnings = options.earnings || new EarningsCalculator();
+    this.connections = options.connections;
+
     this.rules = {
       no_lorem_ipsum: true,
       no_placeholder_text: true,
@@ -12,6 +33,30 @@ class ContentBuilder {
       interactive_elements: true,
       useful_information: true
     };
+
+    this.readmeExtractor = new ReadmeExtractor();
+    this.maxFeatures = 12;
+    this.boilerplateHeadings = /^(table of contents|contents|toc|license|licence|contributing|contributors|credits|acknowledg(e)?ments|authors?|changelog|support)$/i;
+    this.languages = {
+      js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript',
+      ts: 'TypeScript', tsx: 'TypeScript', py: 'Python', rb: 'Ruby', go: 'Go',
+      rs: 'Rust', java: 'Java', kt: 'Kotlin', swift: 'Swift', c: 'C', h: 'C',
+      cpp: 'C++', cc: 'C++', cs: 'C#', php: 'PHP', sh: 'Shell', html: 'HTML',
+      css: 'CSS', scss: 'CSS', vue: 'Vue', svelte: 'Svelte', ino: 'Arduino'
+    };
+  }
+
+  /**
+   * Create a builder with themes and connections loaded from .infinity/
+   * @param {Object} [options] - { loader, earnings }
+   * @returns {Promise<ContentBuilder>}
+   */
+  static async create(options = {}) {
+    const [themeRegistry, connections] = await Promise.all([
+      ThemeRegistry.create(options),
+      ConnectionRegistry.create(options)
+    ]);
+    return new ContentBuilder({ ...options, themeRegistry, connections });
   }
 
   /**
@@ -21,10 +66,13 @@ class ContentBuilder {
    * @returns {Object} Structured content
    */
   buildContent(repoData, theme) {
+    const readme = this.buildReadme(repoData);
+
     return {
       header: this.buildHeader(repoData, theme),
-      hero: this.buildHero(repoData),
-      features: this.buildFeatures(repoData),
+      hero: this.buildHero(repoData, readme),
+      features: this.buildFeatures(repoData, readme),
+      readme,
       navigation: this.buildNavigation(repoData),
       sidebar: this.buildSidebar(repoData),
       footer: this.buildFooter(repoData)
@@ -32,32 +80,30 @@ class ContentBuilder {
   }
 
   buildHeader(repoData, theme) {
-    const themeEmojis = {
-      mario: '🍄',
-      electronics: '🔌',
-      'token-wallet': '🪙',
-      'lab-bench': '🧪',
-      'coin-mint': '🏭',
-      'art-gallery': '🎨',
-      commerce: '🛒',
-      'dash-hub': '📊',
-      pricing: '💰',
-      terminal: '💻',
-      default: '∞'
-    };
-
     return {
-      icon: themeEmojis[theme] || themeEmojis.default,
+      icon: this.themeRegistry.getInfo(theme).icon,
       title: repoData.name || 'Repository',
       subtitle: repoData.description || 'Full-featured repository index',
       badge: '✅ PROPER PAGE'
     };
   }
 
-  buildHero(repoData) {
+  /**
+   * The repo's own pitch: its description, then the README overview
+   */
+  buildHero(repoData, readme = this.buildReadme(repoData)) {
+    const name = repoData.name || readme.title || 'Repository';
+    // Install/usage/api sections summarize to a command, not a pitch
+    const summaries = readme.sections
+      .filter(section => ['overview', 'other'].includes(section.kind) && section.summary)
+      .filter(section => !this.boilerplateHeadings.test(section.title))
+      .sort((a, b) => (b.kind === 'overview') - (a.kind === 'overview'))
+      .map(section => this.truncate(section.summary, 280));
+    const tagline = repoData.description || summaries.shift() || readme.title || name;
+
     return {
-      tagline: 'Automated Index Building Machine',
-      description: 'Built with INDEX_BUILDER - No junky placeholders, only proper pages!',
+      tagline,
+      description: summaries.find(summary => summary !== tagline) || `Features, documentation and connected repos of ${name}`,
       cta: [
         { text: 'Explore Features', action: 'scroll_features' },
         { text: 'View Token Economy', action: 'show_tokens' },
@@ -67,62 +113,160 @@ class ContentBuilder {
     };
   }
 
-  buildFeatures(repoData) {
-    return [
-      {
-        icon: '🎛️',
-        title: 'Smart Index Builder',
-        description: 'Automatically constructs proper indexes with no placeholders',
-        status: 'active'
-      },
-      {
-        icon: '🪙',
-        title: 'Token Integration',
-        description: 'Earn Andy Lian Coins for building quality pages',
-        status: 'active'
-      },
-      {
-        icon: '🔗',
-        title: 'Website Wiring',
-        description: 'Connected to dash-hub, banksy, token-mint, and more',
-        status: 'connected'
-      },
-      {
-        icon: '🎨',
-        title: 'Theme Support',
-        description: 'All 11 themes supported with auto-detection',
-        status: 'active'
-      },
-      {
-        icon: '🔍',
-        title: 'Instant Search',
-        description: 'Find anything across all connected repos',
-        status: 'active'
-      },
-      {
-        icon: '🚗',
-        title: 'MRW Terminal',
-        description: 'Mario walks, cars deliver, mushrooms generate instantly',
-        status: 'active'
-      }
+  /**
+   * README sections rendered to safe HTML, with a table of contents
+   */
+  buildReadme(repoData) {
+    return this.readmeExtractor.extract(repoData.readme || '');
+  }
+
+  /**
+   * Derive feature cards from the repo itself: README headings,
+   * package.json scripts/bin/exports and the file tree
+   */
+  buildFeatures(repoData, readme = this.buildReadme(repoData)) {
+    const features = [
+      ...this.featuresFromReadme(readme),
+      ...this.featuresFromPackage(repoData.packageJson || {}),
+      ...this.featuresFromFiles(repoData.files || [])
     ];
+
+    const seen = new Set();
+    return features
+      .filter(feature => {
+        const key = feature.title.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.maxFeatures);
+  }
+
+  featuresFromReadme(readme) {
+    return readme.sections
+      .filter(section => section.kind !== 'overview' && section.summary)
+      .filter(section => !this.boilerplateHeadings.test(section.title))
+      .map(section => ({
+        icon: '📖',
+        title: section.title,
+        description: this.truncate(section.summary, 160),
+        status: 'documented'
+      }));
+  }
+
+  featuresFromPackage(pkg) {
+    const features = [];
+
+    const bin = typeof pkg.bin === 'string' && pkg.name
+      ? { [pkg.name.replace(/^@[^/]+\//, '')]: pkg.bin }
+      : (pkg.bin || {});
+    Object.entries(bin).forEach(([command, file]) => {
+      features.push({
+        icon: '💻',
+        title: `${command} Command`,
+        description: `Command-line tool installed as ${command} (${file})`,
+        status: 'available'
+      });
+    });
+
+    const scripts = Object.keys(pkg.scripts || {});
+    if (scripts.length > 0) {
+      features.push({
+        icon: '🛠️',
+        title: 'npm Scripts',
+        description: `Run ${this.listPreview(scripts.map(name => `npm run ${name}`))}`,
+        status: 'available'
+      });
+    }
+
+    const entryPoints = this.exportedModules(pkg);
+    if (entryPoints.length > 0) {
+      features.push({
+        icon: '📦',
+        title: 'Module Exports',
+        description: `Importable entry points: ${this.listPreview(entryPoints)}`,
+        status: 'available'
+      });
+    }
+
+    return features;
+  }
+
+  exportedModules(pkg) {
+    if (typeof pkg.exports === 'string') {
+      return [pkg.exports];
+    }
+    if (pkg.exports && typeof pkg.exports === 'object') {
+      const subpaths = Object.keys(pkg.exports).filter(key => key.startsWith('.'));
+      return subpaths.length > 0 ? subpaths : ['.'];
+    }
+    return [pkg.module, pkg.main].filter(Boolean);
+  }
+
+  featuresFromFiles(files) {
+    const features = [];
+    const count = pattern => files.filter(file => pattern.test(file)).length;
+
+    const sourceCounts = {};
+    files.forEach(file => {
+      const language = this.languages[(file.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase()];
+      if (language) sourceCounts[language] = (sourceCounts[language] || 0) + 1;
+    });
+    const languages = Object.entries(sourceCounts).sort((a, b) => b[1] - a[1]);
+    if (languages.length > 0) {
+      const total = languages.reduce((sum, [, n]) => sum + n, 0);
+      features.push({
+        icon: '🗂️',
+        title: 'Source Code',
+        description: `${total} source files: ${this.listPreview(languages.map(([lang, n]) => `${lang} (${n})`))}`,
+        status: 'detected'
+      });
+    }
+
+    const tests = count(/(^|\/)(test|tests|__tests__|spec)\/|\.(test|spec)\.[a-z]+$/i);
+    if (tests > 0) {
+      features.push({ icon: '🧪', title: 'Test Suite', description: `${tests} test files`, status: 'detected' });
+    }
+
+    const workflows = count(/^\.github\/workflows\/[^/]+\.ya?ml$/);
+    if (workflows > 0) {
+      features.push({
+        icon: '⚙️',
+        title: 'Continuous Integration',
+        description: `${workflows} GitHub Actions workflow${workflows === 1 ? '' : 's'}`,
+        status: 'detected'
+      });
+    }
+
+    const docs = count(/^docs?\//);
+    if (docs > 0) {
+      features.push({ icon: '📚', title: 'Documentation', description: `${docs} pages in docs/`, status: 'detected' });
+    }
+
+    if (count(/(^|\/)(Dockerfile|docker-compose\.ya?ml|compose\.ya?ml)$/) > 0) {
+      features.push({ icon: '🐳', title: 'Container Support', description: 'Ships a Dockerfile or Compose setup', status: 'detected' });
+    }
+
+    return features;
+  }
+
+  truncate(text, max) {
+    if (text.length <= max) return text;
+    return text.slice(0, text.lastIndexOf(' ', max)) + '…';
+  }
+
+  listPreview(items, max = 4) {
+    const shown = items.slice(0, max).join(', ');
+    return items.length > max ? `${shown} and ${items.length - max} more` : shown;
   }
 
   buildNavigation(repoData) {
     return {
       main: [
         { label: 'Home', url: '/', icon: '🏠' },
-        { label: 'Token Hub', url: '/dash-hub', icon: '🪙' },
-        { label: 'Art Assets', url: '/banksy', icon: '🎨' },
-        { label: 'Token Mint', url: '/token-mint', icon: '🏭' },
-        { label: 'Pricing', url: '/pricing-engine', icon: '💰' },
-        { label: 'Commerce', url: '/facet-commerce', icon: '🛒' }
-      ],
-      themes: [
-        'mario', 'electronics', 'token-wallet', 'lab-bench', 
-        'coin-mint', 'art-gallery', 'commerce', 'dash-hub',
-        'pricing', 'terminal', 'default'
+        ...this.connections.navigation()
       ],
+      themes: this.themeRegistry.ids(),
       search: {
         enabled: true,
         placeholder: 'Find anything instantly...',
@@ -137,24 +281,13 @@ class ContentBuilder {
         title: '🪙 Token Economy',
         coin: 'Andy Lian Coin (ALC)',
         balance: 'Loading...',
-        earnings: {
-          build_index: 10,
-          proper_page: 5,
-          theme_support: 3,
-          wiring_connection: 2
-        },
+        earnings: this.earnings.rates(),
         recentTransactions: []
       },
       connections: {
         title: '🔗 Connected Repos',
-        repos: [
-          { name: 'dash-hub', status: 'online', bond: 'hydrogen' },
-          { name: 'banksy', status: 'online', bond: 'hydrogen' },
-          { name: 'token-mint', status: 'online', bond: 'hydrogen' },
-          { name: 'pricing-engine', status: 'online', bond: 'hydrogen' },
-          { name: 'facet-commerce', status: 'online', bond: 'hydrogen' }
-        ],
-        wiringStatus: 'active',
+        repos: this.connections.wiring(),
+        wiringStatus: this.connections.summaryStatus(),
         updates: 'propagate_via_domino'
       },
       quickActions: [
@@ -179,27 +312,6 @@ class ContentBuilder {
     };
   }
 
-  /**
-   * Validate content meets quality standards
-   */
-  validateContent(content) {
-    const checks = {
-      no_lorem: !JSON.stringify(content).includes('lorem'),
-      no_placeholder: !JSON.stringify(content).includes('placeholder'),
-      has_real_features: content.features && content.features.length > 0,
-      has_navigation: content.navigation && content.navigation.main,
-      has_sidebar: content.sidebar && content.sidebar.tokenEconomy
-    };
-
-    const passed = Object.values(checks).every(v => v);
-
-    return {
-      passed,
-      checks,
-      message: passed ? '✅ Content quality approved!' : '❌ Content needs improvement'
-    };
-  }
-
   /**
    * Generate interactive elements
    */
@@ -213,11 +325,7 @@ class ContentBuilder {
       },
       themeSwitcher: {
         type: 'dropdown',
-        options: [
-          'mario', 'electronics', 'token-wallet', 'lab-bench',
-          'coin-mint', 'art-gallery', 'commerce', 'dash-hub',
-          'pricing', 'terminal', 'default'
-        ],
+        options: this.themeRegistry.ids(),
         action: 'switch_theme'
       },
       tokenDisplay: {
@@ -0,0 +1,217 @@
+/**
+ * 🧮 Earnings Calculator
+ * Turns a build outcome into an ALC reward with an itemized receipt
+ *
+ * Rates come from the earnings table in andy-lian-integration.json, limits from
+ * its earnings_policy:
+ *   caps                    - most one rule can pay per build, by rule id
+ *   max_per_build           - most a whole build can pay
+ *   quality_bonus_min_score - NoJunkyPages score a proper page needs for quality_bonus
+ *   rebuild_decay           - multiplier per earlier reward for the same repo (0.5 halves each rebuild)
+ *   rebuild_floor           - the multiplier never drops below this
+ *   rebuild_window_hours    - only rewards this recent count as earlier builds (null: all of them)
+ *
+ * Rate keys the calculator has no rule for earn nothing.
+ */
+
+const DEFAULT_EARNINGS = {
+  build_index: 10,
+  proper_page: 5,
+  theme_support: 3,
+  wiring_connection: 2,
+  quality_bonus: 5
+};
+
+const DEFAULT_POLICY = {
+  caps: {},
+  max_per_build: null,
+  quality_bonus_min_score: 90,
+  rebuild_decay: 1,
+  rebuild_floor: 0,
+  rebuild_window_hours: null
+};
+
+class EarningsCalculator {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.earnings] - { rule: ALC per unit } (default: the built-in table)
+   * @param {Object} [options.policy] - earnings_policy, see above
+   * @param {string} [options.currency] - Token symbol (default 'ALC')
+   */
+  constructor(options = {}) {
+    this.earnings = { ...DEFAULT_EARNINGS, ...options.earnings };
+    this.policy = { ...DEFAULT_POLICY, ...options.policy };
+    this.currency = options.currency || 'ALC';
+
+    // How many units of each rule a build outcome is worth
+    this.rules = {
+      build_index: {
+        label: 'Index built',
+        units: outcome => (outcome.built === false ? 0 : 1)
+      },
+      proper_page: {
+        label: 'Proper page',
+        units: outcome => (outcome.quality?.passed ? 1 : 0)
+      },
+      theme_support: {
+        label: 'Theme template',
+        units: outcome => new Set(outcome.themes || []).size
+      },
+      wiring_connection: {
+        label: 'Wiring connection',
+        units: outcome => new Set((outcome.connections || []).filter(result => result?.success).map(result => result.repo)).size
+      },
+      quality_bonus: {
+        label: 'Quality bonus',
+        units: outcome => (outcome.quality?.passed && (outcome.quality.score ?? 0) >= this.policy.quality_bonus_min_score ? 1 : 0)
+      }
+    };
+  }
+
+  /**
+   * Take rates and policy from andy-lian-integration.json
+   * @param {Object} [integration] - { token_symbol, earnings, earnings_policy }
+   * @returns {EarningsCalculator}
+   */
+  configure(integration = {}) {
+    this.earnings = { ...DEFAULT_EARNINGS, ...integration?.earnings };
+    this.policy = {
+      ...DEFAULT_POLICY,
+      ...integration?.earnings_policy,
+      caps: { ...integration?.earnings_policy?.caps }
+    };
+    this.currency = integration?.token_symbol || this.currency;
+    return this;
+  }
+
+  /**
+   * Rates for display
+   * @returns {Object[]} [{ rule, label, amount, cap }]
+   */
+  table() {
+    return Object.entries(this.earnings)
+      .filter(([rule]) => this.rules[rule])
+      .map(([rule, amount]) => ({
+        rule,
+        label: this.rules[rule].label,
+        amount,
+        cap: this.policy.caps[rule] ?? null
+      }));
+  }
+
+  /**
+   * { rule: amount } for the rules the calculator applies
+   */
+  rates() {
+    return Object.fromEntries(this.table().map(entry => [entry.rule, entry.amount]));
+  }
+
+  /**
+   * How many earlier rewards for the repo count against this build
+   * @param {Object[]} history - Ledger entries for the repo
+   * @param {Date} [now]
+   */
+  countRebuilds(history, now = new Date()) {
+    const windowHours = this.policy.rebuild_window_hours;
+    const since = windowHours === null ? -Infinity : now.getTime() - windowHours * 3600 * 1000;
+    return history
+      .filter(entry => entry.type === 'reward' && entry.amount > 0)
+      .filter(entry => Date.parse(entry.timestamp) >= since)
+      .length;
+  }
+
+  /**
+   * Price a build
+   * @param {Object} outcome
+   * @param {Object} outcome.quality - ValidationPipeline.validate() page report ({ passed, score })
+   * @param {string} [outcome.repo]
+   * @param {string[]} [outcome.themes] - Theme templates the page was rendered with
+   * @param {Object[]} [outcome.connections] - RepoConnector.connect() results
+   * @param {boolean} [outcome.built] - false when no page came out (default true)
+   * @param {number} [outcome.previousBuilds] - countRebuilds() for the repo
+   * @returns {Object} Receipt: { repo, currency, items, adjustments, subtotal, total, multiplier, previousBuilds }
+   */
+  calculate(outcome = {}) {
+    const items = [];
+
+    Object.entries(this.earnings).forEach(([rule, rate]) => {
+      const definition = this.rules[rule];
+      const units = definition ? definition.units(outcome) : 0;
+      if (units === 0) {
+        return;
+      }
+
+      const gross = this.round(units * rate);
+      const cap = this.policy.caps[rule] ?? null;
+      items.push({
+        rule,
+        label: definition.label,
+        units,
+        rate,
+        amount: cap === null ? gross : Math.min(gross, cap),
+        capped: cap !== null && gross > cap
+      });
+    });
+
+    const subtotal = this.round(items.reduce((sum, item) => sum + item.amount, 0));
+    const adjustments = [];
+    let total = subtotal;
+
+    const previousBuilds = outcome.previousBuilds || 0;
+    const multiplier = Math.max(this.policy.rebuild_floor, Math.pow(this.policy.rebuild_decay, previousBuilds));
+    if (multiplier < 1 && total > 0) {
+      const reduced = this.round(total * multiplier);
+      adjustments.push({ rule: 'rebuild', label: `Rebuild #${previousBuilds + 1} (x${multiplier})`, amount: this.round(reduced - total) });
+      total = reduced;
+    }
+
+    const maxPerBuild = this.policy.max_per_build;
+    if (maxPerBuild !== null && total > maxPerBuild) {
+      adjustments.push({ rule: 'max_per_build', label: `Build cap (${maxPerBuild})`, amount: this.round(maxPerBuild - total) });
+      total = maxPerBuild;
+    }
+
+    return {
+      repo: outcome.repo || outcome.quality?.repo || null,
+      currency: this.currency,
+      items,
+      adjustments,
+      subtotal,
+      total: this.round(total),
+      multiplier,
+      previousBuilds
+    };
+  }
+
+  /**
+   * Plain-text receipt, one line per item and adjustment
+   * @param {Object} receipt - calculate() result
+   */
+  formatReceipt(receipt) {
+    const money = amount => `${amount < 0 ? '-' : '+'}${Math.abs(amount).toFixed(2)}`;
+    const lines = [`🧾 ${receipt.repo || 'build'}`];
+
+    receipt.items.forEach(item => {
+      const units = item.units > 1 ? ` ${item.units} x ${item.rate}` : '';
+      lines.push(`  ${item.label}${units}${item.capped ? ' (capped)' : ''}: ${money(item.amount)}`);
+    });
+    receipt.adjustments.forEach(adjustment => {
+      lines.push(`  ${adjustment.label}: ${money(adjustment.amount)}`);
+    });
+    lines.push(`  Total: ${receipt.total.toFixed(2)} ${receipt.currency}`);
+
+    return lines.join('\n');
+  }
+
+  // Same rounding as the ledger - no float noise in receipts
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EarningsCalculator;
+}
+
+export default EarningsCalculator;
@@ -0,0 +1,294 @@
+/**
+ * 🌳 HTML Parser
+ * Pure-JS HTML → DOM tree, so validators check real elements instead of regexes
+ *
+ * Not a full HTML5 tree builder, but it handles what generated pages and READMEs
+ * contain: comments, doctype, void elements, raw-text <script>/<style>, quoted
+ * and unquoted attributes, entities and the common implied end tags (p, li, td…).
+ * Every node records the line and column where it starts, and its start/end
+ * offsets in the source (end tag included) so callers can edit the original text.
+ *
+ * Node shapes:
+ *   { type: 'document', children }
+ *   { type: 'element', tagName, attributes, children, parent, line, column, start, end }
+ *   { type: 'text', value, parent, line, column, start, end }
+ *   { type: 'comment' | 'doctype', value, parent, line, column, start, end }
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+  'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements that close an open <p>
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// Opening the key closes an open element listed in the value
+const IMPLIED_END_TAGS = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  thead: ['tbody', 'tfoot'],
+  tbody: ['thead', 'tbody', 'tr', 'td', 'th'],
+  tfoot: ['thead', 'tbody', 'tr', 'td', 'th'],
+  option: ['option'],
+  optgroup: ['option', 'optgroup']
+};
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  larr: '←', rarr: '→', uarr: '↑', darr: '↓', times: '×', middot: '·', bull: '•'
+};
+
+// Text in these never shows on the page
+const INVISIBLE_ELEMENTS = new Set(['head', 'script', 'style', 'template', 'noscript']);
+
+class HtmlParser {
+  /**
+   * Parse HTML into a node tree
+   * @param {string} html - Page source
+   * @returns {Object} Document node
+   */
+  parse(html) {
+    const source = String(html || '');
+    const lowerSource = source.toLowerCase();
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    const position = (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+
+    const document = { type: 'document', children: [], parent: null, line: 1, column: 1, start: 0, end: source.length };
+    const stack = [document];
+    const current = () => stack[stack.length - 1];
+    const append = (node, offset) => {
+      Object.assign(node, position(offset), { start: offset, parent: current() });
+      current().children.push(node);
+      return node;
+    };
+
+    const startTag = /<([a-zA-Z][\w:-]*)/y;
+    const attribute = /\s*([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y;
+    const endTag = /<\/([a-zA-Z][\w:-]*)\s*>/y;
+    let i = 0;
+
+    while (i < source.length) {
+      if (source.startsWith('<!--', i)) {
+        const end = source.indexOf('-->', i + 4);
+        const stop = end === -1 ? source.length : end;
+        append({ type: 'comment', value: source.slice(i + 4, stop) }, i);
+        i = end === -1 ? source.length : end + 3;
+        current().children[current().children.length - 1].end = i;
+        continue;
+      }
+
+      if (source.startsWith('<!', i) || source.startsWith('<?', i)) {
+        const end = source.indexOf('>', i);
+        const stop = end === -1 ? source.length : end;
+        append({ type: 'doctype', value: source.slice(i + 2, stop).trim() }, i).end = stop + 1;
+        i = stop + 1;
+        continue;
+      }
+
+      endTag.lastIndex = i;
+      const closing = endTag.exec(source);
+      if (closing) {
+        const name = closing[1].toLowerCase();
+        const openIndex = stack.map(node => node.tagName).lastIndexOf(name);
+        // A stray end tag is ignored; otherwise it closes everything opened inside it
+        if (openIndex > 0) {
+          stack.slice(openIndex + 1).forEach(node => { node.end = i; });
+          stack[openIndex].end = endTag.lastIndex;
+          stack.length = openIndex;
+        }
+        i = endTag.lastIndex;
+        continue;
+      }
+
+      startTag.lastIndex = i;
+      const opening = startTag.exec(source);
+      if (opening) {
+        const tagName = opening[1].toLowerCase();
+        const attributes = {};
+        let cursor = startTag.lastIndex;
+
+        while (true) {
+          attribute.lastIndex = cursor;
+          const match = attribute.exec(source);
+          if (!match) break;
+          const name = match[1].toLowerCase();
+          if (!(name in attributes)) {
+            attributes[name] = this.decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+          }
+          cursor = attribute.lastIndex;
+        }
+
+        const tagEnd = source.indexOf('>', cursor);
+        const selfClosing = tagEnd > 0 && source[tagEnd - 1] === '/';
+        this.closeImplied(stack, tagName, i);
+
+        const element = append({ type: 'element', tagName, attributes, children: [] }, i);
+        i = tagEnd === -1 ? source.length : tagEnd + 1;
+
+        if (RAW_TEXT_ELEMENTS.has(tagName)) {
+          const closeAt = lowerSource.indexOf(`</${tagName}`, i);
+          const stop = closeAt === -1 ? source.length : closeAt;
+          if (stop > i) {
+            const value = source.slice(i, stop);
+            const text = { type: 'text', value: tagName === 'script' || tagName === 'style' ? value : this.decodeEntities(value) };
+            Object.assign(text, position(i), { start: i, end: stop, parent: element });
+            element.children.push(text);
+          }
+          const closeEnd = source.indexOf('>', stop);
+          i = closeEnd === -1 ? source.length : closeEnd + 1;
+          element.end = i;
+        } else if (!VOID_ELEMENTS.has(tagName) && !selfClosing) {
+          stack.push(element);
+        } else {
+          element.end = i;
+        }
+        continue;
+      }
+
+      // Text runs up to the next '<' that starts markup
+      let next = source.indexOf('<', i + 1);
+      while (next !== -1 && !/^<([a-zA-Z!?]|\/[a-zA-Z])/.test(source.slice(next, next + 3))) {
+        next = source.indexOf('<', next + 1);
+      }
+      const stop = next === -1 ? source.length : next;
+      append({ type: 'text', value: this.decodeEntities(source.slice(i, stop)) }, i).end = stop;
+      i = stop;
+    }
+
+    // Elements still open at the end of the source run to the end
+    stack.slice(1).forEach(node => { node.end = source.length; });
+    return document;
+  }
+
+  closeImplied(stack, tagName, offset) {
+    const top = () => stack[stack.length - 1];
+    if (CLOSES_P.has(tagName) && top().tagName === 'p') {
+      stack.pop().end = offset;
+    }
+    const closes = IMPLIED_END_TAGS[tagName];
+    while (closes && stack.length > 1 && closes.includes(top().tagName)) {
+      stack.pop().end = offset;
+    }
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      return ENTITIES[name.toLowerCase()] ?? entity;
+    });
+  }
+
+  /**
+   * Visit nodes depth-first; return false from visit to skip a node's children
+   */
+  walk(node, visit) {
+    if (visit(node) === false) return;
+    (node.children || []).forEach(child => this.walk(child, visit));
+  }
+
+  findAll(node, predicate) {
+    const found = [];
+    this.walk(node, child => {
+      if (child !== node && predicate(child)) found.push(child);
+    });
+    return found;
+  }
+
+  /**
+   * Elements by tag name (one name or a list)
+   */
+  elements(node, tagNames) {
+    const names = new Set([].concat(tagNames));
+    return this.findAll(node, child => child.type === 'element' && names.has(child.tagName));
+  }
+
+  /**
+   * Text a visitor would see: no <head>, <script>, <style>, comments or [hidden] subtrees
+   * @param {Object} node - Element or document
+   * @returns {string} Whitespace-normalized text
+   */
+  visibleText(node) {
+    return this.visibleTextNodes(node).map(text => text.value).join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  visibleTextNodes(node) {
+    const nodes = [];
+    this.walk(node, child => {
+      if (child.type === 'element' && (INVISIBLE_ELEMENTS.has(child.tagName) || 'hidden' in child.attributes)) {
+        return false;
+      }
+      if (child.type === 'text' && child.value.trim()) {
+        nodes.push(child);
+      }
+      return true;
+    });
+    return nodes;
+  }
+
+  /**
+   * Whether an element is inside an element with one of the given tag names
+   */
+  hasAncestor(node, tagNames) {
+    const names = new Set([].concat(tagNames));
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (parent.type === 'element' && names.has(parent.tagName)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * CSS-like path for reports, e.g. html > body > main > section#features > div.feature:nth-of-type(2)
+   */
+  elementPath(node) {
+    const parts = [];
+    for (let element = node.type === 'text' ? node.parent : node; element && element.type === 'element'; element = element.parent) {
+      let part = element.tagName;
+      if (element.attributes.id) {
+        part += `#${element.attributes.id}`;
+      } else if (element.attributes.class) {
+        part += `.${element.attributes.class.trim().split(/\s+/)[0]}`;
+      }
+      const sameTag = (element.parent?.children || []).filter(sibling => sibling.tagName === element.tagName);
+      if (sameTag.length > 1 && !element.attributes.id) {
+        part += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+      }
+      parts.unshift(part);
+    }
+    return parts.join(' > ');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlParser;
+}
+
+export default HtmlParser;
@@ -0,0 +1,298 @@
+/**
+ * 🔗 Link Checker
+ * No dead ends - every href/src on a generated page has to land somewhere real
+ *
+ * Internal links are resolved against the built site through a ResourceLoader:
+ * a FileSystemLoader over the output directory, or a FetchLoader pointed at a
+ * local stand-in server. Links to other origins are counted but not fetched,
+ * and so are links under `externalPaths` - sibling sites on the same origin
+ * (connected repos) that this build doesn't produce.
+ */
+
+import HtmlParser from './html-parser.js';
+
+// Attributes that point somewhere, by element
+const LINK_ATTRIBUTES = {
+  a: ['href'],
+  area: ['href'],
+  link: ['href'],
+  img: ['src'],
+  script: ['src'],
+  iframe: ['src'],
+  source: ['src'],
+  track: ['src'],
+  audio: ['src'],
+  video: ['src', 'poster'],
+  embed: ['src'],
+  input: ['src'],
+  form: ['action']
+};
+
+// Never resolvable against the site
+const SKIPPED_SCHEMES = /^(mailto|tel|javascript|data|blob|about):/i;
+
+// Fragments a browser handles without a matching id
+const BUILTIN_FRAGMENTS = new Set(['', 'top']);
+
+// Placeholder origin for resolving relative URLs against a page path
+const SITE_ORIGIN = 'http://site.invalid';
+
+class LinkChecker {
+  /**
+   * @param {Object} [options]
+   * @param {ResourceLoader} [options.loader] - The built site (without one, only same-page links are checked)
+   * @param {HtmlParser} [options.parser] - Shared parser
+   * @param {string[]} [options.externalPaths] - Site paths served by other sites, e.g. '/dash-hub' -
+   *   links to them or below them are counted as external ('/' means the root page only)
+   */
+  constructor(options = {}) {
+    this.loader = options.loader || null;
+    this.parser = options.parser || new HtmlParser();
+    this.externalPaths = (options.externalPaths || []).map(prefix => prefix.replace(/\/+$/, ''));
+    this.targets = new Map();
+  }
+
+  /**
+   * Check every link on a page
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [options] - { pageUrl } - where the page lives on the site (default '/')
+   * @returns {Promise<Object>} Link report
+   */
+  async check(page, options = {}) {
+    const report = this.collect(page, options);
+
+    for (const link of report.internal) {
+      const target = await this.resolveTarget(link.pathname);
+      if (!target.found) {
+        report.dead.push(this.issue(link, `Dead link: ${link.url}${link.url === link.pathname ? '' : ` (${link.pathname})`} does not exist`));
+      } else if (!BUILTIN_FRAGMENTS.has(link.fragment) && target.ids && !target.ids.has(link.fragment)) {
+        report.missingAnchors.push(this.issue(link, `Missing anchor: ${link.url} (no id "${link.fragment}" on ${target.path})`));
+      }
+    }
+    report.checked += report.internal.length;
+    report.internal = [];
+
+    return this.summarize(report);
+  }
+
+  /**
+   * The checks that need nothing but the page itself: duplicate ids and same-page anchors.
+   * Links to other pages are counted as unchecked.
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [options] - { pageUrl }
+   * @returns {Object} Link report
+   */
+  checkDocument(page, options = {}) {
+    return this.summarize(this.collect(page, options));
+  }
+
+  collect(page, options = {}) {
+    const document = typeof page === 'string' ? this.parser.parse(page) : page;
+    const pageUrl = options.pageUrl || '/';
+    const pagePath = new URL(pageUrl, SITE_ORIGIN).pathname;
+    const ids = this.collectIds(document);
+
+    const report = {
+      links: 0,
+      checked: 0,
+      external: [],
+      internal: [],
+      dead: [],
+      missingAnchors: [],
+      duplicateIds: []
+    };
+
+    ids.forEach((elements, id) => {
+      const withId = elements.filter(element => element.attributes.id === id);
+      withId.slice(1).forEach(element => {
+        report.duplicateIds.push(this.issue(element, `Duplicate id "${id}" (first used on line ${withId[0].line})`));
+      });
+    });
+
+    this.extractLinks(document).forEach(link => {
+      report.links++;
+      const resolved = this.classify(link.url, pageUrl);
+      if (resolved.kind === 'skipped') return;
+      if (resolved.kind === 'external') {
+        report.external.push(link.url);
+        return;
+      }
+
+      Object.assign(link, resolved);
+      if (resolved.pathname === pagePath) {
+        report.checked++;
+        if (!BUILTIN_FRAGMENTS.has(link.fragment) && !ids.has(link.fragment)) {
+          report.missingAnchors.push(this.issue(link, `Missing anchor: ${link.url} (no element with id "${link.fragment}")`));
+        }
+      } else {
+        report.internal.push(link);
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Every URL-valued attribute on the page
+   * @returns {Array} [{ url, attribute, tagName, node }]
+   */
+  extractLinks(document) {
+    const links = [];
+    this.parser.walk(document, node => {
+      if (node.type !== 'element') return true;
+      (LINK_ATTRIBUTES[node.tagName] || []).forEach(attribute => {
+        const url = (node.attributes[attribute] || '').trim();
+        if (attribute in node.attributes && (url !== '' || node.tagName === 'a')) {
+          links.push({ url, attribute, tagName: node.tagName, node });
+        }
+      });
+      return true;
+    });
+    return links;
+  }
+
+  /**
+   * Decide whether a URL is ours to check
+   * @returns {Object} { kind: 'internal'|'external'|'skipped', pathname, fragment }
+   */
+  classify(url, pageUrl = '/') {
+    if (SKIPPED_SCHEMES.test(url)) {
+      return { kind: 'skipped' };
+    }
+
+    let resolved;
+    try {
+      resolved = new URL(url, new URL(pageUrl, SITE_ORIGIN));
+    } catch (err) {
+      return { kind: 'internal', pathname: url, fragment: '' };
+    }
+
+    if (resolved.origin !== SITE_ORIGIN || this.isExternalPath(resolved.pathname)) {
+      return { kind: 'external' };
+    }
+
+    let fragment = resolved.hash.slice(1);
+    try {
+      fragment = decodeURIComponent(fragment);
+    } catch (err) {
+      // Keep the raw fragment - it simply won't match an id
+    }
+    return { kind: 'internal', pathname: resolved.pathname, fragment };
+  }
+
+  isExternalPath(pathname) {
+    return this.externalPaths.some(prefix => prefix === ''
+      ? pathname === '/'
+      : pathname === prefix || pathname.startsWith(`${prefix}/`));
+  }
+
+  /**
+   * Find what a site path serves - /dash-hub may be dash-hub, dash-hub.html or dash-hub/index.html
+   * @returns {Promise<Object>} { found, path, ids } - ids only for HTML targets
+   */
+  resolveTarget(pathname) {
+    if (!this.targets.has(pathname)) {
+      this.targets.set(pathname, this.loadTarget(pathname));
+    }
+    return this.targets.get(pathname);
+  }
+
+  async loadTarget(pathname) {
+    let decoded = pathname;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (err) {
+      return { found: false, path: pathname };
+    }
+
+    const base = decoded.replace(/^\/+/, '');
+    const candidates = base === '' || base.endsWith('/')
+      ? [`${base}index.html`]
+      : [base, `${base}.html`, `${base}/index.html`];
+
+    for (const candidate of candidates) {
+      let text;
+      try {
+        text = await this.loader.readText(candidate);
+      } catch (err) {
+        console.error(`Failed to check link target ${candidate}:`, err.message);
+        continue;
+      }
+      if (text !== null) {
+        return {
+          found: true,
+          path: `/${candidate}`,
+          ids: /\.html?$/i.test(candidate) ? new Set(this.collectIds(this.parser.parse(text)).keys()) : null
+        };
+      }
+    }
+
+    return { found: false, path: pathname };
+  }
+
+  /**
+   * Elements by id (including <a name>, which old-style anchors still target)
+   * @returns {Map<string, Object[]>}
+   */
+  collectIds(document) {
+    const ids = new Map();
+    this.parser.walk(document, node => {
+      if (node.type !== 'element') return true;
+      const id = node.attributes.id ?? (node.tagName === 'a' ? node.attributes.name : undefined);
+      if (id) {
+        if (!ids.has(id)) ids.set(id, []);
+        ids.get(id).push(node);
+      }
+      return true;
+    });
+    return ids;
+  }
+
+  summarize(report) {
+    return {
+      passed: report.dead.length + report.missingAnchors.length + report.duplicateIds.length === 0,
+      links: report.links,
+      checked: report.checked,
+      unchecked: report.internal.length,
+      external: [...new Set(report.external)],
+      dead: report.dead,
+      missingAnchors: report.missingAnchors,
+      duplicateIds: report.duplicateIds,
+      message: this.describe(report)
+    };
+  }
+
+  /**
+   * One-line summary of a report's problems
+   */
+  describe(report) {
+    const count = (list, noun) => list.length > 0 && `${list.length} ${noun}${list.length > 1 ? 's' : ''}`;
+    const parts = [
+      count(report.dead, 'dead link'),
+      count(report.missingAnchors, 'missing anchor'),
+      count(report.duplicateIds, 'duplicate id')
+    ].filter(Boolean);
+
+    return parts.length > 0
+      ? `❌ Broken links: ${parts.join(', ')}`
+      : `✅ All ${report.checked} internal links resolve`;
+  }
+
+  issue(link, message) {
+    const node = link.node || link;
+    return {
+      message,
+      url: link.url,
+      path: this.parser.elementPath(node),
+      line: node.line,
+      column: node.column
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LinkChecker;
+}
+
+export default LinkChecker;
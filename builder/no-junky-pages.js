@@ -1,21 +1,40 @@
 /**
  * ❌ No Junky Pages Validator
  * Enforces quality standards - NO placeholder content allowed!
+ *
+ * Each check is a rule in a RulesEngine. The defaults below apply until
+ * configure() reads quality_rules from builder-config.json.
  */
 
+import HtmlParser from './html-parser.js';
+import AccessibilityChecker from './accessibility-checker.js';
+import LinkChecker from './link-checker.js';
+import RulesEngine from './rules-engine.js';
+import PageFixer from './page-fixer.js';
+import ContentBuilder from './content-builder.js';
+import TextDiff from './text-diff.js';
+import FetchLoader from '../loaders/fetch-loader.js';
+
 class NoJunkyPages {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string|URL} [options.baseUrl] - Where custom rule modules are resolved from
+   * @param {ContentBuilder} [options.contentBuilder] - Loaded builder autoFix() takes the standard
+   *   navigation from (without one, autoFix() adds no navigation)
+   */
+  constructor(options = {}) {
+    // Matched against visible prose only - not markup, scripts, styles or code samples
     this.junkyPatterns = [
-      /lorem ipsum/i,
-      /placeholder/i,
-      /todo/i,
-      /coming soon/i,
-      /under construction/i,
-      /test test test/i,
-      /asdf/i,
-      /xxx/i,
-      /dummy/i,
-      /sample text/i,
+      /\blorem ipsum\b/i,
+      /\bplaceholder\b/i,
+      /\btodo\b/i,
+      /\bcoming soon\b/i,
+      /\bunder construction\b/i,
+      /\btest test test\b/i,
+      /\basdf\b/i,
+      /\bxxx+\b/i,
+      /\bdummy\b/i,
+      /\bsample text\b/i,
       /[.]{3,}/  // Multiple dots (ellipsis abuse)
     ];
 
@@ -23,60 +42,191 @@ class NoJunkyPages {
       'navigation',
       'content',
       'header',
+      'landmarks',
       'proper_title',
       'real_description'
     ];
 
+    // Landmark role -> elements that carry it implicitly
+    this.landmarks = {
+      banner: ['header'],
+      navigation: ['nav'],
+      main: ['main'],
+      contentinfo: ['footer']
+    };
+
     this.qualityThresholds = {
       minContentLength: 500,
       minUniqueWords: 50,
       minInteractiveElements: 3,
       minLinks: 5
     };
+
+    this.genericPhrases = [
+      'welcome to our website',
+      'this is a website',
+      'page is under construction',
+      'check back later'
+    ];
+
+    // Lowercase terms match any case, others are matched exactly
+    this.specificTerms = ['ALC', 'INDEX_BUILDER', 'token', 'theme'];
+
+    this.parser = new HtmlParser();
+    this.accessibility = new AccessibilityChecker({ parser: this.parser });
+    this.linkChecker = new LinkChecker({ parser: this.parser });
+    this.rules = new RulesEngine({ parser: this.parser, baseUrl: options.baseUrl });
+    this.fixer = new PageFixer({ validator: this, parser: this.parser, contentBuilder: options.contentBuilder });
+    this.differ = new TextDiff();
+    this.registerBuiltinRules();
+  }
+
+  /**
+   * Create a validator configured from builder-config.json quality_rules
+   * @param {Object} [options] - { loader, baseUrl, contentBuilder } - without a contentBuilder,
+   *   one is loaded from the same .infinity/ config
+   * @returns {Promise<NoJunkyPages>}
+   */
+  static async create(options = {}) {
+    const loader = options.loader || new FetchLoader();
+    const contentBuilder = options.contentBuilder || await ContentBuilder.create({ loader });
+    const validator = new NoJunkyPages({ ...options, contentBuilder });
+    try {
+      const config = await loader.readJson('.infinity/builder-config.json');
+      await validator.configure(config?.quality_rules);
+    } catch (err) {
+      console.error('Failed to load quality rules:', err);
+    }
+    return validator;
+  }
+
+  /**
+   * Apply a quality_rules config: custom rule modules, then severity/weight/options per rule
+   * @param {Object} [qualityRules] - { modules: [path], rules: [{ id, severity, weight, options }] }
+   */
+  async configure(qualityRules = {}) {
+    await this.rules.load(qualityRules || {});
+    return this;
+  }
+
+  /**
+   * The built-in checks as rules - key is where each lands in validate().results
+   */
+  registerBuiltinRules() {
+    const document = page => page.document;
+    [
+      { id: 'no_placeholders', key: 'noJunkyText', weight: 20, description: 'No placeholder text in visible content',
+        check: (page, options) => this.checkJunkyText(document(page), options) },
+      { id: 'required_elements', key: 'hasRequiredElements', weight: 20, description: 'Navigation, content, header, landmarks, title and description',
+        check: (page, options) => this.checkRequiredElements(document(page), options) },
+      { id: 'quality_thresholds', key: 'meetsQualityThresholds', weight: 15, description: 'Minimum content length, unique words, links and interactive elements',
+        check: (page, options) => this.checkQualityThresholds(document(page), options) },
+      { id: 'real_content', key: 'hasRealContent', weight: 10, description: 'Specific content, no generic filler phrases',
+        check: (page, options) => this.checkRealContent(document(page), options) },
+      { id: 'interactive', key: 'isInteractive', weight: 10, description: 'Buttons, inputs, forms and scripts',
+        check: (page, options) => this.checkInteractivity(document(page), options) },
+      { id: 'accessible', key: 'isAccessible', weight: 15, description: 'Alt text, labels, headings, landmarks, link names, ARIA and contrast',
+        check: (page, options) => this.checkAccessibility(document(page), page.themeInfo, options) },
+      { id: 'links_valid', key: 'linksValid', weight: 10, description: 'No dead links, missing anchors or duplicate ids',
+        check: (page, options) => this.checkLinks(document(page), page.links, options) }
+    ].forEach(rule => this.rules.register({ severity: 'error', ...rule }));
   }
 
   /**
    * Main validation function - returns true if page is PROPER
    * @param {string} html - HTML content to validate
+   * @param {Object} [options]
+   * @param {Object} [options.themeInfo] - From getThemeInfo(), for contrast checks
+   * @param {Object} [options.links] - LinkChecker.check() report; without it only same-page links are checked
    * @returns {Object} Validation result
    */
-  validate(html) {
-    const results = {
-      noJunkyText: this.checkJunkyText(html),
-      hasRequiredElements: this.checkRequiredElements(html),
-      meetsQualityThresholds: this.checkQualityThresholds(html),
-      hasRealContent: this.checkRealContent(html),
-      isInteractive: this.checkInteractivity(html)
+  validate(html, options = {}) {
+    const document = this.parser.parse(html);
+    const outcome = this.rules.run({
+      html,
+      document,
+      parser: this.parser,
+      themeInfo: options.themeInfo,
+      links: options.links
+    });
+
+    // Only error-severity rules decide the verdict - warnings are reported, not fatal
+    const passed = outcome.passed;
+    const warningNote = outcome.warnings.length > 0
+      ? ` (${outcome.warnings.length} warning${outcome.warnings.length > 1 ? 's' : ''})`
+      : '';
+
+    return {
+      passed,
+      isPropPage: passed,
+      isJunkyPage: !passed,
+      results: outcome.results,
+      errors: outcome.errors,
+      warnings: outcome.warnings,
+      suppressed: outcome.suppressed,
+      verdict: passed ? `✅ PROPER PAGE - Quality Approved!${warningNote}` : '❌ JUNKY PAGE - Needs Improvement!',
+      score: outcome.score
     };
+  }
 
-    const allPassed = Object.values(results).every(r => r.passed);
+  /**
+   * Repair a failing page: placeholder blocks out, missing title/description,
+   * navigation and <main> in - then validate again
+   * @param {string} html - Page source
+   * @param {Object} [repoData] - { name, description } the title, description and nav are built from
+   * @param {Object} [options] - validate() options ({ themeInfo }); a links report is only used
+   *   for the first validation, since fixes move lines and can add links
+   * @returns {Object} { html, changed, fixes: [{ fix, message }], diff, stats, before, after, passed }
+   */
+  autoFix(html, repoData = {}, options = {}) {
+    const before = this.validate(html, options);
+    const { html: fixed, fixes } = this.fixer.fix(html, repoData);
+    const changed = fixed !== html;
+    const after = changed ? this.validate(fixed, { ...options, links: undefined }) : before;
 
     return {
-      passed: allPassed,
-      isPropPage: allPassed,
-      isJunkyPage: !allPassed,
-      results,
-      verdict: allPassed ? '✅ PROPER PAGE - Quality Approved!' : '❌ JUNKY PAGE - Needs Improvement!',
-      score: this.calculateScore(results)
+      html: fixed,
+      changed,
+      fixes,
+      diff: this.differ.unified(html, fixed, { from: 'original', to: 'fixed' }),
+      stats: this.differ.stats(html, fixed),
+      before,
+      after,
+      passed: after.passed
     };
   }
 
   /**
-   * Check for junky placeholder text
+   * Check for junky placeholder text in what a visitor actually reads
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [options] - { patterns: [regex source] } (case-insensitive)
    */
-  checkJunkyText(html) {
-    const found = [];
-    
-    this.junkyPatterns.forEach(pattern => {
-      if (pattern.test(html)) {
-        found.push(pattern.toString());
-      }
-    });
+  checkJunkyText(page, options = {}) {
+    const document = this.toDocument(page);
+    const patterns = this.compilePatterns(options.patterns);
+    const issues = [];
+
+    this.parser.visibleTextNodes(document)
+      .filter(node => !this.parser.hasAncestor(node, ['pre', 'code']))
+      .forEach(node => {
+        patterns.forEach(pattern => {
+          const match = pattern.exec(node.value);
+          if (match) {
+            issues.push({
+              pattern: pattern.toString(),
+              text: match[0],
+              ...this.locate(node, match.index)
+            });
+          }
+        });
+      });
+
+    const found = [...new Set(issues.map(issue => issue.pattern))];
 
     return {
-      passed: found.length === 0,
-      issues: found,
-      message: found.length > 0 
+      passed: issues.length === 0,
+      issues,
+      message: found.length > 0
         ? `❌ Found junky patterns: ${found.join(', ')}`
         : '✅ No junky text detected'
     };
@@ -84,24 +234,65 @@ class NoJunkyPages {
 
   /**
    * Check for required structural elements
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [options] - { elements: [name] } - a subset of requiredElements
    */
-  checkRequiredElements(html) {
-    const missing = [];
+  checkRequiredElements(page, options = {}) {
+    const document = this.toDocument(page);
+    const issues = [];
+    const visible = element => this.parser.visibleText(element) !== '';
+
+    const navigations = this.withRole(document, 'navigation');
+    const mainContent = [
+      ...this.withRole(document, 'main'),
+      ...this.parser.elements(document, ['article', 'section'])
+    ];
+    const headers = [...this.withRole(document, 'banner'), ...this.parser.elements(document, 'h1')];
+    const title = this.parser.elements(document, 'title')[0];
+    const description = this.parser.elements(document, 'meta')
+      .find(meta => (meta.attributes.name || '').toLowerCase() === 'description');
+
+    const missingLandmarks = Object.keys(this.landmarks)
+      .filter(role => this.withRole(document, role).length === 0);
+    if (missingLandmarks.length > 0) {
+      const body = this.parser.elements(document, 'body')[0];
+      issues.push({
+        element: 'landmarks',
+        message: `No ${missingLandmarks.join(', ')} landmark${missingLandmarks.length > 1 ? 's' : ''}`,
+        ...(body ? this.locate(body) : { path: 'html', line: 1, column: 1 })
+      });
+    }
+
+    const titleText = title ? this.parser.visibleText(title) : '';
+    const descriptionText = (description?.attributes.content || '').trim();
+
     const checks = {
-      navigation: /<nav/i.test(html),
-      content: /<main|<article|<section/i.test(html),
-      header: /<header|<h1/i.test(html),
-      proper_title: /<title>(?!.*placeholder).*<\/title>/i.test(html),
-      real_description: /<meta name="description" content="(?!.*placeholder).*"/i.test(html)
+      navigation: navigations.some(nav => this.validLinks(nav).length > 0),
+      content: mainContent.some(visible),
+      header: headers.some(visible),
+      landmarks: missingLandmarks.length === 0,
+      proper_title: titleText !== '' && !this.isJunky(titleText),
+      real_description: descriptionText !== '' && !this.isJunky(descriptionText)
     };
 
-    Object.entries(checks).forEach(([element, exists]) => {
-      if (!exists) missing.push(element);
-    });
+    if (title && !checks.proper_title) {
+      issues.push({ element: 'proper_title', message: `Title "${titleText}" is empty or junky`, ...this.locate(title) });
+    }
+    if (description && !checks.real_description) {
+      issues.push({ element: 'real_description', message: 'Meta description is empty or junky', ...this.locate(description) });
+    }
+    navigations
+      .filter(nav => this.validLinks(nav).length === 0)
+      .forEach(nav => issues.push({ element: 'navigation', message: 'Navigation has no working links', ...this.locate(nav) }));
+
+    const required = options.elements || this.requiredElements;
+    const missing = required.filter(element => !checks[element]);
+    const relevant = issues.filter(issue => required.includes(issue.element));
 
     return {
       passed: missing.length === 0,
       missing,
+      issues: relevant,
       message: missing.length > 0
         ? `❌ Missing elements: ${missing.join(', ')}`
         : '✅ All required elements present'
@@ -110,19 +301,32 @@ class NoJunkyPages {
 
   /**
    * Check if content meets minimum quality thresholds
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [options] - Overrides for qualityThresholds
    */
-  checkQualityThresholds(html) {
-    const textContent = this.extractTextContent(html);
+  checkQualityThresholds(page, options = {}) {
+    const document = this.toDocument(page);
+    const thresholds = { ...this.qualityThresholds, ...options };
+    const textContent = this.parser.visibleText(document);
     const words = textContent.split(/\s+/).filter(w => w.length > 2);
     const uniqueWords = new Set(words);
-    const links = (html.match(/<a /g) || []).length;
-    const interactiveElements = (html.match(/<button|<input|<select|onclick/g) || []).length;
+    const anchors = this.parser.elements(document, 'a');
+    const links = this.validLinks(document).length;
+    const interactiveElements = this.interactiveElements(document).length;
+
+    // Anchors that go nowhere or say nothing
+    const issues = anchors
+      .filter(anchor => !this.isValidLink(anchor))
+      .map(anchor => ({
+        message: this.hasHref(anchor) ? 'Link has no visible text or label' : 'Link has no href',
+        ...this.locate(anchor)
+      }));
 
     const checks = {
-      contentLength: textContent.length >= this.qualityThresholds.minContentLength,
-      uniqueWords: uniqueWords.size >= this.qualityThresholds.minUniqueWords,
-      links: links >= this.qualityThresholds.minLinks,
-      interactive: interactiveElements >= this.qualityThresholds.minInteractiveElements
+      contentLength: textContent.length >= thresholds.minContentLength,
+      uniqueWords: uniqueWords.size >= thresholds.minUniqueWords,
+      links: links >= thresholds.minLinks,
+      interactive: interactiveElements >= thresholds.minInteractiveElements
     };
 
     const failed = Object.entries(checks)
@@ -138,6 +342,7 @@ class NoJunkyPages {
         interactiveElements
       },
       failed,
+      issues,
       message: failed.length > 0
         ? `❌ Quality thresholds not met: ${failed.join(', ')}`
         : '✅ All quality thresholds met'
@@ -146,24 +351,22 @@ class NoJunkyPages {
 
   /**
    * Check for real, useful content (not generic)
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [options] - { genericPhrases, specificTerms }
    */
-  checkRealContent(html) {
-    const genericPhrases = [
-      'welcome to our website',
-      'this is a website',
-      'page is under construction',
-      'check back later'
-    ];
+  checkRealContent(page, options = {}) {
+    const genericPhrases = options.genericPhrases || this.genericPhrases;
+    const specificTerms = options.specificTerms || this.specificTerms;
 
-    const textContent = this.extractTextContent(html).toLowerCase();
+    const text = this.parser.visibleText(this.toDocument(page));
+    const textContent = text.toLowerCase();
     const genericFound = genericPhrases.filter(phrase => 
-      textContent.includes(phrase)
+      textContent.includes(phrase.toLowerCase())
     );
 
-    const hasSpecificFeatures = html.includes('ALC') || 
-                                html.includes('INDEX_BUILDER') ||
-                                html.includes('token') ||
-                                html.includes('theme');
+    const hasSpecificFeatures = specificTerms.some(term =>
+      term === term.toLowerCase() ? textContent.includes(term) : text.includes(term)
+    );
 
     return {
       passed: genericFound.length === 0 && hasSpecificFeatures,
@@ -177,99 +380,173 @@ class NoJunkyPages {
 
   /**
    * Check for interactive elements
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [options] - { minElements }
    */
-  checkInteractivity(html) {
+  checkInteractivity(page, options = {}) {
+    const minElements = options.minElements ?? 3;
+    const document = this.toDocument(page);
+    const elements = tagName => this.parser.elements(document, tagName);
     const interactiveElements = {
-      buttons: (html.match(/<button/g) || []).length,
-      inputs: (html.match(/<input/g) || []).length,
-      clickHandlers: (html.match(/onclick/g) || []).length,
-      forms: (html.match(/<form/g) || []).length,
-      scripts: (html.match(/<script/g) || []).length
+      buttons: elements('button').length,
+      inputs: elements(['input', 'select', 'textarea'])
+        .filter(input => (input.attributes.type || '').toLowerCase() !== 'hidden').length,
+      clickHandlers: this.parser.findAll(document, node => node.type === 'element' && 'onclick' in node.attributes).length,
+      forms: elements('form').length,
+      scripts: elements('script').length
     };
 
     const totalInteractive = Object.values(interactiveElements).reduce((a, b) => a + b, 0);
 
     return {
-      passed: totalInteractive >= 3,
+      passed: totalInteractive >= minElements,
       elements: interactiveElements,
       total: totalInteractive,
-      message: totalInteractive >= 3
+      message: totalInteractive >= minElements
         ? '✅ Page is interactive'
         : '❌ Page lacks interactivity'
     };
   }
 
   /**
-   * Extract text content from HTML for quality metrics analysis only.
-   * 
+   * Check alt text, labels, headings, landmarks, link names, ARIA and color contrast
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [themeInfo] - Theme metadata; its colors feed the contrast check
+   * @param {Object} [options] - { checks: [name] } - run only these accessibility checks
+   */
+  checkAccessibility(page, themeInfo, options = {}) {
+    return this.accessibility.check(this.toDocument(page), { colors: themeInfo?.colors, checks: options.checks });
+  }
+
+  /**
+   * Check for dead internal links, missing anchors and duplicate ids
+   * @param {string|Object} page - HTML or a parsed document
+   * @param {Object} [report] - LinkChecker.check() result for the page, resolved against the built site
+   * @param {Object} [options] - { ignore: [url prefix] } - links deployed outside this site
+   */
+  checkLinks(page, report, options = {}) {
+    const found = report || this.linkChecker.checkDocument(this.toDocument(page));
+    const ignored = issue => (options.ignore || []).some(prefix => (issue.url || '').startsWith(prefix));
+    const links = {
+      ...found,
+      dead: found.dead.filter(issue => !ignored(issue)),
+      missingAnchors: found.missingAnchors.filter(issue => !ignored(issue))
+    };
+    const passed = links.dead.length + links.missingAnchors.length + links.duplicateIds.length === 0;
+
+    return {
+      passed,
+      checks: {
+        links_valid: links.dead.length === 0,
+        anchors_valid: links.missingAnchors.length === 0,
+        ids_unique: links.duplicateIds.length === 0
+      },
+      stats: {
+        links: links.links,
+        checked: links.checked,
+        unchecked: links.unchecked,
+        external: links.external.length
+      },
+      issues: [...links.dead, ...links.missingAnchors, ...links.duplicateIds],
+      message: this.linkChecker.describe(links)
+    };
+  }
+
+  /**
+   * Extract visible text from HTML for quality metrics analysis only.
+   *
    * SECURITY: This extracts text for analysis (word counting) ONLY.
    * Output is never rendered as HTML. Not for sanitization.
    */
   extractTextContent(html) {
-    // For quality metrics: extract visible text to count words
-    // Use a simple state machine to skip tag content
-    
-    let result = '';
-    let inTag = false;
-    let inScript = false;
-    let inStyle = false;
-    let tagBuffer = '';
-    
-    for (let i = 0; i < html.length; i++) {
-      const char = html[i];
-      
-      if (char === '<') {
-        inTag = true;
-        tagBuffer = '<';
-      } else if (char === '>' && inTag) {
-        tagBuffer += '>';
-        inTag = false;
-        
-        // Check if this starts/ends a script or style block
-        const lowerTag = tagBuffer.toLowerCase();
-        if (lowerTag.includes('<script')) {
-          inScript = true;
-        } else if (lowerTag.includes('</script')) {
-          inScript = false;
-        } else if (lowerTag.includes('<style')) {
-          inStyle = true;
-        } else if (lowerTag.includes('</style')) {
-          inStyle = false;
-        }
-        
-        tagBuffer = '';
-      } else if (inTag) {
-        tagBuffer += char;
-      } else if (!inScript && !inStyle) {
-        // Add character to result if we're not in a tag, script, or style
-        result += char;
-      }
+    return this.parser.visibleText(this.toDocument(html));
+  }
+
+  toDocument(page) {
+    return typeof page === 'string' ? this.parser.parse(page) : page;
+  }
+
+  /**
+   * Elements with a landmark role, explicit (role="main") or implicit (<main>).
+   * header/footer only count as banner/contentinfo outside sectioning content.
+   */
+  withRole(document, role) {
+    const tags = this.landmarks[role] || [];
+    return this.parser.findAll(document, node => {
+      if (node.type !== 'element') return false;
+      if ((node.attributes.role || '').split(/\s+/).includes(role)) return true;
+      if (!tags.includes(node.tagName)) return false;
+      return !(role === 'banner' || role === 'contentinfo') ||
+        !this.parser.hasAncestor(node, ['article', 'aside', 'main', 'nav', 'section']);
+    });
+  }
+
+  interactiveElements(document) {
+    return this.parser.findAll(document, node => node.type === 'element' && (
+      ['button', 'select', 'textarea'].includes(node.tagName) ||
+      (node.tagName === 'input' && (node.attributes.type || '').toLowerCase() !== 'hidden') ||
+      'onclick' in node.attributes
+    ));
+  }
+
+  validLinks(root) {
+    return this.parser.elements(root, 'a').filter(anchor => this.isValidLink(anchor));
+  }
+
+  /**
+   * A link needs somewhere to go and a name: text, aria-label or an image's alt
+   */
+  isValidLink(anchor) {
+    if (!this.hasHref(anchor)) return false;
+    const images = this.parser.elements(anchor, 'img').map(img => (img.attributes.alt || '').trim());
+    return this.parser.visibleText(anchor) !== '' ||
+      (anchor.attributes['aria-label'] || '').trim() !== '' ||
+      images.some(alt => alt !== '');
+  }
+
+  hasHref(anchor) {
+    const href = (anchor.attributes.href || '').trim();
+    return href !== '' && !/^javascript:/i.test(href);
+  }
+
+  isJunky(text) {
+    const configured = this.rules.get('no_placeholders')?.options.patterns;
+    return this.compilePatterns(configured).some(pattern => pattern.test(text));
+  }
+
+  /**
+   * Junk patterns from config (regex sources, case-insensitive), or the defaults
+   */
+  compilePatterns(sources) {
+    if (!sources) {
+      return this.junkyPatterns;
+    }
+    const key = sources.join('\n');
+    if (this.compiledPatterns?.key !== key) {
+      this.compiledPatterns = { key, patterns: sources.map(source => new RegExp(source, 'i')) };
+    }
+    return this.compiledPatterns.patterns;
+  }
+
+  /**
+   * Element path and line/column for a node (and an offset into a text node)
+   */
+  locate(node, offset = 0) {
+    let { line, column } = node;
+    if (node.type === 'text' && offset > 0) {
+      const before = node.value.slice(0, offset);
+      const newlines = before.split('\n').length - 1;
+      line += newlines;
+      column = newlines > 0 ? before.length - before.lastIndexOf('\n') : column + offset;
     }
-    
-    // Normalize whitespace
-    return result.replace(/\s+/g, ' ').trim();
+    return { path: this.parser.elementPath(node), line, column };
   }
 
   /**
    * Calculate overall quality score (0-100)
    */
   calculateScore(results) {
-    const weights = {
-      noJunkyText: 30,
-      hasRequiredElements: 25,
-      meetsQualityThresholds: 20,
-      hasRealContent: 15,
-      isInteractive: 10
-    };
-
-    let score = 0;
-    Object.entries(results).forEach(([key, result]) => {
-      if (result.passed) {
-        score += weights[key] || 0;
-      }
-    });
-
-    return score;
+    return this.rules.score(results);
   }
 
   /**
@@ -277,29 +554,72 @@ class NoJunkyPages {
    */
   getRecommendations(validationResult) {
     const recommendations = [];
+    const results = validationResult.results;
+    // Rules switched off in config have no result
+    const failed = key => results[key] !== undefined && !results[key].passed;
+    const builtinKeys = new Set(this.rules.list().filter(rule => rule.key !== rule.id).map(rule => rule.key));
 
-    if (!validationResult.results.noJunkyText.passed) {
+    if (failed('noJunkyText')) {
       recommendations.push('🔧 Remove all placeholder text and Lorem Ipsum');
       recommendations.push('🔧 Replace with actual, useful content');
+      results.noJunkyText.issues.slice(0, 5).forEach(issue => {
+        recommendations.push(`   "${issue.text}" at ${issue.path} (line ${issue.line}, column ${issue.column})`);
+      });
     }
 
-    if (!validationResult.results.hasRequiredElements.passed) {
+    if (failed('hasRequiredElements')) {
       recommendations.push('🔧 Add missing structural elements: ' + 
-        validationResult.results.hasRequiredElements.missing.join(', '));
+        results.hasRequiredElements.missing.join(', '));
+      results.hasRequiredElements.issues.forEach(issue => {
+        recommendations.push(`   ${issue.message} at ${issue.path} (line ${issue.line}, column ${issue.column})`);
+      });
     }
 
-    if (!validationResult.results.meetsQualityThresholds.passed) {
+    if (failed('meetsQualityThresholds')) {
       recommendations.push('🔧 Improve content quality: add more text, links, and interactive elements');
     }
 
-    if (!validationResult.results.hasRealContent.passed) {
+    if (failed('hasRealContent')) {
       recommendations.push('🔧 Replace generic content with specific, useful information');
     }
 
-    if (!validationResult.results.isInteractive.passed) {
+    if (failed('isInteractive')) {
       recommendations.push('🔧 Add interactive elements: buttons, forms, search, etc.');
     }
 
+    if (failed('linksValid')) {
+      const linksValid = results.linksValid;
+      if (!linksValid.checks.links_valid) {
+        recommendations.push('🔧 Build the linked pages into the same site, or link to where they are deployed');
+      }
+      if (!linksValid.checks.anchors_valid) {
+        recommendations.push('🔧 Point #anchors at ids that exist on the target page');
+      }
+      if (!linksValid.checks.ids_unique) {
+        recommendations.push('🔧 Give every element a unique id');
+      }
+      linksValid.issues.forEach(issue => {
+        recommendations.push(`   ${issue.message} at ${issue.path} (line ${issue.line}, column ${issue.column})`);
+      });
+    }
+
+    if (failed('isAccessible')) {
+      results.isAccessible.issues.forEach(issue => {
+        recommendations.push(`♿ ${issue.message} at ${issue.path} (line ${issue.line}) - ${issue.fix}`);
+      });
+    }
+
+    // Custom rules speak for themselves
+    Object.keys(results)
+      .filter(key => !builtinKeys.has(key) && failed(key))
+      .forEach(key => {
+        recommendations.push(`🔧 ${results[key].message}`);
+        (results[key].issues || []).forEach(issue => {
+          const where = issue.path ? ` at ${issue.path} (line ${issue.line})` : '';
+          recommendations.push(`   ${issue.message}${where}${issue.fix ? ` - ${issue.fix}` : ''}`);
+        });
+      });
+
     if (recommendations.length === 0) {
       recommendations.push('🎉 Page is perfect! Keep up the good work!');
     }
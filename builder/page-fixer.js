@@ -0,0 +1,310 @@
+/**
+ * 🩹 Page Fixer
+ * Repairs what NoJunkyPages complains about instead of just listing it
+ *
+ * Fixes are text edits at parsed node offsets, so everything that isn't being
+ * fixed keeps its exact markup and the diff shows only the repairs:
+ *   placeholders - blocks of placeholder text removed (or just the words, in headings)
+ *   title        - <title> from the repo name and description
+ *   description  - <meta name="description"> from the repo description
+ *   navigation   - the standard <nav> after the header (only with a contentBuilder to build it)
+ *   main         - loose content wrapped in <main>
+ */
+
+import HtmlParser from './html-parser.js';
+
+// Removed whole when they contain placeholder text
+const TEXT_BLOCKS = new Set(['p', 'li', 'blockquote', 'figcaption', 'dt', 'dd', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const HEADINGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// Never wrapped in <main>
+const OUTSIDE_MAIN = new Set(['header', 'nav', 'footer', 'aside', 'script', 'style', 'template', 'noscript']);
+
+class PageFixer {
+  /**
+   * @param {Object} options
+   * @param {NoJunkyPages} options.validator - Supplies the junk patterns and isJunky()
+   * @param {HtmlParser} [options.parser] - Shared parser
+   * @param {ContentBuilder} [options.contentBuilder] - Builds the standard navigation from its loaded connections
+   */
+  constructor(options = {}) {
+    this.validator = options.validator;
+    this.parser = options.parser || new HtmlParser();
+    this.contentBuilder = options.contentBuilder || null;
+    // A navigation built without the connection registry would be a lone Home link
+    this.fixes = ['placeholders', 'title', 'description', 'navigation', 'main']
+      .filter(fix => fix !== 'navigation' || this.contentBuilder);
+  }
+
+  /**
+   * Apply every fix in turn, each to the output of the one before
+   * @param {string} html - Page source
+   * @param {Object} [repoData] - { name, description } for the title, description and nav
+   * @returns {Object} { html, fixes: [{ fix, message }] }
+   */
+  fix(html, repoData = {}) {
+    let current = String(html || '');
+    const applied = [];
+
+    this.fixes.forEach(fix => {
+      const method = `fix${fix[0].toUpperCase()}${fix.slice(1)}`;
+      const document = this.parser.parse(current);
+      const { edits = [], messages = [] } = this[method](document, current, repoData) || {};
+      if (edits.length > 0) {
+        current = this.applyEdits(current, edits);
+        messages.forEach(message => applied.push({ fix, message }));
+      }
+    });
+
+    return { html: current, fixes: applied };
+  }
+
+  fixPlaceholders(document, source) {
+    const patterns = this.patterns();
+    const ranges = [];
+    const messages = [];
+
+    this.parser.visibleTextNodes(document)
+      .filter(node => !this.parser.hasAncestor(node, ['pre', 'code']))
+      .forEach(node => {
+        const raw = source.slice(node.start, node.end);
+        const matches = patterns
+          .map(pattern => new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`))
+          .flatMap(pattern => [...raw.matchAll(pattern)])
+          .map(match => ({ start: node.start + match.index, end: node.start + match.index + match[0].length, text: match[0] }));
+        if (matches.length === 0) return;
+
+        const block = this.closest(node, TEXT_BLOCKS);
+        const rest = block ? this.parser.visibleText(block) : '';
+        const onlyJunk = block && this.isJunkOnly(rest, patterns);
+
+        if (block && (!HEADINGS.has(block.tagName) || onlyJunk)) {
+          ranges.push({ ...this.wholeLines(source, block.start, block.end), text: '' });
+          messages.push(`Removed <${block.tagName}> with placeholder text "${this.preview(rest)}" (line ${block.line})`);
+        } else {
+          matches.forEach(match => {
+            ranges.push({ ...this.withSpace(source, match.start, match.end), text: '' });
+            messages.push(`Removed "${match.text}" (line ${node.line})`);
+          });
+        }
+      });
+
+    return { edits: this.outermost(ranges), messages: [...new Set(messages)] };
+  }
+
+  fixTitle(document, source, repoData) {
+    const title = this.parser.elements(document, 'title')[0];
+    const current = title ? title.children.map(child => child.value).join('').trim() : '';
+    if (title && current !== '' && !this.validator.isJunky(current)) return null;
+
+    const text = this.titleText(document, repoData);
+    if (!text) return null;
+
+    if (title) {
+      const open = source.indexOf('>', title.start) + 1;
+      const close = title.children.length > 0 ? title.children[title.children.length - 1].end : open;
+      return { edits: [{ start: open, end: close, text: this.escape(text) }], messages: [`Set <title> to "${text}"`] };
+    }
+    return this.insertInHead(document, source, `<title>${this.escape(text)}</title>`, `Added <title>${text}</title>`);
+  }
+
+  fixDescription(document, source, repoData) {
+    const meta = this.parser.elements(document, 'meta')
+      .find(element => (element.attributes.name || '').toLowerCase() === 'description');
+    const current = (meta?.attributes.content || '').trim();
+    if (meta && current !== '' && !this.validator.isJunky(current)) return null;
+
+    const text = this.descriptionText(document, repoData);
+    if (!text) return null;
+
+    const tag = `<meta name="description" content="${this.escape(text)}">`;
+    if (meta) {
+      return { edits: [{ start: meta.start, end: meta.end, text: tag }], messages: [`Set the meta description to "${this.preview(text)}"`] };
+    }
+
+    // Right after the title, where the layout puts it
+    const title = this.parser.elements(document, 'title')[0];
+    if (title) {
+      return {
+        edits: [{ start: title.end, end: title.end, text: `\n${this.indentAt(source, title.start)}${tag}` }],
+        messages: [`Added a meta description: "${this.preview(text)}"`]
+      };
+    }
+    return this.insertInHead(document, source, tag, `Added a meta description: "${this.preview(text)}"`);
+  }
+
+  fixNavigation(document, source, repoData) {
+    const hasNav = this.parser.findAll(document, node => node.type === 'element' &&
+      (node.tagName === 'nav' || node.attributes.role === 'navigation')).length > 0;
+    const body = this.parser.elements(document, 'body')[0];
+    if (hasNav || !body) return null;
+
+    const links = this.contentBuilder.buildNavigation(repoData).main;
+    const header = this.parser.elements(body, 'header').find(element => !this.parser.hasAncestor(element, ['main', 'article', 'section']));
+    const indent = header ? this.indentAt(source, header.start) : '  ';
+    const nav = [
+      `${indent}<nav aria-label="Main navigation">`,
+      `${indent}  <ul>`,
+      ...links.map(link => `${indent}    <li><a href="${this.escape(link.url)}"><span>${link.icon}</span> ${this.escape(link.label)}</a></li>`),
+      `${indent}  </ul>`,
+      `${indent}</nav>`
+    ].join('\n');
+
+    const at = header ? header.end : source.indexOf('>', body.start) + 1;
+    return {
+      edits: [{ start: at, end: at, text: `\n\n${nav}` }],
+      messages: [`Added the standard navigation (${links.length} links) ${header ? 'after <header>' : 'at the top of <body>'}`]
+    };
+  }
+
+  fixMain(document, source) {
+    const hasMain = this.parser.findAll(document, node => node.type === 'element' &&
+      (node.tagName === 'main' || node.attributes.role === 'main')).length > 0;
+    const body = this.parser.elements(document, 'body')[0];
+    if (hasMain || !body) return null;
+
+    // Content sits next to the header/nav/footer - in <body> or a wrapper inside it
+    const landmark = this.parser.findAll(body, node => node.type === 'element' && ['header', 'nav', 'footer'].includes(node.tagName))[0];
+    const container = landmark ? landmark.parent : body;
+    const loose = container.children.filter(node => (node.type === 'element' && !OUTSIDE_MAIN.has(node.tagName)) ||
+      (node.type === 'text' && node.value.trim() !== ''));
+    if (loose.length === 0) return null;
+
+    const first = loose[0];
+    const last = loose[loose.length - 1];
+    const indent = this.indentAt(source, first.start);
+    const elements = loose.filter(node => node.type === 'element').length;
+    return {
+      edits: [
+        { start: first.start, end: first.start, text: `<main>\n${indent}` },
+        { start: last.end, end: last.end, text: `\n${indent}</main>` }
+      ],
+      messages: [`Wrapped ${elements} loose element${elements === 1 ? '' : 's'} (lines ${first.line}-${this.lineAt(source, last.end)}) in <main>`]
+    };
+  }
+
+  insertInHead(document, source, tag, message) {
+    const head = this.parser.elements(document, 'head')[0];
+    if (head) {
+      const closing = source.slice(0, head.end).toLowerCase().lastIndexOf('</head');
+      const at = closing >= head.start ? closing : head.end;
+      // Indent like the head's first child, or one step in from <head>
+      const firstChild = head.children.find(child => child.type !== 'text');
+      const indent = firstChild ? this.indentAt(source, firstChild.start) : `${this.indentAt(source, head.start)}  `;
+      const lineStart = source.lastIndexOf('\n', at - 1) + 1;
+      // On its own line before </head> when </head> starts a line, else inline
+      return source.slice(lineStart, at).trim() === ''
+        ? { edits: [{ start: lineStart, end: lineStart, text: `${indent}${tag}\n` }], messages: [message] }
+        : { edits: [{ start: at, end: at, text: tag }], messages: [message] };
+    }
+
+    const html = this.parser.elements(document, 'html')[0];
+    const at = html ? source.indexOf('>', html.start) + 1 : 0;
+    return { edits: [{ start: at, end: at, text: `\n<head>\n  ${tag}\n</head>\n` }], messages: [message] };
+  }
+
+  titleText(document, repoData) {
+    const name = repoData.name || this.parser.visibleText(this.parser.elements(document, 'h1')[0] || { children: [] });
+    if (!name || this.validator.isJunky(name)) return null;
+    const description = repoData.description && !this.validator.isJunky(repoData.description) ? repoData.description : '';
+    return description ? `${name} - ${description}` : name;
+  }
+
+  descriptionText(document, repoData) {
+    if (repoData.description && !this.validator.isJunky(repoData.description)) {
+      return repoData.description;
+    }
+    // Otherwise the first real paragraph on the page
+    const paragraph = this.parser.elements(document, 'p')
+      .map(element => this.parser.visibleText(element))
+      .find(text => text.length >= 20 && !this.validator.isJunky(text));
+    return paragraph ? this.truncate(paragraph, 160) : null;
+  }
+
+  patterns() {
+    return this.validator.compilePatterns(this.validator.rules.get('no_placeholders')?.options.patterns);
+  }
+
+  isJunkOnly(text, patterns) {
+    const rest = patterns.reduce((remaining, pattern) => remaining.replace(new RegExp(pattern.source, `${pattern.flags.replace('g', '')}g`), ''), text);
+    return /^[\s\p{P}\p{S}]*$/u.test(rest);
+  }
+
+  closest(node, tagNames) {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (parent.type === 'element' && tagNames.has(parent.tagName)) return parent;
+    }
+    return null;
+  }
+
+  /**
+   * Widen a removal to whole lines when the element is alone on its lines,
+   * so no blank line is left behind
+   */
+  wholeLines(source, start, end) {
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = source.indexOf('\n', end);
+    const before = source.slice(lineStart, start);
+    const after = source.slice(end, lineEnd === -1 ? source.length : lineEnd);
+    if (before.trim() === '' && after.trim() === '') {
+      return { start: lineStart, end: lineEnd === -1 ? source.length : lineEnd + 1 };
+    }
+    return { start, end };
+  }
+
+  /**
+   * Take one neighbouring space along with removed words, so none doubles up
+   */
+  withSpace(source, start, end) {
+    if (/[ \t]/.test(source[start - 1] || '')) return { start: start - 1, end };
+    if (/[ \t]/.test(source[end] || '')) return { start, end: end + 1 };
+    return { start, end };
+  }
+
+  /**
+   * Drop ranges inside other ranges (a block removed with the words already in it)
+   */
+  outermost(ranges) {
+    return ranges
+      .sort((a, b) => a.start - b.start || b.end - a.end)
+      .filter((range, index, sorted) => !sorted.slice(0, index).some(other => other.start <= range.start && other.end >= range.end));
+  }
+
+  applyEdits(source, edits) {
+    return [...edits]
+      .sort((a, b) => b.start - a.start)
+      .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), source);
+  }
+
+  indentAt(source, offset) {
+    const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+    return source.slice(lineStart, offset).match(/^[ \t]*/)[0];
+  }
+
+  lineAt(source, offset) {
+    return source.slice(0, offset).split('\n').length;
+  }
+
+  preview(text) {
+    return this.truncate(text, 40);
+  }
+
+  truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+  }
+
+  escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageFixer;
+}
+
+export default PageFixer;
@@ -0,0 +1,337 @@
+/**
+ * 📖 README Extractor
+ * Turns a repo README into real page sections - safe HTML, TOC and code blocks
+ *
+ * Raw HTML in the README is never passed through: tags are dropped, text is
+ * escaped, and link/image URLs are limited to http(s), mailto and relative paths.
+ */
+
+class ReadmeExtractor {
+  constructor() {
+    this.sectionKinds = [
+      ['install', /install|setup|set up|getting started|quick ?start|requirements|prerequisites/i],
+      ['usage', /usage|how to use|running|configuration|config|commands/i],
+      ['api', /\bapi\b|reference|methods|functions|options|interface/i],
+      ['examples', /example|demo|tutorial|recipe/i],
+      ['license', /licen[cs]e/i]
+    ];
+    this.safeUrl = /^(https?:\/\/|mailto:|#|\.{0,2}\/|[\w.-]+(\/|#|$))/i;
+  }
+
+  /**
+   * Parse a README into page sections
+   * @param {string} markdown - README source
+   * @returns {Object} { title, sections, toc, codeBlocks }
+   */
+  extract(markdown) {
+    const blocks = this.parseBlocks(markdown || '');
+    const sections = [];
+    const usedIds = new Set();
+    let title = '';
+    let current = null;
+
+    const startSection = (heading, level) => {
+      const parentKind = level > 2 && sections.length > 0 ? sections[sections.length - 1].kind : 'other';
+      current = {
+        id: this.uniqueId(heading, usedIds),
+        title: heading,
+        level,
+        kind: this.classify(heading) || (level > 2 ? parentKind : 'other'),
+        blocks: []
+      };
+      sections.push(current);
+    };
+
+    blocks.forEach(block => {
+      if (block.type === 'heading' && block.level === 1 && !title && sections.length === 0) {
+        title = block.text;
+        return;
+      }
+      if (block.type === 'heading' && block.level <= 3) {
+        startSection(this.plainText(block.text), Math.max(2, block.level));
+        return;
+      }
+      if (!current) {
+        startSection('Overview', 2);
+        current.kind = 'overview';
+      }
+      current.blocks.push(block);
+    });
+
+    const rendered = sections
+      // Keep empty headings only when they introduce subsections
+      .filter((section, index) => section.blocks.length > 0 || sections[index + 1]?.level > section.level)
+      .map(section => ({
+        id: section.id,
+        title: section.title,
+        level: section.level,
+        kind: section.kind,
+        summary: this.summarize(section.blocks),
+        html: this.renderBlocks(section.blocks),
+        codeBlocks: section.blocks
+          .filter(block => block.type === 'code')
+          .map(block => ({ language: block.language, className: this.codeClass(block.language), code: block.code }))
+      }));
+
+    return {
+      title: this.plainText(title),
+      sections: rendered,
+      toc: rendered.map(({ id, title, level, kind }) => ({ id, title, level, kind })),
+      codeBlocks: rendered.flatMap(section => section.codeBlocks.map(block => ({ ...block, section: section.id })))
+    };
+  }
+
+  /**
+   * Split markdown into block tokens
+   */
+  parseBlocks(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    const isBlank = line => line.trim() === '';
+    const startsBlock = line =>
+      /^\s*(```|~~~)/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) ||
+      /^\s*([-*+]|\d+[.)])\s+/.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (isBlank(line)) {
+        i++;
+        continue;
+      }
+
+      const fence = line.match(/^\s*(```+|~~~+)\s*([\w+#.-]*)/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        blocks.push({ type: 'code', language: fence[2].toLowerCase(), code: code.join('\n') });
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+        i++;
+        continue;
+      }
+
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        blocks.push({ type: 'rule' });
+        i++;
+        continue;
+      }
+
+      if (/^\s*>/.test(line)) {
+        const quote = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quote.push(lines[i].replace(/^\s*>\s?/, ''));
+          i++;
+        }
+        blocks.push({ type: 'quote', text: quote.join(' ') });
+        continue;
+      }
+
+      const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+      if (listItem) {
+        const ordered = /\d/.test(listItem[1]);
+        const items = [];
+        while (i < lines.length) {
+          const item = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+          if (item) {
+            items.push(item[2]);
+          } else if (!isBlank(lines[i]) && /^\s+/.test(lines[i]) && items.length > 0) {
+            items[items.length - 1] += ' ' + lines[i].trim();
+          } else {
+            break;
+          }
+          i++;
+        }
+        blocks.push({ type: 'list', ordered, items });
+        continue;
+      }
+
+      if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+        const header = this.splitRow(line);
+        const rows = [];
+        i += 2;
+        while (i < lines.length && lines[i].includes('|') && !isBlank(lines[i])) {
+          rows.push(this.splitRow(lines[i]));
+          i++;
+        }
+        blocks.push({ type: 'table', header, rows });
+        continue;
+      }
+
+      const paragraph = [];
+      while (i < lines.length && !isBlank(lines[i]) && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      const text = paragraph.join(' ');
+      // Paragraphs that were only raw HTML or badge images carry no text
+      const withoutImages = text.replace(/\[?!\[[^\]]*\]\([^)]*\)(\]\([^)]*\))?/g, '');
+      if (this.plainText(withoutImages)) {
+        blocks.push({ type: 'paragraph', text });
+      }
+    }
+
+    return blocks;
+  }
+
+  splitRow(line) {
+    return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+  }
+
+  /**
+   * Render block tokens to safe HTML
+   */
+  renderBlocks(blocks) {
+    return blocks.map(block => {
+      switch (block.type) {
+        case 'heading':
+          return `<h${block.level}>${this.renderInline(block.text)}</h${block.level}>`;
+        case 'paragraph':
+          return `<p>${this.renderInline(block.text)}</p>`;
+        case 'quote':
+          return `<blockquote><p>${this.renderInline(block.text)}</p></blockquote>`;
+        case 'rule':
+          return '<hr>';
+        case 'list': {
+          const tag = block.ordered ? 'ol' : 'ul';
+          return `<${tag}>${block.items.map(item => `<li>${this.renderInline(item)}</li>`).join('')}</${tag}>`;
+        }
+        case 'table': {
+          const head = block.header.map(cell => `<th>${this.renderInline(cell)}</th>`).join('');
+          const body = block.rows
+            .map(row => `<tr>${row.map(cell => `<td>${this.renderInline(cell)}</td>`).join('')}</tr>`)
+            .join('');
+          return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+        }
+        case 'code': {
+          const className = this.codeClass(block.language);
+          const classAttr = className ? ` class="${className}"` : '';
+          return `<pre><code${classAttr}>${this.escape(block.code)}</code></pre>`;
+        }
+        default:
+          return '';
+      }
+    }).join('\n');
+  }
+
+  /**
+   * Render inline markdown (code, images, links, emphasis) - input is raw, output is safe
+   */
+  renderInline(text) {
+    const tokens = [];
+    const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    // Code spans are held before tags are stripped, so `a <b>` keeps its text
+    let html = this.stripTags(this.holdCode(text, code => hold(`<code>${this.escape(code)}</code>`)));
+
+    // Links and images are held back so emphasis never rewrites a URL
+    html = this.escape(html)
+      .replace(/!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;[^)]*&quot;)?\)/g, (_, alt, url) =>
+        this.isSafeUrl(url) ? hold(`<img src="${url}" alt="${alt}" loading="lazy">`) : alt)
+      .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;[^)]*&quot;)?\)/g, (_, label, url) =>
+        this.isSafeUrl(url) ? hold(`<a href="${url}">${this.renderEmphasis(label)}</a>`) : label);
+
+    html = this.renderEmphasis(html);
+    // Held tokens can contain other held tokens (a badge image inside a link)
+    while (/\u0000\d+\u0000/.test(html)) {
+      html = html.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[index]);
+    }
+    return html;
+  }
+
+  /**
+   * Replace each `code` span with what hold(code) returns - a placeholder the caller swaps back
+   */
+  holdCode(text, hold) {
+    return text.replace(/`([^`]+)`/g, (_, code) => hold(code));
+  }
+
+  renderEmphasis(html) {
+    return html
+      .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (_, a, b) => `<strong>${a || b}</strong>`)
+      .replace(/(^|[^*\w])\*([^*\s][^*]*)\*|(^|[^_\w])_([^_\s][^_]*)_/g, (_, p1, a, p2, b) =>
+        `${p1 ?? p2}<em>${a ?? b}</em>`);
+  }
+
+  /**
+   * Plain text summary of the first paragraph (or first code line) in a section
+   */
+  summarize(blocks) {
+    const paragraph = blocks.find(block => block.type === 'paragraph' || block.type === 'quote');
+    if (paragraph) {
+      return this.plainText(paragraph.text);
+    }
+    const code = blocks.find(block => block.type === 'code' && block.code.trim());
+    return code ? code.code.trim().split('\n')[0].trim() : '';
+  }
+
+  plainText(text) {
+    const codes = [];
+    const plain = this.stripTags(this.holdCode(text || '', code => `\u0000${codes.push(code) - 1}\u0000`))
+      .replace(/!\[([^\]]*)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+      .replace(/(\*\*|\*|`)/g, '')
+      .replace(/(^|[\s(])_+|_+(?=[\s.,;:!?)]|$)/g, '$1');
+    return plain
+      .replace(/\u0000(\d+)\u0000/g, (_, index) => codes[index])
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  classify(title) {
+    const match = this.sectionKinds.find(([, pattern]) => pattern.test(title));
+    return match ? match[0] : null;
+  }
+
+  codeClass(language) {
+    const safe = (language || '').toLowerCase().replace(/[^a-z0-9+#-]/g, '');
+    return safe ? `language-${safe}` : '';
+  }
+
+  uniqueId(title, usedIds) {
+    const base = 'readme-' + (title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section');
+    let id = base;
+    let n = 2;
+    while (usedIds.has(id)) {
+      id = `${base}-${n++}`;
+    }
+    usedIds.add(id);
+    return id;
+  }
+
+  isSafeUrl(url) {
+    const decoded = url.replace(/&amp;/g, '&');
+    return this.safeUrl.test(decoded) && !/^\s*(javascript|data|vbscript):/i.test(decoded);
+  }
+
+  stripTags(text) {
+    return text.replace(/<\/?[a-z][^>]*>|<!--[\s\S]*?-->/gi, '');
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReadmeExtractor;
+}
+
+export default ReadmeExtractor;
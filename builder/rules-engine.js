@@ -0,0 +1,245 @@
+/**
+ * 📏 Rules Engine
+ * Validation rules as data - id, severity, weight and options come from builder-config.json
+ *
+ * A rule is { id, description, severity, weight, options, check(page, options) } where
+ * check returns { passed, message, issues? } for page = { html, document, parser, ... }.
+ * Custom rules are ES modules whose default export is such an object (or a class
+ * producing one), listed in quality_rules.modules.
+ *
+ * Pages can switch rules off with a marked comment:
+ *   <!-- no-junky-disable real_content: generated API reference -->   the whole page
+ *   <!-- no-junky-disable-next accessible -->                       issues inside the next element
+ */
+
+const SEVERITIES = ['error', 'warning', 'off'];
+const SUPPRESSION_PATTERN = /^\s*no-junky-disable(-next)?\s+([\w\s,*]+?)\s*(?::\s*([\s\S]*?))?\s*$/;
+
+class RulesEngine {
+  /**
+   * @param {Object} [options]
+   * @param {HtmlParser} [options.parser] - Used to find suppression comments and element paths
+   * @param {string|URL} [options.baseUrl] - Where rule module paths are resolved from (default: designer root)
+   */
+  constructor(options = {}) {
+    this.parser = options.parser || null;
+    this.baseUrl = options.baseUrl || new URL('../', import.meta.url);
+    this.rules = new Map();
+  }
+
+  /**
+   * Add a rule, or replace one with the same id
+   * @param {Object} rule - { id, key?, description, severity, weight, options, check }
+   */
+  register(rule) {
+    if (!rule || typeof rule.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(rule.id)) {
+      throw new Error(`Invalid rule id: ${JSON.stringify(rule?.id)}`);
+    }
+    if (typeof rule.check !== 'function') {
+      throw new Error(`Rule "${rule.id}" needs a check(page, options) function`);
+    }
+
+    this.rules.set(rule.id, this.normalize(rule.id, {
+      key: rule.key || rule.id,
+      description: rule.description || '',
+      severity: rule.severity || 'error',
+      weight: rule.weight ?? 10,
+      options: rule.options || {},
+      check: rule.check.bind(rule)
+    }));
+    return this;
+  }
+
+  has(id) {
+    return this.rules.has(id);
+  }
+
+  get(id) {
+    return this.rules.get(id);
+  }
+
+  list() {
+    return [...this.rules.values()];
+  }
+
+  /**
+   * Load rule modules, then apply rule settings
+   * @param {Object} [config] - quality_rules: { modules: [path], rules: [{ id, severity, weight, options }] }
+   */
+  async load(config = {}) {
+    await this.loadModules(config.modules || []);
+    this.configure(config.rules || []);
+    return this;
+  }
+
+  /**
+   * Import custom rule modules (paths relative to baseUrl)
+   */
+  async loadModules(paths) {
+    for (const modulePath of paths) {
+      let exported;
+      try {
+        exported = (await import(new URL(modulePath, this.baseUrl).href)).default;
+      } catch (err) {
+        throw new Error(`Failed to load rule module ${modulePath}: ${err.message}`);
+      }
+      this.register(typeof exported === 'function' ? new exported() : exported);
+    }
+    return this;
+  }
+
+  /**
+   * Override severity, weight and options of registered rules
+   * @param {Object[]} settings - [{ id, severity, weight, options }]
+   */
+  configure(settings) {
+    settings.forEach(setting => {
+      const rule = this.rules.get(setting.id);
+      if (!rule) {
+        throw new Error(`Unknown validation rule "${setting.id}" - register it or list its module in quality_rules.modules`);
+      }
+      this.rules.set(setting.id, this.normalize(setting.id, {
+        ...rule,
+        severity: setting.severity ?? rule.severity,
+        weight: setting.weight ?? rule.weight,
+        // Options merge, so a config only needs the values it changes
+        options: { ...rule.options, ...(setting.options || {}) }
+      }));
+    });
+    return this;
+  }
+
+  normalize(id, rule) {
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule "${id}" has an invalid severity: ${JSON.stringify(rule.severity)} (use ${SEVERITIES.join(', ')})`);
+    }
+    if (typeof rule.weight !== 'number' || !(rule.weight >= 0)) {
+      throw new Error(`Rule "${id}" has an invalid weight: ${JSON.stringify(rule.weight)}`);
+    }
+    return { id, ...rule };
+  }
+
+  /**
+   * Run every enabled rule against a page
+   * @param {Object} page - { html, document, ... } handed to each rule's check()
+   * @returns {Object} { passed, score, results, errors, warnings, suppressed }
+   */
+  run(page) {
+    const suppressions = this.findSuppressions(page.document);
+    const results = {};
+    const errors = [];
+    const warnings = [];
+    const suppressed = [];
+
+    this.list()
+      .filter(rule => rule.severity !== 'off')
+      .forEach(rule => {
+        let result;
+        try {
+          result = rule.check(page, rule.options);
+        } catch (err) {
+          console.error(`Failed to run rule ${rule.id}:`, err);
+          result = { passed: false, issues: [], message: `❌ Rule ${rule.id} crashed: ${err.message}` };
+        }
+
+        result = { ...result, rule: rule.id, severity: rule.severity, weight: rule.weight };
+        if (!result.passed) {
+          result = this.applySuppressions(result, suppressions, suppressed);
+        }
+        results[rule.key] = result;
+
+        if (!result.passed) {
+          const entry = { rule: rule.id, message: result.message, issues: result.issues || [] };
+          (rule.severity === 'error' ? errors : warnings).push(entry);
+        }
+      });
+
+    return {
+      passed: errors.length === 0,
+      score: this.score(results),
+      results,
+      errors,
+      warnings,
+      suppressed
+    };
+  }
+
+  /**
+   * Weighted share of passed rules, 0-100
+   * @param {Object} results - Rule results keyed by rule key
+   */
+  score(results) {
+    const scored = this.list().filter(rule => rule.severity !== 'off' && results[rule.key]);
+    const total = scored.reduce((sum, rule) => sum + rule.weight, 0);
+    if (total === 0) {
+      return 100;
+    }
+    const earned = scored
+      .filter(rule => results[rule.key].passed)
+      .reduce((sum, rule) => sum + rule.weight, 0);
+    return Math.round(earned / total * 100);
+  }
+
+  /**
+   * Read no-junky-disable comments
+   * @returns {Object} { page: Map(rule → reason), elements: [{ rules, path, reason }] }
+   */
+  findSuppressions(document) {
+    const suppressions = { page: new Map(), elements: [] };
+    if (!document || !this.parser) {
+      return suppressions;
+    }
+
+    this.parser.findAll(document, node => node.type === 'comment').forEach(comment => {
+      const match = SUPPRESSION_PATTERN.exec(comment.value);
+      if (!match) return;
+
+      const rules = match[2].split(/[\s,]+/).filter(Boolean);
+      const reason = match[3] || '';
+      if (!match[1]) {
+        rules.forEach(rule => suppressions.page.set(rule, reason));
+        return;
+      }
+
+      const siblings = comment.parent.children;
+      const next = siblings.slice(siblings.indexOf(comment) + 1).find(node => node.type === 'element');
+      if (next) {
+        suppressions.elements.push({ rules: new Set(rules), path: this.parser.elementPath(next), reason });
+      }
+    });
+
+    return suppressions;
+  }
+
+  applySuppressions(result, suppressions, suppressed) {
+    const pageReason = suppressions.page.get(result.rule) ?? suppressions.page.get('*');
+    if (pageReason !== undefined) {
+      suppressed.push({ rule: result.rule, scope: 'page', reason: pageReason, message: result.message, issues: result.issues || [] });
+      return { ...result, passed: true, suppressed: true, message: `⏭️ Suppressed: ${result.message}` };
+    }
+
+    const issues = result.issues || [];
+    const covering = issue => suppressions.elements.find(element =>
+      (element.rules.has(result.rule) || element.rules.has('*')) &&
+      issue.path && (issue.path === element.path || issue.path.startsWith(`${element.path} > `)));
+    const remaining = issues.filter(issue => !covering(issue));
+    if (remaining.length === issues.length) {
+      return result;
+    }
+
+    issues.filter(issue => covering(issue)).forEach(issue => {
+      suppressed.push({ rule: result.rule, scope: 'element', reason: covering(issue).reason, message: issue.message || issue.text, issues: [issue] });
+    });
+    // Only issue-driven failures can be cleared element by element
+    return remaining.length === 0
+      ? { ...result, passed: true, issues: remaining, suppressed: true, message: `⏭️ Suppressed: ${result.message}` }
+      : { ...result, issues: remaining };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RulesEngine;
+}
+
+export default RulesEngine;
@@ -0,0 +1,309 @@
+/**
+ * 🔎 Search Index
+ * Cross-repo inverted index - built once at build time, queried in the browser
+ *
+ * Serialized shape (search-index.json):
+ *   {
+ *     version: 1,
+ *     generatedAt: '2024-01-01T00:00:00.000Z',
+ *     docs: [{ type: 'repo'|'section'|'feature', repo, title, url, snippet }],
+ *     terms: { mario: [docIndex, weight, docIndex, weight, ...] }
+ *   }
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with', 'you', 'your'
+]);
+
+class SearchIndex {
+  /**
+   * @param {Object} [data] - A serialized index (defaults to an empty one)
+   */
+  constructor(data = {}) {
+    this.version = 1;
+    this.generatedAt = data.generatedAt || null;
+    this.docs = data.docs || [];
+    this.terms = data.terms || {};
+    this.termList = Object.keys(this.terms);
+    this.snippetLength = 160;
+
+    // Weight of a term by the field it came from
+    this.fieldWeights = {
+      repo: 5,
+      title: 3,
+      description: 2,
+      text: 1
+    };
+  }
+
+  /**
+   * Load a serialized index through a loader or from a URL
+   * @param {string|ResourceLoader} source - URL, or a loader paired with path
+   * @param {string} [path] - Path when source is a loader
+   * @returns {Promise<SearchIndex>}
+   */
+  static async load(source, path = 'search-index.json') {
+    const data = typeof source === 'string'
+      ? await fetch(source).then(response => (response.ok ? response.json() : null))
+      : await source.readJson(path);
+
+    if (!data) {
+      throw new Error('Search index not found');
+    }
+    return new SearchIndex(data);
+  }
+
+  /**
+   * Split text into lowercase search terms (camelCase and kebab-case are split too)
+   */
+  static tokenize(text) {
+    return String(text || '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+  }
+
+  /**
+   * Add a document and index its fields
+   * @param {Object} doc - { type, repo, title, url, snippet }
+   * @param {Object} fields - Text per field name from fieldWeights
+   * @returns {number} Document index
+   */
+  addDocument(doc, fields) {
+    const docIndex = this.docs.length;
+    this.docs.push({
+      type: doc.type,
+      repo: doc.repo,
+      title: doc.title,
+      url: doc.url,
+      snippet: this.truncate(doc.snippet || '')
+    });
+
+    const weights = new Map();
+    Object.entries(fields).forEach(([field, text]) => {
+      const fieldWeight = this.fieldWeights[field] || 1;
+      SearchIndex.tokenize(text).forEach(term => {
+        weights.set(term, (weights.get(term) || 0) + fieldWeight);
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      if (!this.terms[term]) {
+        this.terms[term] = [];
+        this.termList.push(term);
+      }
+      // Repeated terms add up, but with diminishing returns
+      this.terms[term].push(docIndex, Math.round((1 + Math.log2(weight)) * 100) / 100);
+    });
+
+    return docIndex;
+  }
+
+  /**
+   * Index a repo page: the repo itself, its README sections and its feature cards
+   * @param {Object} repoData - Repository metadata (name, description, topics, keywords)
+   * @param {Object} content - ContentBuilder.buildContent() output
+   * @param {string} url - Where the repo's page lives
+   */
+  addRepo(repoData, content, url) {
+    const repo = repoData.name;
+
+    this.addDocument(
+      { type: 'repo', repo, title: repo, url, snippet: repoData.description },
+      {
+        repo,
+        description: [repoData.description, ...(repoData.topics || []), ...(repoData.keywords || [])].join(' ')
+      }
+    );
+
+    (content?.readme?.sections || []).forEach(section => {
+      this.addDocument(
+        { type: 'section', repo, title: section.title, url: `${url}#${section.id}`, snippet: section.summary },
+        { title: section.title, text: this.htmlToText(section.html) }
+      );
+    });
+
+    (content?.features || [])
+      .filter(feature => feature.status !== 'documented') // README features are already indexed as sections
+      .forEach(feature => {
+        this.addDocument(
+          { type: 'feature', repo, title: feature.title, url: `${url}#features`, snippet: feature.description },
+          { title: feature.title, text: feature.description }
+        );
+      });
+
+    return this;
+  }
+
+  /**
+   * Index a connected repo that was not built locally, from its connection entry
+   * @param {string} name - Connection name (RepoConnector.connections key)
+   * @param {Object} connection - { url, label, type, endpoints }
+   */
+  addConnection(name, connection) {
+    const type = (connection.type || '').replace(/_/g, ' ');
+    this.addDocument(
+      { type: 'repo', repo: name, title: connection.label || name, url: connection.url, snippet: type ? `Connected repo - ${type}` : 'Connected repo' },
+      { repo: name, description: [connection.label, type, ...Object.keys(connection.endpoints || {})].filter(Boolean).join(' ') }
+    );
+    return this;
+  }
+
+  /**
+   * Rank documents for a query
+   * @param {string} query - Free text; the last word also matches as a prefix
+   * @param {Object} [options] - { limit }
+   * @returns {Array} [{ doc, score, terms }] best first, terms = index terms that matched
+   */
+  search(query, options = {}) {
+    const limit = options.limit || 10;
+    const queryTerms = SearchIndex.tokenize(query);
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    const scores = new Map();
+    queryTerms.forEach((queryTerm, position) => {
+      const isLast = position === queryTerms.length - 1;
+      this.expandTerm(queryTerm, isLast).forEach(({ term, quality }) => {
+        const postings = this.terms[term];
+        for (let i = 0; i < postings.length; i += 2) {
+          const docIndex = postings[i];
+          const entry = scores.get(docIndex) || { score: 0, matched: new Map(), terms: new Set() };
+          // Only the best expansion of each query term counts per document
+          const points = quality * postings[i + 1];
+          if (points > (entry.matched.get(position) || 0)) {
+            entry.score += points - (entry.matched.get(position) || 0);
+            entry.matched.set(position, points);
+          }
+          entry.terms.add(term);
+          scores.set(docIndex, entry);
+        }
+      });
+    });
+
+    return [...scores.entries()]
+      .map(([docIndex, entry]) => ({
+        doc: this.docs[docIndex],
+        // Documents matching every query term beat documents matching a few strongly
+        score: Math.round(entry.score * (entry.matched.size / queryTerms.length) ** 2 * 100) / 100,
+        terms: [...entry.terms]
+      }))
+      .sort((a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title))
+      .slice(0, limit);
+  }
+
+  /**
+   * Index terms a query term can stand for, with a match quality from 0 to 1
+   */
+  expandTerm(queryTerm, allowPrefix) {
+    const maxDistance = queryTerm.length >= 8 ? 2 : (queryTerm.length >= 4 ? 1 : 0);
+    const matches = [];
+
+    this.termList.forEach(term => {
+      if (term === queryTerm) {
+        matches.push({ term, quality: 1 });
+      } else if (allowPrefix && term.startsWith(queryTerm)) {
+        matches.push({ term, quality: 0.5 + 0.4 * (queryTerm.length / term.length) });
+      } else if (maxDistance > 0 && Math.abs(term.length - queryTerm.length) <= maxDistance) {
+        const distance = this.editDistance(queryTerm, term, maxDistance);
+        if (distance <= maxDistance) {
+          matches.push({ term, quality: 0.6 - 0.2 * (distance - 1) });
+        }
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Damerau-Levenshtein distance, giving up early once it exceeds max
+   */
+  editDistance(a, b, max) {
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const next = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+        next.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      previousRow = row;
+      row = next;
+    }
+
+    return row[b.length];
+  }
+
+  /**
+   * Split text into plain and matched segments, so callers can highlight without innerHTML
+   * @param {string} text - Text to highlight
+   * @param {string[]} terms - Index terms from a search result
+   * @returns {Array} [{ text, match }]
+   */
+  static highlight(text, terms) {
+    const source = String(text || '');
+    const escaped = (terms || [])
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    if (escaped.length === 0) {
+      return [{ text: source, match: false }];
+    }
+
+    const pattern = new RegExp(`(${escaped.join('|')})`, 'giu');
+    // split() with one capture group puts the matches at odd positions
+    return source
+      .split(pattern)
+      .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+      .filter(segment => segment.text !== '');
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      generatedAt: this.generatedAt || new Date().toISOString(),
+      docs: this.docs,
+      terms: this.terms
+    };
+  }
+
+  htmlToText(html) {
+    return String(html || '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  truncate(text) {
+    const clean = String(text).replace(/\s+/g, ' ').trim();
+    return clean.length > this.snippetLength
+      ? clean.slice(0, this.snippetLength - 1).replace(/\s+\S*$/, '') + '…'
+      : clean;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndex;
+}
+
+export default SearchIndex;
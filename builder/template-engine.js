@@ -0,0 +1,285 @@
+/**
+ * 🧩 Template Engine
+ * Renders index templates from indexData - escaped by default, no raw leaks!
+ *
+ * Syntax:
+ *   {{content.title}}            escaped value (dotted paths, this, @index, ../parent)
+ *   {{{content.html}}}           raw value (also {{& content.html}})
+ *   {{#each wiring.repos}}…{{else}}…{{/each}}
+ *   {{#if search.enabled}}…{{else}}…{{/if}}   ({{#unless}} works the same way)
+ *   {{> nav-links}}              partial
+ *   {{< layout}}{{$hero}}…{{/hero}}{{/layout}}
+ *                                render the "layout" partial, overriding its {{$hero}}…{{/hero}} block
+ *   {{! comment }}
+ */
+
+class TemplateEngine {
+  constructor() {
+    // No prototype, so {{> constructor}} is not a "registered" partial
+    this.partials = Object.create(null);
+    this.cache = new Map();
+    this.blockHelpers = ['each', 'if', 'unless'];
+  }
+
+  /**
+   * Register a partial that templates can include with {{> name}}
+   */
+  registerPartial(name, source) {
+    this.partials[name] = source;
+  }
+
+  /**
+   * Render a template source against data
+   * @param {string} source - Template source
+   * @param {Object} data - Values available to the template
+   * @returns {string} Rendered output
+   */
+  render(source, data) {
+    return this.renderNodes(this.compile(source), [data], {}, {});
+  }
+
+  /**
+   * List the partial names a template references (partials of partials included)
+   */
+  findPartials(source, found = new Set()) {
+    const walk = (nodes) => {
+      nodes.forEach(node => {
+        if ((node.type === 'partial' || node.type === 'parent') && !found.has(node.name)) {
+          found.add(node.name);
+          if (this.partials[node.name] !== undefined) {
+            this.findPartials(this.partials[node.name], found);
+          }
+        }
+        if (node.children) walk(node.children);
+        if (node.inverse) walk(node.inverse);
+      });
+    };
+
+    walk(this.compile(source));
+    return [...found];
+  }
+
+  /**
+   * Parse a template into a node tree (cached per source)
+   */
+  compile(source) {
+    if (this.cache.has(source)) {
+      return this.cache.get(source);
+    }
+
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const tagPattern = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    const current = () => {
+      const node = stack[stack.length - 1];
+      return node.inElse ? node.inverse : node.children;
+    };
+
+    while ((match = tagPattern.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = tagPattern.lastIndex;
+
+      if (match[1] !== undefined) {
+        current().push({ type: 'value', path: match[1].trim(), raw: true });
+        continue;
+      }
+
+      const tag = match[2].trim();
+      const sigil = tag[0];
+      const body = tag.slice(1).trim();
+
+      if (sigil === '!') {
+        continue;
+      }
+
+      if (sigil === '&') {
+        current().push({ type: 'value', path: body, raw: true });
+      } else if (sigil === '>') {
+        current().push({ type: 'partial', name: body });
+      } else if (sigil === '#') {
+        const [helper, ...args] = body.split(/\s+/);
+        if (!this.blockHelpers.includes(helper)) {
+          throw new Error(`Unknown block helper {{#${helper}}}`);
+        }
+        const block = { type: 'block', helper, path: args.join(' '), children: [], inverse: [], inElse: false };
+        current().push(block);
+        stack.push(block);
+      } else if (sigil === '<' || sigil === '$') {
+        const node = { type: sigil === '<' ? 'parent' : 'slot', name: body, children: [] };
+        current().push(node);
+        stack.push(node);
+      } else if (sigil === '/') {
+        const block = stack.pop();
+        const openName = block.type === 'block' ? block.helper : block.name;
+        if (block.type === 'root' || openName !== body) {
+          throw new Error(`Unexpected {{/${body}}} - expected {{/${openName || 'nothing'}}}`);
+        }
+        delete block.inElse;
+      } else if (tag === 'else') {
+        const block = stack[stack.length - 1];
+        if (block.type !== 'block') {
+          throw new Error('{{else}} outside of a block');
+        }
+        block.inElse = true;
+      } else {
+        current().push({ type: 'value', path: tag, raw: false });
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      const opener = { block: `#${open.helper}`, parent: `< ${open.name}`, slot: `$${open.name}` }[open.type];
+      throw new Error(`Unclosed {{${opener}}} block`);
+    }
+
+    if (lastIndex < source.length) {
+      root.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    this.cache.set(source, root.children);
+    return root.children;
+  }
+
+  renderNodes(nodes, stack, locals, slots) {
+    let output = '';
+
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+        case 'value': {
+          const text = this.stringify(this.lookup(node.path, stack, locals));
+          output += node.raw ? text : this.escape(text);
+          break;
+        }
+        case 'partial': {
+          const partial = this.partials[node.name];
+          if (partial === undefined) {
+            throw new Error(`Partial "${node.name}" is not registered`);
+          }
+          output += this.renderNodes(this.compile(partial), stack, locals, slots);
+          break;
+        }
+        case 'parent': {
+          const layout = this.partials[node.name];
+          if (layout === undefined) {
+            throw new Error(`Layout "${node.name}" is not registered`);
+          }
+          // Overrides from further down the inheritance chain win
+          const own = {};
+          node.children
+            .filter(child => child.type === 'slot')
+            .forEach(child => { own[child.name] = child.children; });
+          output += this.renderNodes(this.compile(layout), stack, locals, { ...own, ...slots });
+          break;
+        }
+        case 'slot':
+          output += this.renderNodes(this.hasOwn(slots, node.name) ? slots[node.name] : node.children, stack, locals, slots);
+          break;
+        case 'block':
+          output += this.renderBlock(node, stack, locals, slots);
+          break;
+      }
+    });
+
+    return output;
+  }
+
+  renderBlock(node, stack, locals, slots) {
+    const value = this.lookup(node.path, stack, locals);
+
+    if (node.helper === 'if' || node.helper === 'unless') {
+      const truthy = this.isTruthy(value);
+      const branch = (node.helper === 'if') === truthy ? node.children : node.inverse;
+      return this.renderNodes(branch, stack, locals, slots);
+    }
+
+    // each
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : (value && typeof value === 'object' ? Object.entries(value) : []);
+
+    if (entries.length === 0) {
+      return this.renderNodes(node.inverse, stack, locals, slots);
+    }
+
+    return entries.map(([key, item], index) => this.renderNodes(node.children, [...stack, item], {
+      '@index': index,
+      '@key': key,
+      '@first': index === 0,
+      '@last': index === entries.length - 1
+    }, slots)).join('');
+  }
+
+  /**
+   * Resolve a dotted path against the context stack - own properties only,
+   * so {{constructor}} or {{#if __proto__}} never reach prototype members
+   */
+  lookup(path, stack, locals) {
+    if (this.hasOwn(locals, path)) {
+      return locals[path];
+    }
+
+    let depth = stack.length - 1;
+    let rest = path;
+    while (rest.startsWith('../')) {
+      depth = Math.max(0, depth - 1);
+      rest = rest.slice(3);
+    }
+
+    if (rest === 'this' || rest === '.') {
+      return stack[depth];
+    }
+
+    const segments = rest.replace(/^this\./, '').split('.');
+    const explicit = rest.startsWith('this.') || path.startsWith('../');
+
+    // Walk up the stack so loop bodies can still reach top-level data
+    for (let level = depth; level >= 0; level--) {
+      const scope = stack[level];
+      if (scope !== null && typeof scope === 'object' && this.hasOwn(scope, segments[0])) {
+        return segments.reduce((value, key) => (this.hasOwn(value, key) ? value[key] : undefined), scope);
+      }
+      if (explicit) break;
+    }
+
+    return undefined;
+  }
+
+  hasOwn(value, key) {
+    return value !== null && value !== undefined && Object.hasOwn(Object(value), key);
+  }
+
+  isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+  }
+
+  stringify(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  escape(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TemplateEngine;
+}
+
+export default TemplateEngine;
@@ -0,0 +1,134 @@
+/**
+ * ➕ Text Diff
+ * Line diff between two versions of a page, as a unified diff
+ *
+ * Longest-common-subsequence over lines, after trimming the shared start and
+ * end - page fixes touch a few spots, so the table stays small.
+ */
+
+class TextDiff {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.context] - Unchanged lines shown around each change (default 3)
+   */
+  constructor(options = {}) {
+    this.context = options.context ?? 3;
+  }
+
+  /**
+   * Line-by-line edit script
+   * @returns {Array} [{ op: 'equal'|'insert'|'delete', line, oldLine, newLine }] (1-based line numbers)
+   */
+  lines(before, after) {
+    const a = String(before ?? '').split('\n');
+    const b = String(after ?? '').split('\n');
+
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const oldMiddle = a.slice(prefix, a.length - suffix);
+    const newMiddle = b.slice(prefix, b.length - suffix);
+    const ops = [];
+    const push = (op, line, oldIndex, newIndex) => ops.push({ op, line, oldLine: oldIndex + 1, newLine: newIndex + 1 });
+
+    for (let i = 0; i < prefix; i++) push('equal', a[i], i, i);
+
+    // lcs[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+    const width = newMiddle.length + 1;
+    const lcs = new Uint32Array((oldMiddle.length + 1) * width);
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+      for (let j = newMiddle.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = oldMiddle[i] === newMiddle[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length || j < newMiddle.length) {
+      if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+        push('equal', oldMiddle[i], prefix + i, prefix + j);
+        i++;
+        j++;
+      } else if (i < oldMiddle.length && (j === newMiddle.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        // Deletions before insertions, as diff -u shows a replaced line
+        push('delete', oldMiddle[i], prefix + i, prefix + j - 1);
+        i++;
+      } else {
+        push('insert', newMiddle[j], prefix + i - 1, prefix + j);
+        j++;
+      }
+    }
+
+    for (let k = 0; k < suffix; k++) {
+      push('equal', a[a.length - suffix + k], a.length - suffix + k, b.length - suffix + k);
+    }
+    return ops;
+  }
+
+  /**
+   * Unified diff text (empty when nothing changed)
+   * @param {string} before
+   * @param {string} after
+   * @param {Object} [labels] - { from, to } file labels (default 'before'/'after')
+   */
+  unified(before, after, labels = {}) {
+    const ops = this.lines(before, after);
+    const changed = ops.map((entry, index) => (entry.op === 'equal' ? -1 : index)).filter(index => index >= 0);
+    if (changed.length === 0) {
+      return '';
+    }
+
+    // Group changes whose context windows touch into hunks
+    const hunks = [];
+    changed.forEach(index => {
+      const last = hunks[hunks.length - 1];
+      if (last && index - last.end <= this.context * 2 + 1) {
+        last.end = index;
+      } else {
+        hunks.push({ start: index, end: index });
+      }
+    });
+
+    const output = [`--- ${labels.from || 'before'}`, `+++ ${labels.to || 'after'}`];
+    hunks.forEach(hunk => {
+      const slice = ops.slice(Math.max(0, hunk.start - this.context), Math.min(ops.length, hunk.end + this.context + 1));
+      const oldLines = slice.filter(entry => entry.op !== 'insert');
+      const newLines = slice.filter(entry => entry.op !== 'delete');
+      const range = (lines, key) => {
+        // An empty side points at the line before it, as diff -u does
+        const start = lines.length > 0 ? lines[0][key] : Math.max(0, slice[0][key] - (slice[0].op === 'equal' ? 1 : 0));
+        return `${start},${lines.length}`;
+      };
+
+      output.push(`@@ -${range(oldLines, 'oldLine')} +${range(newLines, 'newLine')} @@`);
+      slice.forEach(entry => {
+        const mark = entry.op === 'insert' ? '+' : entry.op === 'delete' ? '-' : ' ';
+        output.push(`${mark}${entry.line}`);
+      });
+    });
+
+    return output.join('\n') + '\n';
+  }
+
+  /**
+   * Counts of added and removed lines
+   */
+  stats(before, after) {
+    const ops = this.lines(before, after);
+    return {
+      added: ops.filter(entry => entry.op === 'insert').length,
+      removed: ops.filter(entry => entry.op === 'delete').length
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextDiff;
+}
+
+export default TextDiff;
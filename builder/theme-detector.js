@@ -3,98 +3,38 @@
  * Auto-detects repo purpose and assigns appropriate theme
  */
 
+import ThemeRegistry from './theme-registry.js';
+
 class ThemeDetector {
-  constructor() {
-    this.themePatterns = {
-      mario: [
-        /mario/i,
-        /luigi/i,
-        /mushroom/i,
-        /princess/i,
-        /koopa/i,
-        /game/i,
-        /nintendo/i
-      ],
-      electronics: [
-        /circuit/i,
-        /electronics/i,
-        /hardware/i,
-        /arduino/i,
-        /raspberry/i,
-        /pcb/i,
-        /sensor/i,
-        /iot/i,
-        /embedded/i
-      ],
-      'token-wallet': [
-        /token/i,
-        /coin/i,
-        /wallet/i,
-        /crypto/i,
-        /blockchain/i,
-        /currency/i,
-        /mint/i,
-        /economy/i
-      ],
-      'lab-bench': [
-        /lab/i,
-        /experiment/i,
-        /science/i,
-        /research/i,
-        /test/i,
-        /chemistry/i,
-        /physics/i
-      ],
-      'coin-mint': [
-        /mint/i,
-        /factory/i,
-        /production/i,
-        /manufacture/i,
-        /forge/i
-      ],
-      'art-gallery': [
-        /art/i,
-        /gallery/i,
-        /design/i,
-        /creative/i,
-        /visual/i,
-        /banksy/i,
-        /paint/i,
-        /canvas/i
-      ],
-      commerce: [
-        /commerce/i,
-        /shop/i,
-        /store/i,
-        /ecommerce/i,
-        /product/i,
-        /cart/i,
-        /checkout/i
-      ],
-      'dash-hub': [
-        /dashboard/i,
-        /hub/i,
-        /admin/i,
-        /control/i,
-        /panel/i,
-        /central/i
-      ],
-      pricing: [
-        /price/i,
-        /pricing/i,
-        /cost/i,
-        /rate/i,
-        /value/i,
-        /quote/i
-      ],
-      terminal: [
-        /terminal/i,
-        /console/i,
-        /cli/i,
-        /command/i,
-        /shell/i
-      ]
+  /**
+   * @param {ThemeRegistry} registry - Loaded theme definitions (keywords are whole words,
+   *   plurals included; weight defaults to 1; negative keywords subtract) - see create()
+   */
+  constructor(registry) {
+    if (!registry) {
+      throw new Error('ThemeDetector needs a loaded ThemeRegistry - use ThemeDetector.create() to load one');
+    }
+    this.registry = registry;
+
+    // A match in the name or topics says far more than a passing README mention
+    this.fieldWeights = {
+      name: 3,
+      topics: 2.5,
+      keywords: 2,
+      description: 1.5,
+      readme: 0.5
     };
+
+    // Below this score the evidence is too thin and the repo gets 'default'
+    this.minConfidence = 2;
+  }
+
+  /**
+   * Create a detector with themes loaded from .infinity/themes/
+   * @returns {Promise<ThemeDetector>}
+   */
+  static async create(options = {}) {
+    return new ThemeDetector(await ThemeRegistry.create(options));
   }
 
   /**
@@ -103,32 +43,83 @@ class ThemeDetector {
    * @returns {string} Theme identifier
    */
   detect(repoData) {
-    const searchText = this.getSearchText(repoData);
-    
-    // Score each theme
-    const scores = {};
-    Object.keys(this.themePatterns).forEach(theme => {
-      scores[theme] = this.scoreTheme(theme, searchText);
-    });
-    
-    // Find highest scoring theme
-    let bestTheme = 'default';
-    let bestScore = 0;
-    
-    Object.entries(scores).forEach(([theme, score]) => {
-      if (score > bestScore) {
-        bestScore = score;
-        bestTheme = theme;
-      }
-    });
-    
+    const result = this.detectWithExplanation(repoData);
+
     console.log('🔍 Theme detection:', {
       repo: repoData.name,
-      scores,
-      selected: bestTheme
+      scores: result.scores,
+      selected: result.theme,
+      reason: result.reason
     });
-    
-    return bestTheme;
+
+    return result.theme;
+  }
+
+  /**
+   * Detect the theme and report why it was chosen
+   * @param {Object} repoData - Repository metadata
+   * @returns {Object} { theme, score, scores, reason, explanation } where
+   *   explanation[theme] lists every matched and negative term with its field, count and points
+   */
+  detectWithExplanation(repoData) {
+    const fields = this.getFields(repoData);
+
+    const explanation = {};
+    const scores = {};
+    this.registry.all().filter(theme => theme.keywords.length > 0).forEach(({ id: theme }) => {
+      explanation[theme] = this.scoreTheme(theme, fields);
+      scores[theme] = explanation[theme].score;
+    });
+
+    const ranked = Object.keys(scores).sort((a, b) =>
+      scores[b] - scores[a] || this.compareFieldStrength(explanation[b], explanation[a]));
+    const [best, runnerUp] = ranked;
+
+    let theme = best;
+    let reason = `highest score (${scores[best]})`;
+
+    if (!best) {
+      theme = 'default';
+      reason = 'no themes with keywords are registered';
+    } else if (ranked.every(id => explanation[id].matches.length === 0)) {
+      theme = 'default';
+      reason = 'no theme signals matched - using the default theme';
+    } else if (scores[best] < this.minConfidence) {
+      theme = 'default';
+      reason = `best score ${scores[best]} (${best}) is below the minimum confidence of ${this.minConfidence}`;
+    } else if (runnerUp && scores[best] === scores[runnerUp] &&
+               this.compareFieldStrength(explanation[best], explanation[runnerUp]) === 0) {
+      theme = 'default';
+      reason = `tie between ${best} and ${runnerUp} at ${scores[best]}`;
+    } else if (runnerUp && scores[best] === scores[runnerUp]) {
+      reason = `tied with ${runnerUp} at ${scores[best]}, won on stronger fields`;
+    }
+
+    return {
+      theme,
+      score: theme === 'default' ? 0 : scores[best],
+      scores,
+      reason,
+      explanation
+    };
+  }
+
+  /**
+   * Split repo data into the fields that carry different weights
+   */
+  getFields(repoData) {
+    const words = text => String(text || '')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[_/-]+/g, ' ')
+      .toLowerCase();
+
+    return {
+      name: words(repoData.name),
+      topics: (repoData.topics || []).map(words).join(' \n '),
+      keywords: (repoData.keywords || []).map(words).join(' \n '),
+      description: words(repoData.description),
+      readme: String(repoData.readme || '').toLowerCase()
+    };
   }
 
   /**
@@ -147,95 +138,70 @@ class ThemeDetector {
   }
 
   /**
-   * Score a theme based on pattern matches
+   * Score a theme from weighted, word-boundary keyword matches
+   * @returns {Object} { score, matches, negatives }
    */
-  scoreTheme(theme, searchText) {
-    const patterns = this.themePatterns[theme] || [];
-    let score = 0;
-    
-    patterns.forEach(pattern => {
-      if (pattern.test(searchText)) {
-        score += 1;
-      }
+  scoreTheme(theme, fields) {
+    const definition = this.registry.get(theme) || { keywords: [], negative: [] };
+    const matches = this.matchTerms(definition.keywords, fields);
+    const negatives = this.matchTerms(definition.negative, fields);
+
+    const total = matches.reduce((sum, m) => sum + m.points, 0) -
+                  negatives.reduce((sum, m) => sum + m.points, 0);
+
+    return {
+      score: Math.max(0, Math.round(total * 100) / 100),
+      matches,
+      negatives
+    };
+  }
+
+  matchTerms(terms, fields) {
+    const found = [];
+
+    terms.forEach(entry => {
+      const { term, weight = 1 } = typeof entry === 'string' ? { term: entry } : entry;
+      const pattern = this.termPattern(term);
+
+      Object.entries(fields).forEach(([field, text]) => {
+        const count = (text.match(pattern) || []).length;
+        if (count === 0) return;
+
+        // Repeats count, but with diminishing returns so a chatty README can't dominate
+        const points = this.fieldWeights[field] * weight * (1 + Math.log2(count));
+        found.push({ term, field, count, points: Math.round(points * 100) / 100 });
+      });
     });
-    
-    return score;
+
+    return found;
+  }
+
+  termPattern(term) {
+    const escaped = term.toLowerCase()
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/[\s-]+/g, '[\\s-]+');
+    return new RegExp(`(?<![\\w.])${escaped}(?:s|es)?(?!\\w)`, 'g');
+  }
+
+  /**
+   * Order two explanations by their points in the strongest fields first
+   */
+  compareFieldStrength(a, b) {
+    for (const field of Object.keys(this.fieldWeights)) {
+      const pointsIn = result => result.matches
+        .filter(m => m.field === field)
+        .reduce((sum, m) => sum + m.points, 0);
+      const diff = pointsIn(a) - pointsIn(b);
+      if (diff !== 0) return diff;
+    }
+    return 0;
   }
 
   /**
    * Get theme metadata
    */
   getThemeInfo(theme) {
-    const themes = {
-      mario: {
-        name: 'Mario Theme',
-        icon: '🍄',
-        colors: ['#e52521', '#0066cc', '#00cc00'],
-        description: 'Fun and playful Mario-themed interface'
-      },
-      electronics: {
-        name: 'Electronics Lab',
-        icon: '🔌',
-        colors: ['#00ff00', '#0000ff', '#ff9900'],
-        description: 'Lab bench with circuits and components'
-      },
-      'token-wallet': {
-        name: 'Token Wallet',
-        icon: '🪙',
-        colors: ['#ffd700', '#ff6b35', '#004e98'],
-        description: 'Cryptocurrency and token management'
-      },
-      'lab-bench': {
-        name: 'Laboratory',
-        icon: '🧪',
-        colors: ['#00cccc', '#9933ff', '#ff3366'],
-        description: 'Scientific research and experiments'
-      },
-      'coin-mint': {
-        name: 'Coin Mint',
-        icon: '🏭',
-        colors: ['#c0c0c0', '#ffd700', '#cd7f32'],
-        description: 'Token production and minting'
-      },
-      'art-gallery': {
-        name: 'Art Gallery',
-        icon: '🎨',
-        colors: ['#ff1744', '#00e676', '#2979ff'],
-        description: 'Creative arts and design showcase'
-      },
-      commerce: {
-        name: 'Commerce Hub',
-        icon: '🛒',
-        colors: ['#4caf50', '#ff9800', '#2196f3'],
-        description: 'E-commerce and shopping platform'
-      },
-      'dash-hub': {
-        name: 'Dashboard Hub',
-        icon: '📊',
-        colors: ['#3f51b5', '#f44336', '#4caf50'],
-        description: 'Central control dashboard'
-      },
-      pricing: {
-        name: 'Pricing Engine',
-        icon: '💰',
-        colors: ['#ffd700', '#4caf50', '#2196f3'],
-        description: 'Price calculation and quotes'
-      },
-      terminal: {
-        name: 'Terminal',
-        icon: '💻',
-        colors: ['#00ff00', '#000000', '#ffffff'],
-        description: 'Command-line interface'
-      },
-      default: {
-        name: 'Default Theme',
-        icon: '🌐',
-        colors: ['#00e5ff', '#0b0b0b', '#e6e6e6'],
-        description: 'Clean and professional default theme'
-      }
-    };
-    
-    return themes[theme] || themes.default;
+    return this.registry.getInfo(theme);
   }
 }
 
@@ -0,0 +1,156 @@
+/**
+ * 🎨 Theme Registry
+ * Single source of theme knowledge - loaded from .infinity/themes/<id>.json
+ *
+ * The enabled theme ids come from builder-config.json "themes". Each
+ * definition carries keywords, colors, icon, description, template and
+ * stylesheet, so adding a theme means adding one JSON file, one config entry
+ * and the template/stylesheet it names under templates/.
+ */
+
+import FetchLoader from '../loaders/fetch-loader.js';
+
+class ThemeRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {ResourceLoader} [options.loader] - Where theme files come from (default: fetch from site root)
+   */
+  constructor(options = {}) {
+    this.loader = options.loader || new FetchLoader();
+    this.directory = '.infinity/themes';
+    this.themes = new Map();
+    // Colors end up in a style attribute, so only plain hex values are accepted
+    this.colorPattern = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+    // Used only when no 'default' definition has been loaded
+    this.fallback = {
+      id: 'default',
+      name: 'Default Theme',
+      icon: '🌐',
+      description: 'Clean and professional default theme',
+      colors: ['#00e5ff', '#0b0b0b', '#e6e6e6'],
+      template: 'base-index.html',
+      stylesheet: 'themes/default.css',
+      keywords: [],
+      negative: []
+    };
+  }
+
+  /**
+   * Create a registry loaded with the themes listed in builder-config.json
+   * @returns {Promise<ThemeRegistry>}
+   */
+  static async create(options = {}) {
+    const registry = new ThemeRegistry(options);
+    await registry.loadFromConfig();
+    return registry;
+  }
+
+  async loadFromConfig() {
+    try {
+      const config = await this.loader.readJson('.infinity/builder-config.json');
+      await this.load(config?.themes || []);
+    } catch (err) {
+      console.error('Failed to load theme config:', err);
+    }
+    return this;
+  }
+
+  /**
+   * Load theme definitions by id
+   * @param {string[]} ids - Theme ids, each read from .infinity/themes/<id>.json
+   */
+  async load(ids) {
+    for (const id of ids) {
+      try {
+        const definition = await this.loader.readJson(`${this.directory}/${id}.json`);
+        if (definition === null) {
+          console.error(`Theme "${id}" is enabled but ${this.directory}/${id}.json does not exist`);
+          continue;
+        }
+        this.register({ id, ...definition });
+      } catch (err) {
+        console.error(`Failed to load theme "${id}":`, err);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Add or replace a theme definition
+   */
+  register(definition) {
+    const { id } = definition;
+    if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+      throw new Error(`Invalid theme id: ${JSON.stringify(id)}`);
+    }
+    if (!definition.name || !definition.template) {
+      throw new Error(`Theme "${id}" needs a name and a template`);
+    }
+    const colors = Array.isArray(definition.colors) ? definition.colors : [];
+    const badColor = colors.find(color => !this.colorPattern.test(color));
+    if (badColor !== undefined) {
+      throw new Error(`Theme "${id}" has an invalid color: ${JSON.stringify(badColor)}`);
+    }
+
+    this.themes.set(id, {
+      id,
+      name: definition.name,
+      icon: definition.icon || this.fallback.icon,
+      description: definition.description || '',
+      // Primary, secondary and accent - missing slots borrow the fallback palette
+      colors: [0, 1, 2].map(index => colors[index] || this.fallback.colors[index]),
+      template: definition.template,
+      stylesheet: definition.stylesheet || `themes/${id}.css`,
+      keywords: Array.isArray(definition.keywords) ? definition.keywords : [],
+      negative: Array.isArray(definition.negative) ? definition.negative : []
+    });
+    return this;
+  }
+
+  has(id) {
+    return this.themes.has(id);
+  }
+
+  get(id) {
+    return this.themes.get(id);
+  }
+
+  /**
+   * Theme ids in load order
+   */
+  ids() {
+    return [...this.themes.keys()];
+  }
+
+  all() {
+    return [...this.themes.values()];
+  }
+
+  /**
+   * Full definition for a theme, falling back to the default theme
+   */
+  resolve(id) {
+    return this.get(id) || this.get('default') || this.fallback;
+  }
+
+  /**
+   * Display metadata for a theme, falling back to the default theme
+   */
+  getInfo(id) {
+    const theme = this.resolve(id);
+    return {
+      name: theme.name,
+      icon: theme.icon,
+      colors: theme.colors,
+      description: theme.description
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeRegistry;
+}
+
+export default ThemeRegistry;
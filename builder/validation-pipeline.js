@@ -0,0 +1,272 @@
+/**
+ * 🚦 Validation Pipeline
+ * One quality gate for every page - content checks, then HTML checks, one report
+ *
+ * Stages:
+ *   content - the object ContentBuilder.buildContent() returns, before rendering
+ *   html    - the rendered page, through NoJunkyPages (and a LinkChecker report)
+ *
+ * Both stages are RulesEngine rule sets, so severities, weights and options come
+ * from quality_rules in builder-config.json. A stage without input is skipped.
+ * The report renders as JSON, JUnit XML or an HTML page via ValidationReporter.
+ */
+
+import NoJunkyPages from './no-junky-pages.js';
+import ContentBuilder from './content-builder.js';
+import RulesEngine from './rules-engine.js';
+import FetchLoader from '../loaders/fetch-loader.js';
+
+// The prose a visitor reads from the content object - keys, actions and
+// input placeholders are configuration, not text
+const CONTENT_TEXT_FIELDS = {
+  header: ['title', 'subtitle'],
+  hero: ['tagline', 'description'],
+  features: ['title', 'description'],
+  footer: ['branding', 'quality']
+};
+
+class ValidationPipeline {
+  /**
+   * @param {Object} [options]
+   * @param {NoJunkyPages} [options.validator] - HTML stage validator
+   * @param {string|URL} [options.baseUrl] - Where custom rule modules are resolved from
+   * @param {ContentBuilder} [options.contentBuilder] - Passed to the HTML stage validator for autoFix()
+   */
+  constructor(options = {}) {
+    this.validator = options.validator || new NoJunkyPages({ baseUrl: options.baseUrl, contentBuilder: options.contentBuilder });
+    this.contentRules = new RulesEngine({ baseUrl: options.baseUrl });
+    this.registerContentRules();
+  }
+
+  /**
+   * Create a pipeline configured from builder-config.json quality_rules
+   * @param {Object} [options] - { loader, baseUrl, contentBuilder } - without a contentBuilder,
+   *   one is loaded from the same .infinity/ config
+   * @returns {Promise<ValidationPipeline>}
+   */
+  static async create(options = {}) {
+    const loader = options.loader || new FetchLoader();
+    const contentBuilder = options.contentBuilder || await ContentBuilder.create({ loader });
+    const pipeline = new ValidationPipeline({ ...options, contentBuilder });
+    try {
+      const config = await loader.readJson('.infinity/builder-config.json');
+      await pipeline.configure(config?.quality_rules);
+    } catch (err) {
+      console.error('Failed to load quality rules:', err);
+    }
+    return pipeline;
+  }
+
+  /**
+   * Apply quality_rules: rules/modules configure the HTML stage, content the content stage
+   * @param {Object} [qualityRules] - { modules, rules, content: [{ id, severity, weight, options }] }
+   */
+  async configure(qualityRules = {}) {
+    await this.validator.configure(qualityRules || {});
+    this.contentRules.configure(qualityRules?.content || []);
+    return this;
+  }
+
+  registerContentRules() {
+    [
+      { id: 'content_no_placeholders', weight: 20, description: 'No placeholder text in headings, hero, features or footer',
+        check: page => this.checkContentText(page.content) },
+      // A tiny repo can honestly have nothing to list - report it, don't fail the page
+      { id: 'content_features', weight: 10, severity: 'warning', description: 'At least one feature derived from the repo',
+        check: (page, options) => this.checkFeatures(page.content, options) },
+      { id: 'content_navigation', weight: 5, description: 'Main navigation has links',
+        check: page => this.checkNavigation(page.content) },
+      { id: 'content_token_economy', weight: 5, description: 'Sidebar shows the token economy',
+        check: page => this.checkTokenEconomy(page.content) }
+    ].forEach(rule => this.contentRules.register({ severity: 'error', ...rule }));
+  }
+
+  /**
+   * Validate one page through every stage that has input
+   * @param {Object} page
+   * @param {string} [page.repo] - Repo name for the report
+   * @param {string} [page.url] - Where the page is served
+   * @param {Object} [page.content] - ContentBuilder.buildContent() result
+   * @param {string} [page.html] - Rendered page
+   * @param {Object} [page.themeInfo] - For contrast checks
+   * @param {Object} [page.links] - LinkChecker.check() report
+   * @returns {Object} Page report
+   */
+  validate(page) {
+    const stages = {
+      content: page.content ? this.runContentStage(page.content) : { skipped: true },
+      html: page.html !== undefined ? this.runHtmlStage(page) : { skipped: true }
+    };
+
+    const ran = Object.entries(stages).filter(([, stage]) => !stage.skipped);
+    const tagged = list => ran.flatMap(([name, stage]) => stage[list].map(entry => ({ stage: name, ...entry })));
+    const errors = tagged('errors');
+    const warnings = tagged('warnings');
+    const passed = ran.length > 0 && errors.length === 0;
+    const warningNote = warnings.length > 0 ? ` (${warnings.length} warning${warnings.length > 1 ? 's' : ''})` : '';
+
+    return {
+      repo: page.repo || null,
+      url: page.url || null,
+      passed,
+      // The HTML stage is the 100-point page score; content failures fail the page outright
+      score: stages.html.skipped ? (stages.content.score ?? 0) : stages.html.score,
+      verdict: passed ? `✅ PROPER PAGE - Quality Approved!${warningNote}` : '❌ JUNKY PAGE - Needs Improvement!',
+      errors,
+      warnings,
+      suppressed: tagged('suppressed'),
+      recommendations: errors.length + warnings.length === 0 ? [] : this.getRecommendations(stages),
+      stages
+    };
+  }
+
+  runContentStage(content) {
+    const outcome = this.contentRules.run({ content });
+    return { skipped: false, ...outcome };
+  }
+
+  runHtmlStage(page) {
+    const result = this.validator.validate(page.html, { themeInfo: page.themeInfo, links: page.links });
+    return {
+      skipped: false,
+      passed: result.passed,
+      score: result.score,
+      results: result.results,
+      errors: result.errors,
+      warnings: result.warnings,
+      suppressed: result.suppressed
+    };
+  }
+
+  /**
+   * Summary over many page reports - what the reporters render
+   * @param {Object[]} pages - validate() results
+   * @param {Object} [meta] - Extra fields, e.g. { outDir }
+   */
+  summarize(pages, meta = {}) {
+    return {
+      generatedAt: new Date().toISOString(),
+      ...meta,
+      total: pages.length,
+      passed: pages.filter(page => page.passed).length,
+      failed: pages.filter(page => !page.passed).length,
+      warnings: pages.reduce((sum, page) => sum + (page.warnings || []).length, 0),
+      pages
+    };
+  }
+
+  /**
+   * Junk patterns (the no_placeholders rule's) in the content's visible prose
+   */
+  checkContentText(content) {
+    const issues = [];
+    this.contentTexts(content).forEach(({ field, text }) => {
+      const match = this.junkMatch(text);
+      if (match) {
+        issues.push({ field, text: match, message: `Placeholder text "${match}"`, fix: 'Derive this text from the repo instead' });
+      }
+    });
+
+    return {
+      passed: issues.length === 0,
+      issues,
+      message: issues.length === 0
+        ? '✅ No placeholder text in content'
+        : `❌ Placeholder text in content: ${issues.map(issue => issue.field).join(', ')}`
+    };
+  }
+
+  /**
+   * @returns {Array} [{ field: 'features[2].title', text }]
+   */
+  contentTexts(content) {
+    const texts = [];
+    Object.entries(CONTENT_TEXT_FIELDS).forEach(([section, fields]) => {
+      const value = content?.[section];
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [`${section}[${index}]`, item])
+        : [[section, value]];
+      entries.forEach(([prefix, item]) => {
+        fields
+          .filter(field => typeof item?.[field] === 'string')
+          .forEach(field => texts.push({ field: `${prefix}.${field}`, text: item[field] }));
+      });
+    });
+    return texts;
+  }
+
+  junkMatch(text) {
+    const patterns = this.validator.compilePatterns(this.validator.rules.get('no_placeholders')?.options.patterns);
+    for (const pattern of patterns) {
+      const match = pattern.exec(text);
+      if (match) return match[0];
+    }
+    return null;
+  }
+
+  checkFeatures(content, options = {}) {
+    const count = (content?.features || []).length;
+    const minFeatures = options.minFeatures ?? 1;
+    const passed = count >= minFeatures;
+    return {
+      passed,
+      count,
+      issues: passed ? [] : [{ field: 'features', message: 'Too few features derived from the repo', fix: 'Add README sections, package.json scripts/bin/exports or source files the builder can describe' }],
+      message: passed ? `✅ ${count} features` : `❌ Only ${count} features found in the repo (needs ${minFeatures})`
+    };
+  }
+
+  checkNavigation(content) {
+    const links = (content?.navigation?.main || []).filter(link => link.url && link.label);
+    const passed = links.length > 0;
+    return {
+      passed,
+      issues: passed ? [] : [{ field: 'navigation.main', message: 'No navigation links', fix: 'Return links from ContentBuilder.buildNavigation()' }],
+      message: passed ? `✅ ${links.length} navigation links` : '❌ Main navigation is empty'
+    };
+  }
+
+  checkTokenEconomy(content) {
+    const passed = Boolean(content?.sidebar?.tokenEconomy);
+    return {
+      passed,
+      issues: passed ? [] : [{ field: 'sidebar.tokenEconomy', message: 'No token economy panel', fix: 'Return tokenEconomy from ContentBuilder.buildSidebar()' }],
+      message: passed ? '✅ Token economy shown' : '❌ Sidebar has no token economy'
+    };
+  }
+
+  /**
+   * Recommendations from every stage that ran, content first
+   */
+  getRecommendations(stages) {
+    const recommendations = [];
+
+    if (!stages.content.skipped) {
+      Object.values(stages.content.results)
+        .filter(result => !result.passed)
+        .forEach(result => {
+          recommendations.push(`🔧 ${result.message}`);
+          (result.issues || []).forEach(issue => {
+            recommendations.push(`   ${issue.message} at ${issue.field}${issue.fix ? ` - ${issue.fix}` : ''}`);
+          });
+        });
+    }
+
+    if (!stages.html.skipped && (stages.html.errors.length + stages.html.warnings.length) > 0) {
+      recommendations.push(...this.validator.getRecommendations(stages.html));
+    }
+
+    return recommendations;
+  }
+
+  getLuigiMessage(passed) {
+    return this.validator.getLuigiMessage(passed);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValidationPipeline;
+}
+
+export default ValidationPipeline;
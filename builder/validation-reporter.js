@@ -0,0 +1,213 @@
+/**
+ * 🧾 Validation Reporter
+ * Renders a ValidationPipeline summary as JSON, JUnit XML or an HTML report page
+ *
+ * JUnit maps each page to a <testsuite> and each rule to a <testcase>:
+ * errors are <failure>s, warnings pass with the details in <system-out>,
+ * suppressed rules are <skipped>. CI servers pick that up as-is.
+ */
+
+const FORMATS = {
+  json: { extension: 'json', type: 'application/json' },
+  junit: { extension: 'xml', type: 'application/xml' },
+  html: { extension: 'html', type: 'text/html' }
+};
+
+class ValidationReporter {
+  /**
+   * Supported formats: { json, junit, html } → { extension, type }
+   */
+  static get formats() {
+    return FORMATS;
+  }
+
+  /**
+   * Render a summary in one format
+   * @param {Object} report - ValidationPipeline.summarize() result
+   * @param {string} format - json, junit or html
+   * @returns {string}
+   */
+  render(report, format) {
+    switch (format) {
+      case 'json':
+        return this.toJSON(report);
+      case 'junit':
+        return this.toJUnit(report);
+      case 'html':
+        return this.toHTML(report);
+      default:
+        throw new Error(`Unknown report format "${format}" (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+  }
+
+  toJSON(report) {
+    return JSON.stringify(report, null, 2) + '\n';
+  }
+
+  toJUnit(report) {
+    const suites = report.pages.map(page => {
+      const cases = this.ruleResults(page);
+      const failures = cases.filter(entry => entry.outcome === 'failure').length;
+      const skipped = cases.filter(entry => entry.outcome === 'skipped').length;
+      const name = page.repo || page.url || 'page';
+
+      const testcases = cases.map(entry => {
+        const open = `    <testcase classname="${this.escape(`${name}.${entry.stage}`)}" name="${this.escape(entry.rule)}"`;
+        const details = this.escape(this.issueLines(entry.result).join('\n'));
+        if (entry.outcome === 'failure') {
+          return `${open}>\n      <failure message="${this.escape(this.plain(entry.result.message))}" type="${entry.stage}">${details}</failure>\n    </testcase>`;
+        }
+        if (entry.outcome === 'skipped') {
+          return `${open}>\n      <skipped message="${this.escape(this.plain(entry.result.message))}"/>\n    </testcase>`;
+        }
+        if (entry.outcome === 'warning') {
+          return `${open}>\n      <system-out>${this.escape(`warning: ${this.plain(entry.result.message)}`)}${details ? `\n${details}` : ''}</system-out>\n    </testcase>`;
+        }
+        return `${open}/>`;
+      });
+
+      // A page that failed before validation (build error) has no rules to list
+      if (page.error) {
+        testcases.push(`    <testcase classname="${this.escape(`${name}.build`)}" name="build">\n      <error message="${this.escape(page.error)}"/>\n    </testcase>`);
+      }
+
+      return [
+        `  <testsuite name="${this.escape(name)}" tests="${testcases.length}" failures="${failures}" errors="${page.error ? 1 : 0}" skipped="${skipped}" timestamp="${this.escape(report.generatedAt)}">`,
+        ...testcases,
+        '  </testsuite>'
+      ].join('\n');
+    });
+
+    const tests = report.pages.reduce((sum, page) => sum + this.ruleResults(page).length + (page.error ? 1 : 0), 0);
+    const failures = report.pages.reduce((sum, page) => sum + (page.errors || []).length, 0);
+    const errors = report.pages.filter(page => page.error).length;
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="infinity-index" tests="${tests}" failures="${failures}" errors="${errors}">`,
+      ...suites,
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  toHTML(report) {
+    const rows = report.pages.map(page => `        <tr>
+          <td><a href="#${this.escape(this.anchor(page))}">${this.escape(page.repo || page.url || 'page')}</a></td>
+          <td>${page.passed ? '✅ Proper' : '❌ Junky'}</td>
+          <td>${page.score ?? 0}</td>
+          <td>${(page.errors || []).length}</td>
+          <td>${(page.warnings || []).length}</td>
+          <td>${(page.suppressed || []).length}</td>
+        </tr>`).join('\n');
+
+    const details = report.pages.map(page => {
+      const cases = this.ruleResults(page).filter(entry => entry.outcome !== 'passed');
+      const items = cases.map(entry => `          <li class="${entry.outcome}">
+            <strong>${this.escape(entry.stage)} / ${this.escape(entry.rule)}</strong> - ${this.escape(entry.result.message)}
+${this.issueLines(entry.result).map(line => `            <div class="issue">${this.escape(line)}</div>`).join('\n')}
+          </li>`).join('\n');
+
+      return `      <section id="${this.escape(this.anchor(page))}">
+        <h2>${page.passed ? '✅' : '❌'} ${this.escape(page.repo || page.url || 'page')}</h2>
+        <p>${this.escape(page.error || page.verdict || '')}${page.url ? ` - <a href="${this.escape(page.url)}">${this.escape(page.url)}</a>` : ''}</p>
+${items ? `        <ul>\n${items}\n        </ul>` : '        <p>Every rule passed.</p>'}
+      </section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Validation Report - ${report.passed}/${report.total} proper</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 0; color: #1a1a1a; background: #f5f5f5; }
+    header, main, footer { max-width: 960px; margin: 0 auto; padding: 1rem; }
+    table { width: 100%; border-collapse: collapse; background: #fff; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #ddd; }
+    section { background: #fff; margin: 1rem 0; padding: 1rem; border-radius: 6px; }
+    li { margin: 0.5rem 0; }
+    li.failure strong { color: #b71c1c; }
+    li.warning strong { color: #8a5300; }
+    li.skipped strong { color: #555; }
+    .issue { font-family: monospace; font-size: 0.85rem; color: #333; margin-left: 1rem; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>🚦 Validation Report</h1>
+    <p>${report.passed} of ${report.total} pages proper, ${report.failed} junky, ${report.warnings} warnings - generated ${this.escape(report.generatedAt)}</p>
+  </header>
+  <main>
+    <table>
+      <thead>
+        <tr><th scope="col">Page</th><th scope="col">Verdict</th><th scope="col">Score</th><th scope="col">Errors</th><th scope="col">Warnings</th><th scope="col">Suppressed</th></tr>
+      </thead>
+      <tbody>
+${rows}
+      </tbody>
+    </table>
+${details}
+  </main>
+  <footer>
+    <p>🎛️ INDEX_BUILDER - NO junky indexes, proper pages only!</p>
+  </footer>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Every rule that ran on a page, with its outcome
+   * @returns {Array} [{ stage, rule, result, outcome: passed|failure|warning|skipped }]
+   */
+  ruleResults(page) {
+    return Object.entries(page.stages || {})
+      .filter(([, stage]) => !stage.skipped)
+      .flatMap(([stageName, stage]) => Object.values(stage.results).map(result => ({
+        stage: stageName,
+        rule: result.rule,
+        result,
+        outcome: result.suppressed ? 'skipped'
+          : result.passed ? 'passed'
+            : result.severity === 'error' ? 'failure' : 'warning'
+      })));
+  }
+
+  issueLines(result) {
+    return (result.issues || []).map(issue => {
+      const text = issue.message || (issue.text ? `"${issue.text}"` : '');
+      const where = issue.path ? ` at ${issue.path} (line ${issue.line}, column ${issue.column})`
+        : issue.field ? ` at ${issue.field}` : '';
+      return `${text}${where}${issue.fix ? ` - ${issue.fix}` : ''}`;
+    });
+  }
+
+  anchor(page) {
+    return `page-${String(page.repo || page.url || 'page').toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+  }
+
+  // Messages lead with ✅/❌ for the console; attributes read better without
+  plain(message) {
+    return String(message || '').replace(/^[✅❌⏭️\s]+/u, '');
+  }
+
+  // Control characters and lone surrogates are not allowed in XML at all, escaped or not
+  escape(text) {
+    return String(text ?? '')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValidationReporter;
+}
+
+export default ValidationReporter;
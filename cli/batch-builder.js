@@ -0,0 +1,431 @@
+/**
+ * 🏭 Batch Builder
+ * Builds proper index pages for a whole directory of repos from disk
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+import AutoIndexGenerator from '../builder/auto-index-generator.js';
+import ValidationPipeline from '../builder/validation-pipeline.js';
+import ValidationReporter from '../builder/validation-reporter.js';
+import LinkChecker from '../builder/link-checker.js';
+import SearchIndex from '../builder/search-index.js';
+import FileSystemLoader from '../loaders/fs-loader.js';
+import FetchLoader from '../loaders/fetch-loader.js';
+import RepoConnector from '../wiring/repo-connector.js';
+import RequestSigner from '../wiring/request-signer.js';
+import AlcLedger from '../ledger/alc-ledger.js';
+import JsonLinesStore from '../ledger/jsonl-store.js';
+
+const DESIGNER_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const README_NAMES = ['README.md', 'readme.md', 'README.markdown', 'README.txt', 'README'];
+
+const IGNORED_DIRS = new Set(['.git', 'node_modules', 'dist', 'build', 'coverage', 'vendor']);
+const MAX_FILES = 5000;
+
+// Browser modules (and the theme data they read) that generated pages import,
+// copied to the same paths under outDir - directories are copied whole
+const RUNTIME_ASSETS = [
+  'builder/search-index.js',
+  'builder/theme-registry.js',
+  'loaders/resource-loader.js',
+  'loaders/fetch-loader.js',
+  'ui',
+  '.infinity/builder-config.json',
+  '.infinity/themes',
+  'templates/themes'
+];
+
+class BatchBuilder {
+  /**
+   * @param {Object} options
+   * @param {string} options.reposDir - Directory whose subdirectories are repos
+   * @param {string} options.outDir - Directory that receives <repo>/index.html and the report
+   * @param {string} [options.designerRoot] - Where .infinity/ and templates/ are read from
+   * @param {string} [options.linkBaseUrl] - Check links against this server instead of outDir
+   * @param {string[]} [options.reportFormats] - Validation reports to write (default: json, junit, html)
+   * @param {string|false} [options.ledgerFile] - ALC ledger to record rewards in (default: none)
+   */
+  constructor(options) {
+    this.reposDir = path.resolve(options.reposDir);
+    this.outDir = path.resolve(options.outDir);
+    this.designerRoot = options.designerRoot || DESIGNER_ROOT;
+    this.linkBaseUrl = options.linkBaseUrl || null;
+    this.reportFormats = options.reportFormats || Object.keys(ValidationReporter.formats);
+    const unknown = this.reportFormats.filter(format => !ValidationReporter.formats[format]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown report format: ${unknown.join(', ')} (use ${Object.keys(ValidationReporter.formats).join(', ')})`);
+    }
+
+    // Opt-in: a build never writes into the designer's own files unless asked to
+    this.ledgerFile = options.ledgerFile ? path.resolve(options.ledgerFile) : null;
+    this.ledger = this.ledgerFile ? new AlcLedger({ store: new JsonLinesStore(this.ledgerFile) }) : null;
+
+    this.generator = new AutoIndexGenerator({ loader: new FileSystemLoader(this.designerRoot), ledger: this.ledger });
+    this.pipeline = new ValidationPipeline({
+      baseUrl: pathToFileURL(this.designerRoot + path.sep),
+      contentBuilder: this.generator.contentBuilder
+    });
+    this.reporter = new ValidationReporter();
+    // Content objects per page url, validated with the HTML once links can be checked
+    this.contents = new Map();
+    // Same registry the pages render from; /health endpoints are only reachable through a server.
+    // Pings are signed with the designer's .infinity/wiring-secrets.json, never fetched from that server
+    this.repoConnector = new RepoConnector({
+      registry: this.generator.connections,
+      signer: new RequestSigner({ loader: this.generator.loader }),
+      ...(this.linkBaseUrl ? { loader: new FetchLoader({ baseUrl: this.linkBaseUrl }) } : {})
+    });
+    this.connectionResults = [];
+    this.searchIndex = new SearchIndex();
+  }
+
+  /**
+   * Build every repo and write the summary report
+   * @returns {Object} Summary report
+   */
+  async buildAll() {
+    await this.generator.ready();
+    await this.pipeline.configure(this.generator.config?.quality_rules);
+
+    // Fail the whole batch up front rather than building pages with a missing theme
+    const templates = await this.generator.checkTemplates();
+    if (!templates.ok) {
+      const details = templates.missing.map(entry => `  ${entry.theme}: ${entry.error}`).join('\n');
+      throw new Error(`Theme templates are incomplete:\n${details}`);
+    }
+
+    // Checked before building so pages show each repo's status; paid as wiring rewards
+    this.connectionResults = this.linkBaseUrl
+      ? Object.values((await this.repoConnector.connectAll()).results)
+      : [];
+
+    const repoDirs = await this.listRepoDirs();
+    const pages = [];
+    this.searchIndex = new SearchIndex();
+    this.contents = new Map();
+
+    for (const repoDir of repoDirs) {
+      pages.push(await this.buildRepo(repoDir));
+    }
+
+    await fs.mkdir(this.outDir, { recursive: true });
+    const searchIndex = await this.writeSearchIndex(repoDirs.map(repoDir => path.basename(repoDir)));
+    await this.copyRuntimeAssets();
+    const { links, validations } = await this.validatePages(pages);
+    const reports = await this.writeReports(validations);
+    const ledger = await this.awardTokens(validations, pages);
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      reposDir: this.reposDir,
+      outDir: this.outDir,
+      total: pages.length,
+      proper: pages.filter(p => p.passed).length,
+      junky: pages.filter(p => !p.passed).length,
+      searchIndex,
+      links,
+      reports,
+      ledger,
+      pages
+    };
+
+    await fs.writeFile(path.join(this.outDir, 'build-report.json'), JSON.stringify(report, null, 2) + '\n');
+
+    return report;
+  }
+
+  /**
+   * Validation stage, once every page and asset a page can link to is written:
+   * resolve each page's links against the finished site, then run the pipeline
+   * @param {Object[]} pages - buildRepo() results, completed in place
+   * @returns {Object} { links: totals across all pages, validations: pipeline page reports }
+   */
+  async validatePages(pages) {
+    const loader = this.linkBaseUrl
+      ? new FetchLoader({ baseUrl: this.linkBaseUrl })
+      : new FileSystemLoader(this.outDir);
+    const linkChecker = new LinkChecker({ loader, parser: this.pipeline.validator.parser, externalPaths: this.externalPaths(pages) });
+    const totals = { checkedAgainst: this.linkBaseUrl || this.outDir, links: 0, dead: 0, missingAnchors: 0, duplicateIds: 0 };
+    const validations = [];
+
+    for (const page of pages) {
+      if (page.error) {
+        validations.push({ repo: page.repo, theme: page.theme || null, url: null, passed: false, score: 0, verdict: page.verdict, error: page.error, errors: [], warnings: [], suppressed: [], recommendations: [], stages: {} });
+        continue;
+      }
+
+      try {
+        const html = await fs.readFile(path.join(this.outDir, page.output), 'utf8');
+        const links = await linkChecker.check(html, { pageUrl: page.url });
+        const validation = this.pipeline.validate({
+          repo: page.repo,
+          url: page.url,
+          content: this.contents.get(page.url),
+          html,
+          themeInfo: this.generator.themeRegistry.getInfo(page.theme),
+          links
+        });
+        validations.push({ theme: page.theme, ...validation });
+
+        Object.assign(page, {
+          passed: validation.passed,
+          score: validation.score,
+          verdict: validation.verdict,
+          errors: validation.errors.map(entry => `${entry.stage}/${entry.rule}`),
+          warnings: validation.warnings.map(entry => `${entry.stage}/${entry.rule}`),
+          suppressed: validation.suppressed.map(({ stage, rule, scope, reason }) => ({ stage, rule, scope, reason })),
+          recommendations: validation.recommendations
+        });
+        totals.links += links.links;
+        totals.dead += links.dead.length;
+        totals.missingAnchors += links.missingAnchors.length;
+        totals.duplicateIds += links.duplicateIds.length;
+      } catch (err) {
+        Object.assign(page, { passed: false, score: 0, verdict: '❌ VALIDATION FAILED', error: err.message });
+        validations.push({ repo: page.repo, theme: page.theme, url: page.url, passed: false, score: 0, verdict: page.verdict, error: err.message, errors: [], warnings: [], suppressed: [], recommendations: [], stages: {} });
+      }
+    }
+
+    return { links: totals, validations };
+  }
+
+  /**
+   * The site root (the designer's own page, the navigation's Home) and connected
+   * repos this build didn't produce are other sites: only a link base - a server
+   * that answers for them - can check links to them
+   */
+  externalPaths(pages) {
+    if (this.linkBaseUrl) {
+      return [];
+    }
+    const built = new Set(pages.filter(page => page.url).map(page => page.url.replace(/\/+$/, '')));
+    const repos = this.generator.connections.all()
+      .map(connection => connection.url)
+      .filter(url => !built.has(url));
+    return ['/', ...repos];
+  }
+
+  /**
+   * Record each built page's reward in the ledger, priced from its theme,
+   * the wiring connections that answered and its validation score
+   * @param {Object[]} validations - validatePages() page reports
+   * @param {Object[]} pages - buildRepo() results; each gets its reward amount
+   * @returns {Object|null} { file, awarded, entries, balance, valid, connections, receipts }, or null without a ledger
+   */
+  async awardTokens(validations, pages = []) {
+    if (!this.ledger) {
+      return null;
+    }
+
+    const connections = this.connectionResults;
+    let awarded = 0;
+    const receipts = [];
+    for (const validation of validations.filter(entry => !entry.error)) {
+      const reward = await this.generator.awardTokens(validation, { name: validation.repo }, {
+        themes: validation.theme ? [validation.theme] : [],
+        connections
+      });
+      awarded += reward.amount;
+      receipts.push(reward.receipt);
+
+      const page = pages.find(entry => entry.repo === validation.repo);
+      if (page) {
+        page.reward = reward.amount;
+      }
+    }
+
+    const check = await this.ledger.verify();
+    return {
+      file: this.ledgerFile,
+      awarded: this.ledger.round(awarded),
+      entries: check.entries,
+      balance: await this.ledger.balance(),
+      valid: check.valid,
+      connections: connections.filter(result => result.success).length,
+      receipts
+    };
+  }
+
+  /**
+   * Write validation-report.{json,xml,html} in the configured formats
+   * @returns {Object} format → path relative to outDir
+   */
+  async writeReports(validations) {
+    const summary = this.pipeline.summarize(validations, { outDir: this.outDir });
+    const written = {};
+
+    for (const format of this.reportFormats) {
+      const output = `validation-report.${ValidationReporter.formats[format].extension}`;
+      await fs.writeFile(path.join(this.outDir, output), this.reporter.render(summary, format));
+      written[format] = output;
+    }
+
+    return written;
+  }
+
+  /**
+   * Write search-index.json over the built repos plus every connected repo
+   * that was not built locally
+   * @param {string[]} builtSlugs - Directory names of the repos in this batch
+   */
+  async writeSearchIndex(builtSlugs) {
+    const built = new Set(builtSlugs);
+    Object.entries(this.repoConnector.connections)
+      .filter(([name]) => !built.has(name))
+      .forEach(([name, connection]) => this.searchIndex.addConnection(name, connection));
+
+    const outputPath = path.join(this.outDir, 'search-index.json');
+    await fs.writeFile(outputPath, JSON.stringify(this.searchIndex));
+
+    return {
+      output: path.relative(this.outDir, outputPath),
+      documents: this.searchIndex.docs.length,
+      terms: this.searchIndex.termList.length
+    };
+  }
+
+  /**
+   * Copy the browser modules pages import (search box, palette, theme switcher) into outDir
+   */
+  async copyRuntimeAssets() {
+    for (const asset of RUNTIME_ASSETS) {
+      const target = path.join(this.outDir, asset);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.cp(path.join(this.designerRoot, asset), target, { recursive: true });
+    }
+  }
+
+  async listRepoDirs() {
+    const entries = await fs.readdir(this.reposDir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => path.join(this.reposDir, entry.name))
+      .sort();
+  }
+
+  /**
+   * Generate and write the index page for one repo
+   */
+  async buildRepo(repoDir) {
+    const slug = path.basename(repoDir);
+
+    try {
+      const repoData = await this.readRepoData(repoDir);
+      const { html, theme, content } = await this.generator.buildPage(repoData);
+
+      const outputPath = path.join(this.outDir, slug, 'index.html');
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, html);
+      this.searchIndex.addRepo(repoData, content, `/${slug}/`);
+      this.contents.set(`/${slug}/`, content);
+
+      // Validated by validatePages() once every page and asset it can link to is written
+      return {
+        repo: repoData.name,
+        theme,
+        url: `/${slug}/`,
+        output: path.relative(this.outDir, outputPath)
+      };
+    } catch (err) {
+      return {
+        repo: slug,
+        passed: false,
+        score: 0,
+        verdict: '❌ BUILD FAILED',
+        error: err.message
+      };
+    }
+  }
+
+  /**
+   * Collect repo metadata from package.json, README and .infinity/repo.json
+   */
+  async readRepoData(repoDir) {
+    const pkg = await this.readJson(path.join(repoDir, 'package.json')) || {};
+    const repoMeta = await this.readJson(path.join(repoDir, '.infinity', 'repo.json')) || {};
+
+    let readme = '';
+    for (const name of README_NAMES) {
+      readme = await this.readText(path.join(repoDir, name));
+      if (readme) break;
+    }
+
+    return {
+      name: repoMeta.name || pkg.name || path.basename(repoDir),
+      description: repoMeta.description || pkg.description || this.firstParagraph(readme),
+      topics: repoMeta.topics || pkg.topics || [],
+      keywords: pkg.keywords || [],
+      readme,
+      packageJson: pkg,
+      files: await this.listFiles(repoDir),
+      path: repoDir
+    };
+  }
+
+  /**
+   * Repo-relative file paths (posix separators), skipping dependency and build output
+   */
+  async listFiles(repoDir) {
+    const files = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        return;
+      }
+      for (const entry of entries) {
+        if (files.length >= MAX_FILES) return;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.has(entry.name)) await walk(fullPath);
+        } else if (entry.isFile()) {
+          files.push(path.relative(repoDir, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    await walk(repoDir);
+    return files.sort();
+  }
+
+  firstParagraph(markdown) {
+    const paragraph = markdown
+      .split(/\n\s*\n/)
+      .map(block => block.trim())
+      .find(block => block && !/^(#|!\[|\[!\[|<|```)/.test(block));
+
+    return paragraph ? paragraph.replace(/\s+/g, ' ') : '';
+  }
+
+  async readJson(filePath) {
+    const text = await this.readText(filePath);
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      console.error(`Failed to parse ${filePath}:`, err.message);
+      return null;
+    }
+  }
+
+  async readText(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (err) {
+      return '';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BatchBuilder;
+}
+
+export default BatchBuilder;
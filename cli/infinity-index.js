@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * 🎛️ infinity-index CLI
+ * Batch-generates proper index pages for a directory of repos, and serves them
+ * next to a stand-in dash-hub / token-mint for offline development
+ *
+ * Usage: infinity-index build <reposDir> [--out <dir>] [--link-base <url>] [--report <formats>] [--ledger <file> | --no-ledger]
+ *        infinity-index serve [--root <dir>]... [--port <n>] [--host <host>] [--state <file>] [--latency <ms>] [--failure-rate <0-1>] [--ledger <file> | --no-ledger] [--secrets <file>]
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import BatchBuilder from './batch-builder.js';
+import NoJunkyPages from '../builder/no-junky-pages.js';
+import MockHubServer from '../server/mock-hub-server.js';
+import AlcLedger from '../ledger/alc-ledger.js';
+import JsonLinesStore from '../ledger/jsonl-store.js';
+
+const DESIGNER_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage: infinity-index build <reposDir> [--out <dir>] [--link-base <url>] [--report <formats>] [--ledger <file> | --no-ledger]
+       infinity-index serve [--root <dir>]... [--port <n>] [--host <host>] [--state <file>]
+                            [--latency <ms>|<min>-<max>] [--failure-rate <0-1>] [--ledger <file> | --no-ledger]
+                            [--secrets <file>]
+
+build: generates <out>/<repo>/index.html for every repo directory in <reposDir>
+and writes <out>/build-report.json plus validation reports.
+Exits with code 1 when any page is junky.
+
+serve: runs a stand-in dash-hub / token-mint / repo wiring server and serves
+each --root, then the designer itself. Stops on Ctrl+C.
+
+Build options:
+  --out, -o <dir>   Output directory (default: ./dist)
+  --link-base <url> Check links against a running (stand-in) server instead of <out>
+  --report <list>   Validation report formats, comma-separated: json, junit, html (default: all)
+  --ledger <file>   ALC ledger (JSON lines) to record rewards in (default: none, nothing is recorded)
+  --no-ledger       Build without recording rewards (the default)
+
+Serve options:
+  --root <dir>      Directory to serve, e.g. a build's --out (repeatable, searched in order)
+  --port <n>        Port to listen on (default: 8080, 0 for any free port)
+  --host <host>     Interface to listen on (default: 127.0.0.1)
+  --state <file>    JSON seed: { balance, transactions, repos: { name: { online } } }
+  --latency <ms>    Delay every response, or a random <min>-<max> delay
+  --failure-rate <r> Share of requests (0-1) that fail with 503
+  --ledger <file>   Start from this ledger's balance and rewards (default: .infinity/alc-ledger.jsonl if present)
+  --no-ledger       Start from the --state seed alone
+  --secrets <file>  Wiring secrets { secrets: { repo: secret } } to verify signed requests with
+                    (default: .infinity/wiring-secrets.json if present; without, unsigned requests pass)
+
+  --help, -h        Show this help`;
+
+function parseArgs(argv) {
+  const args = {
+    command: null, reposDir: null, outDir: 'dist', linkBaseUrl: null, reportFormats: null, ledgerFile: null, help: false,
+    roots: [], port: 8080, host: '127.0.0.1', stateFile: null, latency: undefined, failureRate: undefined, secretsFile: null
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--out' || arg === '-o') {
+      args.outDir = argv[++i];
+    } else if (arg.startsWith('--out=')) {
+      args.outDir = arg.slice('--out='.length);
+    } else if (arg === '--link-base') {
+      args.linkBaseUrl = argv[++i];
+    } else if (arg.startsWith('--link-base=')) {
+      args.linkBaseUrl = arg.slice('--link-base='.length);
+    } else if (arg === '--report') {
+      args.reportFormats = (argv[++i] || '').split(',').map(format => format.trim()).filter(Boolean);
+    } else if (arg.startsWith('--report=')) {
+      args.reportFormats = arg.slice('--report='.length).split(',').map(format => format.trim()).filter(Boolean);
+    } else if (arg === '--ledger') {
+      args.ledgerFile = argv[++i];
+      if (!args.ledgerFile) throw new Error('--ledger needs a file');
+    } else if (arg.startsWith('--ledger=')) {
+      args.ledgerFile = arg.slice('--ledger='.length);
+    } else if (arg === '--no-ledger') {
+      args.ledgerFile = false;
+    } else if (arg === '--root') {
+      args.roots.push(argv[++i]);
+      if (!args.roots[args.roots.length - 1]) throw new Error('--root needs a directory');
+    } else if (arg === '--port') {
+      args.port = Number(argv[++i]);
+      if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) throw new Error('--port needs a port number');
+    } else if (arg === '--host') {
+      args.host = argv[++i];
+      if (!args.host) throw new Error('--host needs a host');
+    } else if (arg === '--secrets') {
+      args.secretsFile = argv[++i];
+      if (!args.secretsFile) throw new Error('--secrets needs a file');
+    } else if (arg === '--state') {
+      args.stateFile = argv[++i];
+      if (!args.stateFile) throw new Error('--state needs a file');
+    } else if (arg === '--latency') {
+      const value = argv[++i] || '';
+      const match = value.match(/^(\d+)(?:-(\d+))?$/);
+      if (!match) throw new Error('--latency needs milliseconds or <min>-<max>');
+      args.latency = match[2] === undefined ? Number(match[1]) : [Number(match[1]), Number(match[2])];
+    } else if (arg === '--failure-rate') {
+      args.failureRate = Number(argv[++i]);
+      if (!(args.failureRate >= 0 && args.failureRate <= 1)) throw new Error('--failure-rate needs a number from 0 to 1');
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  [args.command, args.reposDir] = positional;
+  if (!args.outDir) {
+    throw new Error('--out needs a directory');
+  }
+  if (args.linkBaseUrl !== null && !/^https?:\/\/\S+$/.test(args.linkBaseUrl || '')) {
+    throw new Error('--link-base needs an http(s) URL');
+  }
+  if (args.reportFormats !== null && args.reportFormats.length === 0) {
+    throw new Error('--report needs at least one format');
+  }
+  return args;
+}
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (args.command === 'serve') {
+    return await serve(args);
+  }
+
+  if (args.command !== 'build' || !args.reposDir) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let builder;
+  try {
+    builder = new BatchBuilder({
+      reposDir: args.reposDir,
+      outDir: args.outDir,
+      linkBaseUrl: args.linkBaseUrl,
+      reportFormats: args.reportFormats || undefined,
+      ledgerFile: args.ledgerFile ?? undefined
+    });
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const report = await builder.buildAll();
+
+  report.pages.forEach(page => {
+    const mark = page.passed ? '✅' : '❌';
+    const reward = page.reward !== undefined ? ` (+${page.reward} ALC)` : '';
+    console.log(`${mark} ${page.repo} [${page.theme || 'n/a'}] score ${page.score} - ${page.error || page.verdict}${reward}`);
+    (page.recommendations || []).forEach(rec => console.log(`   ${rec}`));
+  });
+
+  console.log(`\n🎛️ Built ${report.total} indexes: ${report.proper} proper, ${report.junky} junky`);
+  console.log(`🔍 Search index: ${report.searchIndex.documents} documents across ${report.searchIndex.terms} terms`);
+  console.log(`🔗 Links: ${report.links.links} checked against ${report.links.checkedAgainst} - ${report.links.dead} dead, ${report.links.missingAnchors} missing anchors, ${report.links.duplicateIds} duplicate ids`);
+  if (report.ledger) {
+    const warning = report.ledger.valid ? '' : ' - ⚠️ hash chain broken, run verify()';
+    console.log(`🪙 Ledger: +${report.ledger.awarded} ALC, balance ${report.ledger.balance} ALC over ${report.ledger.entries} entries (${report.ledger.file})${warning}`);
+  }
+  console.log(`📄 Report: ${args.outDir}/build-report.json`);
+  Object.values(report.reports).forEach(output => console.log(`🧾 Validation: ${args.outDir}/${output}`));
+  console.log(new NoJunkyPages().getLuigiMessage(report.junky === 0));
+
+  return report.junky === 0 ? 0 : 1;
+}
+
+/**
+ * Run the mock hub until Ctrl+C
+ */
+async function serve(args) {
+  let seed = {};
+  if (args.stateFile) {
+    try {
+      seed = JSON.parse(await fs.readFile(args.stateFile, 'utf8'));
+    } catch (err) {
+      console.error(`❌ Failed to read state ${args.stateFile}: ${err.message}`);
+      return 2;
+    }
+  }
+
+  // Pages then show the balance the builds actually earned
+  const ledgerFile = args.ledgerFile === false ? null : args.ledgerFile || path.join(DESIGNER_ROOT, '.infinity', 'alc-ledger.jsonl');
+  let ledgerNote = '';
+  if (ledgerFile && seed.balance === undefined) {
+    const ledger = await new AlcLedger({ store: new JsonLinesStore(ledgerFile) }).load();
+    const entries = await ledger.all();
+    if (entries.length > 0 || args.ledgerFile) {
+      seed = {
+        ...seed,
+        balance: await ledger.balance(),
+        transactions: entries.map(({ type, amount, currency, reason, repo, timestamp }) => ({ type, amount, currency, reason, repo, timestamp }))
+      };
+      ledgerNote = ` from ${ledgerFile}`;
+    }
+  }
+
+  let secrets;
+  if (args.secretsFile) {
+    try {
+      secrets = JSON.parse(await fs.readFile(args.secretsFile, 'utf8')).secrets || {};
+    } catch (err) {
+      console.error(`❌ Failed to read secrets ${args.secretsFile}: ${err.message}`);
+      return 2;
+    }
+  }
+
+  let server;
+  let url;
+  try {
+    server = await MockHubServer.create({
+      roots: [...args.roots, DESIGNER_ROOT],
+      state: seed,
+      secrets,
+      faults: { latency: args.latency, failureRate: args.failureRate }
+    });
+    url = await server.listen(args.port, args.host);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 2;
+  }
+
+  console.log(`🧪 Mock hub on ${url}`);
+  server.roots.forEach(root => console.log(`📁 Serving ${root}`));
+  console.log(`🪙 Balance ${server.state.balance} ${server.state.currency}${ledgerNote}`);
+  console.log(`🔗 Repos: ${Object.keys(server.state.repos).join(', ') || 'none'}`);
+  const verified = Object.keys(server.state.repos).filter(repo => server.verifier?.has(repo));
+  console.log(verified.length > 0 ? `🔏 Signed requests required for: ${verified.join(', ')}` : '🔓 No wiring secrets - unsigned requests accepted');
+  console.log(`🎛️ State: ${url}__mock/state - Ctrl+C to stop`);
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await server.close();
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error('❌ Build failed:', err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,248 @@
+/**
+ * 🪙 ALC Ledger
+ * Append-only record of Andy Lian Coin rewards - balance, history, per-repo totals
+ *
+ * Every entry carries the SHA-256 hash of its own fields plus the previous
+ * entry's hash, so editing, removing or reordering any past entry breaks the
+ * chain from that point on. verify() walks the chain; a ledger whose chain is
+ * broken refuses new entries until someone looks at it.
+ *
+ * Other processes or tabs may append to the same store, so every append
+ * re-reads the store, checks the chain, and hands the store the tail it
+ * builds on - the store refuses the entry if that tail moved, and the append
+ * starts over on the new one.
+ *
+ * Entry: { index, timestamp, type, amount, currency, reason, repo, score, items?, previousHash, hash }
+ * items is the reward's itemized receipt ([{ rule, units, amount }]) when it came with one.
+ */
+
+import MemoryStore from './memory-store.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+
+class AlcLedger {
+  /**
+   * @param {Object} [options]
+   * @param {LedgerStore} [options.store] - Where entries are kept (default: in memory)
+   * @param {string} [options.currency] - Token symbol (default 'ALC')
+   * @param {number} [options.maxAttempts] - Appends retried when another writer got in first (default 5)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.currency = options.currency || 'ALC';
+    this.entries = null;
+    this.maxAttempts = options.maxAttempts ?? 5;
+    // Appends from this instance run one at a time; other writers are caught by the store
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Open the ledger on the platform's default store: a JSON-lines file in
+   * Node.js, IndexedDB in the browser
+   * @param {Object} [options] - { store, file, dbName, currency }
+   * @returns {Promise<AlcLedger>}
+   */
+  static async open(options = {}) {
+    let store = options.store;
+    if (!store) {
+      if (typeof indexedDB !== 'undefined') {
+        const IndexedDbStore = (await import('./indexeddb-store.js')).default;
+        store = new IndexedDbStore({ dbName: options.dbName });
+      } else {
+        // Imported on demand so browsers never load the fs module
+        const JsonLinesStore = (await import('./jsonl-store.js')).default;
+        store = new JsonLinesStore(options.file || '.infinity/alc-ledger.jsonl');
+      }
+    }
+    return await new AlcLedger({ ...options, store }).load();
+  }
+
+  /**
+   * Read every entry from the store
+   * @returns {Promise<AlcLedger>}
+   */
+  async load() {
+    this.entries = await this.store.readAll();
+    return this;
+  }
+
+  async all() {
+    if (this.entries === null) {
+      await this.load();
+    }
+    return this.entries;
+  }
+
+  /**
+   * Append a reward
+   * @param {Object} reward - { amount, reason, repo, score, items?, type?, timestamp? }
+   * @returns {Promise<Object>} The stored entry, with its hash
+   */
+  record(reward) {
+    const next = this.queue.then(() => this.append(reward));
+    // A failed append must not block the ones after it
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  async append(reward) {
+    const amount = Number(reward.amount);
+    if (!Number.isFinite(amount)) {
+      throw new Error(`Ledger amount must be a number, got ${JSON.stringify(reward.amount)}`);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      // Never trust the cache: another writer may have appended since the last read
+      const entries = (await this.load()).entries;
+      const check = await this.walk(entries);
+      if (!check.valid) {
+        throw new Error(`Ledger ${this.store.describe()} is broken at entry ${check.brokenAt} (${check.reason}) - refusing to append`);
+      }
+
+      const entry = await this.createEntry(reward, amount, entries);
+      try {
+        await this.store.append(entry, { count: entries.length, lastHash: entries.length > 0 ? entries[entries.length - 1].hash : null });
+      } catch (err) {
+        if (err.code === 'LEDGER_CONFLICT' && attempt < this.maxAttempts) {
+          continue;
+        }
+        throw err;
+      }
+      entries.push(entry);
+      return entry;
+    }
+  }
+
+  async createEntry(reward, amount, entries) {
+    const previous = entries[entries.length - 1];
+    const entry = {
+      index: entries.length,
+      timestamp: reward.timestamp || new Date().toISOString(),
+      type: reward.type || 'reward',
+      amount,
+      currency: reward.currency || this.currency,
+      reason: reward.reason || '',
+      repo: reward.repo || null,
+      score: reward.score ?? null,
+      ...(reward.items ? { items: reward.items } : {}),
+      previousHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = await this.hash(entry);
+    return entry;
+  }
+
+  /**
+   * Walk the hash chain
+   * @returns {Promise<Object>} { valid, entries, brokenAt, reason } - brokenAt is the first bad index
+   */
+  async verify() {
+    return await this.walk(await this.all());
+  }
+
+  async walk(entries) {
+    let previousHash = GENESIS_HASH;
+
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+      const broken = reason => ({ valid: false, entries: entries.length, brokenAt: index, reason });
+
+      if (entry.index !== index) {
+        return broken(`expected index ${index}, found ${entry.index}`);
+      }
+      if (entry.previousHash !== previousHash) {
+        return broken('previousHash does not match the entry before it');
+      }
+      if (entry.hash !== await this.hash(entry)) {
+        return broken('hash does not match the entry contents');
+      }
+      previousHash = entry.hash;
+    }
+
+    return { valid: true, entries: entries.length, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Sum of every entry's amount
+   * @returns {Promise<number>}
+   */
+  async balance() {
+    const entries = await this.all();
+    return this.round(entries.reduce((sum, entry) => sum + entry.amount, 0));
+  }
+
+  /**
+   * Entries, newest first
+   * @param {Object} [options] - { limit, repo }
+   * @returns {Promise<Object[]>}
+   */
+  async history(options = {}) {
+    const entries = await this.all();
+    const matching = entries
+      .filter(entry => !options.repo || entry.repo === options.repo)
+      .slice()
+      .reverse();
+    return options.limit ? matching.slice(0, options.limit) : matching;
+  }
+
+  /**
+   * Per-repo totals, largest first
+   * @returns {Promise<Object[]>} [{ repo, amount, entries, lastAt }]
+   */
+  async totals() {
+    const entries = await this.all();
+    const byRepo = new Map();
+
+    entries.forEach(entry => {
+      const repo = entry.repo || '(none)';
+      const total = byRepo.get(repo) || { repo, amount: 0, entries: 0, lastAt: null };
+      total.amount = this.round(total.amount + entry.amount);
+      total.entries++;
+      total.lastAt = entry.timestamp;
+      byRepo.set(repo, total);
+    });
+
+    return [...byRepo.values()].sort((a, b) => b.amount - a.amount || a.repo.localeCompare(b.repo));
+  }
+
+  /**
+   * Everything a page's token widget shows
+   * @param {Object} [options] - { limit } recent transactions (default 5)
+   * @returns {Promise<Object>} { balance, recentTransactions, totals, valid, source }
+   */
+  async summary(options = {}) {
+    const check = await this.verify();
+    return {
+      balance: await this.balance(),
+      recentTransactions: await this.history({ limit: options.limit ?? 5 }),
+      totals: await this.totals(),
+      valid: check.valid,
+      source: this.store.describe()
+    };
+  }
+
+  /**
+   * SHA-256 over the entry's fields (everything except hash), in a fixed order.
+   * items joins the payload only when present, so entries written without it keep their hash.
+   */
+  async hash(entry) {
+    const fields = [
+      entry.index, entry.timestamp, entry.type, entry.amount, entry.currency,
+      entry.reason, entry.repo, entry.score, entry.previousHash
+    ];
+    const payload = JSON.stringify(entry.items === undefined ? fields : [...fields, entry.items]);
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Rewards are whole or fractional coins - keep float noise out of totals
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AlcLedger;
+}
+
+export default AlcLedger;
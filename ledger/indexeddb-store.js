@@ -0,0 +1,93 @@
+/**
+ * 🗃️ IndexedDB Store
+ * Ledger entries in the browser's IndexedDB - survives reloads, per origin
+ *
+ * Entries are keyed by their ledger index and written with add(), which
+ * refuses an index that already exists - the store itself stays append-only.
+ * An expected tail is checked in the same readwrite transaction as the add,
+ * which IndexedDB runs exclusively across every tab of the origin.
+ */
+
+import LedgerStore from './ledger-store.js';
+
+class IndexedDbStore extends LedgerStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName] - Database name (default 'infinity-ledger')
+   * @param {string} [options.storeName] - Object store name (default 'entries')
+   * @param {IDBFactory} [options.indexedDB] - Factory to use (default: the browser's)
+   */
+  constructor(options = {}) {
+    super();
+    this.dbName = options.dbName || 'infinity-ledger';
+    this.storeName = options.storeName || 'entries';
+    this.factory = options.indexedDB || globalThis.indexedDB;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      if (!this.factory) {
+        return Promise.reject(new Error('IndexedDB is not available'));
+      }
+      this.db = new Promise((resolve, reject) => {
+        const request = this.factory.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'index' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async append(entry, expect) {
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      if (expect) {
+        // The last key, with its entry - still inside the transaction, so nothing can slip in between
+        const request = store.openCursor(null, 'prev');
+        request.onsuccess = () => {
+          const last = request.result ? request.result.value : null;
+          const count = last ? last.index + 1 : 0;
+          if (count !== expect.count || (expect.lastHash !== undefined && (last ? last.hash : null) !== expect.lastHash)) {
+            const err = this.conflict(expect);
+            transaction.onabort = () => reject(err);
+            transaction.abort();
+            return;
+          }
+          store.add(entry);
+        };
+      } else {
+        store.add(entry);
+      }
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Ledger write aborted'));
+    });
+  }
+
+  async readAll() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      // getAll() returns entries in key (index) order
+      const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  describe() {
+    return `indexeddb:${this.dbName}/${this.storeName}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IndexedDbStore;
+}
+
+export default IndexedDbStore;
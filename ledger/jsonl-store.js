@@ -0,0 +1,107 @@
+/**
+ * 📜 JSON Lines Store
+ * Ledger entries as one JSON object per line in a file - Node.js only
+ *
+ * Appending a line never rewrites what is already there, and the file stays
+ * readable (and diffable) with any text tool. An append with an expected tail
+ * holds <file>.lock (created exclusively) while it re-reads the file and
+ * writes, so builds in separate processes can't fork the chain.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import LedgerStore from './ledger-store.js';
+
+class JsonLinesStore extends LedgerStore {
+  /**
+   * @param {string} filePath - Ledger file, created (with its directory) on the first append
+   * @param {Object} [options] - { staleLockMs, lockTimeoutMs } for appends that hold the lock
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.lockPath = `${this.filePath}.lock`;
+    // A lock older than this belongs to a process that died mid-append
+    this.staleLockMs = options.staleLockMs ?? 30000;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 10000;
+  }
+
+  async append(entry, expect) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    if (!expect) {
+      await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n', 'utf8');
+      return;
+    }
+
+    await this.lock();
+    try {
+      if (!this.matches(await this.readAll(), expect)) {
+        throw this.conflict(expect);
+      }
+      await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n', 'utf8');
+    } finally {
+      await fs.rm(this.lockPath, { force: true });
+    }
+  }
+
+  async lock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(`${process.pid}\n`);
+        await handle.close();
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+      }
+
+      const stat = await fs.stat(this.lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > this.staleLockMs) {
+        await fs.rm(this.lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${this.lockPath} - remove it if no build is running`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 20 + Math.random() * 30));
+    }
+  }
+
+  async readAll() {
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    }
+
+    return text.split('\n')
+      .map((line, index) => ({ line, number: index + 1 }))
+      .filter(({ line }) => line.trim() !== '')
+      .map(({ line, number }) => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          throw new Error(`Ledger ${this.filePath} line ${number} is not valid JSON: ${err.message}`);
+        }
+      });
+  }
+
+  describe() {
+    return this.filePath;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonLinesStore;
+}
+
+export default JsonLinesStore;
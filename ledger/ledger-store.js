@@ -0,0 +1,69 @@
+/**
+ * 🗄️ Ledger Store
+ * Base interface for where AlcLedger entries are kept
+ *
+ * Stores are append-only: entries go in at the end and are never changed or
+ * removed. Subclasses implement append(entry) and readAll(); the ledger does
+ * the hashing and ordering, a store just keeps the records in order.
+ *
+ * Several writers (two builds, two tabs) can share one store, so append()
+ * takes an expectation: the entry only goes in if the store still ends where
+ * the writer thinks it does. Otherwise it throws a LEDGER_CONFLICT error and
+ * the writer re-reads and tries again.
+ */
+
+class LedgerStore {
+  /**
+   * Add one entry at the end
+   * @param {Object} entry - A hashed ledger entry
+   * @param {Object} [expect] - { count, lastHash? }: append only if the store holds exactly
+   *   `count` entries and, when lastHash is given, the last one has it (null when empty) - checked atomically
+   * @returns {Promise<void>}
+   */
+  async append(entry, expect) {
+    throw new Error(`${this.constructor.name} does not implement append()`);
+  }
+
+  /**
+   * Whether entries (as read inside the append) match an append() expectation
+   */
+  matches(entries, expect) {
+    if (!expect) {
+      return true;
+    }
+    const last = entries[entries.length - 1];
+    return entries.length === expect.count
+      && (expect.lastHash === undefined || (last ? last.hash : null) === expect.lastHash);
+  }
+
+  /**
+   * The error append() throws when another writer got there first
+   */
+  conflict(expect) {
+    const err = new Error(`${this.describe()} changed while appending - expected ${expect.count} entries ending in ${expect.lastHash || 'nothing'}`);
+    err.code = 'LEDGER_CONFLICT';
+    return err;
+  }
+
+  /**
+   * Every entry, oldest first
+   * @returns {Promise<Object[]>}
+   */
+  async readAll() {
+    throw new Error(`${this.constructor.name} does not implement readAll()`);
+  }
+
+  /**
+   * Where the entries live, for messages and reports
+   */
+  describe() {
+    return this.constructor.name;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LedgerStore;
+}
+
+export default LedgerStore;
@@ -0,0 +1,38 @@
+/**
+ * 🧠 Memory Store
+ * Ledger entries in an array - for tests and fixtures
+ */
+
+import LedgerStore from './ledger-store.js';
+
+class MemoryStore extends LedgerStore {
+  /**
+   * @param {Object[]} [entries] - Existing entries, oldest first
+   */
+  constructor(entries = []) {
+    super();
+    this.entries = entries.map(entry => ({ ...entry }));
+  }
+
+  async append(entry, expect) {
+    if (!this.matches(this.entries, expect)) {
+      throw this.conflict(expect);
+    }
+    this.entries.push({ ...entry });
+  }
+
+  async readAll() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  describe() {
+    return 'memory';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryStore;
+}
+
+export default MemoryStore;
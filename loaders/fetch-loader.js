@@ -0,0 +1,30 @@
+/**
+ * 🌐 Fetch Loader
+ * Loads resources over HTTP - the default for pages served from the site root
+ */
+
+import ResourceLoader from './resource-loader.js';
+
+class FetchLoader extends ResourceLoader {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Prefix for every path (default: site root)
+   * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+   */
+  constructor(options = {}) {
+    super();
+    this.baseUrl = (options.baseUrl || '/').replace(/\/?$/, '/');
+    this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+  }
+
+  async request(path, init = {}) {
+    return await this.fetchImpl(this.baseUrl + this.normalizePath(path) + this.queryString(path), init);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FetchLoader;
+}
+
+export default FetchLoader;
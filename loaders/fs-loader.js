@@ -0,0 +1,51 @@
+/**
+ * 📁 File System Loader
+ * Serves resources from a directory on disk - Node.js only
+ */
+
+import { promises as fs } from 'fs';
+import nodePath from 'path';
+
+import ResourceLoader from './resource-loader.js';
+
+class FileSystemLoader extends ResourceLoader {
+  /**
+   * @param {string} rootDir - Directory that stands in for the site root
+   */
+  constructor(rootDir) {
+    super();
+    this.rootDir = nodePath.resolve(rootDir);
+  }
+
+  resolve(path) {
+    const filePath = nodePath.resolve(this.rootDir, this.normalizePath(path));
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + nodePath.sep)) {
+      throw new Error(`Path escapes loader root: ${path}`);
+    }
+    return filePath;
+  }
+
+  async request(path, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    if (method !== 'GET' && method !== 'HEAD') {
+      return this.createResponse(405, '');
+    }
+
+    try {
+      const text = await fs.readFile(this.resolve(path), 'utf8');
+      return this.createResponse(200, method === 'HEAD' ? '' : text);
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'EISDIR') {
+        return this.createResponse(404, '');
+      }
+      throw err;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FileSystemLoader;
+}
+
+export default FileSystemLoader;
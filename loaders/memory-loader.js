@@ -0,0 +1,54 @@
+/**
+ * 🧠 Memory Loader
+ * Serves resources from an in-memory map - for tests and fixtures
+ *
+ * Values may be strings, JSON-serializable objects, or handlers
+ * (init) => ({ status, body }) for endpoints such as '/dash-hub/health'.
+ */
+
+import ResourceLoader from './resource-loader.js';
+
+class MemoryLoader extends ResourceLoader {
+  /**
+   * @param {Object|Map} [resources] - Path → content/handler
+   */
+  constructor(resources = {}) {
+    super();
+    this.resources = new Map();
+    const entries = resources instanceof Map ? resources.entries() : Object.entries(resources);
+    for (const [path, value] of entries) {
+      this.set(path, value);
+    }
+  }
+
+  set(path, value) {
+    this.resources.set(this.normalizePath(path), value);
+    return this;
+  }
+
+  delete(path) {
+    return this.resources.delete(this.normalizePath(path));
+  }
+
+  async request(path, init = {}) {
+    const key = this.normalizePath(path);
+    if (!this.resources.has(key)) {
+      return this.createResponse(404, '');
+    }
+
+    const value = this.resources.get(key);
+    if (typeof value === 'function') {
+      const result = await value(init);
+      return this.createResponse(result.status || 200, result.body ?? '');
+    }
+
+    return this.createResponse(200, value);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryLoader;
+}
+
+export default MemoryLoader;
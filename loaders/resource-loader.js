@@ -0,0 +1,79 @@
+/**
+ * 📦 Resource Loader
+ * Base interface for reading configs/templates and calling repo endpoints
+ *
+ * Subclasses implement request(path, init) and resolve to a fetch-style
+ * response ({ ok, status, text(), json() }). Paths are site-relative,
+ * e.g. '.infinity/builder-config.json' or '/dash-hub/health'.
+ */
+
+class ResourceLoader {
+  /**
+   * Perform a request against the backing store
+   * @param {string} path - Site-relative path
+   * @param {Object} [init] - fetch-style options (method, headers, body)
+   * @returns {Promise<Object>} fetch-style response
+   */
+  async request(path, init = {}) {
+    throw new Error(`${this.constructor.name} does not implement request()`);
+  }
+
+  /**
+   * Read a text resource
+   * @returns {Promise<string|null>} Text, or null when the resource does not exist
+   */
+  async readText(path) {
+    const res = await this.request(path);
+    if (res.status === 404) {
+      return null;
+    }
+    if (!res.ok) {
+      throw new Error(`Failed to load ${path} (HTTP ${res.status})`);
+    }
+    return await res.text();
+  }
+
+  /**
+   * Read and parse a JSON resource
+   * @returns {Promise<Object|null>} Parsed JSON, or null when the resource does not exist
+   */
+  async readJson(path) {
+    const text = await this.readText(path);
+    return text === null ? null : JSON.parse(text);
+  }
+
+  /**
+   * Build a fetch-style response for loaders that are not backed by fetch
+   */
+  createResponse(status, body = '') {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      text: async () => text,
+      json: async () => JSON.parse(text)
+    };
+  }
+
+  /**
+   * Normalize a path to its segments without leading/trailing slashes - query and fragment dropped
+   */
+  normalizePath(path) {
+    return String(path).split(/[?#]/)[0].split('/').filter(Boolean).join('/');
+  }
+
+  /**
+   * The query string of a path, '?' included, or '' - for loaders that send it on
+   */
+  queryString(path) {
+    const query = String(path).split('#')[0].match(/\?.+$/);
+    return query ? query[0] : '';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResourceLoader;
+}
+
+export default ResourceLoader;
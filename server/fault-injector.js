@@ -0,0 +1,123 @@
+/**
+ * 💥 Fault Injector
+ * Slow and failing responses on demand - so the wiring's error paths can be exercised offline
+ *
+ * Every request waits `latency` ms (a number, or [min, max] for a random delay)
+ * and fails with 503 at `failureRate` (0-1). Rules target specific paths:
+ *   { path: '/banksy/*', method: 'GET', status: 503, rate: 1, latency: 2000, times: 3 }
+ * `*` in a path matches anything; `times` removes a rule after it has fired that often.
+ * The first matching rule wins over the global settings.
+ */
+
+class FaultInjector {
+  /**
+   * @param {Object} [options]
+   * @param {number|number[]} [options.latency] - Delay for every request (default 0)
+   * @param {number} [options.failureRate] - Share of requests that fail (default 0)
+   * @param {Object[]} [options.faults] - Path rules, see above
+   * @param {Function} [options.random] - () => [0, 1), for repeatable runs (default Math.random)
+   */
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.latency = 0;
+    this.failureRate = 0;
+    this.faults = [];
+    this.configure(options);
+  }
+
+  /**
+   * Replace any of latency, failureRate and faults
+   */
+  configure(options = {}) {
+    if (options.latency !== undefined) {
+      this.latency = this.validLatency(options.latency, 'latency');
+    }
+    if (options.failureRate !== undefined) {
+      this.failureRate = this.validRate(options.failureRate, 'failureRate');
+    }
+    if (options.faults !== undefined) {
+      if (!Array.isArray(options.faults)) {
+        throw new Error('faults must be an array of rules');
+      }
+      this.faults = options.faults.map(fault => this.compile(fault));
+    }
+    return this;
+  }
+
+  compile(fault) {
+    if (!fault || typeof fault.path !== 'string' || !fault.path.startsWith('/')) {
+      throw new Error(`Fault rule needs a path starting with "/", got ${JSON.stringify(fault?.path)}`);
+    }
+    const pattern = fault.path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return {
+      path: fault.path,
+      method: fault.method ? fault.method.toUpperCase() : null,
+      status: fault.status ?? 503,
+      rate: this.validRate(fault.rate ?? 1, `rate of ${fault.path}`),
+      latency: fault.latency === undefined ? null : this.validLatency(fault.latency, `latency of ${fault.path}`),
+      times: fault.times ?? null,
+      matcher: new RegExp(`^${pattern}$`)
+    };
+  }
+
+  validRate(rate, name) {
+    if (typeof rate !== 'number' || !(rate >= 0 && rate <= 1)) {
+      throw new Error(`${name} must be between 0 and 1, got ${JSON.stringify(rate)}`);
+    }
+    return rate;
+  }
+
+  validLatency(latency, name) {
+    const bounds = Array.isArray(latency) ? latency : [latency, latency];
+    if (bounds.length !== 2 || !bounds.every(ms => typeof ms === 'number' && ms >= 0) || bounds[0] > bounds[1]) {
+      throw new Error(`${name} must be milliseconds or [min, max], got ${JSON.stringify(latency)}`);
+    }
+    return latency;
+  }
+
+  /**
+   * Decide what happens to a request
+   * @returns {Object} { delay, failure: { status, message } | null }
+   */
+  plan(method, path) {
+    const fault = this.faults.find(rule => rule.matcher.test(path) && (!rule.method || rule.method === method));
+    const rate = fault ? fault.rate : this.failureRate;
+    const latency = fault && fault.latency !== null ? fault.latency : this.latency;
+    const fails = rate > 0 && this.random() < rate;
+
+    if (fault && fails && fault.times !== null && --fault.times <= 0) {
+      this.faults.splice(this.faults.indexOf(fault), 1);
+    }
+
+    return {
+      delay: this.delay(latency),
+      failure: fails ? { status: fault ? fault.status : 503, message: `Injected failure for ${method} ${path}` } : null
+    };
+  }
+
+  delay(latency) {
+    if (!Array.isArray(latency)) {
+      return latency;
+    }
+    const [min, max] = latency;
+    return Math.round(min + this.random() * (max - min));
+  }
+
+  /**
+   * Current settings, for GET /__mock/state
+   */
+  describe() {
+    return {
+      latency: this.latency,
+      failureRate: this.failureRate,
+      faults: this.faults.map(({ path, method, status, rate, latency, times }) => ({ path, method, status, rate, latency, times }))
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FaultInjector;
+}
+
+export default FaultInjector;
@@ -0,0 +1,466 @@
+/**
+ * 🧪 Mock Hub Server
+ * Local stand-in for dash-hub, token-mint and the connected repos - develop and test the wiring offline
+ *
+ * Answers every endpoint pages and RepoConnector call:
+ *   GET  /dash-hub/balance, /dash-hub/transactions?limit=, /dash-hub/economy
+ *   POST /token-mint/mint                GET /token-mint/receipts
+ *   GET  /<repo>/health                  POST /<repo>/update
+ *   POST /<repo>/docs/chunks/missing     PUT|GET /<repo>/docs/chunks/<sha256>
+ *   POST /<repo>/docs/versions           GET  /<repo>/docs/manifest
+ *   POST /router/ask
+ * and serves static files (built pages, templates, the designer) from its roots.
+ * /__mock/state (GET, POST) and /__mock/reset (POST) inspect and change the state
+ * and fault settings while it runs. With wiring secrets, update and docs requests
+ * to a repo that has one must be signed (RequestVerifier), and a signed health
+ * ping must be signed right. Node.js only.
+ */
+
+import http from 'http';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import MockHubState from './mock-hub-state.js';
+import FaultInjector from './fault-injector.js';
+import SearchIndex from '../builder/search-index.js';
+import FileSystemLoader from '../loaders/fs-loader.js';
+import ConnectionRegistry from '../wiring/connection-registry.js';
+import RequestVerifier from '../wiring/request-verifier.js';
+
+const DESIGNER_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// The only .infinity/ files pages read - configs, theme data and the discovery manifest.
+// Everything else there (ledgers, outboxes, secrets) stays private.
+const PUBLIC_INFINITY_FILES = [
+  /^\.infinity\/builder-config\.json$/,
+  /^\.infinity\/andy-lian-integration\.json$/,
+  /^\.infinity\/themes\/[^/.][^/]*\.json$/,
+  /^\.infinity\/registry\.json$/
+];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+// Bodies larger than this are refused rather than buffered
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+class MockHubServer {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.roots] - Static directories, searched in order (default: the designer root)
+   * @param {MockHubState|Object} [options.state] - State, or the seed for one
+   * @param {FaultInjector|Object} [options.faults] - Injector, or { latency, failureRate, faults, random }
+   * @param {Object} [options.integration] - andy-lian-integration.json (earning rates for /dash-hub/economy)
+   * @param {RequestVerifier|Object} [options.verifier] - Verifier, or RequestVerifier options ({ secrets, tolerance })
+   */
+  constructor(options = {}) {
+    this.roots = (options.roots || [DESIGNER_ROOT]).map(root => path.resolve(root));
+    this.state = options.state instanceof MockHubState ? options.state : new MockHubState(options.state);
+    this.faults = options.faults instanceof FaultInjector ? options.faults : new FaultInjector(options.faults);
+    this.integration = options.integration || {};
+    this.verifier = !options.verifier || options.verifier instanceof RequestVerifier
+      ? options.verifier || null
+      : new RequestVerifier(options.verifier);
+    this.searchIndex = null;
+    this.server = null;
+
+    this.routes = [
+      ['GET', /^\/__mock\/state$/, () => this.json(200, { ...this.state.snapshot(), faults: this.faults.describe() })],
+      ['POST', /^\/__mock\/state$/, request => this.configure(request.body)],
+      ['POST', /^\/__mock\/reset$/, () => this.json(200, { reset: true, state: this.state.reset().snapshot() })],
+      ['POST', /^\/router\/ask$/, request => this.ask(request.body)],
+      ['GET', /^\/dash-hub\/balance$/, () => this.json(200, { balance: this.state.balance, currency: this.state.currency })],
+      ['GET', /^\/dash-hub\/transactions$/, request => this.transactions(request.query)],
+      ['GET', /^\/dash-hub\/economy$/, () => this.economy()],
+      ['POST', /^\/token-mint\/mint$/, request => this.json(201, this.state.mint(request.body || {}))],
+      ['GET', /^\/token-mint\/receipts$/, () => this.json(200, { receipts: this.state.receipts })],
+      // The last field says whether a repo's wiring secret guards the route: 'required', or 'optional' (checked when signed)
+      ['GET', /^\/([\w.-]+)\/health$/, (request, repo) => this.health(repo), 'optional'],
+      ['POST', /^\/([\w.-]+)\/update$/, (request, repo) => this.json(200, { received: true, ...this.state.recordUpdate(repo, request.body, request.headers) }), 'required'],
+      ['POST', /^\/([\w.-]+)\/docs\/chunks\/missing$/, (request, repo) => this.json(200, { missing: this.state.missingChunks(repo, request.body?.hashes) }), 'required'],
+      ['PUT', /^\/([\w.-]+)\/docs\/chunks\/([0-9a-f]{64})$/, (request, repo, hash) => this.json(201, this.state.storeChunk(repo, hash, request.body?.data)), 'required'],
+      ['GET', /^\/([\w.-]+)\/docs\/chunks\/([0-9a-f]{64})$/, (request, repo, hash) => this.chunk(repo, hash), 'required'],
+      ['POST', /^\/([\w.-]+)\/docs\/versions$/, (request, repo) => this.json(201, this.state.storeVersion(repo, request.body || {})), 'required'],
+      ['GET', /^\/([\w.-]+)\/docs\/manifest$/, (request, repo) => this.json(200, this.state.manifest(repo)), 'required']
+    ];
+  }
+
+  /**
+   * Create a server for the connected repos in the ConnectionRegistry (config plus discovery),
+   * the rates in .infinity/andy-lian-integration.json and the secrets in .infinity/wiring-secrets.json
+   * @param {Object} [options] - constructor options plus { designerRoot, secrets }
+   * @returns {Promise<MockHubServer>}
+   */
+  static async create(options = {}) {
+    const designerRoot = options.designerRoot || DESIGNER_ROOT;
+    const loader = new FileSystemLoader(designerRoot);
+    const integration = options.integration
+      || await loader.readJson('.infinity/andy-lian-integration.json')
+      || {};
+    const registry = await new ConnectionRegistry({ loader }).loadFromConfig(integration);
+    // Seeded repos adjust the registry's (e.g. one offline) rather than replace them
+    const seedRepos = options.state?.repos || {};
+    const seed = options.state instanceof MockHubState ? options.state : {
+      currency: integration.token_symbol,
+      ...options.state,
+      repos: {
+        ...Object.fromEntries(registry.names().map(name => [name, { online: true }])),
+        ...(Array.isArray(seedRepos) ? Object.fromEntries(seedRepos.map(name => [name, { online: true }])) : seedRepos)
+      }
+    };
+    // Without secrets requests are accepted unsigned
+    const secrets = options.secrets || (await loader.readJson('.infinity/wiring-secrets.json'))?.secrets;
+    const verifier = options.verifier || (secrets ? { secrets } : null);
+    return new MockHubServer({ roots: [designerRoot], ...options, state: seed, integration, verifier });
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port] - 0 picks a free port (default 8080)
+   * @param {string} [host] - (default '127.0.0.1')
+   * @returns {Promise<string>} Base URL, e.g. 'http://127.0.0.1:8080/'
+   */
+  listen(port = 8080, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        resolve(`http://${host}:${address.port}/`);
+      });
+    });
+  }
+
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * Node http handler
+   */
+  async handle(req, res) {
+    let response;
+    try {
+      const url = new URL(req.url, 'http://mock.invalid');
+      const rawBody = await this.readBody(req);
+      response = await this.dispatch({
+        method: req.method,
+        path: url.pathname,
+        target: url.pathname + url.search,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: this.parseBody(rawBody),
+        rawBody
+      });
+    } catch (err) {
+      response = this.json(err.status || 500, { error: err.message });
+    }
+
+    res.writeHead(response.status, response.headers);
+    res.end(req.method === 'HEAD' ? undefined : response.body);
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  parseBody(text) {
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw Object.assign(new Error(`Request body is not JSON: ${err.message}`), { status: 400 });
+    }
+  }
+
+  /**
+   * Answer one request - usable without a socket
+   * @param {Object} request - { method, path, query, headers, body, rawBody?, target? } - rawBody and
+   *   target (path plus query) are what a signature covers; without them, body as JSON and path
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  async dispatch(request) {
+    const method = (request.method || 'GET').toUpperCase();
+    const requestPath = request.path || '/';
+    const normalized = { query: {}, headers: {}, body: null, ...request, method, path: requestPath };
+
+    // The control endpoints are never slowed down or failed
+    if (!requestPath.startsWith('/__mock/')) {
+      const plan = this.faults.plan(method, requestPath);
+      if (plan.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, plan.delay));
+      }
+      if (plan.failure) {
+        return this.json(plan.failure.status, { error: plan.failure.message, injected: true });
+      }
+    }
+
+    for (const [routeMethod, pattern, handler, signing] of this.routes) {
+      const match = requestPath.match(pattern);
+      if (!match) continue;
+      if (routeMethod !== method && !(routeMethod === 'GET' && method === 'HEAD')) continue;
+
+      const repo = match[1] || requestPath.split('/')[1];
+      if (this.state.hasRepo(repo) && !this.state.isOnline(repo)) {
+        return this.json(503, { error: `${repo} is offline`, status: 'offline' });
+      }
+      const rejection = await this.checkSignature(normalized, repo, signing);
+      if (rejection) {
+        return rejection;
+      }
+      try {
+        return await handler(normalized, match[1], match[2]);
+      } catch (err) {
+        return this.json(err.status || 400, { error: err.message });
+      }
+    }
+
+    if (method === 'GET' || method === 'HEAD') {
+      return await this.serveStatic(requestPath);
+    }
+    return this.json(405, { error: `${method} ${requestPath} is not handled` });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} A 401 response, or null when the request may go on
+   */
+  async checkSignature(request, repo, signing) {
+    if (!signing || !this.verifier?.has(repo)) {
+      return null;
+    }
+    const signed = this.verifier.header(request.headers, 'X-Wiring-Signature') !== null;
+    if (signing === 'optional' && !signed) {
+      return null;
+    }
+
+    const check = await this.verifier.verify({
+      method: request.method,
+      path: request.target || request.path,
+      headers: request.headers,
+      body: request.rawBody ?? (request.body === null ? '' : JSON.stringify(request.body))
+    }, { keyId: repo });
+    if (check.valid) {
+      return null;
+    }
+    this.state.recordRejection({ method: request.method, path: request.path, reason: check.reason });
+    return this.json(401, { error: check.reason, signature: 'rejected' });
+  }
+
+  configure(patch = {}) {
+    const { latency, failureRate, faults, ...state } = patch || {};
+    this.faults.configure({ latency, failureRate, faults });
+    this.state.configure(state);
+    return this.json(200, { ...this.state.snapshot(), faults: this.faults.describe() });
+  }
+
+  health(repo) {
+    if (!this.state.hasRepo(repo)) {
+      return this.json(404, { error: `${repo} is not a connected repo` });
+    }
+    return this.json(200, { repo, status: 'online', bond: 'hydrogen', checkedAt: new Date().toISOString() });
+  }
+
+  transactions(query = {}) {
+    const limit = query.limit === undefined ? undefined : Number.parseInt(query.limit, 10);
+    if (limit !== undefined && !(limit > 0)) {
+      throw new Error(`limit must be a positive integer, got ${JSON.stringify(query.limit)}`);
+    }
+    return this.json(200, { transactions: this.state.recentTransactions(limit), total: this.state.transactions.length });
+  }
+
+  economy() {
+    return this.json(200, {
+      currency: this.state.currency,
+      name: this.integration.token_name || 'Andy Lian Coin',
+      balance: this.state.balance,
+      transactions: this.state.transactions.length,
+      minted: this.state.receipts.reduce((sum, receipt) => sum + receipt.amount, 0),
+      earnings: this.integration.earnings || {},
+      repos: Object.entries(this.state.repos).map(([name, repo]) => ({ name, status: repo.online ? 'online' : 'offline' }))
+    });
+  }
+
+  chunk(repo, hash) {
+    const chunk = this.state.chunk(repo, hash);
+    return chunk ? this.json(200, chunk) : this.json(404, { error: `No chunk ${hash} at /${repo}/docs` });
+  }
+
+  /**
+   * Answer the designer's chat widget from the search index in the first root that has one
+   * @param {Object} body - { repo, query }
+   */
+  async ask(body = {}) {
+    const query = String(body?.query || '').trim();
+    if (!query) {
+      return this.json(400, { ok: false, error: 'query is required' });
+    }
+    this.state.recordQuestion({ repo: body.repo || null, query });
+
+    const index = await this.loadSearchIndex();
+    const results = index ? index.search(query, { limit: 3 }) : [];
+    const answer = results.length > 0
+      ? results.map(result => `${result.doc.title} - ${result.doc.url}`).join('\n')
+      : `No match for "${query}"${index ? '' : ' (no search-index.json to search - run a build into a served root)'}`;
+
+    return this.json(200, {
+      ok: true,
+      repo: body.repo || null,
+      answer,
+      token: { id: this.state.nextId('answer'), value: results[0]?.doc.url || null, type: 'mock-answer' }
+    });
+  }
+
+  async loadSearchIndex() {
+    if (!this.searchIndex) {
+      for (const root of this.roots) {
+        try {
+          this.searchIndex = await SearchIndex.load(new FileSystemLoader(root));
+          break;
+        } catch (err) {
+          // Not in this root - try the next
+        }
+      }
+    }
+    return this.searchIndex;
+  }
+
+  /**
+   * First root with the file wins; directories serve their index.html.
+   * Connected repos without a built page get a small stand-in page so links to them resolve.
+   */
+  async serveStatic(requestPath) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(requestPath);
+    } catch (err) {
+      return this.json(400, { error: `Bad path: ${requestPath}` });
+    }
+
+    // Dot-directories stay private, except the allow-listed config and theme files pages read from .infinity/
+    const segments = decoded.split('/').filter(Boolean);
+    const relative = segments.join('/');
+    if ((segments.some(segment => segment.startsWith('.')) && !PUBLIC_INFINITY_FILES.some(pattern => pattern.test(relative)))
+      || decoded.includes('\0')) {
+      return this.json(404, { error: `${requestPath} not found` });
+    }
+
+    for (const root of this.roots) {
+      const filePath = path.resolve(root, ...segments);
+      if (filePath !== root && !filePath.startsWith(root + path.sep)) continue;
+
+      const file = await this.findFile(filePath);
+      if (file) {
+        const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+        return { status: 200, headers: { 'Content-Type': type, 'Cache-Control': 'no-store' }, body: await fs.readFile(file) };
+      }
+    }
+
+    const repo = segments[0];
+    if (segments.length === 1 && this.state.hasRepo(repo)) {
+      return this.standInPage(repo);
+    }
+    return this.json(404, { error: `${requestPath} not found` });
+  }
+
+  async findFile(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      if (stats.isFile()) {
+        return filePath;
+      }
+      if (stats.isDirectory()) {
+        const index = path.join(filePath, 'index.html');
+        return (await fs.stat(index)).isFile() ? index : null;
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+        throw err;
+      }
+    }
+    return null;
+  }
+
+  standInPage(repo) {
+    const name = this.escape(repo);
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${name} (mock)</title>
+  <meta name="description" content="Local stand-in for the ${name} repo">
+</head>
+<body>
+  <main>
+    <h1>${name}</h1>
+    <p>Local stand-in served by the mock hub - build ${name} into a served root to see its real index.</p>
+    <p><a href="/${name}/health">Health</a></p>
+  </main>
+</body>
+</html>
+`;
+    return { status: 200, headers: { 'Content-Type': CONTENT_TYPES['.html'], 'Cache-Control': 'no-store' }, body: html };
+  }
+
+  json(status, body) {
+    return {
+      status,
+      headers: { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' },
+      body: JSON.stringify(body)
+    };
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MockHubServer;
+}
+
+export default MockHubServer;
@@ -0,0 +1,273 @@
+/**
+ * 🗄️ Mock Hub State
+ * Everything the stand-in dash-hub / token-mint remembers between requests
+ *
+ * State: { currency, balance, transactions, repos: { name: { online } }, receipts, updates, docs, questions, rejected }
+ * docs: { repo: { chunks: { sha256: base64 }, versions: [entry] } } - each repo's backup location
+ * Seeded from a plain object (a --state JSON file); reset() goes back to that seed.
+ */
+
+import { createHash } from 'crypto';
+
+class MockHubState {
+  /**
+   * @param {Object} [seed]
+   * @param {number} [seed.balance] - Starting balance (default 0)
+   * @param {string} [seed.currency] - Token symbol (default 'ALC')
+   * @param {Object[]} [seed.transactions] - [{ amount, reason, repo, timestamp }], oldest first
+   * @param {string[]|Object} [seed.repos] - Connected repo names, or { name: { online } }
+   */
+  constructor(seed = {}) {
+    this.seed = JSON.parse(JSON.stringify(seed));
+    this.reset();
+  }
+
+  /**
+   * Forget everything since the seed
+   */
+  reset() {
+    const seed = JSON.parse(JSON.stringify(this.seed));
+    this.currency = seed.currency || 'ALC';
+    this.balance = Number(seed.balance) || 0;
+    this.transactions = (seed.transactions || []).map((entry, index) => this.transaction(entry, index));
+    this.repos = this.normalizeRepos(seed.repos || []);
+    this.receipts = [];
+    this.updates = [];
+    this.docs = {};
+    this.questions = [];
+    this.rejected = [];
+    this.sequences = {};
+    return this;
+  }
+
+  /**
+   * Change part of the state at runtime (POST /__mock/state)
+   * @param {Object} patch - { balance, currency, transactions, repos }
+   */
+  configure(patch = {}) {
+    if (patch.balance !== undefined) {
+      const balance = Number(patch.balance);
+      if (!Number.isFinite(balance)) {
+        throw new Error(`balance must be a number, got ${JSON.stringify(patch.balance)}`);
+      }
+      this.balance = balance;
+    }
+    if (patch.currency) {
+      this.currency = patch.currency;
+    }
+    if (Array.isArray(patch.transactions)) {
+      this.transactions = patch.transactions.map((entry, index) => this.transaction(entry, index));
+    }
+    if (patch.repos) {
+      Object.assign(this.repos, this.normalizeRepos(patch.repos));
+    }
+    return this;
+  }
+
+  normalizeRepos(repos) {
+    if (Array.isArray(repos)) {
+      return Object.fromEntries(repos.map(name => [name, { online: true }]));
+    }
+    return Object.fromEntries(Object.entries(repos).map(([name, repo]) => [name, { online: repo?.online !== false }]));
+  }
+
+  transaction(entry, index) {
+    return {
+      id: entry.id || `tx-${String(index + 1).padStart(4, '0')}`,
+      type: entry.type || 'reward',
+      amount: Number(entry.amount) || 0,
+      currency: entry.currency || this.currency,
+      reason: entry.reason || '',
+      repo: entry.repo || null,
+      timestamp: entry.timestamp || new Date().toISOString()
+    };
+  }
+
+  nextId(prefix) {
+    this.sequences[prefix] = (this.sequences[prefix] || 0) + 1;
+    return `${prefix}-${String(this.sequences[prefix]).padStart(4, '0')}`;
+  }
+
+  hasRepo(name) {
+    return Object.prototype.hasOwnProperty.call(this.repos, name);
+  }
+
+  isOnline(name) {
+    return this.hasRepo(name) && this.repos[name].online;
+  }
+
+  /**
+   * Newest first
+   * @param {number} [limit]
+   */
+  recentTransactions(limit) {
+    const newest = this.transactions.slice().reverse();
+    return limit ? newest.slice(0, limit) : newest;
+  }
+
+  /**
+   * Mint tokens: adds a transaction, raises the balance, returns the receipt
+   * @param {Object} request - { amount, repo, reason }
+   */
+  mint(request = {}) {
+    const amount = Number(request.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error(`amount must be a positive number, got ${JSON.stringify(request.amount)}`);
+    }
+
+    // Numbered after the seeded transactions
+    const transaction = this.transaction({
+      type: 'mint',
+      amount,
+      reason: request.reason || 'Minted',
+      repo: request.repo || null
+    }, this.transactions.length);
+    this.transactions.push(transaction);
+    this.balance = Math.round((this.balance + amount) * 100) / 100;
+
+    const receipt = {
+      id: this.nextId('receipt'),
+      transaction: transaction.id,
+      amount,
+      currency: this.currency,
+      repo: transaction.repo,
+      reason: transaction.reason,
+      balance: this.balance,
+      mintedAt: transaction.timestamp
+    };
+    this.receipts.push(receipt);
+    return receipt;
+  }
+
+  /**
+   * Remember a domino update a repo received and acknowledge it. A repeated
+   * Idempotency-Key gets the first acknowledgement again instead of a second update.
+   * @returns {Object} { ack: { repo, key, version, update, receivedAt }, duplicate }
+   */
+  recordUpdate(repo, body, headers = {}) {
+    const key = headers['idempotency-key'] || null;
+    const existing = key && this.updates.find(update => update.repo === repo && update.key === key);
+    if (existing) {
+      return { ack: existing.ack, duplicate: true };
+    }
+
+    const update = {
+      id: this.nextId('update'),
+      repo,
+      key,
+      version: body?.version ?? null,
+      domino: headers['x-domino'] || null,
+      body,
+      receivedAt: new Date().toISOString()
+    };
+    update.ack = { repo, key, version: update.version, update: body?.update ?? null, receivedAt: update.receivedAt };
+    this.updates.push(update);
+    return { ack: update.ack, duplicate: false };
+  }
+
+  docsAt(repo) {
+    this.docs[repo] = this.docs[repo] || { chunks: {}, versions: [] };
+    return this.docs[repo];
+  }
+
+  /**
+   * Which of these chunks a repo's backup location doesn't have
+   */
+  missingChunks(repo, hashes) {
+    if (!Array.isArray(hashes)) {
+      throw new Error('hashes must be an array');
+    }
+    const { chunks } = this.docsAt(repo);
+    return hashes.filter(hash => !Object.prototype.hasOwnProperty.call(chunks, hash));
+  }
+
+  /**
+   * Keep a chunk under its SHA-256 - refused when the data doesn't hash to it
+   * @param {string} data - base64
+   */
+  storeChunk(repo, hash, data) {
+    if (typeof data !== 'string' || this.sha256(Buffer.from(data, 'base64')) !== hash) {
+      throw Object.assign(new Error(`Chunk data does not hash to ${hash}`), { status: 422 });
+    }
+    this.docsAt(repo).chunks[hash] = data;
+    return { hash, stored: true };
+  }
+
+  chunk(repo, hash) {
+    const data = this.docsAt(repo).chunks[hash];
+    return data === undefined ? null : { hash, data };
+  }
+
+  /**
+   * Add a version to a repo's manifest once every chunk is there, and confirm the
+   * hash of what the chunks reassemble to
+   * @param {Object} entry - { version, hash, size, format, chunkSize, chunks, createdAt }
+   */
+  storeVersion(repo, entry = {}) {
+    const location = this.docsAt(repo);
+    if (!Number.isInteger(entry.version) || entry.version < 1 || !Array.isArray(entry.chunks)) {
+      throw new Error('A version entry needs a positive integer version and a chunks array');
+    }
+    const missing = entry.chunks.filter(hash => location.chunks[hash] === undefined);
+    if (missing.length > 0) {
+      throw Object.assign(new Error(`Missing chunks: ${missing.join(', ')}`), { status: 422 });
+    }
+    const hash = this.sha256(Buffer.concat(entry.chunks.map(chunk => Buffer.from(location.chunks[chunk], 'base64'))));
+
+    const existing = location.versions.find(version => version.version === entry.version);
+    if (existing && existing.hash !== hash) {
+      throw Object.assign(new Error(`Version ${entry.version} is already stored with hash ${existing.hash}`), { status: 409 });
+    }
+    if (!existing) {
+      location.versions.push({ ...entry, hash, storedAt: new Date().toISOString() });
+      location.versions.sort((a, b) => a.version - b.version);
+    }
+    return { confirmed: hash === entry.hash, version: entry.version, hash };
+  }
+
+  manifest(repo) {
+    return { versions: this.docsAt(repo).versions };
+  }
+
+  sha256(buffer) {
+    return createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Remember a request turned away for its signature
+   */
+  recordRejection(rejection) {
+    this.rejected.push({ ...rejection, rejectedAt: new Date().toISOString() });
+  }
+
+  recordQuestion(question) {
+    this.questions.push({ ...question, askedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Everything, for GET /__mock/state
+   */
+  snapshot() {
+    return {
+      currency: this.currency,
+      balance: this.balance,
+      transactions: this.transactions,
+      repos: this.repos,
+      receipts: this.receipts,
+      updates: this.updates,
+      docs: Object.fromEntries(Object.entries(this.docs).map(([repo, location]) => [repo, {
+        versions: location.versions,
+        chunks: Object.keys(location.chunks)
+      }])),
+      questions: this.questions,
+      rejected: this.rejected
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MockHubState;
+}
+
+export default MockHubState;
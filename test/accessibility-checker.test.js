@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AccessibilityChecker from '../builder/accessibility-checker.js';
+import ColorContrast from '../builder/color-contrast.js';
+
+const checker = new AccessibilityChecker();
+
+/**
+ * Issues from one check, as [path, message]
+ */
+function found(check, body, head = '') {
+  const report = checker.check(`<html lang="en"><head>${head}</head><body>${body}</body></html>`, { checks: [check] });
+  return report.issues.map(issue => [issue.path, issue.message]);
+}
+
+test('a labelled, landmarked page with an h1 passes every check', () => {
+  const report = checker.check(`<html lang="en"><body>
+    <header><h1>widget-kit</h1></header>
+    <nav aria-label="Main"><a href="/">Home</a></nav>
+    <main><h2>Search</h2><label>Query <input name="q"></label><button aria-label="Go">🔍</button></main>
+    <footer><img src="logo.png" alt=""></footer>
+  </body></html>`);
+  assert.deepEqual(report.failed, []);
+  assert.equal(report.message, '✅ Page is accessible');
+});
+
+test('the page language must be a valid tag', () => {
+  assert.deepEqual(checker.check('<html><body></body></html>', { checks: ['language'] }).issues.map(issue => issue.message), ['Page has no lang attribute']);
+  assert.equal(checker.check('<html lang="en_US"></html>', { checks: ['language'] }).issues[0].message, 'Invalid lang attribute "en_US"');
+  assert.equal(checker.check('<html lang="pt-BR"></html>', { checks: ['language'] }).passed, true);
+});
+
+test('images need alt text unless they are labelled or presentational', () => {
+  assert.deepEqual(found('altText', '<img src="a.png"><img src="b.png" alt=""><img src="c.png" role="presentation"><input type="image" src="go.png">'), [
+    ['html > body > img:nth-of-type(1)', '<img src="a.png"> has no alt text'],
+    ['html > body > input', '<input src="go.png"> has no alt text']
+  ]);
+});
+
+test('form controls need a label and placeholders do not count', () => {
+  const issues = found('formLabels', `
+    <label for="email">Email</label><input id="email">
+    <input id="name" placeholder="Your name">
+    <select aria-labelledby="missing"></select>
+    <input type="submit" value="Send"><input type="hidden">
+    <button><img src="x.png" alt="Close"></button><button class="icon"></button>`);
+  assert.deepEqual(issues.map(([, message]) => message), ['<input type="text"> has no label', '<select> has no label', 'Button has no accessible name']);
+  const fixes = checker.checkFormLabels(checker.parser.parse('<input id="name">'), new Map()).map(issue => issue.fix);
+  assert.deepEqual(fixes, ['Add <label for="name">…</label> or aria-label="…"']);
+});
+
+test('headings start at one h1 and do not skip levels', () => {
+  assert.deepEqual(found('headings', '<h2>Intro</h2><h4>Detail</h4><h3></h3><div hidden><h6>Hidden</h6></div>').map(([, message]) => message), [
+    'Page has no <h1>',
+    'Heading level skips from h2 to h4',
+    '<h3> is empty'
+  ]);
+  assert.deepEqual(found('headings', '<h1>Title</h1><div role="heading" aria-level="3">Deep</div>').map(([, message]) => message), [
+    'Heading level skips from h1 to h3'
+  ]);
+});
+
+test('content outside landmarks is reported once per outermost container', () => {
+  assert.deepEqual(found('landmarks', `<main>In</main><div class="promo"><p>One</p><p>Two</p></div>
+    <section aria-label="News">Named region</section><div role="alert">Saved</div>Loose`), [
+    ['html > body > div.promo:nth-of-type(1)', 'Content is outside of any landmark'],
+    ['html > body', 'Content is outside of any landmark']
+  ]);
+});
+
+test('links with the same name must go to the same place', () => {
+  assert.deepEqual(found('linkNames', `<main><a href="/a">Read more</a><a href="/a">read more</a>
+<a href="/b">Read more</a><a href="/c" aria-label="Read more about C">Read more</a><a hidden href="/d">Read more</a></main>`), [
+    ['html > body > main > a:nth-of-type(3)', 'Link text "read more" also links to /a (line 1)']
+  ]);
+});
+
+test('roles and aria attributes must exist and hold valid values', () => {
+  const messages = found('aria', `<div id="tip">Tip</div>
+    <div role="buton" aria-hidden="yes" aria-level="two" aria-describedby="tip gone" aria-labeledby="tip"></div>
+    <div role="tab" aria-selected="TRUE" aria-controls="tip" aria-valuenow="1.5" aria-relevant="additions text"></div>`)
+    .map(([, message]) => message);
+  assert.deepEqual(messages, [
+    'Unknown role "buton"',
+    'aria-hidden="yes" is not a valid value',
+    'aria-level="two" is not an integer',
+    'aria-describedby points to missing id: gone',
+    'Unknown attribute aria-labeledby'
+  ]);
+});
+
+test('contrast is checked per token pair with a fix that meets the minimum', () => {
+  const style = `<style>:root { --page-bg: #ffffff; --surface: transparent; --text: #999999; --text-muted: var(--text);
+    --heading: #222; --header-bg: linear-gradient(#fff, #000); --header-text: #333; }</style>`;
+  const report = checker.check(`<html lang="en" data-theme="mario"><head>${style}</head></html>`, { checks: ['contrast'] });
+
+  assert.deepEqual(report.issues.map(issue => issue.message), [
+    'Low contrast in body text: --text #999999 on #ffffff is 2.85:1 (needs 4.5:1)',
+    'Low contrast in muted text: --text-muted #999999 on #ffffff is 2.85:1 (needs 4.5:1)',
+    'Low contrast in feature cards: --text #999999 on #ffffff is 2.85:1 (needs 4.5:1)',
+    'Low contrast in header: --header-text #333333 on #000000 is 1.66:1 (needs 4.5:1)'
+  ]);
+  const [fix] = report.issues[0].fix.match(/#[0-9a-f]{6}/);
+  assert.match(report.issues[0].fix, /^Set --text: #[0-9a-f]{6} in templates\/themes\/mario\.css$/);
+  assert.ok(checker.contrast.ratio(checker.contrast.parseColor(fix), checker.contrast.parseColor('#fff')) >= 4.5);
+  // No text color reads on both ends of a white-to-black gradient, so the fix points at the background instead
+  assert.match(report.issues[3].fix, /^Change the --header-bg background/);
+});
+
+test('colors resolve through var(), color-mix() and layered backgrounds', () => {
+  const contrast = new ColorContrast();
+  const tokens = contrast.readCustomProperties(':root { --a: #000; } .x { --a: red; } html { --b: var(--a, white); --c: var(--missing); }');
+  assert.equal(contrast.resolve('var(--b)', tokens), '#000');
+  assert.equal(contrast.resolve('var(--c)', tokens), null);
+  assert.equal(contrast.resolve('var(--missing, rgb(0 0 0 / 50%))', tokens), 'rgb(0 0 0 / 50%)');
+
+  assert.deepEqual(contrast.parseColor('#0f08'), { r: 0, g: 255, b: 0, a: 136 / 255 });
+  assert.equal(contrast.toHex(contrast.parseColor('color-mix(in srgb, black 25%, white)')), '#bfbfbf');
+  assert.equal(contrast.parseColor('color-mix(in oklch, black, white)'), null);
+
+  const layers = contrast.backgroundColors('rgba(0, 0, 0, 0.5), linear-gradient(90deg, #fff 0%, #000 100%)');
+  assert.deepEqual(layers.map(color => contrast.toHex(color)), ['#808080', '#000000']);
+  assert.equal(contrast.worstContrast('#fff', layers).background, '#808080');
+  assert.equal(Math.round(contrast.ratio(contrast.parseColor('black'), contrast.parseColor('white'))), 21);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ActionRegistry from '../ui/action-registry.js';
+import CommandPalette from '../ui/command-palette.js';
+
+/**
+ * Just enough of a document for the default handlers: elements by id that record what was done to them
+ */
+function page(ids) {
+  const log = [];
+  const elements = Object.fromEntries(ids.map(id => [id, {
+    scrollIntoView: options => log.push([id, 'scroll', options.block]),
+    focus: () => log.push([id, 'focus'])
+  }]));
+  return { doc: { getElementById: id => elements[id] || null }, log };
+}
+
+function quietly(run) {
+  const error = console.error;
+  console.error = () => {};
+  return run().finally(() => { console.error = error; });
+}
+
+test('register needs an id and a handler, and fills in defaults', () => {
+  const registry = new ActionRegistry();
+  assert.throws(() => registry.register('', { handler: () => {} }), /Invalid action id/);
+  assert.throws(() => registry.register('save', { label: 'Save' }), /"save" needs a handler function/);
+
+  registry.register('save', { handler: () => {} });
+  assert.deepEqual({ ...registry.get('save'), handler: undefined }, {
+    id: 'save', label: 'save', icon: '▶️', keywords: [], shortcut: '', hidden: false, handler: undefined
+  });
+});
+
+test('re-registering replaces an action in place, hidden actions stay runnable but unlisted', async () => {
+  const registry = new ActionRegistry()
+    .register('one', { handler: () => 1 })
+    .register('secret', { hidden: true, handler: () => 'found' })
+    .register('two', { handler: () => 2 })
+    .register('one', { label: 'One again', handler: () => 'replaced' });
+
+  assert.deepEqual(registry.list().map(action => action.label), ['One again', 'two']);
+  assert.equal((await registry.run('one')).result, 'replaced');
+  assert.deepEqual(await registry.run('secret'), { success: true, action: 'secret', result: 'found' });
+  assert.equal(registry.unregister('secret'), true);
+  assert.equal(registry.has('secret'), false);
+});
+
+test('run reports false, unknown and throwing handlers as failures', () => quietly(async () => {
+  const registry = new ActionRegistry()
+    .register('refuse', { handler: () => false })
+    .register('broken', { handler: async () => { throw new Error('no target'); } })
+    .register('context', { handler: context => context.palette });
+
+  assert.deepEqual(await registry.run('refuse'), { success: false, action: 'refuse', result: false });
+  assert.deepEqual(await registry.run('broken'), { success: false, action: 'broken', error: 'no target' });
+  assert.equal((await registry.run('missing')).error, 'No handler registered for action "missing"');
+  assert.equal((await registry.run('context', { palette: 'p' })).result, 'p');
+}));
+
+test('default actions act on the given document and fail when their target is missing', async () => {
+  const { doc, log } = page(['features', 'search']);
+  const registry = ActionRegistry.createDefault(doc);
+
+  assert.equal((await registry.run('scroll_features')).success, true);
+  assert.equal((await registry.run('open_search')).success, true);
+  assert.equal((await registry.run('show_tokens')).success, false);
+  assert.deepEqual(log, [['features', 'scroll', 'start'], ['search', 'scroll', 'center'], ['search', 'focus']]);
+
+  const opened = [];
+  const palette = { open: query => opened.push(query) };
+  assert.equal((await registry.run('theme_picker', { palette })).success, true);
+  assert.deepEqual(opened, ['theme']);
+  assert.equal((await registry.run('theme_picker')).success, false);
+});
+
+test('clicks on [data-action] run registered actions only', async () => {
+  const ran = [];
+  let listener;
+  const root = { addEventListener: (type, handle) => { listener = handle; } };
+  new ActionRegistry().register('save', { handler: context => ran.push(context.source) }).bindClicks(root, { source: 'page' });
+
+  const click = action => {
+    const event = {
+      target: { closest: () => (action ? { dataset: { action } } : null) },
+      defaultPrevented: false,
+      preventDefault() { this.defaultPrevented = true; }
+    };
+    listener(event);
+    return event.defaultPrevented;
+  };
+  assert.deepEqual([click('save'), click('unknown'), click(null)], [true, false, false]);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(ran, ['page']);
+});
+
+test('the palette matches labels, ids and keywords, preferring prefixes and word starts', () => {
+  const registry = new ActionRegistry()
+    .register('show_wiring', { label: 'Connect Repos', keywords: ['wiring'], handler: () => {} })
+    .register('open_search', { label: 'Search All', keywords: ['find', 'repos'], handler: () => {} })
+    .register('theme_picker', { label: 'Change Theme', keywords: ['colors'], handler: () => {} });
+  const palette = new CommandPalette({ registry, limit: 2 });
+  const ids = query => palette.filter(query).map(action => action.id);
+
+  assert.deepEqual(ids(''), ['show_wiring', 'open_search']);
+  // A keyword matched from its start outranks the same word in the middle of a label
+  assert.deepEqual(ids('repos'), ['open_search', 'show_wiring']);
+  assert.deepEqual(ids('wiring'), ['show_wiring']);
+  assert.deepEqual(ids('find'), ['open_search']);
+  assert.deepEqual(ids('ct'), ['theme_picker', 'show_wiring']);
+  assert.deepEqual(ids('zzz'), []);
+
+  assert.equal(palette.fuzzyScore('ch', 'Change Theme') > palette.fuzzyScore('ch', 'Search'), true);
+  assert.equal(palette.fuzzyScore('tz', 'theme'), 0);
+});
+
+test('the palette shortcut matches Ctrl or Cmd with the exact modifiers', () => {
+  const palette = new CommandPalette({ registry: new ActionRegistry(), shortcut: 'Ctrl+Shift+P' });
+  const press = keys => palette.matchesShortcut({ key: 'P', ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, ...keys });
+
+  assert.deepEqual(palette.shortcut, { key: 'p', ctrl: true, shift: true, alt: false, label: 'Ctrl+Shift+P' });
+  assert.equal(press({ ctrlKey: true, shiftKey: true }), true);
+  assert.equal(press({ metaKey: true, shiftKey: true }), true);
+  assert.equal(press({ ctrlKey: true }), false);
+  assert.equal(press({ ctrlKey: true, shiftKey: true, altKey: true }), false);
+});
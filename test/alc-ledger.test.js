@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import AlcLedger from '../ledger/alc-ledger.js';
+import JsonLinesStore from '../ledger/jsonl-store.js';
+import MemoryStore from '../ledger/memory-store.js';
+
+const LEDGER = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'ledger', 'alc-ledger.js');
+const STORE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'ledger', 'jsonl-store.js');
+
+const reward = (repo, amount = 1) => ({ amount, reason: 'page built', repo, score: 100 });
+
+async function tempFile() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'alc-ledger-'));
+  return { file: path.join(dir, 'alc-ledger.jsonl'), cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+}
+
+function assertChain(entries) {
+  assert.deepEqual(entries.map(entry => entry.index), entries.map((entry, index) => index));
+  entries.slice(1).forEach((entry, index) => assert.equal(entry.previousHash, entries[index].hash));
+}
+
+test('entries chain by hash and tampering breaks verify()', async () => {
+  const store = new MemoryStore();
+  const ledger = new AlcLedger({ store });
+  await ledger.record(reward('lib', 2));
+  await ledger.record(reward('plain', 3));
+  await ledger.record(reward('lib', 1.5));
+  assert.deepEqual(await ledger.verify(), { valid: true, entries: 3, brokenAt: null, reason: null });
+  assert.equal(await ledger.balance(), 6.5);
+
+  store.entries[1].amount = 300;
+  const check = await new AlcLedger({ store }).verify();
+  assert.equal(check.valid, false);
+  assert.equal(check.brokenAt, 1);
+});
+
+test('a broken ledger refuses new entries', async () => {
+  const store = new MemoryStore();
+  const ledger = new AlcLedger({ store });
+  await ledger.record(reward('lib'));
+  await ledger.record(reward('lib'));
+  store.entries[0].reason = 'edited';
+  await assert.rejects(ledger.record(reward('lib')), /broken at entry 0/);
+  assert.equal(store.entries.length, 2);
+});
+
+test('a ledger with a stale cache appends after entries another writer added', async () => {
+  const store = new MemoryStore();
+  const first = await new AlcLedger({ store }).load();
+  const second = await new AlcLedger({ store }).load();
+  await first.record(reward('lib'));
+  await second.record(reward('plain'));
+  await first.record(reward('lib'));
+
+  assertChain(store.entries);
+  assert.equal(store.entries.length, 3);
+  assert.equal((await new AlcLedger({ store }).verify()).valid, true);
+});
+
+test('the store refuses an entry built on a tail that moved', async () => {
+  const store = new MemoryStore();
+  const ledger = new AlcLedger({ store });
+  const entry = await ledger.record(reward('lib'));
+  await assert.rejects(store.append({ ...entry }, { count: 0, lastHash: null }), error => error.code === 'LEDGER_CONFLICT');
+  assert.equal(store.entries.length, 1);
+});
+
+test('two ledgers appending to one file at once keep a single chain', async () => {
+  const { file, cleanup } = await tempFile();
+  try {
+    const first = await new AlcLedger({ store: new JsonLinesStore(file) }).load();
+    const second = await new AlcLedger({ store: new JsonLinesStore(file) }).load();
+    const rewards = [];
+    for (let i = 0; i < 8; i++) {
+      rewards.push(first.record(reward('lib')), second.record(reward('plain')));
+    }
+    await Promise.all(rewards);
+
+    const ledger = new AlcLedger({ store: new JsonLinesStore(file) });
+    const entries = await ledger.all();
+    assert.equal(entries.length, 16);
+    assertChain(entries);
+    assert.equal((await ledger.verify()).valid, true);
+    await assert.rejects(fs.access(`${file}.lock`));
+  } finally {
+    await cleanup();
+  }
+});
+
+test('two processes appending to one file keep a single chain', async () => {
+  const { file, cleanup } = await tempFile();
+  const script = `
+    const AlcLedger = (await import(${JSON.stringify(LEDGER)})).default;
+    const JsonLinesStore = (await import(${JSON.stringify(STORE)})).default;
+    const ledger = new AlcLedger({ store: new JsonLinesStore(process.argv[1]), maxAttempts: 50 });
+    for (let i = 0; i < 10; i++) {
+      await ledger.record({ amount: 1, reason: 'page built', repo: process.argv[2], score: 100 });
+    }`;
+  const writer = repo => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['--input-type=module', '-e', script, file, repo], { timeout: 60000 },
+      (err, stdout, stderr) => err ? reject(new Error(stderr || err.message)) : resolve());
+  });
+  try {
+    await Promise.all([writer('lib'), writer('plain')]);
+    const ledger = new AlcLedger({ store: new JsonLinesStore(file) });
+    const entries = await ledger.all();
+    assert.equal(entries.length, 20);
+    assertChain(entries);
+    assert.equal((await ledger.verify()).valid, true);
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AutoIndexGenerator from '../builder/auto-index-generator.js';
+import MemoryLoader from '../loaders/memory-loader.js';
+
+const THEME = { name: 'Mario Theme', icon: '🍄', template: 'mario-index.html', keywords: ['mario'] };
+const INTEGRATION = { connections: [{ name: 'dash-hub', url: '/dash-hub', label: 'Dash Hub' }] };
+
+function quietly(run) {
+  const error = console.error;
+  console.error = () => {};
+  return run().finally(() => { console.error = error; });
+}
+
+test('a broken config file rejects ready() without costing the other file', () => quietly(async () => {
+  const generator = new AutoIndexGenerator({
+    loader: new MemoryLoader({
+      '.infinity/builder-config.json': '{ "themes": [',
+      '.infinity/andy-lian-integration.json': INTEGRATION
+    })
+  });
+  await assert.rejects(generator.ready(), /builder-config\.json/);
+  assert.deepEqual(generator.connections.names(), ['dash-hub']);
+}));
+
+test('themes and connections load when both files are fine', async () => {
+  const generator = await AutoIndexGenerator.create({
+    loader: new MemoryLoader({
+      '.infinity/builder-config.json': { themes: ['mario'] },
+      '.infinity/andy-lian-integration.json': INTEGRATION,
+      '.infinity/themes/mario.json': THEME
+    })
+  });
+  assert.deepEqual(generator.themeRegistry.ids(), ['mario']);
+  assert.deepEqual(generator.connections.names(), ['dash-hub']);
+});
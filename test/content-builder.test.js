@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ContentBuilder from '../builder/content-builder.js';
+import ThemeRegistry from '../builder/theme-registry.js';
+import ConnectionRegistry from '../wiring/connection-registry.js';
+
+const README = `# parser
+
+Turns markdown into a syntax tree, fast.
+
+## Install
+
+\`\`\`sh
+npm i parser
+\`\`\`
+
+## Streaming
+
+Parses input chunk by chunk.
+`;
+
+test('the hero describes the repo, not the builder', () => {
+  const builder = new ContentBuilder({ themeRegistry: new ThemeRegistry(), connections: new ConnectionRegistry({ manifest: null }).load([]) });
+  const hero = builder.buildHero({ name: 'parser', description: 'Markdown parser', readme: README });
+  assert.equal(hero.tagline, 'Markdown parser');
+  assert.equal(hero.description, 'Turns markdown into a syntax tree, fast.');
+});
+
+test('the hero falls back to the README, then the name', () => {
+  const builder = new ContentBuilder({ themeRegistry: new ThemeRegistry(), connections: new ConnectionRegistry({ manifest: null }).load([]) });
+  assert.deepEqual(
+    [builder.buildHero({ name: 'parser', readme: README }).tagline, builder.buildHero({ name: 'parser', readme: README }).description],
+    ['Turns markdown into a syntax tree, fast.', 'Parses input chunk by chunk.']
+  );
+  const bare = builder.buildHero({ name: 'bare' });
+  assert.equal(bare.tagline, 'bare');
+  assert.match(bare.description, /bare/);
+});
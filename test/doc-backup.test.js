@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import DocBackup from '../wiring/doc-backup.js';
+import ConnectionRegistry from '../wiring/connection-registry.js';
+import FetchLoader from '../loaders/fetch-loader.js';
+import MockHubServer from '../server/mock-hub-server.js';
+
+const LOCATIONS = ['dash-hub', 'banksy', 'token-mint'];
+
+// Several chunks at this size, one of them shared by both halves
+const DOCS = `${'# Guide\n'.repeat(40)}${'# Guide\n'.repeat(40)}tail`;
+
+async function hub(faults) {
+  const server = new MockHubServer({
+    roots: [],
+    state: { repos: Object.fromEntries(LOCATIONS.map(repo => [repo, { online: true }])) },
+    faults
+  });
+  const baseUrl = (await server.listen(0)).replace(/\/$/, '');
+  const registry = new ConnectionRegistry({ manifest: null })
+    .load(LOCATIONS.map(name => ({ name, url: `/${name}`, endpoints: { docs: 'docs' } })));
+  const backup = new DocBackup({ loader: new FetchLoader({ baseUrl }), registry, chunkSize: 320, timeout: 5000 });
+  return { server, backup };
+}
+
+function quietly(run) {
+  const error = console.error;
+  console.error = () => {};
+  return run().finally(() => { console.error = error; });
+}
+
+test('a backup restores byte for byte and verifies at every location', async () => {
+  const { server, backup } = await hub();
+  try {
+    const stored = await backup.backup(DOCS);
+    assert.deepEqual([stored.backed_up, stored.version, stored.confirmed, stored.quorum], [true, 1, 3, 2]);
+    assert.ok(stored.chunks > 1);
+    // The repeated chunk is uploaded once per location
+    const unique = new Set((await backup.split(new TextEncoder().encode(DOCS), 320)).map(chunk => chunk.hash));
+    assert.ok(unique.size < stored.chunks);
+    assert.ok(stored.results.every(result => result.uploaded === unique.size));
+
+    const restored = await backup.restore();
+    assert.deepEqual([restored.restored, restored.version, restored.docs], [true, 1, DOCS]);
+
+    const report = await backup.verify();
+    assert.equal(report.healthy, true);
+    assert.deepEqual(report.versions.map(version => version.intact), [LOCATIONS]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('unchanged docs keep their version and new docs get the next one', async () => {
+  const { server, backup } = await hub();
+  try {
+    await backup.backup({ pages: ['intro'] });
+    const again = await backup.backup({ pages: ['intro'] });
+    assert.equal(again.version, 1);
+    assert.ok(again.results.every(result => result.existing));
+
+    await backup.backup({ pages: ['intro', 'api'] });
+    assert.deepEqual((await backup.restore(1)).docs, { pages: ['intro'] });
+    assert.deepEqual((await backup.restore()).docs, { pages: ['intro', 'api'] });
+  } finally {
+    await server.close();
+  }
+});
+
+test('a corrupted chunk is restored from another location and reported by verify', async () => {
+  const { server, backup } = await hub();
+  try {
+    const stored = await backup.backup(DOCS);
+    const lastChunk = (await backup.split(new TextEncoder().encode(DOCS), 320)).pop().hash;
+    server.state.docs['dash-hub'].chunks[lastChunk] = Buffer.from('tampered').toString('base64');
+
+    const restored = await backup.restore(stored.version);
+    assert.equal(restored.docs, DOCS);
+    assert.deepEqual(restored.corrupted, [{ repo: 'dash-hub', chunk: lastChunk }]);
+
+    const report = await backup.verify();
+    assert.equal(report.healthy, false);
+    assert.deepEqual(report.versions[0].corrupted, ['dash-hub']);
+    assert.equal(report.versions[0].quorum, true);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a backup that reaches fewer locations than the quorum is not backed up', () => quietly(async () => {
+  // Two of three locations fail every docs request
+  const { server, backup } = await hub({ faults: [{ path: '/banksy/docs/*', rate: 1 }, { path: '/token-mint/docs/*', rate: 1 }] });
+  try {
+    const stored = await backup.backup(DOCS);
+    assert.deepEqual([stored.backed_up, stored.confirmed, stored.quorum], [false, 1, 2]);
+    assert.deepEqual(stored.results.filter(result => !result.success).map(result => result.repo), ['banksy', 'token-mint']);
+
+    server.faults.configure({ faults: [], failureRate: 1 });
+    const unreachable = await backup.backup(DOCS);
+    assert.deepEqual([unreachable.backed_up, unreachable.confirmed], [false, 0]);
+  } finally {
+    await server.close();
+  }
+}));
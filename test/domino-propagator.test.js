@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import DominoPropagator from '../wiring/domino-propagator.js';
+import UpdateOutbox from '../wiring/update-outbox.js';
+import ConnectionRegistry from '../wiring/connection-registry.js';
+import JsonLinesStore from '../ledger/jsonl-store.js';
+import MemoryStore from '../ledger/memory-store.js';
+import MemoryLoader from '../loaders/memory-loader.js';
+
+// token-mint takes an update only after dash-hub has
+const REPOS = [
+  { name: 'dash-hub', url: '/dash-hub' },
+  { name: 'token-mint', url: '/token-mint', dependsOn: ['dash-hub'] }
+];
+
+/**
+ * Repos that ack every key they receive, unless told to fail - and log each delivery
+ */
+function hub(failing = new Set()) {
+  const received = [];
+  const receiver = repo => init => {
+    const key = init.headers['Idempotency-Key'];
+    received.push({ repo, key, version: JSON.parse(init.body).version });
+    return failing.has(repo) ? { status: 503, body: { error: 'down' } } : { status: 200, body: { ack: { key } } };
+  };
+  const loader = new MemoryLoader(Object.fromEntries(REPOS.map(repo => [`${repo.url}/update`, receiver(repo.name)])));
+  return { loader, received, failing };
+}
+
+function propagator(loader, outbox = new UpdateOutbox()) {
+  const registry = new ConnectionRegistry({ manifest: null }).load(REPOS);
+  return new DominoPropagator({ loader, registry, outbox, random: () => 0 });
+}
+
+test('updates reach repos in dependency order and every delivery is acked', async () => {
+  const { loader, received } = hub();
+  const domino = propagator(loader);
+  const result = await domino.propagate({ docs: 'v1' });
+
+  assert.equal(result.version, 1);
+  assert.equal(result.successful, 2);
+  assert.deepEqual(received.map(delivery => delivery.repo), ['dash-hub', 'token-mint']);
+  assert.deepEqual(received.map(delivery => delivery.key), [`${result.update}:dash-hub`, `${result.update}:token-mint`]);
+  assert.equal(domino.outbox.pending().length, 0);
+});
+
+test('a dependent repo waits until its dependency acks, and replay keeps the idempotency key', async () => {
+  const { loader, received, failing } = hub(new Set(['dash-hub']));
+  const domino = propagator(loader);
+  const first = await domino.propagate({ docs: 'v1' });
+  assert.deepEqual(first.results.map(result => [result.repo, result.status]), [['dash-hub', 'failed'], ['token-mint', 'waiting']]);
+
+  failing.clear();
+  const replay = await domino.replay({ force: true });
+  assert.deepEqual(replay.results.map(result => [result.repo, result.status, result.attempt]), [['dash-hub', 'acked', 2], ['token-mint', 'acked', 1]]);
+  assert.deepEqual(received.map(delivery => delivery.key), [`${first.update}:dash-hub`, `${first.update}:dash-hub`, `${first.update}:token-mint`]);
+});
+
+test('a later version is queued behind an earlier one a repo has not acked', async () => {
+  const { loader, received, failing } = hub(new Set(['token-mint']));
+  const domino = propagator(loader);
+  await domino.propagate({ docs: 'v1' });
+  const second = await domino.propagate({ docs: 'v2' });
+
+  const mint = second.results.find(result => result.repo === 'token-mint');
+  assert.deepEqual([mint.status, mint.behind], ['queued', 1]);
+  failing.clear();
+  await domino.replay({ force: true });
+  // v1 failed, v1 again, and only then v2
+  assert.deepEqual(received.filter(delivery => delivery.repo === 'token-mint').map(delivery => delivery.version), [1, 1, 2]);
+});
+
+test('an answer without the ack for its key is a failure', async () => {
+  const loader = new MemoryLoader({
+    '/dash-hub/update': () => ({ status: 200, body: { ack: { key: 'someone-else' } } }),
+    '/token-mint/update': init => ({ status: 200, body: { ack: { key: init.headers['Idempotency-Key'] } } })
+  });
+  const result = await propagator(loader).propagate();
+  assert.deepEqual(result.results[0].error, `No acknowledgement for ${result.update}:dash-hub`);
+  assert.equal(result.failed, 1);
+});
+
+test('deliveries still owed survive a reload of the outbox', async () => {
+  const store = new MemoryStore();
+  const { loader, failing } = hub(new Set(['dash-hub']));
+  await propagator(loader, await new UpdateOutbox({ store }).load()).propagate({ docs: 'v1' });
+
+  failing.clear();
+  const reloaded = propagator(loader, await new UpdateOutbox({ store }).load());
+  assert.equal(reloaded.outbox.pending().length, 2);
+  const replay = await reloaded.replay({ force: true });
+  assert.equal(replay.successful, 2);
+  assert.equal((await new UpdateOutbox({ store }).load()).pending().length, 0);
+});
+
+test('two outboxes sharing a store never hand out the same version or index', async () => {
+  const store = new MemoryStore();
+  const first = await new UpdateOutbox({ store }).load();
+  const second = await new UpdateOutbox({ store }).load();
+  const one = await first.enqueue({ id: 'update-a', targets: ['dash-hub'] });
+  const two = await second.enqueue({ id: 'update-b', targets: ['dash-hub'] });
+  await first.recordAck(two.version, 'dash-hub', { attempt: 1, ack: { key: 'update-b:dash-hub' } });
+
+  assert.deepEqual([one.version, two.version], [1, 2]);
+  assert.deepEqual(store.entries.map(event => event.index), [0, 1, 2]);
+  assert.equal(first.get(2).deliveries['dash-hub'].status, 'acked');
+});
+
+test('outboxes in one file stay in order when they write at once', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'update-outbox-'));
+  const file = path.join(dir, 'update-outbox.jsonl');
+  try {
+    const outboxes = await Promise.all([1, 2].map(() => new UpdateOutbox({ store: new JsonLinesStore(file) }).load()));
+    const writes = [];
+    for (let i = 0; i < 5; i++) {
+      outboxes.forEach((outbox, n) => writes.push(outbox.enqueue({ id: `update-${n}-${i}`, targets: ['dash-hub'] })));
+    }
+    await Promise.all(writes);
+
+    const events = await new JsonLinesStore(file).readAll();
+    assert.deepEqual(events.map(event => event.index), [...Array(10).keys()]);
+    assert.deepEqual(events.map(event => event.version), [...Array(10).keys()].map(n => n + 1));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
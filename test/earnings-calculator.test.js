@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import EarningsCalculator from '../builder/earnings-calculator.js';
+
+const PROPER = { passed: true, score: 95 };
+const connected = repos => repos.map(repo => ({ repo, success: true }));
+
+test('the rate table and receipts name each rule the same way', () => {
+  const calculator = new EarningsCalculator();
+  const receipt = calculator.calculate({ quality: PROPER, themes: ['mario'], connections: connected(['dash-hub']) });
+  const labels = Object.fromEntries(calculator.table().map(entry => [entry.rule, entry.label]));
+  receipt.items.forEach(item => assert.equal(item.label, labels[item.rule]));
+  assert.equal(labels.build_index, 'Index built');
+});
+
+test('every rule pays units x rate, and unknown rate keys pay nothing', () => {
+  const calculator = new EarningsCalculator({ earnings: { mystery_rule: 100 } });
+  const receipt = calculator.calculate({
+    quality: PROPER,
+    themes: ['mario', 'mario', 'terminal'],
+    connections: [...connected(['dash-hub', 'dash-hub', 'token-mint']), { repo: 'banksy', success: false }]
+  });
+  assert.deepEqual(receipt.items.map(item => [item.rule, item.units, item.amount]), [
+    ['build_index', 1, 10],
+    ['proper_page', 1, 5],
+    ['theme_support', 2, 6],
+    ['wiring_connection', 2, 4],
+    ['quality_bonus', 1, 5]
+  ]);
+  assert.equal(receipt.total, 30);
+  assert.equal(calculator.table().some(entry => entry.rule === 'mystery_rule'), false);
+});
+
+test('the quality bonus needs a proper page at the minimum score', () => {
+  const calculator = new EarningsCalculator({ policy: { quality_bonus_min_score: 90 } });
+  const rules = quality => calculator.calculate({ quality }).items.map(item => item.rule);
+  assert.deepEqual(rules({ passed: true, score: 89 }), ['build_index', 'proper_page']);
+  assert.deepEqual(rules({ passed: false, score: 99 }), ['build_index']);
+  assert.equal(calculator.calculate({ built: false, quality: { passed: false } }).total, 0);
+});
+
+test('a rule cap limits that rule and marks the item as capped', () => {
+  const calculator = new EarningsCalculator({ policy: { caps: { wiring_connection: 6 } } });
+  const receipt = calculator.calculate({ quality: { passed: false }, connections: connected(['a', 'b', 'c', 'd', 'e']) });
+  const wiring = receipt.items.find(item => item.rule === 'wiring_connection');
+  assert.deepEqual([wiring.units, wiring.amount, wiring.capped], [5, 6, true]);
+  assert.equal(calculator.table().find(entry => entry.rule === 'wiring_connection').cap, 6);
+});
+
+test('rebuilds decay down to the floor', () => {
+  const calculator = new EarningsCalculator({ policy: { rebuild_decay: 0.5, rebuild_floor: 0.1 } });
+  const totals = [0, 1, 2, 5].map(previousBuilds => calculator.calculate({ quality: PROPER, previousBuilds }));
+  assert.deepEqual(totals.map(receipt => receipt.total), [20, 10, 5, 2]);
+  assert.deepEqual(totals.map(receipt => receipt.multiplier), [1, 0.5, 0.25, 0.1]);
+  assert.deepEqual(totals[1].adjustments, [{ rule: 'rebuild', label: 'Rebuild #2 (x0.5)', amount: -10 }]);
+});
+
+test('max_per_build caps the total after the rebuild decay', () => {
+  const calculator = new EarningsCalculator({ policy: { max_per_build: 12, rebuild_decay: 0.5 } });
+  const first = calculator.calculate({ quality: PROPER, themes: ['mario'] });
+  assert.equal(first.subtotal, 23);
+  assert.equal(first.total, 12);
+  assert.deepEqual(first.adjustments.map(adjustment => [adjustment.rule, adjustment.amount]), [['max_per_build', -11]]);
+
+  const rebuild = calculator.calculate({ quality: PROPER, themes: ['mario'], previousBuilds: 1 });
+  assert.deepEqual(rebuild.adjustments.map(adjustment => [adjustment.rule, adjustment.amount]), [['rebuild', -11.5]]);
+  assert.equal(rebuild.total, 11.5);
+});
+
+test('only recent positive rewards count as rebuilds', () => {
+  const calculator = new EarningsCalculator({ policy: { rebuild_window_hours: 24 } });
+  const now = new Date('2026-01-02T12:00:00Z');
+  const history = [
+    { type: 'reward', amount: 10, timestamp: '2026-01-01T00:00:00Z' },
+    { type: 'reward', amount: 10, timestamp: '2026-01-02T00:00:00Z' },
+    { type: 'reward', amount: 0, timestamp: '2026-01-02T06:00:00Z' },
+    { type: 'adjustment', amount: 5, timestamp: '2026-01-02T07:00:00Z' }
+  ];
+  assert.equal(calculator.countRebuilds(history, now), 1);
+  assert.equal(new EarningsCalculator().countRebuilds(history, now), 2);
+});
+
+test('configure() reads rates, policy and currency from the integration file', () => {
+  const calculator = new EarningsCalculator().configure({
+    token_symbol: 'TST',
+    earnings: { build_index: 1 },
+    earnings_policy: { caps: { theme_support: 1 } }
+  });
+  const receipt = calculator.calculate({ quality: { passed: false }, themes: ['a', 'b'] });
+  assert.deepEqual(receipt.items.map(item => [item.rule, item.amount]), [['build_index', 1], ['theme_support', 1]]);
+  assert.equal(receipt.currency, 'TST');
+  assert.match(calculator.formatReceipt(receipt), /Theme template 2 x 3 \(capped\): \+1\.00\n {2}Total: 2\.00 TST/);
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import HealthChecker from '../wiring/health-checker.js';
+import CircuitBreaker from '../wiring/circuit-breaker.js';
+import HealthCache from '../wiring/health-cache.js';
+import MemoryLoader from '../loaders/memory-loader.js';
+
+/**
+ * A /dash-hub/health endpoint answering from a script: a status, or 'hang' (never answers)
+ */
+function endpoint(script) {
+  const calls = [];
+  const loader = new MemoryLoader({
+    '/dash-hub/health': init => {
+      calls.push(init);
+      const next = script.length > 1 ? script.shift() : script[0];
+      return next === 'hang' ? new Promise(() => {}) : { status: next, body: { status: 'ok' } };
+    }
+  });
+  return { loader, calls };
+}
+
+function checker(loader, options = {}) {
+  const waits = [];
+  const clock = { now: 0 };
+  const health = new HealthChecker({
+    loader,
+    timeout: 20,
+    backoff: 100,
+    random: () => 0,
+    now: () => clock.now,
+    sleep: async ms => { waits.push(ms); },
+    cache: { storage: null, ...options.cache },
+    ...options
+  });
+  return { health, waits, clock };
+}
+
+test('a timed-out attempt is retried after a backoff', async () => {
+  const { loader, calls } = endpoint(['hang', 200]);
+  const { health, waits } = checker(loader);
+  const result = await health.check('dash-hub', '/dash-hub/health');
+
+  assert.equal(result.status, 'online');
+  assert.equal(result.attempts, 2);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[0].signal.aborted, true);
+  assert.deepEqual(waits, [50]);
+});
+
+test('5xx answers are retried with a doubling backoff, 4xx answers are final', async () => {
+  const failing = checker(endpoint([503]).loader);
+  const down = await failing.health.check('dash-hub', '/dash-hub/health');
+  assert.deepEqual([down.status, down.httpStatus, down.attempts], ['offline', 503, 3]);
+  assert.deepEqual(failing.waits, [50, 100]);
+
+  const missing = checker(endpoint([404]).loader);
+  assert.equal((await missing.health.check('dash-hub', '/dash-hub/health')).attempts, 1);
+});
+
+test('the breaker opens after repeated failures, then half-opens for one probe', async () => {
+  const { loader, calls } = endpoint([503, 503, 200]);
+  const { health, clock } = checker(loader, { retries: 0, breaker: { failureThreshold: 2, resetTimeout: 1000 }, cache: { ttl: 0 } });
+
+  await health.check('dash-hub', '/dash-hub/health');
+  const second = await health.check('dash-hub', '/dash-hub/health');
+  assert.equal(second.circuit, 'open');
+  const refused = await health.check('dash-hub', '/dash-hub/health');
+  assert.equal(refused.status, 'circuit-open');
+  assert.equal(calls.length, 2);
+
+  clock.now = 1000;
+  const probe = await health.check('dash-hub', '/dash-hub/health');
+  assert.deepEqual([probe.status, probe.circuit], ['online', 'closed']);
+  assert.equal(calls.length, 3);
+});
+
+test('a half-open breaker lets one probe through and a failed probe opens it again', () => {
+  const clock = { now: 0 };
+  const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 500, now: () => clock.now });
+  breaker.recordFailure();
+  assert.equal(breaker.allowRequest(), false);
+
+  clock.now = 500;
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.allowRequest(), false);
+
+  breaker.recordFailure();
+  assert.deepEqual(breaker.describe(), { state: 'open', failures: 2, retryAt: new Date(1000).toISOString() });
+});
+
+test('cached results expire - failures sooner than successes', () => {
+  const clock = { now: 0 };
+  const cache = new HealthCache({ ttl: 1000, failureTtl: 200, storage: null, now: () => clock.now });
+  cache.set('dash-hub', { success: true, status: 'online' });
+  cache.set('token-mint', { success: false, status: 'offline' });
+  assert.equal(cache.get('dash-hub').cached, true);
+
+  clock.now = 200;
+  assert.equal(cache.get('token-mint'), null);
+  assert.equal(cache.get('dash-hub').status, 'online');
+  clock.now = 1000;
+  assert.equal(cache.get('dash-hub'), null);
+});
+
+test('a cached result answers without a request until it expires', async () => {
+  const { loader, calls } = endpoint([200]);
+  const { health, clock } = checker(loader, { cache: { ttl: 1000 } });
+  await health.check('dash-hub', '/dash-hub/health');
+  assert.equal((await health.check('dash-hub', '/dash-hub/health')).cached, true);
+  assert.equal(calls.length, 1);
+
+  clock.now = 1000;
+  assert.equal((await health.check('dash-hub', '/dash-hub/health')).cached, undefined);
+  assert.equal(calls.length, 2);
+});
+
+test('overlapping checks of one repo share a single request', async () => {
+  let answer;
+  const calls = [];
+  const loader = new MemoryLoader({
+    '/dash-hub/health': init => {
+      calls.push(init);
+      return new Promise(resolve => { answer = resolve; });
+    }
+  });
+  const { health } = checker(loader, { timeout: 1000 });
+  const first = health.check('dash-hub', '/dash-hub/health');
+  const second = health.check('dash-hub', '/dash-hub/health', { force: true });
+  await new Promise(resolve => setImmediate(resolve));
+  answer({ status: 200, body: {} });
+
+  assert.equal(await first, await second);
+  assert.equal(calls.length, 1);
+});
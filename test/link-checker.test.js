@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import LinkChecker from '../builder/link-checker.js';
+import MemoryLoader from '../loaders/memory-loader.js';
+
+const CLI = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli', 'infinity-index.js');
+
+const PAGE = `<!DOCTYPE html><html><body>
+<nav><a href="/">Home</a> <a href="/dash-hub">Token Hub</a> <a href="/dash-hub/economy">Economy</a></nav>
+<main id="top"><a href="#top">Top</a> <a href="#gone">Gone</a> <a href="/lib/#intro">Intro</a> <a href="/missing/">Missing</a></main>
+<a href="https://example.com/">Elsewhere</a> <a href="mailto:team@example.com">Mail</a>
+</body></html>`;
+
+test('resolves internal links and anchors against the site', async () => {
+  const checker = new LinkChecker({ loader: new MemoryLoader({ 'lib/index.html': '<h2 id="intro">Intro</h2>' }) });
+  const report = await checker.check(PAGE, { pageUrl: '/plain/' });
+  assert.deepEqual(report.dead.map(issue => issue.url), ['/', '/dash-hub', '/dash-hub/economy', '/missing/']);
+  assert.deepEqual(report.missingAnchors.map(issue => issue.url), ['#gone']);
+  assert.deepEqual(report.external, ['https://example.com/']);
+  assert.equal(report.passed, false);
+});
+
+test('externalPaths are counted as external, not dead', async () => {
+  const checker = new LinkChecker({
+    loader: new MemoryLoader({ 'lib/index.html': '<h2 id="intro">Intro</h2>' }),
+    externalPaths: ['/', '/dash-hub']
+  });
+  const report = await checker.check(PAGE, { pageUrl: '/plain/' });
+  assert.deepEqual(report.dead.map(issue => issue.url), ['/missing/']);
+  assert.deepEqual(report.external, ['/', '/dash-hub', '/dash-hub/economy', 'https://example.com/']);
+});
+
+function build(reposDir, outDir) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, 'build', reposDir, '--out', outDir, '--no-ledger', '--report', 'json'], { timeout: 120000 },
+      (err, stdout) => resolve({ code: err ? err.code : 0, stdout }));
+  });
+}
+
+async function fixture(readmes) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'infinity-index-'));
+  for (const [name, readme] of Object.entries(readmes)) {
+    await fs.mkdir(path.join(root, 'repos', name), { recursive: true });
+    await fs.writeFile(path.join(root, 'repos', name, 'README.md'), readme);
+  }
+  return root;
+}
+
+const README = name => `# ${name}
+
+${name} turns markdown documents into a syntax tree that tools can walk and transform.
+
+## Streaming
+
+Parses large documents chunk by chunk, so memory stays flat.
+`;
+
+test('a plain build exits 0 when its own pages have no dead links', async () => {
+  const root = await fixture({ alpha: README('alpha'), beta: README('beta') });
+  try {
+    const { code, stdout } = await build(path.join(root, 'repos'), path.join(root, 'dist'));
+    const report = JSON.parse(await fs.readFile(path.join(root, 'dist', 'build-report.json'), 'utf8'));
+    assert.equal(code, 0, stdout);
+    assert.equal(report.links.dead, 0);
+    assert.equal(report.pages.length, 2);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('a dead link on a built page fails the build with exit code 1', async () => {
+  const root = await fixture({ alpha: `${README('alpha')}\nSee the [changelog](docs/changelog.html) for releases.\n` });
+  try {
+    const { code } = await build(path.join(root, 'repos'), path.join(root, 'dist'));
+    const report = JSON.parse(await fs.readFile(path.join(root, 'dist', 'build-report.json'), 'utf8'));
+    assert.equal(code, 1);
+    assert.equal(report.links.dead, 1);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import FetchLoader from '../loaders/fetch-loader.js';
+import MemoryLoader from '../loaders/memory-loader.js';
+
+test('FetchLoader keeps the query string and drops the fragment', async () => {
+  const urls = [];
+  const loader = new FetchLoader({ baseUrl: 'http://hub.test', fetch: async url => { urls.push(url); return { ok: true, status: 200 }; } });
+  await loader.request('/dash-hub/transactions?limit=5');
+  await loader.request('dash-hub//balance/#top');
+  await loader.request('/router/ask?q=a%20b#answer');
+  assert.deepEqual(urls, [
+    'http://hub.test/dash-hub/transactions?limit=5',
+    'http://hub.test/dash-hub/balance',
+    'http://hub.test/router/ask?q=a%20b'
+  ]);
+});
+
+test('MemoryLoader matches paths without their query', async () => {
+  const loader = new MemoryLoader({ '/dash-hub/balance': { balance: 5 } });
+  assert.deepEqual(await loader.readJson('/dash-hub/balance?fresh=1'), { balance: 5 });
+  assert.equal(await loader.readText('/missing'), null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import MockHubServer from '../server/mock-hub-server.js';
+
+const FILES = {
+  'index.html': '<!DOCTYPE html><title>designer</title>',
+  '.infinity/builder-config.json': '{}',
+  '.infinity/andy-lian-integration.json': '{}',
+  '.infinity/registry.json': '{ "repos": [] }',
+  '.infinity/themes/mario.json': '{ "name": "Mario Theme" }',
+  '.infinity/themes/.draft.json': '{}',
+  '.infinity/wiring-secrets.json': '{ "secrets": { "dash-hub": "s3cret" } }',
+  '.infinity/alc-ledger.jsonl': '{}\n',
+  '.infinity/update-outbox.jsonl': '{}\n',
+  '.git/config': '[core]'
+};
+
+async function designerRoot() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-hub-'));
+  for (const [file, content] of Object.entries(FILES)) {
+    await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await fs.writeFile(path.join(root, file), content);
+  }
+  return root;
+}
+
+test('only the config and theme files pages read are served from .infinity/', async () => {
+  const root = await designerRoot();
+  try {
+    const server = new MockHubServer({ roots: [root] });
+    const status = async requestPath => (await server.serveStatic(requestPath)).status;
+
+    for (const served of ['/', '/.infinity/builder-config.json', '/.infinity/andy-lian-integration.json',
+      '/.infinity/registry.json', '/.infinity/themes/mario.json']) {
+      assert.equal(await status(served), 200, served);
+    }
+    for (const hidden of ['/.infinity/wiring-secrets.json', '/.infinity/alc-ledger.jsonl', '/.infinity/update-outbox.jsonl',
+      '/.infinity/themes/.draft.json', '/.infinity/', '/.infinity/%77iring-secrets.json', '/.git/config']) {
+      assert.equal(await status(hidden), 404, hidden);
+    }
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
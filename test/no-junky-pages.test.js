@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import HtmlParser from '../builder/html-parser.js';
+import NoJunkyPages from '../builder/no-junky-pages.js';
+
+const parser = new HtmlParser();
+const tags = node => node.children.filter(child => child.type === 'element').map(child => child.tagName);
+
+test('the parser closes implied end tags and keeps raw text raw', () => {
+  const document = parser.parse('<ul><li>one<li>two</ul><p>a<div>b</div><script>if (a < b) { x = "</p>"; }</script>');
+  const [list, paragraph, div, script] = parser.elements(document, ['ul', 'p', 'div', 'script']);
+
+  assert.deepEqual(tags(list), ['li', 'li']);
+  assert.deepEqual(tags(document), ['ul', 'p', 'div', 'script']);
+  assert.equal(paragraph.children.length, 1);
+  assert.equal(div.parent, document);
+  assert.equal(script.children[0].value, 'if (a < b) { x = "</p>"; }');
+});
+
+test('nodes record where they start and end in the source', () => {
+  const source = '<main>\n  <p class="lead" data-x=1 hidden>Fish &amp; chips</p>\n</main>';
+  const document = parser.parse(source);
+  const paragraph = parser.elements(document, 'p')[0];
+
+  assert.deepEqual([paragraph.line, paragraph.column], [2, 3]);
+  assert.equal(source.slice(paragraph.start, paragraph.end), '<p class="lead" data-x=1 hidden>Fish &amp; chips</p>');
+  assert.deepEqual(paragraph.attributes, { class: 'lead', 'data-x': '1', hidden: '' });
+  assert.equal(paragraph.children[0].value, 'Fish & chips');
+  assert.equal(parser.elementPath(paragraph), 'main > p.lead');
+  // [hidden] subtrees are not visible text
+  assert.equal(parser.visibleText(document), '');
+});
+
+test('placeholder text is only reported where a visitor reads it, with its position', () => {
+  const validator = new NoJunkyPages();
+  const hidden = validator.checkJunkyText(`<head><title>Guide</title></head><body>
+    <!-- TODO: more -->
+    <pre><code>// TODO example</code></pre>
+    <script>const placeholder = 1;</script>
+    <div hidden>Coming soon</div>
+    <p data-note="lorem ipsum">A real sentence.</p>
+  </body>`);
+  assert.equal(hidden.passed, true);
+
+  const shown = validator.checkJunkyText('<main>\n  <p>Docs are\n  coming soon</p>\n</main>');
+  assert.equal(shown.passed, false);
+  assert.deepEqual(shown.issues.map(({ text, path, line, column }) => ({ text, path, line, column })), [
+    { text: 'coming soon', path: 'main > p', line: 3, column: 3 }
+  ]);
+});
+
+test('required elements need working navigation and top-level landmarks', () => {
+  const validator = new NoJunkyPages();
+  const page = (header, nav) => `<html><head><title>widget-kit</title><meta name="description" content="Dashboards from JSON"></head>
+<body>${header}${nav}<main><p>Dashboards.</p></main><footer>widget-kit</footer></body></html>`;
+
+  // A <header> inside a <section> is not the page banner
+  const broken = validator.checkRequiredElements(page('<section><header><h1>widget-kit</h1></header></section>', '<nav><a href="">Home</a><a href="/docs"></a></nav>'));
+  assert.deepEqual(broken.missing, ['navigation', 'landmarks']);
+  assert.deepEqual(broken.issues.map(issue => [issue.element, issue.message]), [
+    ['landmarks', 'No banner landmark'],
+    ['navigation', 'Navigation has no working links']
+  ]);
+
+  const fixed = validator.checkRequiredElements(page('<header><h1>widget-kit</h1></header>', '<nav><a href="/docs" aria-label="Docs"></a></nav>'));
+  assert.equal(fixed.passed, true);
+
+  const junkyTitle = validator.checkRequiredElements('<title>Placeholder</title>', { elements: ['proper_title'] });
+  assert.deepEqual([junkyTitle.missing, junkyTitle.issues[0].path], [['proper_title'], 'title']);
+});
+
+test('explicit roles count as landmarks and hidden inputs are not interactive', () => {
+  const validator = new NoJunkyPages();
+  const document = parser.parse(`<div role="banner">Top</div><div role="navigation"><a href="/">Home</a></div>
+    <div role="main">Body</div><div role="contentinfo">End</div>
+    <form><input type="hidden" name="csrf"><input name="q"><span onclick="go()">Go</span></form>`);
+
+  assert.deepEqual(validator.checkRequiredElements(document, { elements: ['landmarks', 'navigation'] }).missing, []);
+  const interactive = validator.checkInteractivity(document);
+  assert.deepEqual(interactive.elements, { buttons: 0, inputs: 1, clickHandlers: 1, forms: 1, scripts: 0 });
+  assert.equal(validator.checkQualityThresholds(document).stats.interactiveElements, 2);
+});
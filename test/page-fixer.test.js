@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import NoJunkyPages from '../builder/no-junky-pages.js';
+import ValidationPipeline from '../builder/validation-pipeline.js';
+import AutoIndexGenerator from '../builder/auto-index-generator.js';
+import FileSystemLoader from '../loaders/fs-loader.js';
+
+const DESIGNER_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>widget-kit - Dashboards from JSON</title>
+</head>
+<body>
+  <header><h1>widget-kit</h1></header>
+  <p>Dashboards from JSON.</p>
+  <footer>widget-kit</footer>
+</body>
+</html>`;
+
+function navLinks(html) {
+  const nav = html.match(/<nav[\s\S]*?<\/nav>/)?.[0] || '';
+  return [...nav.matchAll(/href="([^"]*)"/g)].map(match => match[1]);
+}
+
+async function configuredRepos(loader) {
+  const integration = await loader.readJson('.infinity/andy-lian-integration.json');
+  return integration.connections.map(connection => `/${connection.name}`);
+}
+
+test('autoFix adds the standard navigation with every configured repo', async () => {
+  const loader = new FileSystemLoader(DESIGNER_ROOT);
+  const validator = await NoJunkyPages.create({ loader });
+  const fixed = validator.autoFix(PAGE, { name: 'widget-kit', description: 'Dashboards from JSON' });
+
+  const repos = await configuredRepos(loader);
+  assert.ok(repos.length > 1);
+  assert.deepEqual(navLinks(fixed.html), ['/', ...repos]);
+  const navigation = fixed.fixes.find(fix => fix.fix === 'navigation');
+  assert.match(navigation.message, new RegExp(`\\(${repos.length + 1} links\\) after <header>`));
+});
+
+test('the pipeline validator builds its navigation from the generator connections', async () => {
+  const loader = new FileSystemLoader(DESIGNER_ROOT);
+  const generator = await AutoIndexGenerator.create({ loader });
+  const pipeline = new ValidationPipeline({ contentBuilder: generator.contentBuilder });
+  const fixed = pipeline.validator.autoFix(PAGE, { name: 'widget-kit' });
+  assert.deepEqual(navLinks(fixed.html), ['/', ...await configuredRepos(loader)]);
+});
+
+test('without a content builder the navigation is left alone', () => {
+  const fixed = new NoJunkyPages().autoFix(PAGE, { name: 'widget-kit' });
+  assert.equal(navLinks(fixed.html).length, 0);
+  assert.equal(fixed.fixes.some(fix => fix.fix === 'navigation'), false);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ReadmeExtractor from '../builder/readme-extractor.js';
+
+test('code spans keep text that looks like a tag', () => {
+  const extractor = new ReadmeExtractor();
+  assert.equal(extractor.renderInline('Pass `alpha <thing>` to <b>parse</b>'), 'Pass <code>alpha &lt;thing&gt;</code> to parse');
+  assert.equal(extractor.plainText('Pass `alpha <thing>` to <b>parse</b>'), 'Pass alpha <thing> to parse');
+});
+
+test('link URLs may contain balanced parentheses', () => {
+  const extractor = new ReadmeExtractor();
+  assert.equal(
+    extractor.renderInline('See [the article](https://en.wikipedia.org/wiki/Parser_(computing)).'),
+    'See <a href="https://en.wikipedia.org/wiki/Parser_(computing)">the article</a>.'
+  );
+  assert.equal(extractor.plainText('See [the article](https://en.wikipedia.org/wiki/Parser_(computing)).'), 'See the article.');
+});
+
+test('unsafe links render as their label without a stray parenthesis', () => {
+  const extractor = new ReadmeExtractor();
+  assert.equal(extractor.renderInline('Do not click [bad](javascript:alert(1)).'), 'Do not click bad.');
+  assert.equal(extractor.renderInline('![pixel](javascript:track(1)) done'), 'pixel done');
+});
+
+test('section summaries keep code span text', () => {
+  const { sections } = new ReadmeExtractor().extract('# lib\n\n## Usage\n\nWrap the value in `Box<T>` before `send()`.\n');
+  assert.equal(sections[0].summary, 'Wrap the value in Box<T> before send().');
+});
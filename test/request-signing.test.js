@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import RequestSigner from '../wiring/request-signer.js';
+import RequestVerifier from '../wiring/request-verifier.js';
+import MockHubServer from '../server/mock-hub-server.js';
+
+const SECRETS = { 'dash-hub': 'dash-hub-secret-0123456789', 'token-mint': 'token-mint-secret-0123456789' };
+const NOW = Date.UTC(2026, 0, 1);
+
+async function signed(request, options = {}) {
+  const signer = new RequestSigner({ secrets: SECRETS, now: options.signedAt || (() => NOW) });
+  return { ...request, headers: await signer.sign(options.keyId || 'dash-hub', request) };
+}
+
+const verifier = (options = {}) => new RequestVerifier({ secrets: SECRETS, now: () => NOW, ...options });
+
+const UPDATE = { method: 'POST', path: '/dash-hub/update', body: '{"version":3}' };
+
+test('a signed request verifies on the receiving side', async () => {
+  const check = await verifier().verify(await signed(UPDATE), { keyId: 'dash-hub' });
+  assert.deepEqual(check, { valid: true, keyId: 'dash-hub', source: 'index-designer' });
+});
+
+test('a changed body, path or method fails verification', async () => {
+  const request = await signed(UPDATE);
+  assert.equal((await verifier().verify({ ...request, body: '{"version":4}' })).reason, 'Body does not match its hash');
+  assert.equal((await verifier().verify({ ...request, path: '/dash-hub/docs/versions' })).reason, 'Signature does not match');
+  assert.equal((await verifier().verify({ ...request, method: 'PUT' })).reason, 'Signature does not match');
+});
+
+test('a request signed with another secret fails verification', async () => {
+  const request = await signed(UPDATE);
+  const other = verifier({ secrets: { 'dash-hub': 'a-different-secret-0123456789' } });
+  assert.equal((await other.verify(request)).reason, 'Signature does not match');
+});
+
+test('a replayed request is refused', async () => {
+  const request = await signed(UPDATE);
+  const receiver = verifier();
+  assert.equal((await receiver.verify(request)).valid, true);
+  assert.equal((await receiver.verify(request)).reason, 'Nonce was already used');
+});
+
+test('a timestamp outside the tolerance is refused', async () => {
+  const request = await signed(UPDATE, { signedAt: () => NOW - 301 * 1000 });
+  assert.equal((await verifier().verify(request)).reason, 'Timestamp is outside the accepted window');
+  assert.equal((await verifier({ tolerance: 600 }).verify(request)).valid, true);
+});
+
+test('a request signed for another repo is refused', async () => {
+  const request = await signed(UPDATE, { keyId: 'token-mint' });
+  assert.equal((await verifier().verify(request, { keyId: 'dash-hub' })).reason, 'Signed for token-mint, not dash-hub');
+  assert.equal((await verifier({ secrets: { 'dash-hub': SECRETS['dash-hub'] } }).verify(request)).reason, 'No secret for key token-mint');
+});
+
+test('unsigned requests and repos without a secret', async () => {
+  assert.equal((await verifier().verify({ ...UPDATE, headers: {} })).reason, 'Request is not signed');
+
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    const signer = new RequestSigner({ secrets: SECRETS });
+    assert.deepEqual(await signer.sign('plain', UPDATE), { 'X-Source': 'index-designer' });
+    await signer.sign('plain', UPDATE);
+    // Without a loader no secrets file is read - every repo goes unsigned
+    await new RequestSigner().sign('dash-hub', UPDATE);
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /No wiring secret for plain/);
+  assert.match(warnings[1], /No wiring secret for dash-hub - no secrets were given \(signing is server-side only\)/);
+});
+
+test('the mock hub accepts signed updates and rejects tampered ones', async () => {
+  const server = new MockHubServer({ roots: [], state: { repos: { 'dash-hub': { online: true } } }, verifier: { secrets: SECRETS } });
+  const base = await server.listen(0);
+  try {
+    const signer = new RequestSigner({ secrets: SECRETS });
+    const send = async (body, headers) => fetch(new URL(UPDATE.path, base), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body
+    });
+
+    const headers = await signer.sign('dash-hub', UPDATE);
+    assert.equal((await send(UPDATE.body, headers)).status, 200);
+    assert.equal((await send(UPDATE.body, headers)).status, 401);
+    assert.equal((await send('{"version":4}', await signer.sign('dash-hub', UPDATE))).status, 401);
+    assert.equal((await send(UPDATE.body, {})).status, 401);
+  } finally {
+    await server.close();
+  }
+});
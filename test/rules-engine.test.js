@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+import RulesEngine from '../builder/rules-engine.js';
+import HtmlParser from '../builder/html-parser.js';
+import NoJunkyPages from '../builder/no-junky-pages.js';
+
+const parser = new HtmlParser();
+
+/**
+ * A rule failing once per element with a data-bad attribute, located by element path
+ */
+const BAD_ELEMENTS = {
+  id: 'no_bad',
+  check: page => {
+    const issues = parser.findAll(page.document, node => node.type === 'element' && 'data-bad' in node.attributes)
+      .map(node => ({ message: `bad ${node.attributes['data-bad']}`, path: parser.elementPath(node) }));
+    return { passed: issues.length === 0, issues, message: `${issues.length} bad` };
+  }
+};
+
+function engine(...rules) {
+  const rulesEngine = new RulesEngine({ parser });
+  rules.forEach(rule => rulesEngine.register(rule));
+  return rulesEngine;
+}
+
+const run = (rulesEngine, html) => rulesEngine.run({ html, document: parser.parse(html) });
+
+test('no-junky-disable switches a rule off for the whole page and records why', () => {
+  const outcome = run(engine(BAD_ELEMENTS), '<!-- no-junky-disable no_bad: generated listing --><p data-bad="1"></p><p data-bad="2"></p>');
+  assert.equal(outcome.passed, true);
+  assert.equal(outcome.results.no_bad.message, '⏭️ Suppressed: 2 bad');
+  assert.deepEqual(outcome.suppressed.map(entry => [entry.rule, entry.scope, entry.reason, entry.issues.length]), [
+    ['no_bad', 'page', 'generated listing', 2]
+  ]);
+});
+
+test('a page-wide suppression only covers the rules it names, or all of them with *', () => {
+  const other = { id: 'other', check: () => ({ passed: false, message: 'other failed' }) };
+  const named = run(engine(BAD_ELEMENTS, other), '<!-- no-junky-disable other, unknown_rule --><p data-bad="1"></p>');
+  assert.deepEqual(named.errors.map(error => error.rule), ['no_bad']);
+
+  const everything = run(engine(BAD_ELEMENTS, other), '<!--no-junky-disable *--><p data-bad="1"></p>');
+  assert.deepEqual([everything.passed, everything.suppressed.length], [true, 2]);
+});
+
+test('no-junky-disable-next covers the next element and its children only', () => {
+  const outcome = run(engine(BAD_ELEMENTS), `<main>
+    <!-- no-junky-disable-next no_bad: third-party widget -->
+    text in between
+    <div id="widget"><span data-bad="inside"></span></div>
+    <div data-bad="after"></div>
+  </main><p data-bad="outside"></p>`);
+
+  assert.equal(outcome.passed, false);
+  assert.deepEqual(outcome.results.no_bad.issues.map(issue => issue.message), ['bad after', 'bad outside']);
+  assert.deepEqual(outcome.suppressed.map(entry => [entry.scope, entry.reason, entry.message]), [
+    ['element', 'third-party widget', 'bad inside']
+  ]);
+});
+
+test('an element suppression matches whole path segments, not path prefixes', () => {
+  // div:nth-of-type(1) must not cover div:nth-of-type(10)
+  const divs = Array.from({ length: 10 }, (_, index) => `<div data-bad="${index + 1}"></div>`);
+  const outcome = run(engine(BAD_ELEMENTS), `<main><!-- no-junky-disable-next no_bad -->${divs.join('')}</main>`);
+  assert.deepEqual(outcome.suppressed.map(entry => entry.message), ['bad 1']);
+  assert.equal(outcome.results.no_bad.issues.length, 9);
+});
+
+test('a suppression for another rule, or with nothing after it, changes nothing', () => {
+  const otherRule = run(engine(BAD_ELEMENTS), '<!-- no-junky-disable-next accessible --><p data-bad="1"></p>');
+  assert.deepEqual([otherRule.passed, otherRule.suppressed], [false, []]);
+
+  const trailing = run(engine(BAD_ELEMENTS), '<p data-bad="1"></p><!-- no-junky-disable-next no_bad -->');
+  assert.equal(trailing.passed, false);
+  // Failures without located issues cannot be cleared element by element
+  const unlocated = { id: 'unlocated', check: () => ({ passed: false, message: 'nope' }) };
+  assert.equal(run(engine(unlocated), '<!-- no-junky-disable-next unlocated --><p></p>').passed, false);
+});
+
+test('warnings are reported without failing, off rules do not run, and a crashing rule fails', () => {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const rulesEngine = engine(
+      { ...BAD_ELEMENTS, severity: 'warning', weight: 30 },
+      { id: 'crashes', weight: 10, check: () => { throw new Error('boom'); } },
+      { id: 'disabled', severity: 'off', check: () => { throw new Error('ran'); } },
+      { id: 'fine', weight: 60, check: () => ({ passed: true, message: 'ok' }) }
+    );
+    const outcome = run(rulesEngine, '<p data-bad="1"></p>');
+    assert.deepEqual(outcome.warnings.map(warning => warning.rule), ['no_bad']);
+    assert.deepEqual(outcome.errors.map(entry => [entry.rule, entry.message]), [['crashes', '❌ Rule crashes crashed: boom']]);
+    assert.equal('disabled' in outcome.results, false);
+    assert.equal(outcome.score, 60);
+  } finally {
+    console.error = error;
+  }
+});
+
+test('configure validates rules and merges options', () => {
+  const rulesEngine = engine({ ...BAD_ELEMENTS, options: { a: 1, b: 2 } });
+  rulesEngine.configure([{ id: 'no_bad', severity: 'warning', options: { b: 3 } }]);
+  assert.deepEqual([rulesEngine.get('no_bad').severity, rulesEngine.get('no_bad').options], ['warning', { a: 1, b: 3 }]);
+
+  assert.throws(() => rulesEngine.configure([{ id: 'missing' }]), /Unknown validation rule "missing"/);
+  assert.throws(() => rulesEngine.configure([{ id: 'no_bad', severity: 'fatal' }]), /invalid severity: "fatal"/);
+  assert.throws(() => rulesEngine.configure([{ id: 'no_bad', weight: -1 }]), /invalid weight: -1/);
+  assert.throws(() => rulesEngine.register({ id: 'Bad-Id', check: () => {} }), /Invalid rule id/);
+});
+
+test('rule modules load from quality_rules, as objects or classes', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rules-'));
+  try {
+    await fs.writeFile(path.join(dir, 'object-rule.js'),
+      "export default { id: 'has_footer', check: page => ({ passed: page.html.includes('<footer'), message: 'footer' }) };");
+    await fs.writeFile(path.join(dir, 'class-rule.js'),
+      "export default class { constructor() { this.id = 'short'; this.options = { max: 100 }; } check(page, options) { return { passed: page.html.length <= options.max, message: 'short' }; } }");
+
+    const rulesEngine = new RulesEngine({ parser, baseUrl: pathToFileURL(`${dir}/`) });
+    await rulesEngine.load({ modules: ['object-rule.js', 'class-rule.js'], rules: [{ id: 'short', options: { max: 5 } }] });
+    assert.deepEqual(rulesEngine.list().map(rule => rule.id), ['has_footer', 'short']);
+    assert.deepEqual(run(rulesEngine, '<footer></footer>').errors.map(entry => entry.rule), ['short']);
+
+    await assert.rejects(rulesEngine.load({ modules: ['missing.js'] }), /Failed to load rule module missing\.js/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('NoJunkyPages honors suppressions in the page it validates', () => {
+  const validator = new NoJunkyPages();
+  const page = comment => `<main>${comment}<section><p>Coming soon</p></section></main>`;
+  assert.equal(validator.validate(page('')).results.noJunkyText.passed, false);
+
+  const result = validator.validate(page('<!-- no-junky-disable-next no_placeholders: roadmap teaser -->'));
+  assert.equal(result.results.noJunkyText.passed, true);
+  assert.deepEqual(result.suppressed.map(entry => [entry.rule, entry.scope, entry.reason]), [['no_placeholders', 'element', 'roadmap teaser']]);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import SearchIndex from '../builder/search-index.js';
+
+function index() {
+  const search = new SearchIndex();
+  search.addDocument(
+    { type: 'repo', repo: 'mario-kart-game', title: 'mario-kart-game', url: '/mario-kart-game' },
+    { repo: 'mario-kart-game', description: 'Kart racing through mushroom kingdom tracks' }
+  );
+  search.addDocument(
+    { type: 'section', repo: 'lib', title: 'Streaming', url: '/lib#streaming' },
+    { title: 'Streaming', text: 'Parses documents chunk by chunk, racing through large mario level files' }
+  );
+  search.addDocument(
+    { type: 'section', repo: 'parser', title: 'Configuration', url: '/parser#configuration' },
+    { title: 'Configuration', text: 'Options for the tokenizer and the configuration loader' }
+  );
+  return search;
+}
+
+const titles = results => results.map(result => result.doc.title);
+
+test('terms are split on case and punctuation, without stop words', () => {
+  assert.deepEqual(SearchIndex.tokenize('The mario-kart parseHTMLStream for you'), ['mario', 'kart', 'parse', 'htmlstream']);
+});
+
+test('a match in the repo name outranks one in body text', () => {
+  assert.deepEqual(titles(index().search('mario')), ['mario-kart-game', 'Streaming']);
+});
+
+test('documents matching every query term beat those matching one strongly', () => {
+  const search = index();
+  search.addDocument(
+    { type: 'repo', repo: 'racing', title: 'racing', url: '/racing' },
+    { repo: 'racing racing racing' }
+  );
+  assert.equal(search.search('racing mario')[0].doc.title, 'mario-kart-game');
+});
+
+test('the last query word matches as a prefix, earlier ones do not', () => {
+  const search = index();
+  assert.deepEqual(titles(search.search('config')), ['Configuration']);
+  assert.deepEqual(search.search('config loader')[0].terms, ['loader']);
+  assert.deepEqual(search.search('loader config')[0].terms, ['loader', 'configuration']);
+});
+
+test('typos match within the edit distance, transpositions count once', () => {
+  const search = index();
+  assert.deepEqual(titles(search.search('mrio')), ['mario-kart-game', 'Streaming']);
+  assert.deepEqual(titles(search.search('toeknizer')), ['Configuration']);
+  assert.deepEqual(search.search('mxyz'), []);
+  // Short terms must match exactly
+  assert.deepEqual(search.search('lbi'), []);
+});
+
+test('an exact match outranks a prefix, a prefix outranks a typo', () => {
+  const search = new SearchIndex();
+  search.addDocument({ type: 'repo', repo: 'exact', title: 'exact', url: '/a' }, { text: 'stream' });
+  search.addDocument({ type: 'repo', repo: 'prefix', title: 'prefix', url: '/b' }, { text: 'streams' });
+  search.addDocument({ type: 'repo', repo: 'typo', title: 'typo', url: '/c' }, { text: 'straem' });
+  assert.deepEqual(titles(search.search('stream')), ['exact', 'prefix', 'typo']);
+});
+
+test('editDistance is Damerau-Levenshtein and stops early past the maximum', () => {
+  const search = new SearchIndex();
+  assert.equal(search.editDistance('kart', 'krat', 2), 1);
+  assert.equal(search.editDistance('kart', 'cart', 2), 1);
+  assert.equal(search.editDistance('kitten', 'sitting', 5), 3);
+  assert.equal(search.editDistance('kitten', 'sitting', 1), 2);
+});
+
+test('a serialized index searches the same after a round trip', () => {
+  const search = index();
+  const copy = new SearchIndex(JSON.parse(JSON.stringify(search)));
+  assert.deepEqual(copy.search('mushroom kart'), search.search('mushroom kart'));
+});
+
+test('highlight splits text into matched and plain segments', () => {
+  assert.deepEqual(SearchIndex.highlight('Mario (kart) racing', ['mario', '(kart)']), [
+    { text: 'Mario', match: true },
+    { text: ' ', match: false },
+    { text: '(kart)', match: true },
+    { text: ' racing', match: false }
+  ]);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TemplateEngine from '../builder/template-engine.js';
+
+test('escapes values unless rendered raw', () => {
+  const engine = new TemplateEngine();
+  const data = { html: '<b>"x" & \'y\'</b>' };
+  assert.equal(engine.render('{{html}}', data), '&lt;b&gt;&quot;x&quot; &amp; &#39;y&#39;&lt;/b&gt;');
+  assert.equal(engine.render('{{{html}}}|{{& html}}', data), `${data.html}|${data.html}`);
+});
+
+test('resolves dotted paths, this, ../ and loop locals', () => {
+  const engine = new TemplateEngine();
+  const source = '{{#each repos}}{{@index}}:{{name}}@{{../site.title}}{{#unless @last}},{{/unless}}{{/each}}';
+  const data = { site: { title: 'hub' }, repos: [{ name: 'a' }, { name: 'b' }] };
+  assert.equal(engine.render(source, data), '0:a@hub,1:b@hub');
+  assert.equal(engine.render('{{#each items}}[{{this}}]{{else}}none{{/each}}', { items: [] }), 'none');
+  assert.equal(engine.render('{{#if flag}}yes{{else}}no{{/if}}', { flag: 0 }), 'no');
+});
+
+test('never resolves prototype members', () => {
+  const engine = new TemplateEngine();
+  const data = { content: { title: 'Hub' }, items: [{}] };
+  assert.equal(engine.render('{{constructor}}{{toString}}{{__proto__}}{{content.constructor}}', data), '');
+  assert.equal(engine.render('{{#if constructor}}yes{{else}}no{{/if}}', data), 'no');
+  assert.equal(engine.render('{{#if __proto__}}yes{{else}}no{{/if}}', data), 'no');
+  assert.equal(engine.render('{{#each items}}{{hasOwnProperty}}{{/each}}', data), '');
+  assert.equal(engine.render('{{#each items}}{{#if @constructor}}yes{{/if}}{{/each}}', data), '');
+  assert.equal(engine.render('{{content.title.length}}', data), '3');
+});
+
+test('partials and layouts: own names only', () => {
+  const engine = new TemplateEngine();
+  engine.registerPartial('layout', '<h1>{{$title}}Default{{/title}}</h1>{{> footer}}');
+  engine.registerPartial('footer', '<footer>{{name}}</footer>');
+  assert.equal(engine.render('{{< layout}}{{$title}}{{name}}{{/title}}{{/layout}}', { name: 'hub' }), '<h1>hub</h1><footer>hub</footer>');
+  assert.deepEqual(engine.findPartials('{{< layout}}{{/layout}}'), ['layout', 'footer']);
+  assert.throws(() => engine.render('{{> constructor}}', {}), /Partial "constructor" is not registered/);
+  assert.throws(() => engine.render('{{#if a}}', {}), /Unclosed \{\{#if\}\} block/);
+});
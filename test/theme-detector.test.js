@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import ThemeDetector from '../builder/theme-detector.js';
+import ContentBuilder from '../builder/content-builder.js';
+import FileSystemLoader from '../loaders/fs-loader.js';
+
+const loader = new FileSystemLoader(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..'));
+
+test('detects themes from the definitions in .infinity/themes', async () => {
+  const detector = await ThemeDetector.create({ loader });
+  assert.equal(detector.detectWithExplanation({ name: 'mario-kart-game', description: 'A fun racing game' }).theme, 'mario');
+  assert.equal(detector.detectWithExplanation({ name: 'arduino-sensor-board', topics: ['electronics', 'iot'] }).theme, 'electronics');
+  assert.equal(detector.detectWithExplanation({ name: 'notes' }).theme, 'default');
+});
+
+test('a repo nothing matches falls back without naming a theme', async () => {
+  const detector = await ThemeDetector.create({ loader });
+  const result = detector.detectWithExplanation({ name: 'notes', description: 'Plain text jottings' });
+  assert.deepEqual([result.theme, result.score], ['default', 0]);
+  assert.equal(result.reason, 'no theme signals matched - using the default theme');
+});
+
+test('refuses to work without a theme registry', () => {
+  assert.throws(() => new ThemeDetector(), /ThemeRegistry/);
+  assert.throws(() => new ContentBuilder(), /ThemeRegistry/);
+});
+
+test('ContentBuilder.create() loads theme icons and the theme list', async () => {
+  const builder = await ContentBuilder.create({ loader });
+  assert.equal(builder.buildHeader({ name: 'mario-game' }, 'mario').icon, '🍄');
+  assert.ok(builder.buildNavigation({}).themes.includes('mario'));
+});
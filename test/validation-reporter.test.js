@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ValidationReporter from '../builder/validation-reporter.js';
+import ValidationPipeline from '../builder/validation-pipeline.js';
+
+const reporter = new ValidationReporter();
+
+const result = (rule, fields) => ({ rule, severity: 'error', passed: true, message: '✅ ok', issues: [], ...fields });
+
+const REPORT = {
+  generatedAt: '2026-01-01T00:00:00.000Z',
+  total: 2,
+  passed: 0,
+  failed: 2,
+  warnings: 1,
+  pages: [
+    {
+      repo: 'a&b "repo"',
+      passed: false,
+      errors: [{ stage: 'html', rule: 'no_placeholders' }],
+      warnings: [{ stage: 'content', rule: 'content_features' }],
+      stages: {
+        content: {
+          skipped: false,
+          results: {
+            content_features: result('content_features', { severity: 'warning', passed: false, message: '❌ No features <yet>' })
+          }
+        },
+        html: {
+          skipped: false,
+          results: {
+            noJunkyText: result('no_placeholders', {
+              passed: false,
+              message: '❌ Found junky patterns: /\\btodo\\b/i',
+              issues: [{ text: 'TODO <b>', path: 'main > p', line: 3, column: 5 }]
+            }),
+            isAccessible: result('accessible', { suppressed: true, message: "⏭️ Suppressed: ❌ Accessibility issues: aria's" }),
+            linksValid: result('links_valid')
+          }
+        }
+      }
+    },
+    { url: '/broken', passed: false, error: 'Template <main> missing', errors: [], stages: { content: { skipped: true }, html: { skipped: true } } }
+  ]
+};
+
+test('JUnit maps errors to failures, warnings to system-out and suppressions to skipped', () => {
+  const xml = reporter.toJUnit(REPORT);
+
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="infinity-index" tests="5" failures="1" errors="1">/);
+  assert.match(xml, /<testsuite name="a&amp;b &quot;repo&quot;" tests="4" failures="1" errors="0" skipped="1" timestamp="2026-01-01T00:00:00.000Z">/);
+  assert.ok(xml.includes(
+    '<testcase classname="a&amp;b &quot;repo&quot;.html" name="no_placeholders">\n' +
+    '      <failure message="Found junky patterns: /\\btodo\\b/i" type="html">&quot;TODO &lt;b&gt;&quot; at main &gt; p (line 3, column 5)</failure>'
+  ));
+  assert.ok(xml.includes('<system-out>warning: No features &lt;yet&gt;</system-out>'));
+  assert.ok(xml.includes('<skipped message="Suppressed: ❌ Accessibility issues: aria&#39;s"/>'));
+  assert.ok(xml.includes('<testcase classname="a&amp;b &quot;repo&quot;.html" name="links_valid"/>'));
+});
+
+test('a page that failed to build is one errored testcase', () => {
+  const xml = reporter.toJUnit(REPORT);
+  assert.match(xml, /<testsuite name="\/broken" tests="1" failures="0" errors="1" skipped="0"/);
+  assert.ok(xml.includes('<testcase classname="/broken.build" name="build">\n      <error message="Template &lt;main&gt; missing"/>'));
+});
+
+test('characters XML cannot hold are dropped, not written through', () => {
+  const xml = reporter.toJUnit({
+    ...REPORT,
+    pages: [{ repo: 'bell\u0007repo', passed: false, error: 'bad\u0000byte\uFFFE', errors: [], stages: {} }]
+  });
+  assert.ok(xml.includes('<testsuite name="bellrepo"'));
+  assert.ok(xml.includes('<error message="badbyte"/>'));
+  assert.equal(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/.test(xml), false);
+  assert.equal(reporter.escape('lone \uD800 surrogate'), 'lone  surrogate');
+  // Tabs, newlines and astral characters are fine
+  assert.equal(reporter.escape('a\tb\nc 🎮'), 'a\tb\nc 🎮');
+});
+
+test('the HTML report lists only rules that did not pass, escaped', () => {
+  const html = reporter.toHTML(REPORT);
+  assert.ok(html.includes('<title>Validation Report - 0/2 proper</title>'));
+  assert.ok(html.includes('<li class="failure">'));
+  assert.ok(html.includes('<li class="warning">'));
+  assert.ok(html.includes('<li class="skipped">'));
+  assert.equal(html.includes('links_valid'), false);
+  assert.ok(html.includes('href="#page-a-b-repo-"'));
+  assert.equal(html.includes('<b>'), false);
+});
+
+test('render picks a format and refuses unknown ones', () => {
+  assert.deepEqual(JSON.parse(reporter.render(REPORT, 'json')), REPORT);
+  assert.throws(() => reporter.render(REPORT, 'csv'), /Unknown report format "csv" \(use json, junit, html\)/);
+  assert.equal(ValidationReporter.formats.junit.extension, 'xml');
+});
+
+test('a pipeline report renders with one testcase per rule that ran', () => {
+  const pipeline = new ValidationPipeline();
+  const page = pipeline.validate({ repo: 'widget-kit', html: '<main><p>Coming soon</p></main>' });
+  const report = pipeline.summarize([page]);
+  const xml = reporter.toJUnit(report);
+
+  const rules = pipeline.validator.rules.list().map(rule => rule.id);
+  assert.equal((xml.match(/<testcase /g) || []).length, rules.length);
+  assert.match(xml, /name="no_placeholders">\n {6}<failure message="Found junky patterns: [^"]*" type="html">&quot;Coming soon&quot; at main &gt; p \(line 1, column 10\)/);
+  assert.ok(xml.includes(`failures="${page.errors.length}"`));
+});
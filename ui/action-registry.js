@@ -0,0 +1,159 @@
+/**
+ * ⚡ Action Registry
+ * Maps the action ids ContentBuilder declares (hero CTAs, sidebar quick actions,
+ * interactive elements) to handlers that run on the page
+ */
+
+class ActionRegistry {
+  constructor() {
+    this.actions = new Map();
+  }
+
+  /**
+   * Registry with the handlers every generated page supports
+   * @param {Document} [doc] - Page the default handlers act on
+   * @returns {ActionRegistry}
+   */
+  static createDefault(doc = document) {
+    const registry = new ActionRegistry();
+    const scrollTo = id => () => {
+      const target = doc.getElementById(id);
+      if (!target) return false;
+      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return true;
+    };
+
+    return registry
+      .register('scroll_features', {
+        icon: '✨',
+        label: 'Explore Features',
+        keywords: ['features', 'cards'],
+        handler: scrollTo('features')
+      })
+      .register('show_tokens', {
+        icon: '🪙',
+        label: 'View Token Economy',
+        keywords: ['alc', 'balance', 'coin', 'wallet'],
+        handler: scrollTo('tokens')
+      })
+      .register('show_wiring', {
+        icon: '🔗',
+        label: 'Connect Repos',
+        keywords: ['wiring', 'connections', 'repos'],
+        handler: scrollTo('wiring')
+      })
+      .register('open_search', {
+        icon: '🔍',
+        label: 'Search All',
+        keywords: ['find', 'repos', 'readme'],
+        handler: () => {
+          const input = doc.getElementById('search');
+          if (!input) return false;
+          input.scrollIntoView({ block: 'center' });
+          input.focus();
+          return true;
+        }
+      })
+      .register('theme_picker', {
+        icon: '🎨',
+        label: 'Change Theme',
+        keywords: ['theme', 'colors', 'style'],
+        // Prefer the page's theme switcher, otherwise list theme commands in the palette
+        handler: ({ palette } = {}) => {
+          const switcher = doc.getElementById('theme-switcher');
+          if (switcher) {
+            switcher.focus();
+            return true;
+          }
+          palette?.open('theme');
+          return Boolean(palette);
+        }
+      });
+  }
+
+  /**
+   * Add or replace an action
+   * @param {string} id - Action id, e.g. 'scroll_features'
+   * @param {Object} action - { label, handler, icon, keywords, shortcut, hidden }
+   */
+  register(id, action) {
+    if (typeof id !== 'string' || !id) {
+      throw new Error(`Invalid action id: ${JSON.stringify(id)}`);
+    }
+    if (typeof action?.handler !== 'function') {
+      throw new Error(`Action "${id}" needs a handler function`);
+    }
+
+    this.actions.set(id, {
+      id,
+      label: action.label || id,
+      icon: action.icon || '▶️',
+      keywords: action.keywords || [],
+      shortcut: action.shortcut || '',
+      hidden: Boolean(action.hidden),
+      handler: action.handler
+    });
+    return this;
+  }
+
+  unregister(id) {
+    return this.actions.delete(id);
+  }
+
+  has(id) {
+    return this.actions.has(id);
+  }
+
+  get(id) {
+    return this.actions.get(id);
+  }
+
+  /**
+   * Actions a user can pick, in registration order
+   */
+  list() {
+    return [...this.actions.values()].filter(action => !action.hidden);
+  }
+
+  /**
+   * Run an action by id
+   * @param {string} id - Action id
+   * @param {Object} [context] - Passed to the handler (e.g. { palette, event })
+   * @returns {Promise<Object>} { success, action, result } or { success: false, error }
+   */
+  async run(id, context = {}) {
+    const action = this.actions.get(id);
+    if (!action) {
+      return { success: false, action: id, error: `No handler registered for action "${id}"` };
+    }
+
+    try {
+      const result = await action.handler(context);
+      return { success: result !== false, action: id, result };
+    } catch (err) {
+      console.error(`Failed to run action ${id}:`, err);
+      return { success: false, action: id, error: err.message };
+    }
+  }
+
+  /**
+   * Run the action named in data-action when such an element is clicked
+   * @param {Element} root - Container to listen on (usually document.body)
+   */
+  bindClicks(root, context = {}) {
+    root.addEventListener('click', (e) => {
+      const trigger = e.target.closest('[data-action]');
+      if (!trigger || !this.has(trigger.dataset.action)) return;
+      e.preventDefault();
+      this.run(trigger.dataset.action, { ...context, event: e });
+    });
+    return this;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActionRegistry;
+}
+
+export default ActionRegistry;
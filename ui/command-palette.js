@@ -0,0 +1,307 @@
+/**
+ * ⌨️ Command Palette
+ * Ctrl+K (⌘K on macOS) palette over the ActionRegistry - fuzzy filter, arrow keys, Enter to run
+ *
+ * Usage:
+ *   import CommandPalette from '/ui/command-palette.js';
+ *   const palette = CommandPalette.install();
+ *   palette.registerCommand('open_docs', { icon: '📚', label: 'Open Docs', handler: () => location.assign('/docs') });
+ */
+
+import ActionRegistry from './action-registry.js';
+
+class CommandPalette {
+  /**
+   * @param {Object} [options]
+   * @param {ActionRegistry} [options.registry] - Actions to offer (default: ActionRegistry.createDefault())
+   * @param {string} [options.shortcut] - Key combo that toggles the palette
+   * @param {number} [options.limit] - Maximum commands listed
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || ActionRegistry.createDefault();
+    this.shortcut = this.parseShortcut(options.shortcut || 'Ctrl+K');
+    this.limit = options.limit || 12;
+    this.matches = [];
+    this.activeIndex = -1;
+    this.returnFocus = null;
+    this.element = null;
+  }
+
+  /**
+   * Create a palette, add it to the page and bind its shortcut and [data-action] buttons
+   * @returns {CommandPalette}
+   */
+  static install(options = {}) {
+    const palette = new CommandPalette(options);
+    palette.mount(document.body);
+    return palette;
+  }
+
+  mount(root) {
+    this.element = document.createElement('div');
+    this.element.className = 'command-palette';
+    this.element.hidden = true;
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.setAttribute('aria-label', 'Command palette');
+
+    const panel = document.createElement('div');
+    panel.className = 'command-palette-panel';
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.className = 'command-palette-input';
+    this.input.setAttribute('aria-label', 'Type a command');
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-expanded', 'true');
+    this.input.setAttribute('aria-controls', 'command-palette-list');
+    this.input.setAttribute('autocomplete', 'off');
+
+    this.list = document.createElement('ul');
+    this.list.className = 'command-palette-list';
+    this.list.id = 'command-palette-list';
+    this.list.setAttribute('role', 'listbox');
+
+    const hint = document.createElement('div');
+    hint.className = 'command-palette-hint';
+    hint.textContent = `↑↓ to move · Enter to run · Esc to close · ${this.shortcut.label} to toggle`;
+
+    panel.append(this.input, this.list, hint);
+    this.element.append(panel);
+    root.append(this.element);
+
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', (e) => this.onKeyDown(e));
+    this.element.addEventListener('mousedown', (e) => {
+      if (e.target === this.element) this.close();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (this.matchesShortcut(e)) {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+    this.registry.bindClicks(root, { palette: this });
+    this.syncTriggers();
+
+    return this;
+  }
+
+  /**
+   * Hide [data-action] buttons whose action has no handler on this page
+   */
+  syncTriggers() {
+    document.querySelectorAll('[data-action]').forEach(trigger => {
+      trigger.hidden = !this.registry.has(trigger.dataset.action);
+    });
+  }
+
+  /**
+   * Add a command (or replace a built-in one) - same shape as ActionRegistry.register
+   */
+  registerCommand(id, action) {
+    this.registry.register(id, action);
+    this.syncTriggers();
+    if (this.isOpen()) this.update();
+    return this;
+  }
+
+  isOpen() {
+    return Boolean(this.element) && !this.element.hidden;
+  }
+
+  open(query = '') {
+    if (!this.isOpen()) {
+      this.returnFocus = document.activeElement;
+    }
+    this.element.hidden = false;
+    this.input.value = query;
+    this.update();
+    this.input.focus();
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+    this.element.hidden = true;
+    this.input.removeAttribute('aria-activedescendant');
+    this.returnFocus?.focus?.();
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Commands for a query, best match first
+   * @param {string} query - What the user typed
+   * @returns {Array} Registry actions
+   */
+  filter(query) {
+    const actions = this.registry.list();
+    if (!query.trim()) {
+      return actions.slice(0, this.limit);
+    }
+
+    return actions
+      .map(action => ({
+        action,
+        score: Math.max(
+          this.fuzzyScore(query, action.label),
+          this.fuzzyScore(query, action.id) * 0.8,
+          ...action.keywords.map(keyword => this.fuzzyScore(query, keyword) * 0.8)
+        )
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.limit)
+      .map(entry => entry.action);
+  }
+
+  /**
+   * Subsequence match: every query character must appear in order.
+   * Consecutive characters and word starts score higher; 0 means no match.
+   */
+  fuzzyScore(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+
+    for (const char of needle) {
+      const found = haystack.indexOf(char, from);
+      if (found === -1) return 0;
+      score += 1;
+      if (found === previous + 1) score += 2;
+      if (found === 0 || /[\s_:-]/.test(haystack[found - 1])) score += 3;
+      previous = found;
+      from = found + 1;
+    }
+
+    // Prefer shorter texts when the match is otherwise equal
+    return score + (haystack.startsWith(needle) ? 5 : 0) - haystack.length * 0.01;
+  }
+
+  update() {
+    this.matches = this.filter(this.input.value);
+    this.activeIndex = this.matches.length > 0 ? 0 : -1;
+    this.render();
+  }
+
+  render() {
+    this.list.replaceChildren();
+
+    if (this.matches.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'command-palette-empty';
+      empty.textContent = 'No matching commands';
+      this.list.append(empty);
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.matches.forEach((action, index) => {
+      const item = document.createElement('li');
+      item.id = `command-${action.id}`;
+      item.className = 'command-palette-item';
+      item.setAttribute('role', 'option');
+
+      const icon = document.createElement('span');
+      icon.className = 'command-palette-icon';
+      icon.textContent = action.icon;
+
+      const label = document.createElement('span');
+      label.className = 'command-palette-label';
+      label.textContent = action.label;
+
+      item.append(icon, label);
+
+      if (action.shortcut) {
+        const shortcut = document.createElement('kbd');
+        shortcut.textContent = action.shortcut;
+        item.append(shortcut);
+      }
+
+      item.addEventListener('mousemove', () => this.setActive(index));
+      item.addEventListener('click', () => this.runActive(index));
+      this.list.append(item);
+    });
+
+    this.setActive(this.activeIndex);
+  }
+
+  setActive(index) {
+    this.activeIndex = index;
+    [...this.list.querySelectorAll('.command-palette-item')].forEach((item, i) => {
+      const active = i === index;
+      item.classList.toggle('active', active);
+      item.setAttribute('aria-selected', String(active));
+      if (active) {
+        this.input.setAttribute('aria-activedescendant', item.id);
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Close the palette and run the chosen command
+   */
+  async runActive(index = this.activeIndex) {
+    const action = this.matches[index];
+    if (!action) return null;
+
+    this.returnFocus = null;
+    this.close();
+    return await this.registry.run(action.id, { palette: this });
+  }
+
+  onKeyDown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (this.matches.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.setActive((this.activeIndex + step + this.matches.length) % this.matches.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.runActive();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === 'Tab') {
+      // The input is the only focus stop inside the dialog
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * 'Ctrl+K' -> { key: 'k', ctrl: true, label: 'Ctrl+K' } (Ctrl also accepts ⌘ on macOS)
+   */
+  parseShortcut(shortcut) {
+    const parts = shortcut.split('+').map(part => part.trim().toLowerCase());
+    return {
+      key: parts[parts.length - 1],
+      ctrl: parts.includes('ctrl') || parts.includes('cmd') || parts.includes('meta'),
+      shift: parts.includes('shift'),
+      alt: parts.includes('alt'),
+      label: shortcut
+    };
+  }
+
+  matchesShortcut(e) {
+    return e.key?.toLowerCase() === this.shortcut.key &&
+      (e.ctrlKey || e.metaKey) === this.shortcut.ctrl &&
+      e.shiftKey === this.shortcut.shift &&
+      e.altKey === this.shortcut.alt;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommandPalette;
+}
+
+export default CommandPalette;
@@ -0,0 +1,220 @@
+/**
+ * 🔍 Search Box
+ * Cross-repo search for generated pages - prefix and fuzzy matching over search-index.json
+ *
+ * Usage:
+ *   import SearchBox from '/ui/search-box.js';
+ *   SearchBox.attach(document.getElementById('search'), { indexUrl: '/search-index.json' });
+ */
+
+import SearchIndex from '../builder/search-index.js';
+
+class SearchBox {
+  /**
+   * @param {HTMLInputElement} input - The page's search input
+   * @param {Object} [options]
+   * @param {string} [options.indexUrl] - Where search-index.json is served
+   * @param {number} [options.limit] - Maximum results shown
+   */
+  constructor(input, options = {}) {
+    this.input = input;
+    this.indexUrl = options.indexUrl || input.dataset.searchIndex || '/search-index.json';
+    this.limit = options.limit || 8;
+    this.index = null;
+    this.indexReady = null;
+    this.results = [];
+    this.activeIndex = -1;
+
+    this.typeLabels = {
+      repo: '📦 Repo',
+      section: '📖 README',
+      feature: '✨ Feature'
+    };
+
+    this.list = document.createElement('ul');
+    this.list.className = 'search-results';
+    this.list.id = `${input.id || 'search'}-results`;
+    this.list.setAttribute('role', 'listbox');
+    this.list.hidden = true;
+    input.insertAdjacentElement('afterend', this.list);
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', this.list.id);
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('autocomplete', 'off');
+
+    input.addEventListener('focus', () => this.loadIndex());
+    input.addEventListener('input', () => this.update());
+    input.addEventListener('keydown', (e) => this.onKeyDown(e));
+    // Let clicks on results land before the list closes
+    input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+  }
+
+  /**
+   * Wire a search input on the page
+   * @returns {SearchBox|null}
+   */
+  static attach(input, options = {}) {
+    return input ? new SearchBox(input, options) : null;
+  }
+
+  /**
+   * Fetch the index once, on first use
+   */
+  loadIndex() {
+    if (!this.indexReady) {
+      this.indexReady = SearchIndex.load(this.indexUrl)
+        .then(index => { this.index = index; })
+        .catch(err => {
+          console.error('Failed to load search index:', err);
+        });
+    }
+    return this.indexReady;
+  }
+
+  /**
+   * Run the current query and redraw the results
+   * @returns {Promise<Array>} Results shown
+   */
+  async update() {
+    await this.loadIndex();
+    const query = this.input.value.trim();
+
+    if (!query) {
+      this.close();
+      return [];
+    }
+
+    if (!this.index) {
+      this.showMessage('⚠️ Search index is not available yet');
+      return [];
+    }
+
+    this.results = this.index.search(query, { limit: this.limit });
+    this.activeIndex = this.results.length > 0 ? 0 : -1;
+    this.render(query);
+    return this.results;
+  }
+
+  render(query) {
+    this.list.replaceChildren();
+
+    if (this.results.length === 0) {
+      this.showMessage(`No matches for "${query}"`);
+      return;
+    }
+
+    this.results.forEach((result, index) => {
+      const item = document.createElement('li');
+      item.id = `${this.list.id}-${index}`;
+      item.className = 'search-result';
+      item.setAttribute('role', 'option');
+
+      const link = document.createElement('a');
+      link.href = result.doc.url;
+      link.tabIndex = -1;
+
+      const title = document.createElement('span');
+      title.className = 'search-result-title';
+      this.appendHighlighted(title, result.doc.title, result.terms);
+
+      const meta = document.createElement('span');
+      meta.className = 'search-result-meta';
+      meta.textContent = result.doc.type === 'repo'
+        ? this.typeLabels.repo
+        : `${this.typeLabels[result.doc.type] || result.doc.type} · ${result.doc.repo}`;
+
+      link.append(title, meta);
+
+      if (result.doc.snippet) {
+        const snippet = document.createElement('span');
+        snippet.className = 'search-result-snippet';
+        this.appendHighlighted(snippet, result.doc.snippet, result.terms);
+        link.append(snippet);
+      }
+
+      item.append(link);
+      item.addEventListener('mousemove', () => this.setActive(index));
+      this.list.append(item);
+    });
+
+    this.open();
+    this.setActive(this.activeIndex);
+  }
+
+  /**
+   * Append text with matched terms wrapped in <mark>
+   */
+  appendHighlighted(element, text, terms) {
+    SearchIndex.highlight(text, terms).forEach(segment => {
+      if (segment.match) {
+        const mark = document.createElement('mark');
+        mark.textContent = segment.text;
+        element.append(mark);
+      } else {
+        element.append(segment.text);
+      }
+    });
+  }
+
+  showMessage(text) {
+    const item = document.createElement('li');
+    item.className = 'search-message';
+    item.textContent = text;
+    this.list.replaceChildren(item);
+    this.results = [];
+    this.activeIndex = -1;
+    this.input.removeAttribute('aria-activedescendant');
+    this.open();
+  }
+
+  onKeyDown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (this.results.length === 0) return;
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+    } else if (e.key === 'Enter') {
+      const result = this.results[this.activeIndex];
+      if (result) {
+        e.preventDefault();
+        window.location.href = result.doc.url;
+      }
+    } else if (e.key === 'Escape') {
+      this.input.value = '';
+      this.close();
+    }
+  }
+
+  setActive(index) {
+    this.activeIndex = index;
+    [...this.list.querySelectorAll('.search-result')].forEach((item, i) => {
+      const active = i === index;
+      item.classList.toggle('active', active);
+      item.setAttribute('aria-selected', String(active));
+      if (active) {
+        this.input.setAttribute('aria-activedescendant', item.id);
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  open() {
+    this.list.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+  }
+
+  close() {
+    this.list.hidden = true;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchBox;
+}
+
+export default SearchBox;
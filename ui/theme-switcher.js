@@ -0,0 +1,207 @@
+/**
+ * 🎨 Theme Switcher
+ * Swaps a generated page's theme in place - colors, design tokens and decorations, no reload
+ *
+ * Options come from the same ThemeRegistry the ThemeDetector uses. The choice is
+ * kept in localStorage and mirrored to ?theme= so a themed link can be shared.
+ * Theme-specific template blocks (e.g. the electronics nav labels) stay as built;
+ * everything driven by templates/themes/<theme>.css switches live.
+ */
+
+import ThemeRegistry from '../builder/theme-registry.js';
+import FetchLoader from '../loaders/fetch-loader.js';
+
+class ThemeSwitcher {
+  /**
+   * @param {Object} options
+   * @param {ThemeRegistry} options.registry - Loaded theme registry
+   * @param {string} [options.theme] - Theme the page was built with
+   * @param {ResourceLoader} [options.loader] - Where theme stylesheets come from
+   * @param {CommandPalette} [options.palette] - Palette to add "Theme: ..." commands to
+   */
+  constructor(options) {
+    this.registry = options.registry;
+    this.loader = options.loader || this.registry.loader || new FetchLoader();
+    this.palette = options.palette || null;
+    this.builtTheme = options.theme || document.documentElement.dataset.theme || 'default';
+    this.current = this.builtTheme;
+    this.storageKey = 'infinity-index-theme';
+    this.param = 'theme';
+    this.stylesheets = new Map();
+    this.select = null;
+  }
+
+  /**
+   * Load the registry, add the switcher to the page and apply the saved/shared theme
+   * @returns {Promise<ThemeSwitcher|null>}
+   */
+  static async install(options = {}) {
+    try {
+      const loader = options.loader || new FetchLoader();
+      const registry = options.registry || await ThemeRegistry.create({ loader });
+      const switcher = new ThemeSwitcher({ ...options, registry, loader });
+      switcher.mount(options.container || document.querySelector('header'));
+      await switcher.apply(switcher.initialTheme(), { persist: false });
+      return switcher;
+    } catch (err) {
+      console.error('Failed to install theme switcher:', err);
+      return null;
+    }
+  }
+
+  mount(container) {
+    const label = document.createElement('label');
+    label.className = 'theme-switcher';
+
+    const icon = document.createElement('span');
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = '🎨';
+
+    this.select = document.createElement('select');
+    this.select.id = 'theme-switcher';
+    this.select.setAttribute('aria-label', 'Theme');
+
+    this.registry.all().forEach(theme => {
+      const option = document.createElement('option');
+      option.value = theme.id;
+      option.textContent = `${theme.icon} ${theme.name}`;
+      this.select.append(option);
+    });
+    this.select.value = this.current;
+    this.select.addEventListener('change', () => this.apply(this.select.value));
+
+    label.append(icon, this.select);
+    container?.append(label);
+
+    this.registerCommands();
+    return this;
+  }
+
+  /**
+   * ?theme= wins over the saved choice, which wins over the built theme
+   */
+  initialTheme() {
+    const shared = new URLSearchParams(window.location.search).get(this.param);
+    if (shared && this.registry.has(shared)) {
+      return shared;
+    }
+
+    const saved = this.readSaved();
+    return saved && this.registry.has(saved) ? saved : this.builtTheme;
+  }
+
+  /**
+   * Switch the page to a theme
+   * @param {string} id - Registered theme id
+   * @param {Object} [options] - { persist } (default true: save and update ?theme=)
+   * @returns {Promise<Object>} { success, theme, message }
+   */
+  async apply(id, options = {}) {
+    if (!this.registry.has(id)) {
+      return { success: false, theme: id, message: `❌ Unknown theme: ${id}` };
+    }
+
+    const definition = this.registry.get(id);
+    const info = this.registry.getInfo(id);
+    const root = document.documentElement;
+
+    try {
+      const css = await this.loadStylesheet(definition);
+      ['primary', 'secondary', 'accent'].forEach((slot, index) => {
+        root.style.setProperty(`--theme-${slot}`, info.colors[index]);
+      });
+      const styles = document.getElementById('theme-styles');
+      if (styles) styles.textContent = css;
+    } catch (err) {
+      console.error(`Failed to switch theme to ${id}:`, err);
+      return { success: false, theme: id, message: `❌ Could not load ${definition.stylesheet}` };
+    }
+
+    const previousIcon = this.registry.getInfo(this.current).icon;
+    document.querySelectorAll('.theme-icon').forEach(element => { element.textContent = info.icon; });
+    if (document.title.startsWith(previousIcon)) {
+      document.title = info.icon + document.title.slice(previousIcon.length);
+    }
+
+    root.dataset.theme = id;
+    this.current = id;
+    if (this.select) this.select.value = id;
+
+    if (options.persist !== false) {
+      this.save(id);
+      this.updateUrl(id);
+    }
+
+    document.dispatchEvent(new CustomEvent('infinity:themechange', { detail: { theme: id, info } }));
+    return { success: true, theme: id, message: `🎨 Switched to ${info.name}` };
+  }
+
+  async loadStylesheet(definition) {
+    if (!this.stylesheets.has(definition.id)) {
+      const css = await this.loader.readText(`templates/${definition.stylesheet}`);
+      if (css === null) {
+        throw new Error(`Stylesheet templates/${definition.stylesheet} not found`);
+      }
+      this.stylesheets.set(definition.id, css);
+    }
+    return this.stylesheets.get(definition.id);
+  }
+
+  /**
+   * The declared switch_theme action, plus one palette command per theme
+   */
+  registerCommands() {
+    if (!this.palette) return;
+
+    this.palette.registerCommand('switch_theme', {
+      label: 'Switch Theme',
+      hidden: true,
+      handler: ({ theme } = {}) => this.apply(theme)
+    });
+
+    this.registry.all().forEach(theme => {
+      this.palette.registerCommand(`switch_theme:${theme.id}`, {
+        icon: theme.icon,
+        label: `Theme: ${theme.name}`,
+        keywords: ['theme', theme.id, ...theme.description.split(/\s+/)],
+        handler: () => this.apply(theme.id)
+      });
+    });
+  }
+
+  /**
+   * Shareable link for the current theme
+   */
+  shareUrl(id = this.current) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(this.param, id);
+    return url.toString();
+  }
+
+  updateUrl(id) {
+    window.history.replaceState(window.history.state, '', this.shareUrl(id));
+  }
+
+  readSaved() {
+    try {
+      return window.localStorage.getItem(this.storageKey);
+    } catch (err) {
+      return null; // Storage can be disabled (private mode, sandboxed iframes)
+    }
+  }
+
+  save(id) {
+    try {
+      window.localStorage.setItem(this.storageKey, id);
+    } catch (err) {
+      console.error('Failed to save theme choice:', err);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeSwitcher;
+}
+
+export default ThemeSwitcher;
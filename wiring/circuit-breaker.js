@@ -0,0 +1,79 @@
+/**
+ * 🔌 Circuit Breaker
+ * Stops calling a repo that keeps failing, then lets one probe through to see if it's back
+ *
+ * closed    - requests go through; `failureThreshold` failures in a row open the circuit
+ * open      - requests are refused until `resetTimeout` ms have passed
+ * half-open - one probe goes through; success closes the circuit, failure opens it again
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit (default 3)
+   * @param {number} [options.resetTimeout] - ms the circuit stays open before a probe (default 30000)
+   * @param {Function} [options.now] - Clock, () => ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? 3;
+    this.resetTimeout = options.resetTimeout ?? 30000;
+    this.now = options.now || Date.now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * May a request go out now? Moves an expired open circuit to half-open and
+   * hands out its single probe.
+   */
+  allowRequest() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+      this.probing = false;
+    }
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'half-open' && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.probing = false;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * When an open circuit lets its next probe through (ISO string), or null
+   */
+  retryAt() {
+    return this.state === 'open' ? new Date(this.openedAt + this.resetTimeout).toISOString() : null;
+  }
+
+  describe() {
+    return { state: this.state, failures: this.failures, retryAt: this.retryAt() };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CircuitBreaker;
+}
+
+export default CircuitBreaker;
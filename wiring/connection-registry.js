@@ -0,0 +1,374 @@
+/**
+ * 🧬 Connection Registry
+ * Single source of connected repos - navigation, sidebars, wiring and search all read from here
+ *
+ * Loaded from the "connections" list in .infinity/andy-lian-integration.json,
+ * then extended by discovery: .infinity/registry.json lists more repos, by name,
+ * URL or full definition. A repo listed only by URL is identified from its
+ * token.json ("component") or SPINE.md ("- Component: ...").
+ *
+ * Definition: { name, url, label, icon, type, bond, nav, endpoints: { key: path }, dependsOn: [name] }
+ * Endpoints are paths under the repo's url ('balance' means '<url>/balance').
+ * dependsOn names the repos that must take a domino update before this one does.
+ * Runtime status ('unknown' until RepoConnector checks) lives next to each definition.
+ */
+
+import FetchLoader from '../loaders/fetch-loader.js';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const ENDPOINT_KEY_PATTERN = /^[a-z][a-zA-Z0-9_]*$/;
+// Site paths: /segment/segment - no dot-only segments, no empty segments
+const PATH_PATTERN = /^(\/[A-Za-z0-9_~-][A-Za-z0-9._~-]*)+$/;
+
+const STATUS_LABELS = {
+  online: 'Online',
+  offline: 'Offline',
+  error: 'Unreachable',
+  'circuit-open': 'Paused',
+  unknown: 'Not checked'
+};
+
+class ConnectionRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {ResourceLoader} [options.loader] - Where config, manifest and repo files come from (default: fetch from site root)
+   * @param {string|null} [options.manifest] - Discovery manifest path (default '.infinity/registry.json'; null: no discovery)
+   */
+  constructor(options = {}) {
+    this.loader = options.loader || new FetchLoader();
+    this.manifest = options.manifest === undefined ? '.infinity/registry.json' : options.manifest;
+    this.connections = new Map();
+    this.listeners = new Set();
+    this.loading = null;
+  }
+
+  /**
+   * Create a registry loaded from andy-lian-integration.json plus discovery
+   * @returns {Promise<ConnectionRegistry>}
+   */
+  static async create(options = {}) {
+    return await new ConnectionRegistry(options).loadFromConfig();
+  }
+
+  /**
+   * Resolves once connections are loaded - from config, unless something already loaded them
+   * @returns {Promise<ConnectionRegistry>}
+   */
+  ready() {
+    if (!this.loading) {
+      this.loadFromConfig();
+    }
+    return this.loading;
+  }
+
+  /**
+   * @param {Object} [integration] - andy-lian-integration.json, when the caller has already read it
+   * @returns {Promise<ConnectionRegistry>}
+   */
+  loadFromConfig(integration) {
+    this.loading = this.readConfig(integration);
+    return this.loading;
+  }
+
+  async readConfig(integration) {
+    try {
+      const config = integration || await this.loader.readJson('.infinity/andy-lian-integration.json');
+      this.load(config?.connections || []);
+      await this.discover();
+    } catch (err) {
+      console.error('Failed to load connections:', err);
+    }
+    return this;
+  }
+
+  /**
+   * Register connections from config - an invalid entry is reported and skipped
+   * @param {Array} entries - Names or definitions
+   */
+  load(entries) {
+    this.loading = this.loading || Promise.resolve(this);
+    entries.forEach(entry => {
+      try {
+        this.register(typeof entry === 'string' ? { name: entry } : entry);
+      } catch (err) {
+        console.error('Failed to load connection:', err.message);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Read the discovery manifest and register every repo it lists that isn't registered yet
+   * @returns {Promise<string[]>} Names added
+   */
+  async discover() {
+    if (!this.manifest) {
+      return [];
+    }
+    const manifest = await this.loader.readJson(this.manifest);
+    if (!manifest) {
+      return [];
+    }
+    if (!Array.isArray(manifest.repos)) {
+      throw new Error(`${this.manifest} needs a "repos" array`);
+    }
+
+    const added = [];
+    for (const entry of manifest.repos) {
+      try {
+        const definition = await this.identify(entry);
+        if (!this.has(definition.name)) {
+          this.register({ ...definition, source: this.manifest });
+          added.push(definition.name);
+        }
+      } catch (err) {
+        console.error(`Failed to discover ${JSON.stringify(entry)}:`, err.message);
+      }
+    }
+    return added;
+  }
+
+  /**
+   * Turn a manifest entry into a definition. URLs without a name are asked
+   * who they are: token.json first, then SPINE.md, then the last path segment.
+   * @param {string|Object} entry - 'name', '/url' or { name?, url?, ... }
+   */
+  async identify(entry) {
+    const definition = typeof entry === 'string'
+      ? (entry.startsWith('/') ? { url: entry } : { name: entry })
+      : { ...entry };
+    if (definition.name) {
+      return definition;
+    }
+    if (typeof definition.url !== 'string' || !PATH_PATTERN.test(definition.url)) {
+      throw new Error('Manifest entries need a name or a site path url');
+    }
+
+    const token = await this.loader.readJson(`${definition.url}/token.json`).catch(() => null);
+    if (token?.component) {
+      return { ...definition, name: token.component, token: token.token || null };
+    }
+
+    const spine = await this.loader.readText(`${definition.url}/SPINE.md`).catch(() => null);
+    const component = spine?.match(/^-\s*Component:\s*(\S+)/m);
+    if (component) {
+      const spineToken = spine.match(/^-\s*Token:\s*(\S+)/m);
+      return { ...definition, name: component[1], token: spineToken ? spineToken[1] : null };
+    }
+
+    return { ...definition, name: definition.url.split('/').pop().toLowerCase() };
+  }
+
+  /**
+   * Add a connection, or replace one with the same name
+   * @param {Object} definition - { name, url?, label?, icon?, type?, bond?, nav?, endpoints?, dependsOn? }
+   */
+  register(definition) {
+    const connection = this.validate(definition);
+    const existing = this.connections.get(connection.name);
+    this.connections.set(connection.name, {
+      ...connection,
+      status: existing?.status || 'unknown',
+      lastCheck: existing?.lastCheck || null
+    });
+    this.notify({ type: existing ? 'update' : 'add', name: connection.name });
+    return this;
+  }
+
+  /**
+   * Add a connection that must not exist yet
+   */
+  add(definition) {
+    if (this.has(definition?.name)) {
+      throw new Error(`Connection "${definition.name}" already exists`);
+    }
+    return this.register(definition);
+  }
+
+  /**
+   * @returns {boolean} Whether there was such a connection
+   */
+  remove(name) {
+    const removed = this.connections.delete(name);
+    if (removed) {
+      this.notify({ type: 'remove', name });
+    }
+    return removed;
+  }
+
+  /**
+   * Check a definition and fill in defaults
+   * @returns {Object} Normalized definition
+   */
+  validate(definition) {
+    const name = definition?.name;
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid connection name: ${JSON.stringify(name)}`);
+    }
+
+    const url = definition.url ?? `/${name}`;
+    if (typeof url !== 'string' || !PATH_PATTERN.test(url)) {
+      throw new Error(`Connection "${name}" needs a site path url like "/${name}", got ${JSON.stringify(url)}`);
+    }
+
+    const endpoints = definition.endpoints ?? {};
+    if (typeof endpoints !== 'object' || Array.isArray(endpoints)) {
+      throw new Error(`Connection "${name}" endpoints must be an object of key → path`);
+    }
+    const resolved = {};
+    Object.entries(endpoints).forEach(([key, value]) => {
+      if (!ENDPOINT_KEY_PATTERN.test(key)) {
+        throw new Error(`Connection "${name}" has an invalid endpoint key: ${JSON.stringify(key)}`);
+      }
+      const endpoint = typeof value === 'string' && !value.startsWith('/') ? `${url}/${value}` : value;
+      if (typeof endpoint !== 'string' || !PATH_PATTERN.test(endpoint) || !endpoint.startsWith(`${url}/`)) {
+        throw new Error(`Connection "${name}" endpoint "${key}" must be a path under ${url}/, got ${JSON.stringify(value)}`);
+      }
+      resolved[key] = endpoint;
+    });
+
+    const dependsOn = definition.dependsOn ?? [];
+    if (!Array.isArray(dependsOn) || dependsOn.some(dependency => typeof dependency !== 'string' || !NAME_PATTERN.test(dependency))) {
+      throw new Error(`Connection "${name}" dependsOn must be a list of connection names, got ${JSON.stringify(dependsOn)}`);
+    }
+    if (dependsOn.includes(name)) {
+      throw new Error(`Connection "${name}" cannot depend on itself`);
+    }
+
+    return {
+      name,
+      url,
+      label: definition.label || name,
+      icon: definition.icon || '🔗',
+      type: definition.type || 'repo',
+      bond: definition.bond || 'hydrogen',
+      nav: definition.nav !== false,
+      endpoints: resolved,
+      dependsOn: [...new Set(dependsOn)],
+      ...(definition.token ? { token: definition.token } : {}),
+      source: definition.source || 'config'
+    };
+  }
+
+  /**
+   * Record a health check result
+   */
+  setStatus(name, status, checkedAt = new Date().toISOString()) {
+    const connection = this.connections.get(name);
+    if (connection) {
+      connection.status = status;
+      connection.lastCheck = checkedAt;
+    }
+  }
+
+  /**
+   * Be told about add, update and remove
+   * @param {Function} listener - ({ type, name }) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error('Connection listener failed:', err);
+      }
+    });
+  }
+
+  has(name) {
+    return this.connections.has(name);
+  }
+
+  get(name) {
+    return this.connections.get(name);
+  }
+
+  /**
+   * Connection names in registration order
+   */
+  names() {
+    return [...this.connections.keys()];
+  }
+
+  all() {
+    return [...this.connections.values()];
+  }
+
+  /**
+   * Connections grouped so each group only depends on earlier ones - the
+   * order domino updates travel in. Dependencies that aren't registered are ignored.
+   * @returns {string[][]} Waves of names, registration order within a wave
+   */
+  dependencyWaves() {
+    const remaining = new Map(this.all().map(connection => [
+      connection.name,
+      connection.dependsOn.filter(dependency => this.has(dependency))
+    ]));
+    const waves = [];
+    const placed = new Set();
+
+    while (remaining.size > 0) {
+      const wave = [...remaining.keys()].filter(name => remaining.get(name).every(dependency => placed.has(dependency)));
+      if (wave.length === 0) {
+        throw new Error(`Connection dependencies form a cycle: ${[...remaining.keys()].join(', ')}`);
+      }
+      wave.forEach(name => {
+        remaining.delete(name);
+        placed.add(name);
+      });
+      waves.push(wave);
+    }
+    return waves;
+  }
+
+  /**
+   * Registered repos a connection waits for
+   */
+  dependenciesOf(name) {
+    return (this.get(name)?.dependsOn || []).filter(dependency => this.has(dependency));
+  }
+
+  /**
+   * Main navigation links, one per connection shown in navigation
+   * @returns {Object[]} [{ label, url, icon }]
+   */
+  navigation() {
+    return this.all()
+      .filter(connection => connection.nav)
+      .map(({ label, url, icon }) => ({ label, url, icon }));
+  }
+
+  /**
+   * What sidebars and the wiring panel show
+   * @returns {Object[]} [{ name, label, url, icon, type, bond, status, statusLabel, lastCheck }]
+   */
+  wiring() {
+    return this.all().map(({ name, label, url, icon, type, bond, status, lastCheck }) => ({
+      name, label, url, icon, type, bond, status, statusLabel: STATUS_LABELS[status] || status, lastCheck
+    }));
+  }
+
+  /**
+   * 'online' when every checked repo is, 'degraded' when some aren't, 'unchecked' before any check
+   */
+  summaryStatus() {
+    const checked = this.all().filter(connection => connection.status !== 'unknown');
+    if (checked.length === 0) {
+      return 'unchecked';
+    }
+    return checked.every(connection => connection.status === 'online') ? 'online' : 'degraded';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConnectionRegistry;
+}
+
+export default ConnectionRegistry;
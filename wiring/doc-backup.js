@@ -0,0 +1,391 @@
+/**
+ * 📝 Documentation Backup
+ * Versioned, content-addressed documentation copies at every repo with a docs endpoint
+ *
+ * A backup is split into chunks named by their SHA-256; each location is asked
+ * which chunks it lacks and only those are uploaded. The version entry -
+ * { version, hash, size, format, chunkSize, chunks: [hash], createdAt } - then
+ * goes into the location's manifest, and the location answers with the hash of
+ * what it reassembled. A backup counts once `quorum` locations confirmed it.
+ *
+ * Location protocol, under the connection's `docs` endpoint (e.g. /dash-hub/docs):
+ *   POST /chunks/missing { hashes } → { missing }    PUT /chunks/<hash> { data } (base64)
+ *   GET  /chunks/<hash> → { hash, data }              POST /versions <entry> → { confirmed, version, hash }
+ *   GET  /manifest → { versions }
+ * Everything read back is hashed again here - a location is never trusted on its word.
+ */
+
+class DocBackup {
+  /**
+   * @param {Object} options
+   * @param {ResourceLoader} options.loader - Transport to the docs locations
+   * @param {ConnectionRegistry} options.registry - Connections with a `docs` endpoint are the locations
+   * @param {number} [options.quorum] - Confirmations a backup needs (default: a majority of the locations)
+   * @param {number} [options.chunkSize] - Bytes per chunk (default 65536)
+   * @param {number} [options.timeout] - ms per request (default 10000)
+   * @param {Object} [options.headers] - Sent with every request
+   * @param {RequestSigner} [options.signer] - Signs each request with the location repo's secret
+   */
+  constructor(options = {}) {
+    this.loader = options.loader;
+    this.registry = options.registry;
+    this.quorum = options.quorum ?? null;
+    this.chunkSize = options.chunkSize ?? 65536;
+    this.timeout = options.timeout ?? 10000;
+    this.headers = options.headers || {};
+    this.signer = options.signer || null;
+  }
+
+  /**
+   * Where backups go
+   * @returns {Object[]} [{ repo, location }]
+   */
+  locations() {
+    return this.registry.all()
+      .filter(connection => connection.endpoints.docs)
+      .map(connection => ({ repo: connection.name, location: connection.endpoints.docs }));
+  }
+
+  requiredConfirmations(total) {
+    return this.quorum ?? Math.floor(total / 2) + 1;
+  }
+
+  /**
+   * Back up docs as a new version - or, when they match the latest version,
+   * make sure that version reaches the locations still missing it
+   * @param {Object|string} docs - Text, or anything JSON-serializable
+   * @returns {Promise<Object>} { backed_up, version, hash, size, chunks, quorum, confirmed, locations, results, successful }
+   */
+  async backup(docs) {
+    await this.registry.ready();
+    const locations = this.locations();
+    const quorum = this.requiredConfirmations(locations.length);
+    if (locations.length === 0) {
+      return { backed_up: false, error: 'No connection has a docs endpoint', locations: 0, results: [], successful: 0 };
+    }
+
+    const { bytes, format } = this.encode(docs);
+    const hash = await this.sha256(bytes);
+
+    const manifests = await Promise.all(locations.map(location => this.readManifest(location)));
+    const latest = this.history(manifests).pop();
+    const entry = latest?.hash === hash ? latest : {
+      version: (latest?.version || 0) + 1,
+      hash,
+      size: bytes.length,
+      format,
+      chunkSize: this.chunkSize,
+      chunks: null,
+      createdAt: new Date().toISOString()
+    };
+    // An existing version is re-sent in its own chunking
+    const chunks = await this.split(bytes, entry.chunkSize);
+    entry.chunks = entry.chunks || chunks.map(chunk => chunk.hash);
+
+    const results = await Promise.all(locations.map((location, index) => this.store(location, manifests[index], entry, chunks)));
+    const confirmed = results.filter(result => result.success).length;
+
+    return {
+      backed_up: confirmed >= quorum,
+      version: entry.version,
+      hash,
+      size: bytes.length,
+      chunks: chunks.length,
+      quorum,
+      confirmed,
+      locations: locations.length,
+      results,
+      successful: confirmed
+    };
+  }
+
+  async store(location, manifest, entry, chunks) {
+    const result = { repo: location.repo, location: location.location, success: false, uploaded: 0, reused: 0 };
+    try {
+      const stored = manifest?.versions.find(version => version.version === entry.version);
+      if (stored?.hash === entry.hash) {
+        return { ...result, success: true, reused: chunks.length, existing: true };
+      }
+
+      const unique = [...new Map(chunks.map(chunk => [chunk.hash, chunk])).values()];
+      const { missing } = await this.call(location, '/chunks/missing', 'POST', { hashes: unique.map(chunk => chunk.hash) });
+      const upload = unique.filter(chunk => missing.includes(chunk.hash));
+      for (const chunk of upload) {
+        await this.call(location, `/chunks/${chunk.hash}`, 'PUT', { data: this.toBase64(chunk.bytes) });
+      }
+
+      const confirmation = await this.call(location, '/versions', 'POST', entry);
+      if (!confirmation.confirmed || confirmation.hash !== entry.hash) {
+        throw new Error(`${location.location} confirmed ${confirmation.hash || 'nothing'} instead of ${entry.hash}`);
+      }
+      return { ...result, success: true, uploaded: upload.length, reused: unique.length - upload.length };
+    } catch (err) {
+      return { ...result, error: err.message };
+    }
+  }
+
+  /**
+   * Rebuild a version from whichever locations hold intact chunks
+   * @param {number} [version] - Default: the latest
+   * @returns {Promise<Object>} { restored, version, hash, docs, sources, corrupted } or { restored: false, error }
+   */
+  async restore(version) {
+    await this.registry.ready();
+    const locations = this.locations();
+    const manifests = await Promise.all(locations.map(location => this.readManifest(location)));
+    const history = this.history(manifests);
+    const entry = version === undefined ? history[history.length - 1] : history.find(item => item.version === version);
+    if (!entry) {
+      return { restored: false, version: version ?? null, error: version === undefined ? 'No backups found' : `No backup has version ${version}` };
+    }
+
+    // Locations whose manifest lists this version are asked first
+    const holders = locations.filter((location, index) => manifests[index]?.versions.some(item => item.version === entry.version && item.hash === entry.hash));
+    const order = [...holders, ...locations.filter(location => !holders.includes(location))];
+    const sources = {};
+    const corrupted = [];
+    const parts = [];
+
+    for (const chunkHash of entry.chunks) {
+      let bytes = null;
+      for (const location of order) {
+        const check = await this.fetchChunk(location, chunkHash);
+        if (check.intact) {
+          bytes = check.bytes;
+          sources[location.repo] = (sources[location.repo] || 0) + 1;
+          break;
+        }
+        if (check.corrupted) {
+          corrupted.push({ repo: location.repo, chunk: chunkHash });
+        }
+      }
+      if (!bytes) {
+        return { restored: false, version: entry.version, error: `Chunk ${chunkHash} has no intact copy`, corrupted };
+      }
+      parts.push(bytes);
+    }
+
+    const bytes = this.join(parts);
+    const hash = await this.sha256(bytes);
+    if (hash !== entry.hash) {
+      return { restored: false, version: entry.version, error: `Reassembled hash ${hash} does not match ${entry.hash}`, corrupted };
+    }
+
+    return {
+      restored: true,
+      version: entry.version,
+      hash,
+      createdAt: entry.createdAt,
+      docs: this.decode(bytes, entry.format),
+      sources,
+      corrupted
+    };
+  }
+
+  /**
+   * Check every version at every location, chunk by chunk
+   * @returns {Promise<Object>} { healthy, quorum, versions: [...], locations: [...] }
+   */
+  async verify() {
+    await this.registry.ready();
+    const locations = this.locations();
+    const quorum = this.requiredConfirmations(locations.length);
+    const manifests = await Promise.all(locations.map(location => this.readManifest(location)));
+    const history = this.history(manifests);
+
+    const reports = [];
+    for (const [index, location] of locations.entries()) {
+      const manifest = manifests[index];
+      const report = { repo: location.repo, location: location.location, reachable: Boolean(manifest), intact: [], missing: [], corrupted: [] };
+      // Chunks shared between versions are downloaded once per location
+      const checked = new Map();
+      for (const entry of history) {
+        const stored = manifest?.versions.find(item => item.version === entry.version);
+        if (!stored) {
+          report.missing.push({ version: entry.version });
+          continue;
+        }
+        if (stored.hash !== entry.hash) {
+          report.corrupted.push({ version: entry.version, reason: `manifest lists hash ${stored.hash}` });
+          continue;
+        }
+
+        const problems = [];
+        for (const chunkHash of entry.chunks) {
+          if (!checked.has(chunkHash)) {
+            checked.set(chunkHash, await this.fetchChunk(location, chunkHash));
+          }
+          const check = checked.get(chunkHash);
+          if (!check.intact) {
+            problems.push({ chunk: chunkHash, problem: check.corrupted ? 'corrupted' : 'missing' });
+          }
+        }
+        if (problems.length === 0) {
+          report.intact.push(entry.version);
+        } else if (problems.some(problem => problem.problem === 'corrupted')) {
+          report.corrupted.push({ version: entry.version, chunks: problems });
+        } else {
+          report.missing.push({ version: entry.version, chunks: problems });
+        }
+      }
+      reports.push(report);
+    }
+
+    const versions = history.map(entry => {
+      const intact = reports.filter(report => report.intact.includes(entry.version)).map(report => report.repo);
+      return {
+        version: entry.version,
+        hash: entry.hash,
+        createdAt: entry.createdAt,
+        intact,
+        missing: reports.filter(report => report.missing.some(item => item.version === entry.version)).map(report => report.repo),
+        corrupted: reports.filter(report => report.corrupted.some(item => item.version === entry.version)).map(report => report.repo),
+        quorum: intact.length >= quorum
+      };
+    });
+
+    return {
+      healthy: versions.every(version => version.intact.length === locations.length),
+      quorum,
+      versions,
+      locations: reports
+    };
+  }
+
+  /**
+   * Every version any location knows, oldest first. When locations disagree
+   * about a version, the hash most of them list wins.
+   */
+  history(manifests) {
+    const byVersion = new Map();
+    manifests.filter(Boolean).forEach(manifest => manifest.versions.forEach(entry => {
+      const candidates = byVersion.get(entry.version) || new Map();
+      const candidate = candidates.get(entry.hash) || { entry, votes: 0 };
+      candidate.votes++;
+      candidates.set(entry.hash, candidate);
+      byVersion.set(entry.version, candidates);
+    }));
+    return [...byVersion.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, candidates]) => [...candidates.values()].sort((a, b) => b.votes - a.votes)[0].entry);
+  }
+
+  async readManifest(location) {
+    try {
+      const manifest = await this.call(location, '/manifest', 'GET');
+      return { versions: Array.isArray(manifest?.versions) ? manifest.versions : [] };
+    } catch (err) {
+      console.error(`Failed to read backup manifest at ${location.location}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { intact, bytes } when the copy hashes right, else { intact: false, corrupted? }
+   */
+  async fetchChunk(location, hash) {
+    try {
+      const chunk = await this.call(location, `/chunks/${hash}`, 'GET');
+      const bytes = this.fromBase64(chunk.data);
+      return await this.sha256(bytes) === hash ? { intact: true, bytes } : { intact: false, corrupted: true };
+    } catch (err) {
+      return { intact: false, error: err.message };
+    }
+  }
+
+  /**
+   * One JSON request to a docs location, aborted after `timeout` ms
+   * @returns {Promise<Object>} Parsed response - rejects on network errors and non-2xx
+   */
+  async call(location, suffix, method, body) {
+    const path = location.location + suffix;
+    const text = body === undefined ? undefined : JSON.stringify(body);
+    const signature = this.signer ? await this.signer.sign(location.repo, { method, path, body: text }) : {};
+    const controller = new AbortController();
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${this.timeout}ms`));
+      }, this.timeout);
+    });
+
+    try {
+      const response = await Promise.race([
+        this.loader.request(path, {
+          method,
+          headers: { 'Content-Type': 'application/json', ...this.headers, ...signature },
+          ...(text === undefined ? {} : { body: text }),
+          signal: controller.signal
+        }),
+        timedOut
+      ]);
+      if (!response.ok) {
+        throw new Error(`${method} ${path} answered HTTP ${response.status}`);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  encode(docs) {
+    const format = typeof docs === 'string' ? 'text' : 'json';
+    const text = format === 'text' ? docs : JSON.stringify(docs ?? null);
+    return { bytes: new TextEncoder().encode(text), format };
+  }
+
+  decode(bytes, format) {
+    const text = new TextDecoder().decode(bytes);
+    return format === 'json' ? JSON.parse(text) : text;
+  }
+
+  async split(bytes, chunkSize) {
+    const chunks = [];
+    for (let offset = 0; offset < bytes.length || chunks.length === 0; offset += chunkSize) {
+      const chunk = bytes.subarray(offset, offset + chunkSize);
+      chunks.push({ hash: await this.sha256(chunk), bytes: chunk });
+    }
+    return chunks;
+  }
+
+  join(parts) {
+    const bytes = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      bytes.set(part, offset);
+      offset += part.length;
+    });
+    return bytes;
+  }
+
+  async sha256(bytes) {
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    // In slices - one String.fromCharCode call per chunk would overflow the argument limit
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+      bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DocBackup;
+}
+
+export default DocBackup;
@@ -0,0 +1,326 @@
+/**
+ * ⛓️ Domino Propagator
+ * Carries updates to every connected repo in dependency order, until each one acknowledges
+ *
+ * An update gets the next version number and goes into the UpdateOutbox,
+ * owed to every registered repo. Delivery walks the registry's dependency
+ * waves: a repo is sent version n only once its dependencies acknowledged n
+ * and it has acknowledged every version before n. Each POST carries an
+ * Idempotency-Key ('<update id>:<repo>'), the same on every retry, so a
+ * receiver applies an update once however often it arrives.
+ *
+ * A delivery counts when the receiver answers 2xx with { ack: { key } } for
+ * that key. Anything else - network error, timeout, non-2xx, missing ack - is
+ * a failure: recorded in the outbox and due again after a jittered backoff.
+ *
+ * Result statuses: 'acked', 'failed', 'waiting' (for dependencies),
+ * 'scheduled' (backing off), 'queued' (behind an earlier version).
+ */
+
+import UpdateOutbox from './update-outbox.js';
+
+class DominoPropagator {
+  /**
+   * @param {Object} options
+   * @param {ResourceLoader} options.loader - Transport for the /update requests
+   * @param {ConnectionRegistry} options.registry - Repos and their dependsOn graph
+   * @param {UpdateOutbox} [options.outbox] - Persisted deliveries (default: in memory)
+   * @param {Object} [options.headers] - Sent with every delivery
+   * @param {RequestSigner} [options.signer] - Signs each delivery with the repo's secret
+   * @param {number} [options.timeout] - ms per delivery attempt (default 5000)
+   * @param {number} [options.backoff] - ms before the first retry, doubled each time (default 1000)
+   * @param {number} [options.maxBackoff] - Longest wait between attempts (default 300000)
+   * @param {boolean} [options.autoReplay] - Replay on a timer when failed deliveries come due (default false)
+   * @param {Function} [options.random] - () => [0, 1) for the jitter (default Math.random)
+   * @param {Function} [options.now] - Clock, () => ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.loader = options.loader;
+    this.registry = options.registry;
+    this.outbox = options.outbox || new UpdateOutbox();
+    this.headers = options.headers || {};
+    this.signer = options.signer || null;
+    this.timeout = options.timeout ?? 5000;
+    this.backoff = options.backoff ?? 1000;
+    this.maxBackoff = options.maxBackoff ?? 300000;
+    this.autoReplay = options.autoReplay ?? false;
+    this.random = options.random || Math.random;
+    this.now = options.now || Date.now;
+    this.timer = null;
+    // Delivery passes run one at a time so no delivery is sent twice at once
+    this.passes = Promise.resolve();
+  }
+
+  /**
+   * Queue an update for every connected repo and deliver what can be delivered now
+   * @param {Object} payload - What the repos receive
+   * @returns {Promise<Object>} { version, update, results, successful, failed, waiting }
+   */
+  async propagate(payload = {}) {
+    await this.registry.ready();
+    // Refuse an update that could never be ordered
+    this.registry.dependencyWaves();
+
+    const update = await this.outbox.enqueue({
+      id: this.updateId(),
+      payload,
+      targets: this.registry.names()
+    });
+    const results = await this.deliver();
+    return this.summarize(results.filter(result => result.version === update.version), {
+      version: update.version,
+      update: update.id
+    });
+  }
+
+  /**
+   * Deliver outstanding deliveries that are due
+   * @param {Object} [options] - { force } also retries deliveries still backing off
+   * @returns {Promise<Object>} { results, successful, failed, waiting }
+   */
+  async replay(options = {}) {
+    return this.summarize(await this.deliver(options));
+  }
+
+  summarize(results, extra = {}) {
+    return {
+      ...extra,
+      results,
+      successful: results.filter(result => result.success).length,
+      failed: results.filter(result => result.status === 'failed').length,
+      waiting: results.filter(result => ['waiting', 'scheduled', 'queued'].includes(result.status)).length
+    };
+  }
+
+  deliver(options = {}) {
+    const next = this.passes.then(() => this.pass(options));
+    this.passes = next.catch(() => {});
+    return next;
+  }
+
+  async pass(options) {
+    await Promise.all([this.registry.ready(), this.outbox.ready()]);
+    const owed = new Map();
+    this.outbox.pending().forEach(delivery => {
+      owed.set(delivery.repo, [...(owed.get(delivery.repo) || []), delivery]);
+    });
+
+    const results = [];
+    // Deliveries to repos no longer registered stay in the outbox untouched
+    for (const wave of this.registry.dependencyWaves()) {
+      const delivered = await Promise.all(wave.map(repo => this.deliverTo(repo, owed.get(repo) || [], options)));
+      results.push(...delivered.flat());
+    }
+    this.schedule();
+    return results;
+  }
+
+  /**
+   * A repo's outstanding versions in order - once one can't go, the later ones are queued behind it
+   */
+  async deliverTo(repo, deliveries, options) {
+    const results = [];
+    for (const delivery of deliveries) {
+      const stuck = results.find(result => !result.success);
+      if (stuck) {
+        results.push({ repo, version: delivery.version, success: false, status: 'queued', behind: stuck.version });
+        continue;
+      }
+
+      const update = this.outbox.get(delivery.version);
+      const waitingFor = this.registry.dependenciesOf(repo)
+        .filter(dependency => update.deliveries[dependency] && update.deliveries[dependency].status !== 'acked');
+      if (waitingFor.length > 0) {
+        results.push({ repo, version: delivery.version, success: false, status: 'waiting', waitingFor });
+      } else if (!options.force && delivery.nextAttemptAt && Date.parse(delivery.nextAttemptAt) > this.now()) {
+        results.push({ repo, version: delivery.version, success: false, status: 'scheduled', nextAttemptAt: delivery.nextAttemptAt });
+      } else {
+        results.push(await this.send(repo, update, delivery));
+      }
+    }
+    return results;
+  }
+
+  async send(repo, update, delivery) {
+    const attempt = delivery.attempts + 1;
+    const outcome = await this.post(repo, update, delivery);
+
+    if (outcome.ack) {
+      await this.outbox.recordAck(update.version, repo, { attempt, ack: outcome.ack });
+      return {
+        repo,
+        version: update.version,
+        success: true,
+        status: 'acked',
+        attempt,
+        httpStatus: outcome.httpStatus,
+        duplicate: outcome.duplicate
+      };
+    }
+
+    const nextAttemptAt = new Date(this.now() + this.backoffDelay(attempt)).toISOString();
+    await this.outbox.recordFailure(update.version, repo, {
+      attempt,
+      error: outcome.error,
+      httpStatus: outcome.httpStatus,
+      nextAttemptAt
+    });
+    return {
+      repo,
+      version: update.version,
+      success: false,
+      status: 'failed',
+      attempt,
+      httpStatus: outcome.httpStatus,
+      error: outcome.error,
+      nextAttemptAt
+    };
+  }
+
+  /**
+   * One POST to <repo url>/update, aborted after `timeout` ms
+   * @returns {Promise<Object>} { ack, duplicate, httpStatus, error } - never rejects
+   */
+  async post(repo, update, delivery) {
+    const connection = this.registry.get(repo);
+    const path = connection.url + '/update';
+    const body = JSON.stringify({
+      ...update.payload,
+      update: update.id,
+      version: update.version,
+      timestamp: update.createdAt,
+      propagation: 'domino',
+      after: this.registry.dependenciesOf(repo)
+    });
+    const controller = new AbortController();
+    let timer;
+    // Loaders that ignore the signal are still cut off by the race
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${this.timeout}ms`));
+      }, this.timeout);
+    });
+
+    try {
+      const signature = this.signer ? await this.signer.sign(repo, { method: 'POST', path, body }) : {};
+      const response = await Promise.race([
+        this.loader.request(path, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...this.headers,
+            ...signature,
+            'X-Domino': 'cascade',
+            'Idempotency-Key': delivery.key,
+            'X-Update-Version': String(update.version)
+          },
+          body,
+          signal: controller.signal
+        }),
+        timedOut
+      ]);
+      if (!response.ok) {
+        return { httpStatus: response.status, error: `HTTP ${response.status}` };
+      }
+      const answer = await response.json().catch(() => null);
+      if (answer?.ack?.key !== delivery.key) {
+        return { httpStatus: response.status, error: `No acknowledgement for ${delivery.key}` };
+      }
+      return { ack: answer.ack, duplicate: Boolean(answer.duplicate), httpStatus: response.status };
+    } catch (err) {
+      return { httpStatus: null, error: err.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait after attempt n (1-based): backoff * 2^(n-1), capped, with half of it random
+   */
+  backoffDelay(attempt) {
+    const delay = Math.min(this.maxBackoff, this.backoff * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + this.random() * delay / 2);
+  }
+
+  /**
+   * With autoReplay, wake up when the earliest failed delivery comes due
+   */
+  schedule() {
+    if (!this.autoReplay) {
+      return;
+    }
+    this.stop();
+    const due = this.outbox.pending()
+      .filter(delivery => delivery.nextAttemptAt && this.registry.has(delivery.repo))
+      .map(delivery => Date.parse(delivery.nextAttemptAt));
+    if (due.length === 0) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.replay().catch(err => console.error('Failed to replay updates:', err));
+    }, Math.max(0, Math.min(...due) - this.now()));
+    // Node.js: a pending replay doesn't keep the process alive
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Which repos are behind which version
+   * @returns {Promise<Object>} { latestVersion, pending, repos: [...], updates: [...], outbox }
+   */
+  async status() {
+    await Promise.all([this.registry.ready(), this.outbox.ready()]);
+    const updates = this.outbox.all();
+
+    const repos = this.registry.names().map(repo => {
+      const owed = updates.filter(update => update.deliveries[repo]);
+      const behind = owed.filter(update => update.deliveries[repo].status === 'pending');
+      const acked = owed.filter(update => update.deliveries[repo].status === 'acked');
+      const next = behind[0]?.deliveries[repo];
+      return {
+        repo,
+        version: acked.length > 0 ? acked[acked.length - 1].version : 0,
+        upToDate: behind.length === 0,
+        behind: behind.map(update => update.version),
+        attempts: next?.attempts || 0,
+        lastError: next?.lastError || null,
+        nextAttemptAt: next?.nextAttemptAt || null
+      };
+    });
+
+    return {
+      latestVersion: this.outbox.latestVersion(),
+      pending: this.outbox.pending().length,
+      repos,
+      updates: updates.map(update => {
+        const deliveries = Object.values(update.deliveries);
+        return {
+          version: update.version,
+          id: update.id,
+          createdAt: update.createdAt,
+          acked: deliveries.filter(delivery => delivery.status === 'acked').map(delivery => delivery.repo),
+          pending: deliveries.filter(delivery => delivery.status === 'pending').map(delivery => delivery.repo)
+        };
+      }),
+      outbox: this.outbox.describe()
+    };
+  }
+
+  updateId() {
+    const random = globalThis.crypto?.randomUUID?.() || Math.floor(this.random() * 36 ** 8).toString(36);
+    return `update-${random}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DominoPropagator;
+}
+
+export default DominoPropagator;
@@ -0,0 +1,100 @@
+/**
+ * ⏱️ Health Cache
+ * Remembers health check results for a while - repeated page loads reuse them instead of re-probing
+ *
+ * Kept in a Web Storage object (localStorage in the browser, so results outlive
+ * the page) or in memory when there is none. Entries: { result, checkedAt, expiresAt }.
+ */
+
+class HealthCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - ms a result stays fresh (default 30000; 0 disables caching)
+   * @param {number} [options.failureTtl] - ms a failed check stays fresh (default 10000)
+   * @param {Storage|null} [options.storage] - getItem/setItem/removeItem store (default: localStorage when available)
+   * @param {string} [options.prefix] - Key prefix in storage (default 'infinity-health:')
+   * @param {Function} [options.now] - Clock, () => ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 30000;
+    this.failureTtl = options.failureTtl ?? 10000;
+    this.storage = options.storage !== undefined ? options.storage : this.defaultStorage();
+    this.prefix = options.prefix || 'infinity-health:';
+    this.now = options.now || Date.now;
+    this.memory = new Map();
+  }
+
+  defaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (err) {
+      // Storage can be switched off (privacy settings) - fall back to memory
+      return null;
+    }
+  }
+
+  /**
+   * A fresh cached result, or null
+   */
+  get(repo) {
+    const entry = this.read(repo);
+    if (!entry || entry.expiresAt <= this.now()) {
+      return null;
+    }
+    return { ...entry.result, cached: true, checkedAt: entry.checkedAt };
+  }
+
+  set(repo, result) {
+    // Failures expire sooner so a recovered repo shows up quickly
+    const ttl = result.success ? this.ttl : Math.min(this.ttl, this.failureTtl);
+    if (ttl <= 0) {
+      return;
+    }
+    const now = this.now();
+    this.write(repo, { result, checkedAt: new Date(now).toISOString(), expiresAt: now + ttl });
+  }
+
+  delete(repo) {
+    this.memory.delete(repo);
+    try {
+      this.storage?.removeItem(this.prefix + repo);
+    } catch (err) {
+      console.error('Failed to clear health cache:', err);
+    }
+  }
+
+  read(repo) {
+    if (this.storage) {
+      try {
+        const text = this.storage.getItem(this.prefix + repo);
+        if (text) {
+          return JSON.parse(text);
+        }
+      } catch (err) {
+        // A corrupt entry is a cache miss
+      }
+    }
+    // Also where entries land when storage refused the write
+    return this.memory.get(repo) || null;
+  }
+
+  write(repo, entry) {
+    if (!this.storage) {
+      this.memory.set(repo, entry);
+      return;
+    }
+    try {
+      this.storage.setItem(this.prefix + repo, JSON.stringify(entry));
+    } catch (err) {
+      // Quota exceeded or storage disabled - keep it for this page at least
+      this.memory.set(repo, entry);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HealthCache;
+}
+
+export default HealthCache;
@@ -0,0 +1,208 @@
+/**
+ * 🩺 Health Checker
+ * Pings repo /health endpoints - concurrently, with timeouts, retries, a circuit breaker and a cache
+ *
+ * Each check: a fresh cached result is returned as is; an open circuit answers
+ * without a request; otherwise up to 1 + `retries` attempts, each aborted after
+ * `timeout` ms, waiting an exponentially growing, jittered delay between them.
+ * Network errors, timeouts and 5xx responses are retried; 4xx answers are final.
+ *
+ * Result: { success, repo, status: 'online'|'offline'|'error'|'circuit-open',
+ *           httpStatus, attempts, latency, error?, circuit, cached?, checkedAt }
+ */
+
+import CircuitBreaker from './circuit-breaker.js';
+import HealthCache from './health-cache.js';
+
+class HealthChecker {
+  /**
+   * @param {Object} options
+   * @param {ResourceLoader} options.loader - Transport for the /health requests
+   * @param {number} [options.timeout] - ms per attempt (default 3000)
+   * @param {number} [options.retries] - Extra attempts after a failure (default 2)
+   * @param {number} [options.backoff] - ms before the first retry, doubled each time (default 200)
+   * @param {number} [options.maxBackoff] - Longest wait between attempts (default 2000)
+   * @param {number} [options.concurrency] - Checks in flight at once (default 4)
+   * @param {HealthCache|Object} [options.cache] - Cache, or HealthCache options ({ ttl, failureTtl, storage })
+   * @param {Object} [options.breaker] - CircuitBreaker options ({ failureThreshold, resetTimeout })
+   * @param {Object} [options.headers] - Sent with every ping
+   * @param {RequestSigner} [options.signer] - Signs each ping with the repo's secret
+   * @param {Function} [options.random] - () => [0, 1) for the jitter (default Math.random)
+   * @param {Function} [options.now] - Clock, () => ms (default Date.now)
+   * @param {Function} [options.sleep] - (ms) => Promise, waits between attempts
+   */
+  constructor(options = {}) {
+    this.loader = options.loader;
+    this.timeout = options.timeout ?? 3000;
+    this.retries = options.retries ?? 2;
+    this.backoff = options.backoff ?? 200;
+    this.maxBackoff = options.maxBackoff ?? 2000;
+    this.concurrency = Math.max(1, options.concurrency ?? 4);
+    this.headers = options.headers || {};
+    this.signer = options.signer || null;
+    this.random = options.random || Math.random;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.cache = options.cache instanceof HealthCache
+      ? options.cache
+      : new HealthCache({ now: this.now, ...options.cache });
+    this.breakerOptions = { now: this.now, ...options.breaker };
+    this.breakers = new Map();
+    // Checks already running, so overlapping callers share one probe
+    this.inflight = new Map();
+  }
+
+  breakerFor(repo) {
+    if (!this.breakers.has(repo)) {
+      this.breakers.set(repo, new CircuitBreaker(this.breakerOptions));
+    }
+    return this.breakers.get(repo);
+  }
+
+  /**
+   * Check one repo
+   * @param {string} repo - Name, used for the cache and the breaker
+   * @param {string} url - Health endpoint path, e.g. '/dash-hub/health'
+   * @param {Object} [options] - { force } skips the cache (the breaker still applies)
+   * @returns {Promise<Object>} Result, see above
+   */
+  check(repo, url, options = {}) {
+    if (!options.force) {
+      const cached = this.cache.get(repo);
+      if (cached) {
+        return Promise.resolve(cached);
+      }
+    }
+    if (!this.inflight.has(repo)) {
+      const running = this.probe(repo, url).finally(() => this.inflight.delete(repo));
+      this.inflight.set(repo, running);
+    }
+    return this.inflight.get(repo);
+  }
+
+  /**
+   * Check many repos, at most `concurrency` at a time
+   * @param {Object[]} targets - [{ repo, url }]
+   * @param {Object} [options] - { force }
+   * @returns {Promise<Object[]>} Results in the order of targets
+   */
+  checkAll(targets, options = {}) {
+    return this.mapConcurrent(targets, target => this.check(target.repo, target.url, options));
+  }
+
+  async probe(repo, url) {
+    const breaker = this.breakerFor(repo);
+    if (!breaker.allowRequest()) {
+      return {
+        success: false,
+        repo,
+        status: 'circuit-open',
+        httpStatus: null,
+        attempts: 0,
+        latency: 0,
+        error: `Circuit open after ${breaker.failures} failed checks - next probe at ${breaker.retryAt()}`,
+        circuit: breaker.state,
+        checkedAt: new Date(this.now()).toISOString()
+      };
+    }
+
+    const started = this.now();
+    let attempts = 0;
+    let outcome;
+
+    while (true) {
+      attempts++;
+      outcome = await this.attempt(repo, url);
+      const retryable = !outcome.ok && (outcome.httpStatus === null || outcome.httpStatus >= 500);
+      if (!retryable || attempts > this.retries) {
+        break;
+      }
+      await this.sleep(this.backoffDelay(attempts));
+    }
+
+    if (outcome.ok) {
+      breaker.recordSuccess();
+    } else {
+      breaker.recordFailure();
+    }
+
+    const result = {
+      success: outcome.ok,
+      repo,
+      status: outcome.ok ? 'online' : outcome.httpStatus === null ? 'error' : 'offline',
+      httpStatus: outcome.httpStatus,
+      attempts,
+      latency: this.now() - started,
+      ...(outcome.error ? { error: outcome.error } : {}),
+      circuit: breaker.state,
+      checkedAt: new Date(this.now()).toISOString()
+    };
+    this.cache.set(repo, result);
+    return result;
+  }
+
+  /**
+   * One request, aborted after `timeout` ms
+   * @returns {Promise<Object>} { ok, httpStatus, error? } - never rejects
+   */
+  async attempt(repo, url) {
+    // Signed per attempt - a retry needs a fresh nonce
+    const signature = this.signer ? await this.signer.sign(repo, { method: 'GET', path: url }) : {};
+    const controller = new AbortController();
+    let timer;
+    // Loaders that ignore the signal are still cut off by the race
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${this.timeout}ms`));
+      }, this.timeout);
+    });
+
+    try {
+      const response = await Promise.race([
+        this.loader.request(url, { method: 'GET', headers: { ...this.headers, ...signature }, signal: controller.signal }),
+        timedOut
+      ]);
+      return { ok: response.ok, httpStatus: response.status, ...(response.ok ? {} : { error: `HTTP ${response.status}` }) };
+    } catch (err) {
+      return { ok: false, httpStatus: null, error: err.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait before retry n (1-based): backoff * 2^(n-1), capped, with half of it random
+   */
+  backoffDelay(retry) {
+    const delay = Math.min(this.maxBackoff, this.backoff * 2 ** (retry - 1));
+    return Math.round(delay / 2 + this.random() * delay / 2);
+  }
+
+  async mapConcurrent(items, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Breaker state per repo that has been checked
+   */
+  describe() {
+    return Object.fromEntries([...this.breakers.entries()].map(([repo, breaker]) => [repo, breaker.describe()]));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HealthChecker;
+}
+
+export default HealthChecker;
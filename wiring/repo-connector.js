@@ -1,64 +1,59 @@
 /**
  * 🔗 Repository Connector
  * Website wiring - connects to all repos with hydrogen bonds
+ *
+ * Health pings, domino updates and backups are signed with each repo's shared
+ * secret (RequestSigner), so receivers can tell they came from the designer.
  */
 
+import FetchLoader from '../loaders/fetch-loader.js';
+import HealthChecker from './health-checker.js';
+import ConnectionRegistry from './connection-registry.js';
+import DominoPropagator from './domino-propagator.js';
+import DocBackup from './doc-backup.js';
+import RequestSigner from './request-signer.js';
+
+// A label on every ping, update and backup - anyone can send it, so it proves nothing.
+// Who sent a request is what its signature says; X-Source comes from the RequestSigner.
+const WIRING_HEADERS = Object.freeze({ 'X-Wiring': 'hydrogen-bond' });
+
 class RepoConnector {
-  constructor() {
-    this.connections = {
-      'dash-hub': {
-        url: '/dash-hub',
-        type: 'token_economy',
-        bond: 'hydrogen',
-        status: 'online',
-        endpoints: {
-          economy: '/dash-hub/economy',
-          balance: '/dash-hub/balance',
-          transactions: '/dash-hub/transactions'
-        }
-      },
-      'banksy': {
-        url: '/banksy',
-        type: 'art_assets',
-        bond: 'hydrogen',
-        status: 'online',
-        endpoints: {
-          gallery: '/banksy/gallery',
-          upload: '/banksy/upload'
-        }
-      },
-      'token-mint': {
-        url: '/token-mint',
-        type: 'receipts',
-        bond: 'hydrogen',
-        status: 'online',
-        endpoints: {
-          mint: '/token-mint/mint',
-          receipts: '/token-mint/receipts'
-        }
-      },
-      'pricing-engine': {
-        url: '/pricing-engine',
-        type: 'values',
-        bond: 'hydrogen',
-        status: 'online',
-        endpoints: {
-          calculate: '/pricing-engine/calculate',
-          quote: '/pricing-engine/quote'
-        }
-      },
-      'facet-commerce': {
-        url: '/facet-commerce',
-        type: 'products',
-        bond: 'hydrogen',
-        status: 'online',
-        endpoints: {
-          products: '/facet-commerce/products',
-          cart: '/facet-commerce/cart',
-          checkout: '/facet-commerce/checkout'
-        }
-      }
-    };
+  /**
+   * @param {Object} [options]
+   * @param {ResourceLoader} [options.loader] - Transport for repo endpoints (default: fetch from site root)
+   * @param {ConnectionRegistry} [options.registry] - Repos to connect to (default: loaded from config through the loader)
+   * @param {Object} [options.health] - HealthChecker options: timeout, retries, backoff, concurrency,
+   *   cache ({ ttl, failureTtl, storage }), breaker ({ failureThreshold, resetTimeout })
+   * @param {UpdateOutbox} [options.outbox] - Where domino deliveries are kept (default: in memory)
+   * @param {Object} [options.updates] - DominoPropagator options: timeout, backoff, maxBackoff, autoReplay
+   * @param {Object} [options.backup] - DocBackup options: quorum, chunkSize, timeout
+   * @param {RequestSigner} [options.signer] - Signs every request, server-side (default: no secrets, requests go unsigned)
+   */
+  constructor(options = {}) {
+    this.loader = options.loader || new FetchLoader();
+    this.signer = options.signer || new RequestSigner();
+    this.healthChecker = new HealthChecker({
+      loader: this.loader,
+      signer: this.signer,
+      headers: WIRING_HEADERS,
+      ...options.health
+    });
+    this.registry = options.registry || new ConnectionRegistry({ loader: this.loader });
+    this.propagator = new DominoPropagator({
+      loader: this.loader,
+      signer: this.signer,
+      registry: this.registry,
+      outbox: options.outbox,
+      headers: WIRING_HEADERS,
+      ...options.updates
+    });
+    this.docBackup = new DocBackup({
+      loader: this.loader,
+      signer: this.signer,
+      registry: this.registry,
+      headers: WIRING_HEADERS,
+      ...options.backup
+    });
 
     this.dominoUpdate = {
       enabled: true,
@@ -68,10 +63,21 @@ class RepoConnector {
   }
 
   /**
-   * Connect to a repository
+   * Connections by name, each { name, url, type, endpoints, status, ... }
+   */
+  get connections() {
+    return Object.fromEntries(this.registry.all().map(connection => [connection.name, connection]));
+  }
+
+  /**
+   * Connect to a repository - a /health ping through the HealthChecker
+   * (cached, timeout-bounded, retried, behind the repo's circuit breaker)
+   * @param {string} repoName
+   * @param {Object} [options] - { force } ignores a cached result
    */
-  async connect(repoName) {
-    const repo = this.connections[repoName];
+  async connect(repoName, options = {}) {
+    await this.registry.ready();
+    const repo = this.registry.get(repoName);
     if (!repo) {
       return {
         success: false,
@@ -80,26 +86,16 @@ class RepoConnector {
     }
 
     try {
-      // Test connection with a ping
-      const response = await fetch(repo.url + '/health', {
-        method: 'GET',
-        headers: {
-          'X-Wiring': 'hydrogen-bond',
-          'X-Source': 'index-designer'
-        }
-      });
+      const result = await this.healthChecker.check(repoName, repo.url + '/health', options);
 
-      repo.status = response.ok ? 'online' : 'offline';
-      repo.lastCheck = new Date().toISOString();
+      this.registry.setStatus(repoName, result.status, result.checkedAt);
 
       return {
-        success: response.ok,
-        repo: repoName,
-        status: repo.status,
+        ...result,
         bond: repo.bond
       };
     } catch (err) {
-      repo.status = 'error';
+      this.registry.setStatus(repoName, 'error');
       return {
         success: false,
         repo: repoName,
@@ -109,19 +105,20 @@ class RepoConnector {
   }
 
   /**
-   * Connect to all repositories
+   * Connect to all repositories, several at a time
+   * @param {Object} [options] - { force }
    */
-  async connectAll() {
-    const results = {};
-    
-    for (const repoName of Object.keys(this.connections)) {
-      results[repoName] = await this.connect(repoName);
-    }
+  async connectAll(options = {}) {
+    await this.registry.ready();
+    const names = this.registry.names();
+    const checked = await this.healthChecker.mapConcurrent(names, repoName => this.connect(repoName, options));
+    const results = Object.fromEntries(names.map((repoName, index) => [repoName, checked[index]]));
 
     return {
-      total: Object.keys(this.connections).length,
-      online: Object.values(results).filter(r => r.success).length,
-      offline: Object.values(results).filter(r => !r.success).length,
+      total: names.length,
+      online: checked.filter(r => r.success).length,
+      offline: checked.filter(r => !r.success).length,
+      cached: checked.filter(r => r.cached).length,
       results
     };
   }
@@ -133,13 +130,18 @@ class RepoConnector {
     return {
       connections: this.connections,
       dominoUpdate: this.dominoUpdate,
-      hydrogenBonds: Object.keys(this.connections).length,
+      hydrogenBonds: this.registry.names().length,
+      circuits: this.healthChecker.describe(),
+      signing: this.signer.describe(),
       lastUpdate: new Date().toISOString()
     };
   }
 
   /**
-   * Propagate update via domino effect
+   * Propagate update via domino effect - in dependency order, acknowledged by
+   * every repo; deliveries that fail stay in the outbox for replayUpdates()
+   * @param {Object} updateData - What the repos receive
+   * @returns {Promise<Object>} { propagated, method, version, update, results, successful, failed, waiting }
    */
   async propagateUpdate(updateData) {
     if (!this.dominoUpdate.enabled) {
@@ -149,109 +151,88 @@ class RepoConnector {
       };
     }
 
-    const results = [];
-    
-    for (const [repoName, repo] of Object.entries(this.connections)) {
-      try {
-        const response = await fetch(repo.url + '/update', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Wiring': 'hydrogen-bond',
-            'X-Source': 'index-designer',
-            'X-Domino': 'cascade'
-          },
-          body: JSON.stringify({
-            ...updateData,
-            timestamp: new Date().toISOString(),
-            propagation: 'domino'
-          })
-        });
-
-        results.push({
-          repo: repoName,
-          success: response.ok,
-          status: response.status
-        });
-      } catch (err) {
-        results.push({
-          repo: repoName,
-          success: false,
-          error: err.message
-        });
-      }
+    try {
+      return {
+        propagated: true,
+        method: 'domino',
+        ...await this.propagator.propagate(updateData)
+      };
+    } catch (err) {
+      console.error('Failed to propagate update:', err);
+      return {
+        propagated: false,
+        method: 'domino',
+        error: err.message
+      };
     }
-
-    return {
-      propagated: true,
-      method: 'domino',
-      results,
-      successful: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length
-    };
   }
 
   /**
-   * Backup documentation to multiple locations
+   * Retry the deliveries still in the outbox that are due
+   * @param {Object} [options] - { force } ignores the backoff
    */
-  async backupDocumentation(docs) {
-    const backupLocations = [
-      '/dash-hub/docs',
-      '/token-mint/docs',
-      '/banksy/docs'
-    ];
+  async replayUpdates(options = {}) {
+    return await this.propagator.replay(options);
+  }
 
-    const results = [];
+  /**
+   * Update version each repo has acknowledged, and what it's still owed
+   */
+  async getUpdateStatus() {
+    return await this.propagator.status();
+  }
 
-    for (const location of backupLocations) {
-      try {
-        const response = await fetch(location + '/backup', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Wiring': 'hydrogen-bond',
-            'X-Source': 'index-designer'
-          },
-          body: JSON.stringify({
-            docs,
-            timestamp: new Date().toISOString()
-          })
-        });
+  /**
+   * Backup documentation to multiple locations - every connection with a docs
+   * endpoint gets the new chunks and a version entry; it counts once a quorum confirms the hash
+   * @param {Object|string} docs
+   * @returns {Promise<Object>} { backed_up, version, hash, size, chunks, quorum, confirmed, locations, results, successful }
+   */
+  async backupDocumentation(docs) {
+    try {
+      return await this.docBackup.backup(docs);
+    } catch (err) {
+      console.error('Failed to back up documentation:', err);
+      return { backed_up: false, error: err.message, results: [], successful: 0 };
+    }
+  }
 
-        results.push({
-          location,
-          success: response.ok,
-          status: response.status
-        });
-      } catch (err) {
-        results.push({
-          location,
-          success: false,
-          error: err.message
-        });
-      }
+  /**
+   * Rebuild a backed up version (default: the latest) from intact chunks at any location
+   * @param {number} [version]
+   * @returns {Promise<Object>} { restored, version, hash, docs, sources, corrupted } or { restored: false, error }
+   */
+  async restoreDocumentation(version) {
+    try {
+      return await this.docBackup.restore(version);
+    } catch (err) {
+      console.error('Failed to restore documentation:', err);
+      return { restored: false, version: version ?? null, error: err.message };
     }
+  }
 
-    return {
-      backed_up: true,
-      locations: backupLocations.length,
-      results,
-      successful: results.filter(r => r.success).length
-    };
+  /**
+   * Find versions that are missing or corrupted at any backup location
+   * @returns {Promise<Object>} { healthy, quorum, versions, locations }
+   */
+  async verifyBackups() {
+    return await this.docBackup.verify();
   }
 
   /**
    * Get connection statistics
    */
   getStats() {
-    const online = Object.values(this.connections).filter(r => r.status === 'online').length;
-    const offline = Object.values(this.connections).filter(r => r.status === 'offline').length;
+    const connections = this.registry.all();
+    const online = connections.filter(r => r.status === 'online').length;
+    // Errors, open circuits and repos not checked yet count as offline too
+    const offline = connections.length - online;
     
     return {
-      total: Object.keys(this.connections).length,
+      total: connections.length,
       online,
       offline,
-      healthPercentage: (online / Object.keys(this.connections).length) * 100,
+      healthPercentage: connections.length > 0 ? (online / connections.length) * 100 : 0,
       bonds: 'hydrogen',
       dominoEnabled: this.dominoUpdate.enabled
     };
@@ -0,0 +1,185 @@
+/**
+ * 🔏 Request Signer
+ * Signs requests to connected repos with an HMAC only the designer and that repo can compute
+ *
+ * Each repo shares its own secret with the designer, kept in
+ * .infinity/wiring-secrets.json (never committed, never served):
+ *   { "source": "index-designer", "secrets": { "dash-hub": "<secret>", ... } }
+ *
+ * The signature is HMAC-SHA256, keyed by the repo's secret, over:
+ *   INFINITY-HMAC-SHA256\n<METHOD>\n<path>\n<timestamp>\n<nonce>\n<body sha256>\n<key id>\n<source>
+ * and travels with its inputs in X-Wiring-Key, X-Wiring-Timestamp (unix seconds),
+ * X-Wiring-Nonce, X-Wiring-Content-SHA256, X-Wiring-Signature and X-Source.
+ * RequestVerifier is the receiving side.
+ *
+ * Signing is server-side only: the secrets file is read through the loader
+ * you pass (a FileSystemLoader in Node.js), never fetched from a site - a
+ * browser page can't keep a secret. Repos without a secret get no signature
+ * headers, and the first request to each says so on the console, since a repo
+ * that checks signatures will refuse it.
+ */
+
+const SCHEME = 'INFINITY-HMAC-SHA256';
+const MIN_SECRET_LENGTH = 16;
+
+class RequestSigner {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.secrets] - { repo: secret }; when given, no config file is read
+   * @param {string} [options.source] - Who is signing (default 'index-designer')
+   * @param {ResourceLoader} [options.loader] - Where the secrets file is read from, server-side (default: none, no file is read)
+   * @param {string} [options.file] - Secrets file path (default '.infinity/wiring-secrets.json')
+   * @param {Function} [options.now] - Clock, () => ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.source = options.source || 'index-designer';
+    this.loader = options.loader || null;
+    this.file = options.file || '.infinity/wiring-secrets.json';
+    this.now = options.now || Date.now;
+    this.secrets = new Map();
+    this.keys = new Map();
+    this.loading = null;
+    // Repos already warned about going unsigned
+    this.unsigned = new Set();
+    if (options.secrets) {
+      this.load({ source: this.source, secrets: options.secrets });
+    }
+  }
+
+  /**
+   * Resolves once secrets are loaded - from the secrets file, unless they were given
+   * @returns {Promise<RequestSigner>}
+   */
+  ready() {
+    if (!this.loading) {
+      this.loading = this.readConfig();
+    }
+    return this.loading;
+  }
+
+  async readConfig() {
+    if (!this.loader) {
+      return this;
+    }
+    try {
+      const config = await this.loader.readJson(this.file);
+      if (config) {
+        this.load(config);
+      }
+    } catch (err) {
+      console.error('Failed to load wiring secrets:', err);
+    }
+    return this;
+  }
+
+  /**
+   * @param {Object} config - { source?, secrets: { repo: secret } } - a short or non-string secret is reported and skipped
+   */
+  load(config) {
+    this.loading = this.loading || Promise.resolve(this);
+    this.source = config.source || this.source;
+    Object.entries(config.secrets || {}).forEach(([repo, secret]) => {
+      if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+        console.error(`Failed to load wiring secret for ${repo}: needs a string of at least ${MIN_SECRET_LENGTH} characters`);
+        return;
+      }
+      this.secrets.set(repo, secret);
+      this.keys.delete(repo);
+    });
+    return this;
+  }
+
+  has(repo) {
+    return this.secrets.has(repo);
+  }
+
+  /**
+   * Headers that authenticate one request to a repo
+   * @param {string} repo - Key id: whose secret signs it
+   * @param {Object} request - { method, path, body } - body exactly as it will be sent (string or undefined)
+   * @returns {Promise<Object>} Signature headers, or { 'X-Source' } alone when the repo has no secret
+   */
+  async sign(repo, request) {
+    await this.ready();
+    if (!this.secrets.has(repo)) {
+      this.warnUnsigned(repo);
+      return { 'X-Source': this.source };
+    }
+
+    const timestamp = String(Math.floor(this.now() / 1000));
+    const nonce = this.nonce();
+    const bodyHash = await RequestSigner.sha256(request.body ?? '');
+    const canonical = RequestSigner.canonical({
+      method: request.method || 'GET',
+      path: request.path,
+      timestamp,
+      nonce,
+      bodyHash,
+      keyId: repo,
+      source: this.source
+    });
+    const signature = await globalThis.crypto.subtle.sign('HMAC', await this.keyFor(repo), new TextEncoder().encode(canonical));
+
+    return {
+      'X-Source': this.source,
+      'X-Wiring-Key': repo,
+      'X-Wiring-Timestamp': timestamp,
+      'X-Wiring-Nonce': nonce,
+      'X-Wiring-Content-SHA256': bodyHash,
+      'X-Wiring-Signature': RequestSigner.hex(signature)
+    };
+  }
+
+  warnUnsigned(repo) {
+    if (this.unsigned.has(repo)) {
+      return;
+    }
+    this.unsigned.add(repo);
+    const where = this.loader ? `${this.file} has none` : 'no secrets were given (signing is server-side only)';
+    console.warn(`No wiring secret for ${repo} - ${where}; its requests go unsigned and are refused where signatures are checked`);
+  }
+
+  keyFor(repo) {
+    if (!this.keys.has(repo)) {
+      this.keys.set(repo, RequestSigner.importKey(this.secrets.get(repo), ['sign']));
+    }
+    return this.keys.get(repo);
+  }
+
+  nonce() {
+    return RequestSigner.hex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+  }
+
+  /**
+   * Which repos requests are signed for
+   */
+  describe() {
+    return { source: this.source, signed: [...this.secrets.keys()] };
+  }
+
+  /**
+   * The string both sides sign - shared with RequestVerifier
+   */
+  static canonical({ method, path, timestamp, nonce, bodyHash, keyId, source }) {
+    return [SCHEME, method.toUpperCase(), path, timestamp, nonce, bodyHash, keyId, source].join('\n');
+  }
+
+  static importKey(secret, usages) {
+    return globalThis.crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, usages);
+  }
+
+  static async sha256(text) {
+    return RequestSigner.hex(await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+  }
+
+  static hex(buffer) {
+    return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RequestSigner;
+}
+
+export default RequestSigner;
@@ -0,0 +1,147 @@
+/**
+ * 🛂 Request Verifier
+ * Checks that a request really came from the index designer - for receiving repos and the mock hub
+ *
+ * A request passes when its X-Wiring-* headers (see RequestSigner) are all
+ * there, its key id has a secret here, its timestamp is within `tolerance`
+ * seconds of now, the body hashes to X-Wiring-Content-SHA256, the HMAC matches,
+ * and its nonce hasn't been seen. Nonces are remembered until their timestamp
+ * falls out of the window, so a captured request can't be replayed.
+ *
+ *   const verifier = new RequestVerifier({ secrets: { 'dash-hub': process.env.DASH_HUB_SECRET } });
+ *   const check = await verifier.verify({ method, path, headers, body: rawBodyText });
+ *   if (!check.valid) return respond(401, { error: check.reason });
+ */
+
+import RequestSigner from './request-signer.js';
+
+class RequestVerifier {
+  /**
+   * @param {Object} options
+   * @param {Object} options.secrets - { key id: secret } this side accepts
+   * @param {number} [options.tolerance] - Seconds a timestamp may be off from now (default 300)
+   * @param {string[]} [options.sources] - Accepted X-Source values (default: any)
+   * @param {Function} [options.now] - Clock, () => ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.secrets = new Map(Object.entries(options.secrets || {}));
+    this.tolerance = options.tolerance ?? 300;
+    this.sources = options.sources || null;
+    this.now = options.now || Date.now;
+    this.keys = new Map();
+    // nonce → unix second after which it can be forgotten
+    this.nonces = new Map();
+  }
+
+  has(keyId) {
+    return this.secrets.has(keyId);
+  }
+
+  /**
+   * @param {Object} request - { method, path, headers, body } - body as the raw text received
+   * @param {Object} [options] - { keyId } the key the request must be signed with (e.g. the repo it's for)
+   * @returns {Promise<Object>} { valid: true, keyId, source } or { valid: false, reason }
+   */
+  async verify(request, options = {}) {
+    const header = name => this.header(request.headers, name);
+    const keyId = header('X-Wiring-Key');
+    const timestamp = header('X-Wiring-Timestamp');
+    const nonce = header('X-Wiring-Nonce');
+    const bodyHash = header('X-Wiring-Content-SHA256');
+    const signature = header('X-Wiring-Signature');
+    const source = header('X-Source');
+
+    if (!keyId || !timestamp || !nonce || !bodyHash || !signature || !source) {
+      return this.reject('Request is not signed');
+    }
+    if (options.keyId && keyId !== options.keyId) {
+      return this.reject(`Signed for ${keyId}, not ${options.keyId}`);
+    }
+    if (!this.secrets.has(keyId)) {
+      return this.reject(`No secret for key ${keyId}`);
+    }
+    if (this.sources && !this.sources.includes(source)) {
+      return this.reject(`Source ${source} is not accepted`);
+    }
+
+    const seconds = Number(timestamp);
+    const nowSeconds = Math.floor(this.now() / 1000);
+    if (!/^\d+$/.test(timestamp) || Math.abs(nowSeconds - seconds) > this.tolerance) {
+      return this.reject('Timestamp is outside the accepted window');
+    }
+    if (await RequestSigner.sha256(request.body ?? '') !== bodyHash) {
+      return this.reject('Body does not match its hash');
+    }
+    if (!/^[0-9a-f]{64}$/.test(signature)) {
+      return this.reject('Signature is malformed');
+    }
+
+    const canonical = RequestSigner.canonical({
+      method: request.method || 'GET',
+      path: request.path,
+      timestamp,
+      nonce,
+      bodyHash,
+      keyId,
+      source
+    });
+    // subtle.verify compares in constant time
+    const valid = await globalThis.crypto.subtle.verify(
+      'HMAC',
+      await this.keyFor(keyId),
+      this.bytes(signature),
+      new TextEncoder().encode(canonical)
+    );
+    if (!valid) {
+      return this.reject('Signature does not match');
+    }
+
+    // Only signed requests get to use up a nonce
+    this.forgetExpired(nowSeconds);
+    if (this.nonces.has(nonce)) {
+      return this.reject('Nonce was already used');
+    }
+    this.nonces.set(nonce, seconds + this.tolerance);
+
+    return { valid: true, keyId, source };
+  }
+
+  reject(reason) {
+    return { valid: false, reason };
+  }
+
+  header(headers = {}, name) {
+    if (typeof headers.get === 'function') {
+      return headers.get(name);
+    }
+    const wanted = name.toLowerCase();
+    const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === wanted);
+    return key === undefined ? null : String(headers[key]);
+  }
+
+  keyFor(keyId) {
+    if (!this.keys.has(keyId)) {
+      this.keys.set(keyId, RequestSigner.importKey(this.secrets.get(keyId), ['verify']));
+    }
+    return this.keys.get(keyId);
+  }
+
+  forgetExpired(nowSeconds) {
+    for (const [nonce, expires] of this.nonces) {
+      if (expires < nowSeconds) {
+        this.nonces.delete(nonce);
+      }
+    }
+  }
+
+  bytes(hex) {
+    return new Uint8Array(hex.match(/../g).map(pair => Number.parseInt(pair, 16)));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RequestVerifier;
+}
+
+export default RequestVerifier;
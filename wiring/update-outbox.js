@@ -0,0 +1,202 @@
+/**
+ * 📮 Update Outbox
+ * Every domino update and what became of it at each repo - persisted, so
+ * deliveries that failed are still owed after a reload or restart
+ *
+ * Kept as an append-only event log on a LedgerStore (a JSON-lines file in
+ * Node.js, IndexedDB in the browser) and folded into state on load:
+ *   { type: 'update', version, id, payload, targets, createdAt }
+ *   { type: 'failure', version, repo, attempt, error, httpStatus, nextAttemptAt }
+ *   { type: 'ack', version, repo, attempt, ack }
+ * A delivery is pending from its update until its ack; nothing is ever removed.
+ *
+ * Several tabs or processes can share the store: each append re-reads it and
+ * only goes in where the store still ends (LEDGER_CONFLICT otherwise), so
+ * versions and indexes are never handed out twice.
+ */
+
+import MemoryStore from '../ledger/memory-store.js';
+
+class UpdateOutbox {
+  /**
+   * @param {Object} [options]
+   * @param {LedgerStore} [options.store] - Where events are kept (default: in memory)
+   * @param {number} [options.maxAttempts] - Appends retried when another writer got in first (default 5)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.events = null;
+    this.updates = new Map();
+    this.loading = null;
+    // Appends run one at a time so event indexes stay in order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Open the outbox on the platform's default store: a JSON-lines file in
+   * Node.js, IndexedDB in the browser
+   * @param {Object} [options] - { store, file, dbName }
+   * @returns {Promise<UpdateOutbox>}
+   */
+  static async open(options = {}) {
+    let store = options.store;
+    if (!store) {
+      if (typeof indexedDB !== 'undefined') {
+        const IndexedDbStore = (await import('../ledger/indexeddb-store.js')).default;
+        store = new IndexedDbStore({ dbName: options.dbName || 'infinity-outbox' });
+      } else {
+        // Imported on demand so browsers never load the fs module
+        const JsonLinesStore = (await import('../ledger/jsonl-store.js')).default;
+        store = new JsonLinesStore(options.file || '.infinity/update-outbox.jsonl');
+      }
+    }
+    return await new UpdateOutbox({ store }).load();
+  }
+
+  /**
+   * Read every event from the store and rebuild the state
+   * @returns {Promise<UpdateOutbox>}
+   */
+  load() {
+    this.loading = this.store.readAll().then(events => {
+      this.events = [];
+      this.updates.clear();
+      events.forEach(event => this.apply(event));
+      return this;
+    });
+    return this.loading;
+  }
+
+  ready() {
+    return this.loading || this.load();
+  }
+
+  /**
+   * Record a new update, owed to every target
+   * @param {Object} update - { id, payload, targets, createdAt? }
+   * @returns {Promise<Object>} The folded update, with its version
+   */
+  enqueue(update) {
+    return this.append(() => ({
+      type: 'update',
+      version: this.latestVersion() + 1,
+      id: update.id,
+      payload: update.payload ?? {},
+      targets: update.targets,
+      createdAt: update.createdAt || new Date().toISOString()
+    })).then(event => this.updates.get(event.version));
+  }
+
+  /**
+   * @param {Object} failure - { attempt, error, httpStatus, nextAttemptAt }
+   */
+  recordFailure(version, repo, failure) {
+    return this.append(() => ({ type: 'failure', version, repo, ...failure }));
+  }
+
+  /**
+   * @param {Object} receipt - { attempt, ack } where ack is the receiver's acknowledgement
+   */
+  recordAck(version, repo, receipt) {
+    return this.append(() => ({ type: 'ack', version, repo, ...receipt }));
+  }
+
+  append(build) {
+    const next = this.queue.then(async () => {
+      for (let attempt = 1; ; attempt++) {
+        // Another tab or process may have written since the last read
+        await this.load();
+        const event = { index: this.events.length, timestamp: new Date().toISOString(), ...build() };
+        try {
+          await this.store.append(event, { count: this.events.length });
+        } catch (err) {
+          if (err.code === 'LEDGER_CONFLICT' && attempt < this.maxAttempts) {
+            continue;
+          }
+          throw err;
+        }
+        this.apply(event);
+        return event;
+      }
+    });
+    // A failed write must not block the ones after it
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  apply(event) {
+    this.events.push(event);
+    if (event.type === 'update') {
+      this.updates.set(event.version, {
+        version: event.version,
+        id: event.id,
+        payload: event.payload,
+        createdAt: event.createdAt,
+        deliveries: Object.fromEntries(event.targets.map(repo => [repo, {
+          repo,
+          key: `${event.id}:${repo}`,
+          status: 'pending',
+          attempts: 0,
+          lastError: null,
+          httpStatus: null,
+          nextAttemptAt: null,
+          ackedAt: null
+        }]))
+      });
+      return;
+    }
+
+    const delivery = this.updates.get(event.version)?.deliveries[event.repo];
+    if (!delivery || delivery.status === 'acked') {
+      return;
+    }
+    delivery.attempts = Math.max(delivery.attempts, event.attempt || 0);
+    if (event.type === 'ack') {
+      delivery.status = 'acked';
+      delivery.ackedAt = event.timestamp;
+      delivery.ack = event.ack;
+      delivery.nextAttemptAt = null;
+    } else if (event.type === 'failure') {
+      delivery.lastError = event.error;
+      delivery.httpStatus = event.httpStatus ?? null;
+      delivery.nextAttemptAt = event.nextAttemptAt;
+    }
+  }
+
+  latestVersion() {
+    return this.updates.size > 0 ? Math.max(...this.updates.keys()) : 0;
+  }
+
+  get(version) {
+    return this.updates.get(version) || null;
+  }
+
+  /**
+   * Every update, oldest first
+   */
+  all() {
+    return [...this.updates.values()].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Deliveries not acknowledged yet, oldest update first
+   * @returns {Object[]} [{ version, update, repo, key, attempts, lastError, nextAttemptAt, ... }]
+   */
+  pending() {
+    return this.all().flatMap(update => Object.values(update.deliveries)
+      .filter(delivery => delivery.status === 'pending')
+      .map(delivery => ({ ...delivery, version: update.version, update: update.id })));
+  }
+
+  describe() {
+    return this.store.describe();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UpdateOutbox;
+}
+
+export default UpdateOutbox;